@@ -0,0 +1,14 @@
+require('dotenv').config();
+
+// SMTP server for the optional email delivery of notifications; email is off
+// when SMTP_HOST is not set
+const emailConfig = {
+  host: process.env.SMTP_HOST || null,
+  port: parseInt(process.env.SMTP_PORT, 10) || 587,
+  secure: process.env.SMTP_SECURE === 'true',
+  user: process.env.SMTP_USER || null,
+  password: process.env.SMTP_PASSWORD || null,
+  from: process.env.SMTP_FROM || process.env.SMTP_USER || 'Vibe Rotas <rotas@localhost>'
+};
+
+module.exports = emailConfig;
@@ -7,12 +7,19 @@ const slackConfig = {
   redirectUri: process.env.SLACK_REDIRECT_URI,
   scopes: [
     'app_mentions:read',
+    'bookmarks:write',
+    'channels:manage',
     'channels:read',
     'chat:write',
     'commands',
+    'files:read',
     'users:read',
+    'users:read.email',
     'team:read',
+    'usergroups:read',
+    'usergroups:write',
     'groups:read',
+    'groups:write',
     'groups:history',
     'im:history',
     'im:read',
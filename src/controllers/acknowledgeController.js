@@ -0,0 +1,100 @@
+const RotaAssignment = require('../models/RotaAssignment');
+const Rota = require('../models/Rota');
+const { updateRotaNotification, getRotaLocale } = require('../services/assignmentService');
+const { getWorkspaceLocale } = require('./workspaceController');
+const { getSlackClient } = require('../services/slackClient');
+const { logger } = require('../utils/logger');
+const { DEFAULT_LOCALE, t } = require('../utils/i18n');
+
+/**
+ * Record that the assignee has seen their notification ("I'm on it")
+ * Updates the channel message and DMs to show who acknowledged and when.
+ * @param {string} assignmentId - Assignment being acknowledged
+ * @param {string} userId - User who clicked the button
+ * @param {string} workspaceId - Workspace the click came from
+ * @returns {Promise<Object>} { success, error, assignment, locale }
+ */
+async function acknowledgeAssignment(assignmentId, userId, workspaceId) {
+  const assignment = await RotaAssignment.findById(assignmentId);
+
+  if (!assignment) {
+    return { success: false, error: t(await getWorkspaceLocale(workspaceId), 'acknowledge.notFound') };
+  }
+
+  const rota = await Rota.findById(assignment.rotaId);
+  const locale = rota ? await getRotaLocale(rota) : await getWorkspaceLocale(assignment.workspaceId);
+
+  if (assignment.skipped) {
+    return { success: false, error: t(locale, 'acknowledge.skipped') };
+  }
+
+  if (assignment.userId !== userId) {
+    return { success: false, error: t(locale, 'acknowledge.notAssignee') };
+  }
+
+  if (assignment.acknowledgedAt) {
+    return { success: true, assignment, locale };
+  }
+
+  assignment.acknowledgedAt = new Date();
+  assignment.acknowledgedBy = userId;
+  await assignment.save();
+
+  if (rota) {
+    await updateRotaNotification(assignment.workspaceId, assignment, rota);
+  }
+
+  logger.info('Assignment acknowledged', { assignmentId, userId, rotaId: assignment.rotaId });
+
+  return { success: true, assignment, locale };
+}
+
+/**
+ * Handle the "I'm on it" button from the channel notification, the assignee's
+ * notification DM or an escalation DM
+ */
+async function handleAcknowledge(payload) {
+  try {
+    const { actions, user, team } = payload;
+    const assignmentId = actions[0].action_id.replace('ack_', '');
+
+    const result = await acknowledgeAssignment(assignmentId, user.id, team.id);
+    if (!result.success) {
+      return result;
+    }
+
+    // Pressed in the escalation DM: replace the reminder with a confirmation.
+    // The notification DM itself was already re-rendered with the others
+    const channelId = payload.channel?.id || payload.container?.channel_id;
+    const messageTs = payload.container?.message_ts || payload.message?.ts;
+    if (channelId && messageTs && channelId !== result.assignment.channelId && messageTs !== result.assignment.dmTs) {
+      const client = await getSlackClient(team.id);
+      const { locale } = result;
+      await client.chatUpdate(channelId, messageTs, t(locale, 'acknowledge.thanks'), [
+        {
+          type: 'section',
+          text: {
+            type: 'mrkdwn',
+            text: t(locale, 'acknowledge.thanksIn', { channel: `<#${result.assignment.channelId}>` })
+          }
+        }
+      ]);
+    }
+
+    return { success: true };
+  } catch (error) {
+    logger.error('Error handling acknowledge', {
+      error: error.message,
+      stack: error.stack
+    });
+    return {
+      success: false,
+      error: t(await getWorkspaceLocale(payload.team?.id).catch(() => DEFAULT_LOCALE), 'acknowledge.failed')
+    };
+  }
+}
+
+module.exports = {
+  acknowledgeAssignment,
+  handleAcknowledge
+};
@@ -0,0 +1,86 @@
+const { getRotaById } = require('./rotaController');
+const { WEEKDAY_CODES } = require('../utils/rruleHelper');
+const { isValidDateString } = require('../utils/blackoutHelper');
+
+/**
+ * Get a member's availability rule, if any
+ * @param {Object} rota - Rota document
+ * @param {string} userId - Member
+ */
+function getMemberAvailability(rota, userId) {
+  return (rota.availability || []).find(entry => entry.userId === userId) || null;
+}
+
+/**
+ * Set when a member can take a turn
+ * A rule with no weekdays and no dates means "always available" and is removed.
+ * @param {Object} rule - { userId, weekdays, startDate, endDate }
+ */
+async function setMemberAvailability(rotaId, workspaceId, { userId, weekdays = [], startDate = null, endDate = null }) {
+  const rota = await getRotaById(rotaId, workspaceId);
+
+  if (!userId || !rota.members.includes(userId)) {
+    throw new Error('Availability can only be set for rota members');
+  }
+
+  if (weekdays.some(day => !WEEKDAY_CODES.includes(day))) {
+    throw new Error('Invalid weekday');
+  }
+
+  if ((startDate && !isValidDateString(startDate)) || (endDate && !isValidDateString(endDate))) {
+    throw new Error('Dates must be in YYYY-MM-DD format');
+  }
+
+  if (startDate && endDate && endDate < startDate) {
+    throw new Error('The end date must be on or after the start date');
+  }
+
+  const others = (rota.availability || []).filter(entry => entry.userId !== userId);
+  const isRestricted = weekdays.length > 0 || startDate || endDate;
+
+  rota.availability = isRestricted
+    ? [...others, {
+      userId,
+      weekdays: WEEKDAY_CODES.filter(day => weekdays.includes(day)),
+      startDate,
+      endDate
+    }]
+    : others;
+
+  await rota.save();
+  console.log(`✓ Updated availability for ${userId} in rota ${rota.name}`);
+
+  return rota;
+}
+
+/**
+ * Set the address a member is emailed at, instead of their Slack profile email
+ * An empty address removes the override.
+ * @param {string} email - Address, or null
+ */
+async function setMemberEmail(rotaId, workspaceId, userId, email = null) {
+  const rota = await getRotaById(rotaId, workspaceId);
+
+  if (!userId || !rota.members.includes(userId)) {
+    throw new Error('Email addresses can only be set for rota members');
+  }
+
+  const address = email ? email.trim() : null;
+  if (address && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(address)) {
+    throw new Error('Invalid email address');
+  }
+
+  const others = (rota.delivery.emailAddresses || []).filter(entry => entry.userId !== userId);
+  rota.delivery.emailAddresses = address ? [...others, { userId, email: address }] : others;
+
+  await rota.save();
+  console.log(`✓ Updated email address for ${userId} in rota ${rota.name}`);
+
+  return rota;
+}
+
+module.exports = {
+  getMemberAvailability,
+  setMemberAvailability,
+  setMemberEmail
+};
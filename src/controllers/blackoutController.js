@@ -0,0 +1,80 @@
+const { getRotaById } = require('./rotaController');
+const { getWorkspace } = require('./workspaceController');
+const { getSlackClient } = require('../services/slackClient');
+const { BLACKOUT_MODES, parseIcsDates, mergeDates } = require('../utils/blackoutHelper');
+
+/**
+ * Replace the workspace-wide blackout dates
+ */
+async function updateWorkspaceBlackouts(teamId, dates) {
+  const workspace = await getWorkspace(teamId);
+
+  workspace.blackoutDates = mergeDates(dates);
+  await workspace.save();
+
+  console.log(`✓ Updated workspace blackout dates: ${workspace.blackoutDates.length} dates in ${teamId}`);
+
+  return workspace;
+}
+
+/**
+ * Replace a rota's blackout dates and mode
+ */
+async function updateRotaBlackouts(rotaId, workspaceId, dates, mode) {
+  if (!BLACKOUT_MODES.includes(mode)) {
+    throw new Error('Invalid blackout mode');
+  }
+
+  const rota = await getRotaById(rotaId, workspaceId);
+
+  rota.blackout = {
+    dates: mergeDates(dates),
+    mode
+  };
+  await rota.save();
+
+  console.log(`✓ Updated blackout dates for rota: ${rota.name} (${rota.blackout.dates.length} dates, ${mode})`);
+
+  return rota;
+}
+
+/**
+ * Download .ics files uploaded through a modal file_input and parse their dates
+ * @param {string} teamId - Workspace ID
+ * @param {Array} files - Files from the view submission state
+ * @returns {Array} [{ date, label }]
+ */
+async function importIcsFiles(teamId, files = []) {
+  if (files.length === 0) {
+    return [];
+  }
+
+  const client = await getSlackClient(teamId);
+  const dates = [];
+
+  for (const file of files) {
+    const info = await client.filesInfo(file.id);
+    const url = info.file?.url_private_download || info.file?.url_private;
+
+    if (!url) {
+      throw new Error(`Could not download ${file.name || 'calendar file'}`);
+    }
+
+    const content = await client.downloadFile(url);
+    const parsed = parseIcsDates(content);
+
+    if (parsed.length === 0) {
+      throw new Error(`No events found in ${file.name || 'calendar file'}`);
+    }
+
+    dates.push(...parsed);
+  }
+
+  return dates;
+}
+
+module.exports = {
+  updateWorkspaceBlackouts,
+  updateRotaBlackouts,
+  importIcsFiles
+};
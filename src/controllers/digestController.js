@@ -0,0 +1,133 @@
+const Rota = require('../models/Rota');
+const { getWorkspace } = require('./workspaceController');
+const { WEEKDAY_CODES } = require('../utils/rruleHelper');
+const { isValidTimezone } = require('../utils/timezoneHelper');
+
+/**
+ * Find a digest of the workspace
+ * @returns {Object|null} Digest subdocument
+ */
+function findDigest(workspace, digestId) {
+  return (digestId && workspace?.digests?.id(digestId)) || null;
+}
+
+/**
+ * Get the active rotas a digest lists, by name
+ * Picked rotas win; otherwise every rota posting in the digest's channel, or
+ * every rota of the workspace.
+ */
+async function getDigestRotas(teamId, digest) {
+  const query = { workspaceId: teamId, isActive: true };
+
+  if (digest.rotaIds?.length > 0) {
+    query._id = { $in: digest.rotaIds };
+  } else if (digest.scope !== 'workspace') {
+    query.channelId = digest.channelId;
+  }
+
+  return Rota.find(query).sort({ name: 1 });
+}
+
+/**
+ * Validate a digest before saving
+ * @returns {Array} Error messages
+ */
+function validateDigest({ channelId, scope, weekday, hour, minute, timezone }) {
+  const errors = [];
+
+  if (!channelId) {
+    errors.push('Channel is required');
+  }
+
+  if (!['channel', 'workspace'].includes(scope)) {
+    errors.push('A digest lists the rotas of its channel or of the whole workspace');
+  }
+
+  if (!WEEKDAY_CODES.includes(weekday)) {
+    errors.push('Invalid weekday');
+  }
+
+  if (!Number.isInteger(hour) || hour < 0 || hour > 23 || ![0, 15, 30, 45].includes(minute)) {
+    errors.push('Invalid time');
+  }
+
+  if (!isValidTimezone(timezone)) {
+    errors.push('Invalid timezone. Use an IANA timezone like Europe/London');
+  }
+
+  return errors;
+}
+
+/**
+ * Create a digest, or update it when digestId is given
+ * @param {string} teamId - Workspace ID
+ * @param {string|null} digestId - Digest to update, null to create one
+ * @param {Object} data - { channelId, scope, rotaIds, weekday, hour, minute, timezone }
+ * @param {string} userId - User saving the digest
+ * @returns {Promise<Object>} Saved digest
+ */
+async function saveDigest(teamId, digestId, data, userId) {
+  const workspace = await getWorkspace(teamId);
+
+  const existing = digestId ? findDigest(workspace, digestId) : null;
+  if (digestId && !existing) {
+    throw new Error('Digest not found');
+  }
+
+  const errors = validateDigest(data);
+  if (errors.length > 0) {
+    throw new Error(errors.join(', '));
+  }
+
+  // Rotas deleted in the meantime are dropped
+  const rotaIds = (data.rotaIds || []).length > 0
+    ? (await Rota.find({ workspaceId: teamId, isActive: true, _id: { $in: data.rotaIds } }, { _id: 1 })).map(rota => rota._id)
+    : [];
+
+  const fields = {
+    channelId: data.channelId,
+    scope: data.scope,
+    rotaIds,
+    weekday: data.weekday,
+    hour: data.hour,
+    minute: data.minute,
+    timezone: data.timezone
+  };
+
+  if (existing) {
+    existing.set(fields);
+  } else {
+    workspace.digests.push({ ...fields, createdBy: userId });
+  }
+
+  await workspace.save();
+
+  const saved = existing || workspace.digests[workspace.digests.length - 1];
+  console.log(`✓ ${existing ? 'Updated' : 'Created'} digest for ${saved.channelId} in ${teamId}`);
+
+  return saved;
+}
+
+/**
+ * Delete a digest
+ */
+async function deleteDigest(teamId, digestId) {
+  const workspace = await getWorkspace(teamId);
+
+  const digest = findDigest(workspace, digestId);
+  if (!digest) {
+    throw new Error('Digest not found');
+  }
+
+  workspace.digests.pull(digest._id);
+  await workspace.save();
+
+  console.log(`✓ Deleted digest for ${digest.channelId} in ${teamId}`);
+}
+
+module.exports = {
+  findDigest,
+  getDigestRotas,
+  saveDigest,
+  deleteDigest
+};
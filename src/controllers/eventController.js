@@ -1,7 +1,8 @@
 const Rota = require('../models/Rota');
+const Workspace = require('../models/Workspace');
 const { homeBlocks } = require('../views/blocks/homeBlocks');
 const { getSlackClient } = require('../services/slackClient');
-const { getCurrentAssignment } = require('../services/assignmentService');
+const { getCurrentAssignments } = require('../services/assignmentService');
 
 const publishHomeView = async (userId, teamId) => {
   try {
@@ -26,13 +27,16 @@ const publishHomeView = async (userId, teamId) => {
     // Fetch current assignments for all rotas
     const assignments = {};
     for (const rota of rotas) {
-      const assignment = await getCurrentAssignment(rota._id);
-      if (assignment) {
-        assignments[rota._id.toString()] = assignment;
+      const current = await getCurrentAssignments(rota._id, rota.schedule.timezone || 'UTC');
+      if (current.length > 0) {
+        assignments[rota._id.toString()] = current;
       }
     }
 
-    const blocks = homeBlocks(rotas, assignments, userTimezone);
+    // Workspace holiday calendar applies to every rota's next rotation
+    const workspace = await Workspace.findOne({ teamId });
+
+    const blocks = homeBlocks(rotas, assignments, userTimezone, workspace);
 
     await client.viewsPublish(userId, {
       type: 'home',
@@ -0,0 +1,124 @@
+const Rota = require('../models/Rota');
+const { getWorkspace } = require('./workspaceController');
+const { findUnknownPlaceholders, TEMPLATE_VARIABLES } = require('../services/assignmentService');
+
+const MAX_TEMPLATE_NAME_LENGTH = 100;
+
+/**
+ * Find a template of the workspace
+ * @returns {Object|null} Template subdocument
+ */
+function findMessageTemplate(workspace, templateId) {
+  return (templateId && workspace?.messageTemplates?.id(templateId)) || null;
+}
+
+/**
+ * Get the active rotas that show a template
+ */
+async function getRotasUsingTemplate(teamId, templateId) {
+  return Rota.find({ workspaceId: teamId, isActive: true, messageTemplateId: templateId }).sort({ name: 1 });
+}
+
+/**
+ * Validate a template before saving
+ * @returns {Array} Error messages
+ */
+function validateMessageTemplate(workspace, { name, message }, templateId = null) {
+  const errors = [];
+  const trimmedName = (name || '').trim();
+
+  if (!trimmedName) {
+    errors.push('Name is required');
+  } else if (trimmedName.length > MAX_TEMPLATE_NAME_LENGTH) {
+    errors.push(`Name must be ${MAX_TEMPLATE_NAME_LENGTH} characters or less`);
+  } else if ((workspace.messageTemplates || []).some(template => template.name.toLowerCase() === trimmedName.toLowerCase() &&
+    (!templateId || template._id.toString() !== templateId.toString()))) {
+    errors.push('A template with this name already exists');
+  }
+
+  if (!message || !message.elements || message.elements.length === 0) {
+    errors.push('The template message is required');
+  } else {
+    const unknown = findUnknownPlaceholders(message);
+    if (unknown.length > 0) {
+      errors.push(`Unknown placeholder${unknown.length > 1 ? 's' : ''}: ${unknown.map(placeholder => `{${placeholder}}`).join(', ')}. ` +
+        `Available: ${TEMPLATE_VARIABLES.map(placeholder => `{${placeholder}}`).join(', ')}`);
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Create a template, or update it when templateId is given
+ * Rotas using it show the new version from their next notification on.
+ * @param {string} teamId - Workspace ID
+ * @param {string|null} templateId - Template to update, null to create one
+ * @param {Object} data - { name, message }
+ * @param {string} userId - User saving the template
+ * @returns {Promise<Object>} Saved template
+ */
+async function saveMessageTemplate(teamId, templateId, { name, message }, userId) {
+  const workspace = await getWorkspace(teamId);
+
+  const existing = templateId ? findMessageTemplate(workspace, templateId) : null;
+  if (templateId && !existing) {
+    throw new Error('Template not found');
+  }
+
+  const errors = validateMessageTemplate(workspace, { name, message }, templateId);
+  if (errors.length > 0) {
+    throw new Error(errors.join(', '));
+  }
+
+  if (existing) {
+    existing.name = name.trim();
+    existing.message = message;
+    existing.updatedBy = userId;
+    existing.updatedAt = new Date();
+  } else {
+    workspace.messageTemplates.push({ name: name.trim(), message, createdBy: userId, updatedBy: userId });
+  }
+
+  // Mixed type: tell mongoose the message changed
+  workspace.markModified('messageTemplates');
+  await workspace.save();
+
+  const saved = existing || workspace.messageTemplates[workspace.messageTemplates.length - 1];
+  console.log(`✓ ${existing ? 'Updated' : 'Created'} message template ${saved.name} in ${teamId}`);
+
+  return saved;
+}
+
+/**
+ * Delete a template
+ * Rotas using it keep a copy of it as their own custom message.
+ * @returns {Promise<number>} Number of rotas that used the template
+ */
+async function deleteMessageTemplate(teamId, templateId) {
+  const workspace = await getWorkspace(teamId);
+
+  const template = findMessageTemplate(workspace, templateId);
+  if (!template) {
+    throw new Error('Template not found');
+  }
+
+  const result = await Rota.updateMany(
+    { workspaceId: teamId, messageTemplateId: template._id },
+    { customMessage: template.message, messageTemplateId: null }
+  );
+
+  workspace.messageTemplates.pull(template._id);
+  await workspace.save();
+
+  console.log(`✓ Deleted message template ${template.name} in ${teamId} (${result.modifiedCount} rotas kept a copy)`);
+
+  return result.modifiedCount;
+}
+
+module.exports = {
+  findMessageTemplate,
+  getRotasUsingTemplate,
+  saveMessageTemplate,
+  deleteMessageTemplate
+};
@@ -0,0 +1,95 @@
+const Workspace = require('../models/Workspace');
+const { getRotaById } = require('./rotaController');
+const { isScheduledOn } = require('../utils/rruleHelper');
+const { getLocalDateString } = require('../utils/timezoneHelper');
+const { getRotaBlackout, isValidDateString } = require('../utils/blackoutHelper');
+
+/**
+ * Find the override planned for a date, if any
+ * @param {Object} rota - Rota document
+ * @param {string} dateString - Date in the rota's timezone (YYYY-MM-DD)
+ */
+function findOverride(rota, dateString) {
+  return (rota.overrides || []).find(override => override.date === dateString) || null;
+}
+
+/**
+ * Get overrides from today onwards (in the rota's timezone), soonest first
+ */
+function getUpcomingOverrides(rota, now = new Date()) {
+  const localToday = getLocalDateString(now, rota.schedule.timezone || 'UTC');
+
+  return (rota.overrides || [])
+    .filter(override => override.date >= localToday)
+    .sort((a, b) => a.date.localeCompare(b.date));
+}
+
+/**
+ * Plan a member to cover a specific scheduled date
+ * Replaces an existing override for the same date and drops past overrides.
+ */
+async function addOverride(rotaId, workspaceId, { date, userId, createdBy }) {
+  const rota = await getRotaById(rotaId, workspaceId);
+
+  if (!isValidDateString(date)) {
+    throw new Error('Pick a date for the override');
+  }
+
+  if (!userId || !rota.members.includes(userId)) {
+    throw new Error('The override must be one of the rota members');
+  }
+
+  const localToday = getLocalDateString(new Date(), rota.schedule.timezone || 'UTC');
+  if (date < localToday) {
+    throw new Error('Overrides can only be planned for today or later');
+  }
+
+  const workspace = await Workspace.findOne({ teamId: workspaceId });
+  if (!isScheduledOn(rota.schedule.rrule, date, getRotaBlackout(rota, workspace))) {
+    throw new Error(`${date} is not a scheduled date for this rota`);
+  }
+
+  rota.overrides = [
+    ...getUpcomingOverrides(rota).filter(override => override.date !== date),
+    { date, userId, createdBy, createdAt: new Date() }
+  ].sort((a, b) => a.date.localeCompare(b.date));
+
+  await rota.save();
+  console.log(`✓ Added override for rota ${rota.name}: ${date} -> ${userId}`);
+
+  return rota;
+}
+
+/**
+ * Remove the override planned for a date
+ */
+async function removeOverride(rotaId, workspaceId, date) {
+  const rota = await getRotaById(rotaId, workspaceId);
+
+  rota.overrides = (rota.overrides || []).filter(override => override.date !== date);
+  await rota.save();
+
+  console.log(`✓ Removed override for rota ${rota.name}: ${date}`);
+
+  return rota;
+}
+
+/**
+ * Set whether overrides use up the turn of the person who was due
+ */
+async function setOverrideAdvancesRotation(rotaId, workspaceId, advances) {
+  const rota = await getRotaById(rotaId, workspaceId);
+
+  rota.overrideAdvancesRotation = advances === true;
+  await rota.save();
+
+  return rota;
+}
+
+module.exports = {
+  findOverride,
+  getUpcomingOverrides,
+  addOverride,
+  removeOverride,
+  setOverrideAdvancesRotation
+};
@@ -1,12 +1,38 @@
 const Rota = require('../models/Rota');
-const { generateRRule } = require('../utils/rruleHelper');
+const { FREQUENCIES, generateRRule, validateRecurrence, validateRRule, getNextOccurrence } = require('../utils/rruleHelper');
+const { isValidTimezone, getLocalDateString } = require('../utils/timezoneHelper');
+const { isSupportedLocale } = require('../utils/i18n');
+const {
+  ROTATION_STRATEGIES,
+  MAX_LOOKBACK_DAYS,
+  MAX_ASSIGNEES,
+  MAX_ROLE_LENGTH,
+  getRotationStrategy,
+  getServiceHistory,
+  prepareShuffleCycle,
+  advanceRotation,
+  selectNextMember,
+  applyMemberChanges,
+  setNextMember,
+  getUnavailableMembers
+} = require('../utils/rotationHelper');
+const { findUnknownPlaceholders, TEMPLATE_VARIABLES } = require('../services/assignmentService');
 // Unused imports removed - available for future use if needed
 
+/**
+ * Whether members are mirrored from a user group or channel rather than picked by hand
+ */
+function hasMemberSource(memberSync) {
+  return !!memberSync?.source && memberSync.source !== 'manual';
+}
+
 /**
  * Create a new rota
+ * Rotas synced from a user group or channel may start without members; the
+ * first sync fills them in.
  */
 async function createRota(data) {
-  const { name, workspaceId, channelId, members, frequency, startDate, notificationHour, notificationMinute, weekdaysOnly, timezone, customMessage, createdBy } = data;
+  const { name, workspaceId, channelId, members, frequency, recurrence, startDate, notificationHour, notificationMinute, weekdaysOnly, timezone, rotation, assignees, memberSync, linkedUserGroupId, channelStatus, delivery, locale, escalation, advanceNotice, customMessage, messageTemplateId, createdBy } = data;
 
   // Validation
   if (!name || name.trim().length === 0) {
@@ -17,14 +43,18 @@ async function createRota(data) {
     throw new Error('Channel is required');
   }
 
-  if (!members || members.length === 0) {
+  if ((!members || members.length === 0) && !hasMemberSource(memberSync)) {
     throw new Error('At least one team member is required');
   }
 
-  if (!frequency || !['DAILY', 'WEEKLY', 'BIWEEKLY', 'MONTHLY'].includes(frequency)) {
+  if (!frequency || !FREQUENCIES.includes(frequency)) {
     throw new Error('Invalid frequency');
   }
 
+  if (frequency === 'CUSTOM' && validateRecurrence(recurrence).length > 0) {
+    throw new Error('Invalid custom recurrence');
+  }
+
   if (!startDate) {
     throw new Error('Start date is required');
   }
@@ -40,18 +70,30 @@ async function createRota(data) {
     throw new Error('A rota with this name already exists');
   }
 
-  // Generate RRULE
-  const rrule = generateRRule(frequency, startDate, timezone || 'UTC', weekdaysOnly !== undefined ? weekdaysOnly : false);
+  if (timezone && !isValidTimezone(timezone)) {
+    throw new Error(`Invalid timezone: ${timezone}`);
+  }
+
+  // Generate RRULE. Occurrences are calendar days; the rota's own timezone is
+  // applied when the scheduler evaluates them (see schedulerService)
+  const rrule = generateRRule(
+    frequency,
+    startDate,
+    'UTC',
+    weekdaysOnly !== undefined ? weekdaysOnly : false,
+    frequency === 'CUSTOM' ? recurrence : null
+  );
 
   // Create rota
   const rota = new Rota({
     name: name.trim(),
     workspaceId,
     channelId,
-    members: members,
+    members: members || [],
     schedule: {
       rrule,
       frequency,
+      recurrence: frequency === 'CUSTOM' ? recurrence : undefined,
       startDate: new Date(startDate),
       timezone: timezone || 'UTC',
       notificationHour: notificationHour !== undefined ? notificationHour : 10,
@@ -59,11 +101,29 @@ async function createRota(data) {
       weekdaysOnly: weekdaysOnly !== undefined ? weekdaysOnly : false
     },
     customMessage: customMessage || null,
+    messageTemplateId: messageTemplateId || null,
     currentIndex: 0,
+    rotation: rotation || undefined,
+    assignees: assignees || undefined,
+    memberSync: hasMemberSource(memberSync)
+      ? { source: memberSync.source, sourceId: memberSync.sourceId }
+      : undefined,
+    linkedUserGroup: linkedUserGroupId ? { usergroupId: linkedUserGroupId } : undefined,
+    channelStatus: channelStatus
+      ? { mode: channelStatus.mode, template: channelStatus.template || null }
+      : undefined,
+    delivery: delivery ? { mode: delivery.mode, email: !!delivery.email } : undefined,
+    locale: locale || null,
+    escalation: escalation || undefined,
+    advanceNotice: advanceNotice ? { hoursBefore: advanceNotice.hoursBefore || null } : undefined,
     isActive: true,
     createdBy
   });
 
+  if (getRotationStrategy(rota) === 'shuffled') {
+    prepareShuffleCycle(rota);
+  }
+
   await rota.save();
   console.log(`✓ Created rota: ${name} in workspace ${workspaceId}`);
 
@@ -124,18 +184,72 @@ async function updateRota(rotaId, workspaceId, updates) {
     rota.channelId = updates.channelId;
   }
 
-  // Update members
+  // Update members, keeping who is due next; availability rules, deferred
+  // turns and skipped-ahead turns of removed members go
   if (updates.members && updates.members.length > 0) {
-    rota.members = updates.members;
-    // Reset index if members changed
-    if (rota.currentIndex >= updates.members.length) {
-      rota.currentIndex = 0;
+    applyMemberChanges(rota, updates.members);
+    rota.availability = (rota.availability || []).filter(entry => rota.members.includes(entry.userId));
+    rota.rotation.deferred = (rota.rotation?.deferred || []).filter(userId => rota.members.includes(userId));
+    rota.skipAhead = (rota.skipAhead || []).filter(entry => rota.members.includes(entry.userId));
+  }
+
+  // Update where members come from
+  if (updates.memberSync) {
+    const synced = hasMemberSource(updates.memberSync);
+    rota.memberSync.source = synced ? updates.memberSync.source : 'manual';
+    rota.memberSync.sourceId = synced ? updates.memberSync.sourceId : null;
+    rota.memberSync.lastError = null;
+  }
+
+  // Update the user group that follows the current assignee (null unlinks it)
+  if (updates.linkedUserGroupId !== undefined && updates.linkedUserGroupId !== rota.linkedUserGroup?.usergroupId) {
+    rota.linkedUserGroup = {
+      usergroupId: updates.linkedUserGroupId || null,
+      lastUpdatedAt: null,
+      lastError: null
+    };
+  }
+
+  // Update the channel topic/bookmark setting; a new bookmark is added next time
+  // if bookmarks were switched off in between
+  if (updates.channelStatus) {
+    if (updates.channelStatus.mode !== 'bookmark') {
+      rota.channelStatus.bookmarkId = null;
+    }
+    rota.channelStatus.mode = updates.channelStatus.mode;
+    rota.channelStatus.template = updates.channelStatus.template || null;
+    rota.channelStatus.lastError = null;
+  }
+
+  // Update where notifications are delivered
+  if (updates.delivery) {
+    rota.delivery.mode = updates.delivery.mode;
+    if (updates.delivery.email !== undefined) {
+      rota.delivery.email = updates.delivery.email;
     }
   }
 
+  // Update the language of notifications (null = the workspace's language)
+  if (updates.locale !== undefined) {
+    rota.locale = updates.locale;
+  }
+
+  // Update when unacknowledged notifications are escalated (null = never)
+  if (updates.escalation) {
+    rota.escalation.afterMinutes = updates.escalation.afterMinutes || null;
+  }
+
+  // Update how long before a turn the next person gets a heads-up (null = never)
+  if (updates.advanceNotice) {
+    rota.advanceNotice.hoursBefore = updates.advanceNotice.hoursBefore || null;
+  }
+
   // Update schedule
-  if (updates.frequency || updates.startDate || updates.notificationHour !== undefined || updates.notificationMinute !== undefined || updates.weekdaysOnly !== undefined) {
+  if (updates.frequency || updates.recurrence || updates.startDate || updates.timezone || updates.notificationHour !== undefined || updates.notificationMinute !== undefined || updates.weekdaysOnly !== undefined) {
     const frequency = updates.frequency || rota.schedule.frequency;
+    const recurrence = frequency === 'CUSTOM'
+      ? (updates.recurrence || rota.schedule.recurrence)
+      : undefined;
     const startDate = updates.startDate || rota.schedule.startDate;
     const timezone = updates.timezone || rota.schedule.timezone;
     const notificationHour = updates.notificationHour !== undefined ? updates.notificationHour : rota.schedule.notificationHour;
@@ -144,11 +258,20 @@ async function updateRota(rotaId, workspaceId, updates) {
       ? updates.weekdaysOnly
       : (rota.schedule.weekdaysOnly !== undefined ? rota.schedule.weekdaysOnly : false);
 
-    const rrule = generateRRule(frequency, startDate, timezone, weekdaysOnly);
+    if (frequency === 'CUSTOM' && validateRecurrence(recurrence).length > 0) {
+      throw new Error('Invalid custom recurrence');
+    }
+
+    if (!isValidTimezone(timezone)) {
+      throw new Error(`Invalid timezone: ${timezone}`);
+    }
+
+    const rrule = generateRRule(frequency, startDate, 'UTC', weekdaysOnly, recurrence);
 
     rota.schedule = {
       rrule,
       frequency,
+      recurrence,
       startDate: new Date(startDate),
       timezone,
       notificationHour,
@@ -157,11 +280,46 @@ async function updateRota(rotaId, workspaceId, updates) {
     };
   }
 
+  // Update rotation strategy; switching to shuffled starts a fresh cycle
+  if (updates.rotation) {
+    const strategy = updates.rotation.strategy || getRotationStrategy(rota);
+
+    if (strategy === 'shuffled' && getRotationStrategy(rota) !== 'shuffled') {
+      rota.rotation.cycle = [];
+      rota.currentIndex = 0;
+    }
+
+    rota.rotation.strategy = strategy;
+    if (updates.rotation.lookbackDays) {
+      rota.rotation.lookbackDays = updates.rotation.lookbackDays;
+    }
+  }
+
+  // Update assignees per occurrence
+  if (updates.assignees) {
+    rota.assignees = {
+      count: updates.assignees.count || 1,
+      roles: updates.assignees.roles || []
+    };
+  }
+
+  // Re-align the rotation pointer with the (possibly changed) members
+  if (getRotationStrategy(rota) === 'shuffled') {
+    prepareShuffleCycle(rota);
+  } else if (rota.currentIndex >= rota.members.length) {
+    rota.currentIndex = 0;
+  }
+
   // Update custom message
   if (updates.customMessage !== undefined) {
     rota.customMessage = updates.customMessage;
   }
 
+  // Use a workspace message template instead (null = the rota's own message)
+  if (updates.messageTemplateId !== undefined) {
+    rota.messageTemplateId = updates.messageTemplateId;
+  }
+
   // Update active status
   if (typeof updates.isActive === 'boolean') {
     rota.isActive = updates.isActive;
@@ -173,6 +331,37 @@ async function updateRota(rotaId, workspaceId, updates) {
   return rota;
 }
 
+/**
+ * Save the rotation order of a rota's members and optionally who goes next
+ * Without nextUserId, whoever was due next stays next.
+ * @param {Object} order - { members, nextUserId }: the same members in their new order
+ */
+async function setMemberOrder(rotaId, workspaceId, { members, nextUserId = null }) {
+  const rota = await getRotaById(rotaId, workspaceId);
+
+  if (members.length !== rota.members.length || !rota.members.every(userId => members.includes(userId))) {
+    throw new Error('The rota members changed in the meantime, the order was reloaded');
+  }
+
+  if (nextUserId && !members.includes(nextUserId)) {
+    throw new Error('Who goes next must be one of the rota members');
+  }
+
+  const due = rota.members[rota.currentIndex];
+  rota.members = members;
+
+  if (nextUserId) {
+    setNextMember(rota, nextUserId);
+  } else if (getRotationStrategy(rota) !== 'shuffled') {
+    rota.currentIndex = Math.max(members.indexOf(due), 0);
+  }
+
+  await rota.save();
+  console.log(`✓ Reordered members of rota: ${rota.name}`);
+
+  return rota;
+}
+
 /**
  * Delete (deactivate) a rota
  */
@@ -201,18 +390,34 @@ async function permanentlyDeleteRota(rotaId, workspaceId) {
 
 /**
  * Get next person in rotation
+ * @param {Array} excludeUserIds - Members who cannot take this turn (e.g. already
+ * assigned to another slot of the same occurrence)
+ * @param {string} dateString - Date of the turn in the rota's timezone (YYYY-MM-DD);
+ * members unavailable that day are passed over. Defaults to today.
  */
-async function getNextAssignment(rotaId, workspaceId) {
+async function getNextAssignment(rotaId, workspaceId, excludeUserIds = [], dateString = null) {
   const rota = await getRotaById(rotaId, workspaceId);
 
   if (rota.members.length === 0) {
     throw new Error('No members in rota');
   }
 
-  const nextUserId = rota.members[rota.currentIndex];
+  const history = getRotationStrategy(rota) === 'least_served'
+    ? await getServiceHistory(rota)
+    : null;
+
+  const date = dateString || getLocalDateString(new Date(), rota.schedule.timezone || 'UTC');
+
+  // Moves the pointer past the chosen member (circular)
+  const nextUserId = selectNextMember(rota, {
+    exclude: excludeUserIds,
+    unavailable: getUnavailableMembers(rota, date),
+    history
+  });
+  if (!nextUserId) {
+    throw new Error('No eligible members left in rota');
+  }
 
-  // Increment index for next time (circular)
-  rota.currentIndex = (rota.currentIndex + 1) % rota.members.length;
   await rota.save();
 
   return {
@@ -222,6 +427,29 @@ async function getNextAssignment(rotaId, workspaceId) {
   };
 }
 
+/**
+ * Get the assignee for a date with a pre-planned override
+ * The rotation pointer only moves when the rota is set to let overrides use up
+ * the turn of the person who was due.
+ */
+async function getOverrideAssignment(rotaId, workspaceId, override) {
+  const rota = await getRotaById(rotaId, workspaceId);
+
+  // Swaps always use up the turn of the person who was due
+  const advances = override.swapRequestId || rota.overrideAdvancesRotation;
+
+  if (advances && rota.members.length > 0) {
+    advanceRotation(rota);
+    await rota.save();
+  }
+
+  return {
+    userId: override.userId,
+    rotaName: rota.name,
+    channelId: rota.channelId
+  };
+}
+
 /**
  * Validate rota data
  */
@@ -240,16 +468,62 @@ function validateRotaData(data) {
     errors.push('Channel is required');
   }
 
-  if (!data.members || !Array.isArray(data.members) || data.members.length === 0) {
+  if ((!data.members || !Array.isArray(data.members) || data.members.length === 0) && !hasMemberSource(data.memberSync)) {
     errors.push('At least one team member is required');
   }
 
+  if (hasMemberSource(data.memberSync)) {
+    if (!['usergroup', 'channel'].includes(data.memberSync.source)) {
+      errors.push('Members can only be synced from a user group or a channel');
+    } else if (!data.memberSync.sourceId) {
+      errors.push(data.memberSync.source === 'usergroup'
+        ? 'Pick the user group to sync members from'
+        : 'Pick the channel to sync members from');
+    }
+  }
+
+  if (data.channelStatus) {
+    if (!['off', 'topic', 'bookmark'].includes(data.channelStatus.mode)) {
+      errors.push('The current assignee can only be shown in the channel topic or a bookmark');
+    }
+
+    if (data.channelStatus.template && data.channelStatus.template.length > 250) {
+      errors.push('The topic/bookmark text must be 250 characters or less');
+    }
+  }
+
+  if (data.delivery && !['channel', 'dm', 'channel_and_dm'].includes(data.delivery.mode)) {
+    errors.push('Notifications can only go to the channel, by direct message, or both');
+  }
+
+  if (data.locale && !isSupportedLocale(data.locale)) {
+    errors.push('Unsupported language');
+  }
+
+  const escalationMinutes = data.escalation?.afterMinutes;
+  if (escalationMinutes !== undefined && escalationMinutes !== null &&
+    (!Number.isInteger(escalationMinutes) || escalationMinutes < 5 || escalationMinutes > 1440)) {
+    errors.push('Escalation must be between 5 minutes and 24 hours');
+  }
+
+  const noticeHours = data.advanceNotice?.hoursBefore;
+  if (noticeHours !== undefined && noticeHours !== null &&
+    (!Number.isInteger(noticeHours) || noticeHours < 1 || noticeHours > 168)) {
+    errors.push('The heads-up must be between 1 hour and 7 days before the turn');
+  }
+
+  // Syncing members from the group the app also points at the assignee would
+  // shrink the rota to one person
+  if (data.linkedUserGroupId && data.memberSync?.source === 'usergroup' && data.memberSync.sourceId === data.linkedUserGroupId) {
+    errors.push('The linked user group must be different from the user group members are synced from');
+  }
+
   if (data.members && data.members.length > 50) {
     errors.push('Maximum 50 members allowed');
   }
 
-  if (!data.frequency || !['DAILY', 'WEEKLY', 'BIWEEKLY', 'MONTHLY'].includes(data.frequency)) {
-    errors.push('Valid frequency is required (DAILY, WEEKLY, BIWEEKLY, MONTHLY)');
+  if (!data.frequency || !FREQUENCIES.includes(data.frequency)) {
+    errors.push(`Valid frequency is required (${FREQUENCIES.join(', ')})`);
   }
 
   if (!data.startDate) {
@@ -260,6 +534,23 @@ function validateRotaData(data) {
     errors.push('Invalid start date');
   }
 
+  if (data.frequency === 'CUSTOM') {
+    const recurrenceErrors = validateRecurrence(data.recurrence);
+    errors.push(...recurrenceErrors);
+
+    // Make sure the resulting rule is usable and actually produces dates
+    if (recurrenceErrors.length === 0 && data.startDate && !isNaN(Date.parse(data.startDate))) {
+      const rrule = generateRRule('CUSTOM', data.startDate, 'UTC', data.weekdaysOnly === true, data.recurrence);
+      if (!validateRRule(rrule) || !getNextOccurrence(rrule, new Date(data.startDate))) {
+        errors.push('Custom recurrence does not produce any dates');
+      }
+    }
+  }
+
+  if (data.timezone !== undefined && !isValidTimezone(data.timezone)) {
+    errors.push(`Unknown timezone "${data.timezone}" (use an IANA name such as Europe/London)`);
+  }
+
   if (data.notificationHour !== undefined) {
     const hour = parseInt(data.notificationHour, 10);
     if (isNaN(hour) || hour < 0 || hour > 23) {
@@ -278,6 +569,43 @@ function validateRotaData(data) {
     errors.push('Weekdays-only setting must be true or false');
   }
 
+  if (data.rotation) {
+    if (!ROTATION_STRATEGIES.includes(data.rotation.strategy)) {
+      errors.push(`Rotation strategy must be one of ${ROTATION_STRATEGIES.join(', ')}`);
+    }
+
+    const lookbackDays = data.rotation.lookbackDays;
+    if (lookbackDays !== undefined && (!Number.isInteger(lookbackDays) || lookbackDays < 1 || lookbackDays > MAX_LOOKBACK_DAYS)) {
+      errors.push(`Lookback must be between 1 and ${MAX_LOOKBACK_DAYS} days`);
+    }
+  }
+
+  if (data.assignees) {
+    const { count, roles = [] } = data.assignees;
+
+    if (!Number.isInteger(count) || count < 1 || count > MAX_ASSIGNEES) {
+      errors.push(`People per turn must be between 1 and ${MAX_ASSIGNEES}`);
+    } else if (data.members && data.members.length > 0 && count > data.members.length) {
+      errors.push('People per turn cannot be more than the number of members');
+    }
+
+    if (roles.length > count) {
+      errors.push('There are more role labels than people per turn');
+    }
+
+    if (roles.some(role => role.length > MAX_ROLE_LENGTH)) {
+      errors.push(`Role labels must be ${MAX_ROLE_LENGTH} characters or less`);
+    }
+  }
+
+  if (data.customMessage) {
+    const unknown = findUnknownPlaceholders(data.customMessage);
+    if (unknown.length > 0) {
+      errors.push(`Unknown placeholder${unknown.length > 1 ? 's' : ''} in the custom message: ${unknown.map(name => `{${name}}`).join(', ')}. ` +
+        `Available: ${TEMPLATE_VARIABLES.map(name => `{${name}}`).join(', ')}`);
+    }
+  }
+
   return errors;
 }
 
@@ -286,8 +614,10 @@ module.exports = {
   getRotas,
   getRotaById,
   updateRota,
+  setMemberOrder,
   deleteRota,
   permanentlyDeleteRota,
   getNextAssignment,
+  getOverrideAssignment,
   validateRotaData
 };
@@ -1,36 +1,62 @@
 const RotaAssignment = require('../models/RotaAssignment');
 const Rota = require('../models/Rota');
 const { canSkipAssignment, getNextAvailablePerson } = require('../utils/skipHelper');
-const { createAssignment, markAsNotified, sendNotificationWithRetry } = require('../services/assignmentService');
+const {
+  createAssignment,
+  markAsNotified,
+  sendNotificationWithRetry,
+  updateRotaNotification,
+  getDeliveryMode,
+  sendAssigneeDms,
+  sendAssigneeEmails,
+  getTemplateVariables,
+  getCustomMessage,
+  getRotaLocale,
+  updateChannelStatus
+} = require('../services/assignmentService');
 const { getSlackClient } = require('../services/slackClient');
+const { updateLinkedUserGroup } = require('../services/linkedUserGroupService');
+const { getUpcomingSchedule, MAX_FORECAST_LENGTH } = require('../services/forecastService');
+const { sendAdvanceNotice } = require('../services/advanceNoticeService');
+const { getRotaById } = require('./rotaController');
+const { getWorkspaceLocale } = require('./workspaceController');
+const { getLocalDateString } = require('../utils/timezoneHelper');
+const { DEFAULT_LOCALE, getIntlLocale, formatTurnDate, t } = require('../utils/i18n');
 const { logger } = require('../utils/logger');
 
 /**
  * Validate that a skip request is allowed
+ * Reasons are in the rota's language, else the workspace's.
+ * @param {string} assignmentId - Assignment to skip
+ * @param {string} workspaceId - Workspace the request came from
  */
-async function validateSkipRequest(assignmentId) {
+async function validateSkipRequest(assignmentId, workspaceId) {
+  let locale = DEFAULT_LOCALE;
   try {
     // Check assignment exists
     const assignment = await RotaAssignment.findById(assignmentId);
     if (!assignment) {
       return {
         valid: false,
-        reason: 'Assignment not found',
+        reason: t(await getWorkspaceLocale(workspaceId), 'skip.notFound'),
         assignment: null
       };
     }
 
+    const rota = await Rota.findById(assignment.rotaId);
+    locale = rota ? await getRotaLocale(rota) : await getWorkspaceLocale(assignment.workspaceId);
+
     // Check assignment hasn't already been skipped
     if (assignment.skipped) {
       return {
         valid: false,
-        reason: 'This assignment has already been skipped',
+        reason: t(locale, 'skip.alreadySkipped'),
         assignment
       };
     }
 
     // Check if skip is allowed (limits, etc.)
-    const skipCheck = await canSkipAssignment(assignment.rotaId, assignment.assignedDate);
+    const skipCheck = await canSkipAssignment(assignment.rotaId, assignment, locale);
     if (!skipCheck.canSkip) {
       return {
         valid: false,
@@ -51,7 +77,7 @@ async function validateSkipRequest(assignmentId) {
     });
     return {
       valid: false,
-      reason: 'Error validating skip request',
+      reason: t(locale, 'skip.validationFailed'),
       assignment: null
     };
   }
@@ -76,15 +102,21 @@ async function performSkip(assignment, skippedByUserId) {
     }
 
     // Get next available person
-    const nextPerson = await getNextAvailablePerson(rota, assignment.assignedDate);
+    const nextPerson = await getNextAvailablePerson(rota, assignment);
 
-    // Create new assignment
+    // Create new assignment covering the rest of the same shift
     const newAssignment = await createAssignment(
       assignment.rotaId,
       assignment.workspaceId,
       nextPerson.userId,
       assignment.channelId,
-      assignment.assignedDate
+      assignment.assignedDate,
+      {
+        coverageStart: assignment.coverageStart,
+        coverageEnd: assignment.coverageEnd,
+        slot: assignment.slot,
+        role: assignment.role
+      }
     );
 
     // Mark original assignment as skipped
@@ -98,15 +130,114 @@ async function performSkip(assignment, skippedByUserId) {
     rota.currentIndex = nextPerson.newIndex;
     await rota.save();
 
-    // Update original message
+    // The linked user group and the channel topic/bookmark follow the replacement
+    await updateLinkedUserGroup(rota);
+    await updateChannelStatus(rota);
+
     const client = await getSlackClient(assignment.workspaceId);
+    const deliveryMode = getDeliveryMode(rota);
+    const locale = await getRotaLocale(rota);
+
+    // Strike through the skipped person's DM
+    if (assignment.dmTs) {
+      await updateSkippedMessage(
+        client,
+        assignment.dmChannelId,
+        assignment.dmTs,
+        assignment.userId,
+        skippedByUserId,
+        rota.name,
+        locale
+      );
+    }
+
+    // DM-only rotas: DM the replacement and refresh the other assignees' DMs
+    if (deliveryMode === 'dm' && !assignment.messageTs) {
+      const notified = await markAsNotified(newAssignment._id, null);
+      const delivered = await sendAssigneeDms(rota, [notified]);
+
+      if (delivered === 0) {
+        const messageTs = await sendNotificationWithRetry(
+          assignment.workspaceId,
+          assignment.channelId,
+          nextPerson.userId,
+          rota.name,
+          await getCustomMessage(rota),
+          newAssignment._id,
+          rota.members.length,
+          3,
+          null,
+          await getTemplateVariables(rota, newAssignment),
+          locale
+        );
+        await markAsNotified(newAssignment._id, messageTs);
+      } else {
+        await updateRotaNotification(assignment.workspaceId, notified, rota, [
+          skipNote(locale, assignment, newAssignment, skippedByUserId)
+        ]).catch((error) => {
+          logger.warn('Failed to update DMs after skip', { assignmentId: assignment._id, error: error.message });
+        });
+      }
+      await sendAssigneeEmails(rota, [notified]);
+
+      logger.info('Skip operation completed', {
+        originalAssignmentId: assignment._id,
+        newAssignmentId: newAssignment._id,
+        newUserId: nextPerson.userId,
+        newIndex: nextPerson.newIndex,
+        delivery: 'dm'
+      });
+
+      return {
+        success: true,
+        newAssignment,
+        newUserId: nextPerson.userId
+      };
+    }
+
+    // Occurrences with several assignees share one message: swap the skipped
+    // person out in place and leave the others untouched
+    const otherAssignees = assignment.messageTs
+      ? await RotaAssignment.countDocuments({
+        rotaId: assignment.rotaId,
+        messageTs: assignment.messageTs,
+        skipped: false,
+        _id: { $ne: newAssignment._id }
+      })
+      : 0;
+
+    if (otherAssignees > 0) {
+      const notified = await markAsNotified(newAssignment._id, assignment.messageTs);
+      await replaceInGroupMessage(client, assignment, newAssignment, skippedByUserId, rota, locale);
+      if (deliveryMode === 'channel_and_dm') {
+        await sendAssigneeDms(rota, [notified]);
+      }
+      await sendAssigneeEmails(rota, [notified]);
+
+      logger.info('Skip operation completed', {
+        originalAssignmentId: assignment._id,
+        newAssignmentId: newAssignment._id,
+        newUserId: nextPerson.userId,
+        newIndex: nextPerson.newIndex,
+        slot: assignment.slot
+      });
+
+      return {
+        success: true,
+        newAssignment,
+        newUserId: nextPerson.userId
+      };
+    }
+
+    // Update original message
     await updateSkippedMessage(
       client,
       assignment.channelId,
       assignment.messageTs,
       assignment.userId,
       skippedByUserId,
-      rota.name
+      rota.name,
+      locale
     );
 
     // Send new notification
@@ -115,11 +246,21 @@ async function performSkip(assignment, skippedByUserId) {
       assignment.channelId,
       nextPerson.userId,
       rota.name,
-      rota.customMessage
+      await getCustomMessage(rota),
+      newAssignment._id,
+      rota.members.length,
+      3,
+      null,
+      await getTemplateVariables(rota, newAssignment),
+      locale
     );
 
     // Mark new assignment as notified
-    await markAsNotified(newAssignment._id, messageTs);
+    const notified = await markAsNotified(newAssignment._id, messageTs);
+    if (deliveryMode === 'channel_and_dm') {
+      await sendAssigneeDms(rota, [notified]);
+    }
+    await sendAssigneeEmails(rota, [notified]);
 
     logger.info('Skip operation completed', {
       originalAssignmentId: assignment._id,
@@ -143,10 +284,22 @@ async function performSkip(assignment, skippedByUserId) {
   }
 }
 
+/**
+ * Note shown on a notification after one of its assignees was skipped
+ */
+function skipNote(locale, assignment, newAssignment, skippedByUserId) {
+  return t(locale, assignment.role ? 'skip.takesOverAs' : 'skip.takesOver', {
+    skippedUser: `<@${assignment.userId}>`,
+    user: `<@${skippedByUserId}>`,
+    newUser: `<@${newAssignment.userId}>`,
+    role: assignment.role
+  });
+}
+
 /**
  * Update the original message to show it was skipped
  */
-async function updateSkippedMessage(client, channelId, messageTs, skippedUserId, skippedByUserId, rotaName) {
+async function updateSkippedMessage(client, channelId, messageTs, skippedUserId, skippedByUserId, rotaName, locale = DEFAULT_LOCALE) {
   try {
     if (!messageTs) {
       logger.warn('No message timestamp, cannot update message', { channelId });
@@ -167,32 +320,32 @@ async function updateSkippedMessage(client, channelId, messageTs, skippedUserId,
 
     // Create strikethrough blocks
     const updatedBlocks = [];
+    const assignedLabel = t(locale, 'notification.assigned');
 
     // Strikethrough the main content
     updatedBlocks.push({
       type: 'section',
       text: {
         type: 'mrkdwn',
-        text: `~📅 ${rotaName}~\n\n~Assigned: <@${skippedUserId}>~`
+        text: `~📅 ${rotaName}~\n\n~${assignedLabel}: <@${skippedUserId}>~`
       }
     });
 
     // Add skip note
-    const skipTime = new Date().toLocaleString('en-US', {
+    const skipTime = new Intl.DateTimeFormat(getIntlLocale(locale), {
       month: 'short',
       day: 'numeric',
       year: 'numeric',
       hour: 'numeric',
-      minute: '2-digit',
-      hour12: true
-    });
+      minute: '2-digit'
+    }).format(new Date());
 
     updatedBlocks.push({
       type: 'context',
       elements: [
         {
           type: 'mrkdwn',
-          text: `⏭️ Skipped by <@${skippedByUserId}> on ${skipTime}`
+          text: t(locale, 'skip.skippedBy', { user: `<@${skippedByUserId}>`, time: skipTime })
         }
       ]
     });
@@ -201,7 +354,7 @@ async function updateSkippedMessage(client, channelId, messageTs, skippedUserId,
     await client.chatUpdate(
       channelId,
       messageTs,
-      `~📅 ${rotaName} - Assigned: <@${skippedUserId}>~`,
+      `~📅 ${rotaName} - ${assignedLabel}: <@${skippedUserId}>~`,
       updatedBlocks
     );
 
@@ -221,12 +374,42 @@ async function updateSkippedMessage(client, channelId, messageTs, skippedUserId,
   }
 }
 
+/**
+ * Update a shared multi-assignee message after one of them was skipped, and
+ * ping the replacement in a thread reply (edited messages don't notify)
+ */
+async function replaceInGroupMessage(client, assignment, newAssignment, skippedByUserId, rota, locale = DEFAULT_LOCALE) {
+  try {
+    await updateRotaNotification(assignment.workspaceId, newAssignment, rota, [
+      skipNote(locale, assignment, newAssignment, skippedByUserId)
+    ]);
+
+    await client.chatPostMessage(
+      assignment.channelId,
+      t(locale, assignment.role ? 'skip.nowOnDutyAs' : 'skip.nowOnDuty', {
+        rotaName: rota.name,
+        newUser: `<@${newAssignment.userId}>`,
+        skippedUser: `<@${assignment.userId}>`,
+        role: assignment.role
+      }),
+      null,
+      assignment.messageTs
+    );
+  } catch (error) {
+    logger.error('Error updating group message after skip', {
+      error: error.message,
+      assignmentId: assignment._id
+    });
+    // Don't throw - the skip itself already succeeded
+  }
+}
+
 /**
  * Main handler for skip person action
  */
 async function handleSkipPerson(payload) {
   try {
-    const { actions, user } = payload;
+    const { actions, user, team } = payload;
     const action = actions[0];
 
     // Extract assignment ID from action_id (format: skip_person_{assignmentId})
@@ -238,7 +421,7 @@ async function handleSkipPerson(payload) {
     });
 
     // Validate the skip request
-    const validation = await validateSkipRequest(assignmentId);
+    const validation = await validateSkipRequest(assignmentId, team?.id);
     if (!validation.valid) {
       logger.warn('Skip request validation failed', {
         assignmentId,
@@ -264,13 +447,132 @@ async function handleSkipPerson(payload) {
     });
     return {
       success: false,
-      error: 'Failed to skip person. Please try again.'
+      error: t(await getWorkspaceLocale(payload.team?.id).catch(() => DEFAULT_LOCALE), 'skip.failed')
+    };
+  }
+}
+
+/**
+ * Find the forecast entry of a rota's turn on a date
+ */
+async function findUpcomingEntry(rota, dateString) {
+  const entries = await getUpcomingSchedule(rota, { count: MAX_FORECAST_LENGTH });
+  return entries.find(entry => entry.date === dateString && !entry.skipped) || null;
+}
+
+/**
+ * Skip a future turn ahead of time (from the heads-up DM)
+ * The member is passed over on that date like an unavailable member, so they
+ * keep their place for the following turn. If the turn was already announced,
+ * whoever takes over gets their own heads-up.
+ * @param {string} rotaId - Rota ID
+ * @param {string} workspaceId - Workspace ID
+ * @param {string} dateString - Date of the turn in the rota's timezone (YYYY-MM-DD)
+ * @param {string} userId - Member skipping their turn
+ * @returns {Promise<Object>} { rota, entry, replacements }
+ */
+async function skipTurnAhead(rotaId, workspaceId, dateString, userId) {
+  const rota = await getRotaById(rotaId, workspaceId);
+  const locale = await getRotaLocale(rota);
+
+  const before = await findUpcomingEntry(rota, dateString);
+  if (!before || !before.assignees.some(assignee => assignee.userId === userId)) {
+    throw new Error(t(locale, 'advanceNotice.noLongerScheduled', { date: formatTurnDate(dateString, locale) }));
+  }
+
+  if (before.reason && before.reason !== 'moved' && before.userId === userId) {
+    throw new Error(t(locale, 'advanceNotice.plannedOverride'));
+  }
+
+  // Drop skips of past dates while at it
+  const today = getLocalDateString(new Date(), rota.schedule.timezone || 'UTC');
+  rota.skipAhead = [
+    ...(rota.skipAhead || []).filter(entry => entry.date >= today),
+    { userId, date: dateString, skippedAt: new Date() }
+  ];
+
+  // Availability is ignored when nobody else can take the turn
+  const entry = await findUpcomingEntry(rota, dateString);
+  if (!entry || entry.assignees.some(assignee => assignee.userId === userId)) {
+    throw new Error(t(locale, 'advanceNotice.nobodyAvailable', { date: formatTurnDate(dateString, locale) }));
+  }
+
+  await rota.save();
+
+  const replacements = entry.assignees.filter(assignee => assignee.userId &&
+    !before.assignees.some(previous => previous.userId === assignee.userId));
+
+  logger.info('Turn skipped ahead of time', {
+    rotaId: rota._id,
+    date: dateString,
+    userId,
+    replacements: replacements.map(assignee => assignee.userId)
+  });
+
+  const lastNoticeDate = rota.advanceNotice?.lastNoticeDate;
+  if (rota.advanceNotice?.hoursBefore && lastNoticeDate && dateString <= lastNoticeDate) {
+    const client = await getSlackClient(rota.workspaceId);
+    for (const assignee of replacements) {
+      await sendAdvanceNotice(client, rota, entry, assignee, locale).catch((error) => {
+        logger.warn('Failed to send advance notice to replacement', { rotaId: rota._id, userId: assignee.userId, error: error.message });
+      });
+    }
+  }
+
+  return { rota, entry, replacements };
+}
+
+/**
+ * Handle the "Skip this turn" button of a heads-up DM
+ */
+async function handleSkipAhead(payload) {
+  try {
+    const { actions, user, team } = payload;
+    const action = actions[0];
+
+    // Rota ID in the action_id (format: heads_up_skip_{rotaId}), date as value
+    const rotaId = action.action_id.replace('heads_up_skip_', '');
+    const { rota, replacements } = await skipTurnAhead(rotaId, team.id, action.value, user.id);
+
+    // Replace the heads-up with a confirmation
+    const channelId = payload.channel?.id || payload.container?.channel_id;
+    const messageTs = payload.container?.message_ts || payload.message?.ts;
+    if (channelId && messageTs) {
+      const locale = await getRotaLocale(rota);
+      const params = {
+        rotaName: rota.name,
+        date: formatTurnDate(action.value, locale),
+        users: replacements.map(assignee => `<@${assignee.userId}>`).join(', ')
+      };
+      const client = await getSlackClient(team.id);
+      await client.chatUpdate(channelId, messageTs, t(locale, 'advanceNotice.skippedFallback', params), [
+        {
+          type: 'section',
+          text: {
+            type: 'mrkdwn',
+            text: t(locale, replacements.length > 0 ? 'advanceNotice.skippedCoveredBy' : 'advanceNotice.skipped', params)
+          }
+        }
+      ]);
+    }
+
+    return { success: true };
+  } catch (error) {
+    logger.error('Error skipping turn ahead', {
+      error: error.message,
+      stack: error.stack
+    });
+    return {
+      success: false,
+      error: error.message
     };
   }
 }
 
 module.exports = {
   handleSkipPerson,
+  handleSkipAhead,
+  skipTurnAhead,
   validateSkipRequest,
   performSkip
 };
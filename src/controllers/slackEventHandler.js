@@ -1,8 +1,101 @@
 const { handleAppHomeOpened } = require('../controllers/eventController');
 const { getSlackClient } = require('../services/slackClient');
-const { createRotaModal, editRotaModal, deleteRotaModal } = require('../views/blocks/homeBlocks');
+const {
+  createRotaModal,
+  editRotaModal,
+  deleteRotaModal,
+  messageTemplateModal,
+  deleteMessageTemplateModal,
+  digestModal,
+  deleteDigestModal,
+  workspaceBlackoutModal,
+  rotaBlackoutModal,
+  scheduleModal,
+  rotaDetailModal,
+  swapRequestModal,
+  memberAvailabilityModal,
+  memberOrderModal
+} = require('../views/blocks/homeBlocks');
 const { publishHomeView } = require('../controllers/eventController');
-const { createRota, getRotaById, updateRota, deleteRota, validateRotaData } = require('../controllers/rotaController');
+const { createRota, getRotas, getRotaById, updateRota, setMemberOrder, deleteRota, validateRotaData } = require('../controllers/rotaController');
+const { getWorkspace, getWorkspaceLocale, updateWorkspaceLocale } = require('../controllers/workspaceController');
+const { updateWorkspaceBlackouts, updateRotaBlackouts, importIcsFiles } = require('../controllers/blackoutController');
+const { parseDateList, mergeDates } = require('../utils/blackoutHelper');
+const { getUpcomingSchedule, DEFAULT_FORECAST_LENGTH, MAX_FORECAST_LENGTH } = require('../services/forecastService');
+const { getUpcomingOverrides, addOverride, removeOverride, setOverrideAdvancesRotation } = require('../controllers/overrideController');
+const { getUpcomingTurns, createSwapRequest } = require('../controllers/swapController');
+const { setMemberAvailability, setMemberEmail } = require('../controllers/availabilityController');
+const { findMessageTemplate, getRotasUsingTemplate, saveMessageTemplate, deleteMessageTemplate } = require('../controllers/messageTemplateController');
+const { findDigest, saveDigest, deleteDigest } = require('../controllers/digestController');
+const { listUserGroups, syncRotaMembers } = require('../services/memberSyncService');
+const { updateLinkedUserGroup } = require('../services/linkedUserGroupService');
+const { sendTestNotification, getRotaLocale } = require('../services/assignmentService');
+const RotaAssignment = require('../models/RotaAssignment');
+const { getLocalDateString } = require('../utils/timezoneHelper');
+const { t } = require('../utils/i18n');
+const { getRotationStrategy, getServiceHistory, previewNextMember } = require('../utils/rotationHelper');
+
+/**
+ * Apply a move from the reorder members modal
+ * @param {Object} state - The modal's private_metadata ({ order, nextUserId, ... })
+ * @param {string} userId - Member whose menu was used
+ * @param {string} move - up, down, top or next
+ */
+function applyMemberOrderMove(state, userId, move) {
+  const order = [...state.order];
+  const index = order.indexOf(userId);
+
+  if (move === 'next') {
+    return { ...state, nextUserId: userId, chosenNext: true };
+  }
+
+  if (index === -1) {
+    return state;
+  }
+
+  const target = {
+    up: Math.max(index - 1, 0),
+    down: Math.min(index + 1, order.length - 1),
+    top: 0
+  }[move] ?? index;
+
+  order.splice(index, 1);
+  order.splice(target, 0, userId);
+
+  return { ...state, order };
+}
+
+/**
+ * Build the edit rota modal with a preview of who is next for a member selection
+ */
+async function buildEditRotaModal(client, rota, userTimezone, members = rota.members) {
+  const history = getRotationStrategy(rota) === 'least_served'
+    ? await getServiceHistory(rota)
+    : null;
+
+  const workspace = await getWorkspace(rota.workspaceId);
+
+  return editRotaModal(rota, userTimezone, {
+    members,
+    nextUserId: previewNextMember(rota, members, history),
+    userGroups: await listUserGroups(client),
+    messageTemplates: workspace.messageTemplates
+  });
+}
+
+/**
+ * Sync a rota's members in the background after it was saved, so the modal
+ * closes straight away; failures are kept on the rota and shown on the Home tab
+ */
+function syncMembersAsync(rota, userId, teamId) {
+  if (!rota.memberSync?.source || rota.memberSync.source === 'manual') {
+    return;
+  }
+
+  syncRotaMembers(rota)
+    .catch(() => {})
+    .finally(() => refreshHomeViewAsync(userId, teamId));
+}
 
 function refreshHomeViewAsync(userId, teamId) {
   publishHomeView(userId, teamId).catch((error) => {
@@ -10,6 +103,164 @@ function refreshHomeViewAsync(userId, teamId) {
   });
 }
 
+/**
+ * Read the advanced recurrence inputs from a create/edit modal submission
+ */
+function parseRecurrenceValues(values) {
+  const freq = values.recurrence_freq?.recurrence_freq_input?.selected_option?.value || null;
+  const interval = values.recurrence_interval?.recurrence_interval_input?.value;
+  const byWeekday = (values.recurrence_weekdays?.recurrence_weekdays_input?.selected_options || [])
+    .map(option => option.value);
+  const bySetPos = values.recurrence_setpos?.recurrence_setpos_input?.selected_option?.value;
+
+  return {
+    freq,
+    interval: interval ? parseInt(interval, 10) : 1,
+    byWeekday,
+    bySetPos: bySetPos ? parseInt(bySetPos, 10) : null
+  };
+}
+
+/**
+ * Read the rotation strategy inputs from a create/edit modal submission
+ */
+function parseRotationValues(values) {
+  const strategy = values.rotation_strategy?.strategy_input?.selected_option?.value || 'round_robin';
+  const lookbackDays = values.rotation_lookback?.lookback_input?.value;
+
+  return {
+    strategy,
+    lookbackDays: lookbackDays ? parseInt(lookbackDays, 10) : undefined
+  };
+}
+
+/**
+ * Read the assignees-per-occurrence inputs from a create/edit modal submission
+ */
+function parseAssigneeValues(values) {
+  const count = values.assignee_count?.count_input?.value;
+  const roles = (values.assignee_roles?.roles_input?.value || '')
+    .split(',')
+    .map(role => role.trim());
+
+  // Drop trailing empty labels, keep empty ones in between (unlabelled slots)
+  while (roles.length > 0 && !roles[roles.length - 1]) {
+    roles.pop();
+  }
+
+  return {
+    count: count ? parseInt(count, 10) : 1,
+    roles
+  };
+}
+
+/**
+ * Read the member source inputs from a create/edit modal submission
+ * @param {string} rotaChannelId - Used when syncing from a channel without picking one
+ */
+function parseMemberSyncValues(values, rotaChannelId) {
+  const source = values.member_source?.source_input?.selected_option?.value || 'manual';
+
+  if (source === 'usergroup') {
+    return { source, sourceId: values.member_source_usergroup?.usergroup_input?.selected_option?.value || null };
+  }
+
+  if (source === 'channel') {
+    return { source, sourceId: values.member_source_channel?.channel_input?.selected_conversation || rotaChannelId };
+  }
+
+  return { source: 'manual', sourceId: null };
+}
+
+/**
+ * Read the linked user group from a create/edit modal submission
+ * @returns {string|null|undefined} Group ID, null for "None", undefined if not shown
+ */
+function parseLinkedUserGroupValue(values) {
+  const selected = values.linked_usergroup?.usergroup_input?.selected_option?.value;
+
+  if (selected === undefined) {
+    return undefined;
+  }
+
+  return selected === 'none' ? null : selected;
+}
+
+/**
+ * Read the message template from a create/edit modal submission
+ * @returns {string|null|undefined} Template ID, null for "None", undefined if not shown
+ */
+function parseMessageTemplateValue(values) {
+  const selected = values.message_template?.template_input?.selected_option?.value;
+
+  if (selected === undefined) {
+    return undefined;
+  }
+
+  return selected === 'none' ? null : selected;
+}
+
+/**
+ * Read the channel topic/bookmark inputs from a create/edit modal submission
+ */
+function parseChannelStatusValues(values) {
+  return {
+    mode: values.channel_status_mode?.mode_input?.selected_option?.value || 'off',
+    template: values.channel_status_template?.template_input?.value?.trim() || null
+  };
+}
+
+/**
+ * Read the delivery inputs from a create/edit modal submission
+ * @returns {Object} { mode, email }, email undefined when the modal has no email input
+ */
+function parseDeliveryValues(values) {
+  return {
+    mode: values.delivery_mode?.mode_input?.selected_option?.value || 'channel',
+    email: values.delivery_email
+      ? (values.delivery_email.email_input?.selected_options || []).length > 0
+      : undefined
+  };
+}
+
+/**
+ * Read the language input from a create/edit modal submission
+ * @returns {string|null|undefined} Locale code, null for the workspace default, undefined if not shown
+ */
+function parseLocaleValue(values) {
+  const selected = values.rota_locale?.locale_input?.selected_option?.value;
+
+  if (selected === undefined) {
+    return undefined;
+  }
+
+  return selected === 'default' ? null : selected;
+}
+
+/**
+ * Read the heads-up input from a create/edit modal submission
+ * @returns {Object} { hoursBefore }, null hours when there is no heads-up
+ */
+function parseAdvanceNoticeValues(values) {
+  const selected = values.advance_notice?.hours_input?.selected_option?.value;
+
+  return {
+    hoursBefore: selected && selected !== 'never' ? parseInt(selected, 10) : null
+  };
+}
+
+/**
+ * Read the escalation input from a create/edit modal submission
+ * @returns {Object} { afterMinutes }, null minutes when escalation is off
+ */
+function parseEscalationValues(values) {
+  const selected = values.escalation_after?.after_input?.selected_option?.value;
+
+  return {
+    afterMinutes: selected && selected !== 'never' ? parseInt(selected, 10) : null
+  };
+}
+
 /**
  * Main event handler for Slack events endpoint
  */
@@ -88,6 +339,21 @@ const handleInteractiveAction = async (req, res) => {
   }
 };
 
+/**
+ * Send a rota's test notification, telling the user by DM when it fails
+ * (the Home tab and modals have no channel for an ephemeral message)
+ */
+const sendTestNotificationWithFeedback = async (client, rota, userId, changes) => {
+  try {
+    await sendTestNotification(rota, userId, changes);
+  } catch (error) {
+    console.error('Error sending test notification:', error);
+    const locale = await getRotaLocale({ ...rota.toObject(), ...changes });
+    await client.chatPostMessage(userId, `❌ ${t(locale, 'test.failed', { rotaName: rota.name, error: error.message })}`)
+      .catch(err => console.error('Failed to send error message:', err));
+  }
+};
+
 /**
  * Handle block action (button clicks, selects, etc.)
  */
@@ -113,7 +379,45 @@ const handleBlockAction = async (payload) => {
 
       if (action.action_id === 'create_rota_button') {
         const userTimezone = await getUserTimezone();
-        await client.viewsOpen(trigger_id, createRotaModal(userTimezone));
+        const workspace = await getWorkspace(team.id);
+        await client.viewsOpen(trigger_id, createRotaModal(userTimezone, await listUserGroups(client), workspace.messageTemplates));
+      } else if (action.action_id === 'workspace_blackout_button') {
+        const workspace = await getWorkspace(team.id);
+        await client.viewsOpen(trigger_id, workspaceBlackoutModal(workspace));
+      } else if (action.action_id === 'workspace_locale_select') {
+        // Language of the Home tab and default language of rota notifications
+        await updateWorkspaceLocale(team.id, action.selected_option.value);
+        refreshHomeViewAsync(user.id, team.id);
+      } else if (action.action_id === 'create_template_button') {
+        await client.viewsOpen(trigger_id, messageTemplateModal());
+      } else if (action.action_id.startsWith('template_actions_')) {
+        // Message template overflow menu on the Home tab
+        const [actionType, templateId] = action.selected_option.value.split('_');
+        const workspace = await getWorkspace(team.id);
+        const template = findMessageTemplate(workspace, templateId);
+        if (!template) {
+          continue;
+        }
+
+        const usedBy = await getRotasUsingTemplate(team.id, template._id);
+        await client.viewsOpen(trigger_id, actionType === 'delete'
+          ? deleteMessageTemplateModal(template, usedBy)
+          : messageTemplateModal(template, usedBy));
+      } else if (action.action_id === 'create_digest_button') {
+        const userTimezone = await getUserTimezone();
+        await client.viewsOpen(trigger_id, digestModal(null, await getRotas(team.id), userTimezone));
+      } else if (action.action_id.startsWith('digest_actions_')) {
+        // Weekly digest overflow menu on the Home tab
+        const [actionType, digestId] = action.selected_option.value.split('_');
+        const workspace = await getWorkspace(team.id);
+        const digest = findDigest(workspace, digestId);
+        if (!digest) {
+          continue;
+        }
+
+        await client.viewsOpen(trigger_id, actionType === 'delete'
+          ? deleteDigestModal(digest)
+          : digestModal(digest, await getRotas(team.id)));
       } else if (action.action_id.startsWith('rota_actions_')) {
         // Handle overflow menu actions
         const selectedOption = action.selected_option.value;
@@ -122,11 +426,182 @@ const handleBlockAction = async (payload) => {
         if (actionType === 'edit') {
           const userTimezone = await getUserTimezone();
           const rota = await getRotaById(rotaId, team.id);
-          await client.viewsOpen(trigger_id, editRotaModal(rota, userTimezone));
+          await client.viewsOpen(trigger_id, await buildEditRotaModal(client, rota, userTimezone));
         } else if (actionType === 'delete') {
           const rota = await getRotaById(rotaId, team.id);
           await client.viewsOpen(trigger_id, deleteRotaModal(rota));
+        } else if (actionType === 'test') {
+          const rota = await getRotaById(rotaId, team.id);
+          await sendTestNotificationWithFeedback(client, rota, user.id);
+        } else if (actionType === 'details') {
+          const rota = await getRotaById(rotaId, team.id);
+          await client.viewsOpen(trigger_id, rotaDetailModal(rota, getUpcomingOverrides(rota)));
+        } else if (actionType === 'schedule') {
+          const userTimezone = await getUserTimezone();
+          const rota = await getRotaById(rotaId, team.id);
+          const entries = await getUpcomingSchedule(rota, { count: DEFAULT_FORECAST_LENGTH });
+          await client.viewsOpen(trigger_id, scheduleModal(rota, entries, userTimezone, MAX_FORECAST_LENGTH));
+        }
+      } else if (action.action_id.startsWith('schedule_more_')) {
+        // Extend the forecast in the open schedule modal
+        const rotaId = action.action_id.replace('schedule_more_', '');
+        const count = parseInt(action.value, 10) || DEFAULT_FORECAST_LENGTH;
+        const userTimezone = await getUserTimezone();
+        const rota = await getRotaById(rotaId, team.id);
+        const entries = await getUpcomingSchedule(rota, { count });
+        await client.viewsUpdate(payload.view.id, scheduleModal(rota, entries, userTimezone, MAX_FORECAST_LENGTH), payload.view.hash);
+      } else if (action.action_id.startsWith('remove_override_')) {
+        // Remove an override and refresh the open detail modal
+        const rotaId = payload.view.private_metadata;
+        const rota = await removeOverride(rotaId, team.id, action.value);
+        await client.viewsUpdate(payload.view.id, rotaDetailModal(rota, getUpcomingOverrides(rota)), payload.view.hash);
+        refreshHomeViewAsync(user.id, team.id);
+      } else if (action.action_id.startsWith('swap_request_button_')) {
+        // Open the swap request on top of the rota detail modal
+        const rotaId = action.action_id.replace('swap_request_button_', '');
+        const userTimezone = await getUserTimezone();
+        const rota = await getRotaById(rotaId, team.id);
+        const turns = await getUpcomingTurns(rota, user.id);
+        await client.viewsPush(trigger_id, swapRequestModal(rota, turns, userTimezone));
+      } else if (action.action_id === 'members_input' && payload.view?.callback_id === 'edit_rota_modal') {
+        // Refresh the "next up" preview as members are added or removed
+        const { rotaId, userTimezone } = JSON.parse(payload.view.private_metadata || '{}');
+        const rota = await getRotaById(rotaId, team.id);
+        const members = action.selected_users || [];
+        const modal = await buildEditRotaModal(client, rota, userTimezone, members.length > 0 ? members : rota.members);
+        await client.viewsUpdate(payload.view.id, modal, payload.view.hash);
+      } else if (action.action_id === 'send_test_button') {
+        // Preview the notification with the unsaved settings of the edit modal
+        const values = payload.view.state.values;
+        const rota = await getRotaById(action.value, team.id);
+        const changes = {};
+        const customMessage = values.custom_message?.message_input?.rich_text_value;
+        const messageTemplateId = parseMessageTemplateValue(values);
+        const locale = parseLocaleValue(values);
+        if (customMessage !== undefined) {
+          changes.customMessage = customMessage;
+        }
+        if (messageTemplateId !== undefined) {
+          changes.messageTemplateId = messageTemplateId;
+        }
+        if (locale !== undefined) {
+          changes.locale = locale;
+        }
+        await sendTestNotificationWithFeedback(client, rota, user.id, changes);
+      } else if (action.action_id === 'rota_blackout_button') {
+        // Open the rota's blackout dates on top of the rota detail modal
+        const rota = await getRotaById(action.value, team.id);
+        await client.viewsPush(trigger_id, rotaBlackoutModal(rota));
+      } else if (action.action_id === 'reorder_members_button') {
+        // Open the member order on top of the edit rota modal
+        const { userTimezone } = JSON.parse(payload.view.private_metadata || '{}');
+        const rota = await getRotaById(action.value, team.id);
+        const nextUserId = getRotationStrategy(rota) === 'least_served' ? null : previewNextMember(rota);
+        await client.viewsPush(trigger_id, memberOrderModal(rota, { nextUserId, userTimezone }));
+      } else if (action.action_id.startsWith('member_order_')) {
+        // Move a member in the open reorder modal; nothing is saved until submit
+        const state = JSON.parse(payload.view.private_metadata);
+        const rota = await getRotaById(state.rotaId, team.id);
+        const userId = action.action_id.replace('member_order_', '');
+        const newState = applyMemberOrderMove(state, userId, action.selected_option?.value || action.value);
+        await client.viewsUpdate(payload.view.id, memberOrderModal(rota, newState), payload.view.hash);
+      } else if (action.action_id === 'availability_member_select') {
+        // Open a member's availability on top of the edit rota modal
+        const { rotaId } = JSON.parse(payload.view.private_metadata || '{}');
+        const rota = await getRotaById(rotaId, team.id);
+        await client.viewsPush(trigger_id, memberAvailabilityModal(rota, action.selected_user));
+      } else if (action.action_id.startsWith('request_swap_')) {
+        // Request a swap from the channel notification; only the assignee can swap their shift
+        const channelId = payload.channel?.id || payload.container?.channel_id;
+        const assignment = await RotaAssignment.findById(action.value);
+
+        if (!assignment || assignment.skipped || assignment.userId !== user.id) {
+          await client.chatPostEphemeral(channelId, user.id, `❌ ${t(await getWorkspaceLocale(team.id), 'swap.onlyAssignee')}`)
+            .catch(err => console.error('Failed to send error message:', err));
+          continue;
+        }
+
+        const userTimezone = await getUserTimezone();
+        const rota = await getRotaById(assignment.rotaId, team.id);
+        const rotaTz = rota.schedule.timezone || 'UTC';
+        const turns = await getUpcomingTurns(rota, user.id);
+        const selectedDate = getLocalDateString(assignment.coverageStart || assignment.assignedDate, rotaTz);
+        await client.viewsOpen(trigger_id, swapRequestModal(rota, turns, userTimezone, selectedDate));
+      } else if (action.action_id.startsWith('swap_accept_') || action.action_id.startsWith('swap_decline_')) {
+        const { handleSwapResponse } = require('./swapController');
+        const result = await handleSwapResponse(payload);
+
+        if (!result.success) {
+          await client.chatPostEphemeral(
+            payload.channel?.id || payload.container?.channel_id,
+            user.id,
+            `❌ ${result.error}`
+          ).catch((err) => {
+            console.error('Failed to send error message:', err);
+          });
+        }
+      } else if (action.action_id.startsWith('ack_')) {
+        // "I'm on it" from the channel notification, the assignee's DM or the escalation DM
+        const { handleAcknowledge } = require('./acknowledgeController');
+        const result = await handleAcknowledge(payload);
+
+        if (!result.success) {
+          await client.chatPostEphemeral(
+            payload.channel?.id || payload.container?.channel_id,
+            user.id,
+            `❌ ${result.error}`
+          ).catch((err) => {
+            console.error('Failed to send error message:', err);
+          });
+        }
+      } else if (action.action_id.startsWith('heads_up_skip_')) {
+        // Skip a future turn from the heads-up DM
+        const { handleSkipAhead } = require('./skipController');
+        const result = await handleSkipAhead(payload);
+
+        if (!result.success) {
+          await client.chatPostEphemeral(
+            payload.channel?.id || payload.container?.channel_id,
+            user.id,
+            `❌ ${result.error}`
+          ).catch((err) => {
+            console.error('Failed to send error message:', err);
+          });
+        }
+      } else if (action.action_id.startsWith('heads_up_swap_')) {
+        // Request a swap of a future turn from the heads-up DM
+        const rotaId = action.action_id.replace('heads_up_swap_', '');
+        const rota = await getRotaById(rotaId, team.id);
+        const turns = await getUpcomingTurns(rota, user.id);
+
+        if (!turns.some(turn => turn.date === action.value)) {
+          await client.chatPostEphemeral(
+            payload.channel?.id || payload.container?.channel_id,
+            user.id,
+            `❌ ${t(await getRotaLocale(rota), 'swap.noLongerScheduled')}`
+          ).catch(err => console.error('Failed to send error message:', err));
+          continue;
+        }
+
+        const userTimezone = await getUserTimezone();
+        await client.viewsOpen(trigger_id, swapRequestModal(rota, turns, userTimezone, action.value));
+      } else if (action.action_id.startsWith('digest_swap_')) {
+        // Request a swap from the weekly digest, picking one of the user's own turns
+        const rotaId = action.action_id.replace('digest_swap_', '');
+        const rota = await getRotaById(rotaId, team.id);
+        const turns = await getUpcomingTurns(rota, user.id);
+
+        if (turns.length === 0) {
+          await client.chatPostEphemeral(
+            payload.channel?.id || payload.container?.channel_id,
+            user.id,
+            `❌ ${t(await getRotaLocale(rota), 'swap.noUpcomingTurns', { rotaName: rota.name })}`
+          ).catch(err => console.error('Failed to send error message:', err));
+          continue;
         }
+
+        const userTimezone = await getUserTimezone();
+        await client.viewsOpen(trigger_id, swapRequestModal(rota, turns, userTimezone));
       } else if (action.action_id.startsWith('skip_person_')) {
         // Handle skip person action
         const { handleSkipPerson } = require('./skipController');
@@ -166,6 +641,26 @@ const handleViewSubmission = async (payload) => {
       await handleEditRotaSubmission(view, team, user);
     } else if (view.callback_id === 'delete_rota_modal') {
       await handleDeleteRotaSubmission(view, team, user);
+    } else if (view.callback_id === 'message_template_modal') {
+      await handleMessageTemplateSubmission(view, team, user);
+    } else if (view.callback_id === 'delete_message_template_modal') {
+      await handleDeleteMessageTemplateSubmission(view, team, user);
+    } else if (view.callback_id === 'digest_modal') {
+      await handleDigestSubmission(view, team, user);
+    } else if (view.callback_id === 'delete_digest_modal') {
+      await handleDeleteDigestSubmission(view, team, user);
+    } else if (view.callback_id === 'workspace_blackout_modal') {
+      await handleWorkspaceBlackoutSubmission(view, team, user);
+    } else if (view.callback_id === 'rota_blackout_modal') {
+      await handleRotaBlackoutSubmission(view, team, user);
+    } else if (view.callback_id === 'rota_detail_modal') {
+      await handleRotaDetailSubmission(view, team, user);
+    } else if (view.callback_id === 'swap_request_modal') {
+      await handleSwapRequestSubmission(view, team, user);
+    } else if (view.callback_id === 'member_order_modal') {
+      await handleMemberOrderSubmission(view, team, user);
+    } else if (view.callback_id === 'member_availability_modal') {
+      await handleMemberAvailabilitySubmission(view, team, user);
     }
 
     // Explicitly return empty response to close the modal
@@ -173,11 +668,34 @@ const handleViewSubmission = async (payload) => {
   } catch (error) {
     console.error('Error in view submission:', error);
 
-    // Return errors to the modal
+    // The reorder modal has no inputs to attach errors to; reload it from the
+    // saved members with the error on top
+    if (view.callback_id === 'member_order_modal') {
+      const { rotaId, userTimezone } = JSON.parse(view.private_metadata);
+      const rota = await getRotaById(rotaId, team.id).catch(() => null);
+      if (rota) {
+        return {
+          response_action: 'update',
+          view: memberOrderModal(rota, { userTimezone, error: error.message })
+        };
+      }
+    }
+
+    // Return errors to the modal, on a block that exists in it
+    const errorBlockId = {
+      workspace_blackout_modal: 'blackout_dates',
+      rota_blackout_modal: 'blackout_dates',
+      rota_detail_modal: 'override_date',
+      swap_request_modal: 'swap_their_date',
+      member_availability_modal: 'availability_end',
+      message_template_modal: 'template_name',
+      digest_modal: 'digest_channel'
+    }[view.callback_id] || 'rota_name';
+
     return {
       response_action: 'errors',
       errors: {
-        rota_name: error.message
+        [errorBlockId]: error.message
       }
     };
   }
@@ -193,41 +711,49 @@ const handleCreateRotaSubmission = async (view, team, user) => {
   const metadata = JSON.parse(view.private_metadata || '{}');
   const userTimezone = metadata.userTimezone || 'UTC';
 
-  // Get selected hour and minute (in user's timezone)
+  // The rota keeps its own timezone; hour and minute are wall-clock time there
+  const timezone = values.rota_timezone?.timezone_input?.value?.trim() || userTimezone;
   const selectedHour = parseInt(values.notification_hour.hour_select.selected_option.value, 10);
   const selectedMinute = parseInt(values.notification_minute.minute_select.selected_option.value, 10);
 
   // Debug logging
   console.log('Create Rota - Selected values:');
-  console.log('  User timezone:', userTimezone);
+  console.log('  Rota timezone:', timezone);
   console.log('  Selected hour:', selectedHour);
   console.log('  Selected minute:', selectedMinute);
 
-  // Convert from user's timezone to UTC
-  const { convertTimezoneForDisplay } = require('../utils/timezoneHelper');
-  const utcTime = convertTimezoneForDisplay(selectedHour, selectedMinute, userTimezone, 'UTC');
-
-  console.log('  Converted to UTC:', utcTime.hour + ':' + utcTime.minute);
-
   // Get custom message from rich text input (optional)
   const customMessage = values.custom_message?.message_input?.rich_text_value || null;
   const weekdaysOnly = (values.weekdays_only?.weekdays_only_input?.selected_options || [])
     .some(option => option.value === 'true');
 
+  const frequency = values.frequency_select.frequency_input.selected_option.value;
+
   const rotaData = {
     name: values.rota_name.name_input.value,
     workspaceId: team.id,
     channelId: values.channel_select.selected.selected_conversation,
-    members: values.members_select.members_input.selected_users,
-    frequency: values.frequency_select.frequency_input.selected_option.value,
+    members: values.members_select.members_input.selected_users || [],
+    frequency,
+    recurrence: frequency === 'CUSTOM' ? parseRecurrenceValues(values) : undefined,
     startDate: values.start_date.start_date_input.selected_date,
-    notificationHour: utcTime.hour,
-    notificationMinute: utcTime.minute,
+    notificationHour: selectedHour,
+    notificationMinute: selectedMinute,
     weekdaysOnly,
-    timezone: 'UTC',
+    timezone,
+    rotation: parseRotationValues(values),
+    assignees: parseAssigneeValues(values),
     customMessage: customMessage,
     createdBy: user.id
   };
+  rotaData.memberSync = parseMemberSyncValues(values, rotaData.channelId);
+  rotaData.linkedUserGroupId = parseLinkedUserGroupValue(values);
+  rotaData.channelStatus = parseChannelStatusValues(values);
+  rotaData.delivery = parseDeliveryValues(values);
+  rotaData.locale = parseLocaleValue(values);
+  rotaData.escalation = parseEscalationValues(values);
+  rotaData.advanceNotice = parseAdvanceNoticeValues(values);
+  rotaData.messageTemplateId = parseMessageTemplateValue(values);
 
   // Validate
   const errors = validateRotaData(rotaData);
@@ -236,9 +762,10 @@ const handleCreateRotaSubmission = async (view, team, user) => {
   }
 
   // Create rota
-  await createRota(rotaData);
+  const rota = await createRota(rotaData);
 
   refreshHomeViewAsync(user.id, team.id);
+  syncMembersAsync(rota, user.id, team.id);
 };
 
 /**
@@ -252,29 +779,40 @@ const handleEditRotaSubmission = async (view, team, user) => {
 
   const values = view.state.values;
 
-  // Get selected hour and minute (in user's timezone)
+  // Hour and minute are wall-clock time in the rota's timezone
+  const timezone = values.rota_timezone?.timezone_input?.value?.trim() || userTimezone;
   const selectedHour = parseInt(values.notification_hour.hour_select.selected_option.value, 10);
   const selectedMinute = parseInt(values.notification_minute.minute_select.selected_option.value, 10);
 
-  // Convert from user's timezone to UTC
-  const { convertTimezoneForDisplay } = require('../utils/timezoneHelper');
-  const utcTime = convertTimezoneForDisplay(selectedHour, selectedMinute, userTimezone, 'UTC');
-
   // Get custom message from rich text input if provided
   const customMessage = values.custom_message?.message_input?.rich_text_value;
   const weekdaysOnly = (values.weekdays_only?.weekdays_only_input?.selected_options || [])
     .some(option => option.value === 'true');
 
+  const frequency = values.frequency_select.frequency_input.selected_option.value;
+
   const updates = {
     name: values.rota_name.name_input.value,
     channelId: values.channel_select.channel_input.selected_channel,
-    members: values.members_select.members_input.selected_users,
-    frequency: values.frequency_select.frequency_input.selected_option.value,
+    members: values.members_select.members_input.selected_users || [],
+    frequency,
+    recurrence: frequency === 'CUSTOM' ? parseRecurrenceValues(values) : undefined,
     startDate: values.start_date.start_date_input.selected_date,
-    notificationHour: utcTime.hour,
-    notificationMinute: utcTime.minute,
-    weekdaysOnly
+    timezone,
+    notificationHour: selectedHour,
+    notificationMinute: selectedMinute,
+    weekdaysOnly,
+    rotation: parseRotationValues(values),
+    assignees: parseAssigneeValues(values)
   };
+  updates.memberSync = parseMemberSyncValues(values, updates.channelId);
+  updates.linkedUserGroupId = parseLinkedUserGroupValue(values);
+  updates.channelStatus = parseChannelStatusValues(values);
+  updates.delivery = parseDeliveryValues(values);
+  updates.locale = parseLocaleValue(values);
+  updates.escalation = parseEscalationValues(values);
+  updates.advanceNotice = parseAdvanceNoticeValues(values);
+  updates.messageTemplateId = parseMessageTemplateValue(values);
 
   // Only update custom message if user provided one
   if (customMessage !== undefined) {
@@ -292,7 +830,141 @@ const handleEditRotaSubmission = async (view, team, user) => {
   }
 
   // Update rota
-  await updateRota(rotaId, team.id, updates);
+  const rota = await updateRota(rotaId, team.id, updates);
+
+  refreshHomeViewAsync(user.id, team.id);
+  syncMembersAsync(rota, user.id, team.id);
+
+  // Point a newly linked user group at whoever is on duty now
+  if (updates.linkedUserGroupId) {
+    updateLinkedUserGroup(rota)
+      .finally(() => refreshHomeViewAsync(user.id, team.id));
+  }
+};
+
+/**
+ * Read blackout dates from the date list and any uploaded .ics file
+ */
+const readBlackoutDates = async (values, teamId) => {
+  const { dates, errors } = parseDateList(values.blackout_dates?.dates_input?.value || '');
+
+  if (errors.length > 0) {
+    throw new Error(errors.join(', '));
+  }
+
+  const files = values.blackout_ics?.ics_input?.files || [];
+  const imported = await importIcsFiles(teamId, files);
+
+  return mergeDates(dates, imported);
+};
+
+/**
+ * Handle workspace holiday calendar modal submission
+ */
+const handleWorkspaceBlackoutSubmission = async (view, team, user) => {
+  const dates = await readBlackoutDates(view.state.values, team.id);
+
+  await updateWorkspaceBlackouts(team.id, dates);
+
+  refreshHomeViewAsync(user.id, team.id);
+};
+
+/**
+ * Handle rota blackout dates modal submission
+ */
+const handleRotaBlackoutSubmission = async (view, team, user) => {
+  const rotaId = view.private_metadata;
+  const values = view.state.values;
+
+  const dates = await readBlackoutDates(values, team.id);
+  const mode = values.blackout_mode?.mode_input?.selected_option?.value || 'skip';
+
+  await updateRotaBlackouts(rotaId, team.id, dates, mode);
+
+  refreshHomeViewAsync(user.id, team.id);
+};
+
+/**
+ * Handle rota detail modal submission (add an override, rotation setting)
+ */
+const handleRotaDetailSubmission = async (view, team, user) => {
+  const rotaId = view.private_metadata;
+  const values = view.state.values;
+
+  const date = values.override_date?.date_input?.selected_date;
+  const overrideUserId = values.override_user?.user_input?.selected_user;
+  const advances = (values.override_advance?.advance_input?.selected_options || [])
+    .some(option => option.value === 'true');
+
+  if (date || overrideUserId) {
+    if (!date || !overrideUserId) {
+      throw new Error('Pick both a date and a member to add an override');
+    }
+
+    await addOverride(rotaId, team.id, { date, userId: overrideUserId, createdBy: user.id });
+  }
+
+  await setOverrideAdvancesRotation(rotaId, team.id, advances);
+
+  refreshHomeViewAsync(user.id, team.id);
+};
+
+/**
+ * Handle swap request modal submission
+ */
+const handleSwapRequestSubmission = async (view, team, user) => {
+  const rotaId = view.private_metadata;
+  const values = view.state.values;
+
+  await createSwapRequest(rotaId, team.id, {
+    requesterId: user.id,
+    requesterDate: values.swap_my_date?.date_input?.selected_option?.value,
+    targetUserId: values.swap_colleague?.user_input?.selected_user,
+    targetDate: values.swap_their_date?.date_input?.selected_date,
+    note: values.swap_note?.note_input?.value?.trim()
+  });
+};
+
+/**
+ * Handle reorder members modal submission
+ * Saves the order and refreshes the edit rota modal underneath.
+ */
+const handleMemberOrderSubmission = async (view, team, user) => {
+  const { rotaId, order, nextUserId, chosenNext, userTimezone } = JSON.parse(view.private_metadata);
+
+  const rota = await setMemberOrder(rotaId, team.id, {
+    members: order,
+    nextUserId: chosenNext ? nextUserId : null
+  });
+
+  if (view.previous_view_id) {
+    const client = await getSlackClient(team.id);
+    await client.viewsUpdate(view.previous_view_id, await buildEditRotaModal(client, rota, userTimezone))
+      .catch(err => console.error('Failed to refresh edit rota modal:', err));
+  }
+
+  refreshHomeViewAsync(user.id, team.id);
+};
+
+/**
+ * Handle member availability modal submission
+ * Saves straight away; closing it returns to the edit rota modal.
+ */
+const handleMemberAvailabilitySubmission = async (view, team, user) => {
+  const { rotaId, userId } = JSON.parse(view.private_metadata);
+  const values = view.state.values;
+
+  await setMemberAvailability(rotaId, team.id, {
+    userId,
+    weekdays: (values.availability_weekdays?.weekdays_input?.selected_options || []).map(option => option.value),
+    startDate: values.availability_start?.date_input?.selected_date || null,
+    endDate: values.availability_end?.date_input?.selected_date || null
+  });
+
+  // Only shown when an SMTP server is configured
+  if (values.member_email) {
+    await setMemberEmail(rotaId, team.id, userId, values.member_email.email_input?.value || null);
+  }
 
   refreshHomeViewAsync(user.id, team.id);
 };
@@ -309,6 +981,57 @@ const handleDeleteRotaSubmission = async (view, team, user) => {
   refreshHomeViewAsync(user.id, team.id);
 };
 
+/**
+ * Handle the create/edit message template modal submission
+ */
+const handleMessageTemplateSubmission = async (view, team, user) => {
+  const values = view.state.values;
+
+  await saveMessageTemplate(team.id, view.private_metadata || null, {
+    name: values.template_name?.name_input?.value,
+    message: values.template_message?.message_input?.rich_text_value
+  }, user.id);
+
+  refreshHomeViewAsync(user.id, team.id);
+};
+
+/**
+ * Handle the delete message template modal submission
+ */
+const handleDeleteMessageTemplateSubmission = async (view, team, user) => {
+  await deleteMessageTemplate(team.id, view.private_metadata);
+
+  refreshHomeViewAsync(user.id, team.id);
+};
+
+/**
+ * Handle the create/edit weekly digest modal submission
+ */
+const handleDigestSubmission = async (view, team, user) => {
+  const values = view.state.values;
+
+  await saveDigest(team.id, view.private_metadata || null, {
+    channelId: values.digest_channel?.channel_input?.selected_channel,
+    scope: values.digest_scope?.scope_input?.selected_option?.value,
+    rotaIds: (values.digest_rotas?.rotas_input?.selected_options || []).map(option => option.value),
+    weekday: values.digest_weekday?.weekday_input?.selected_option?.value,
+    hour: parseInt(values.digest_hour?.hour_select?.selected_option?.value, 10),
+    minute: parseInt(values.digest_minute?.minute_select?.selected_option?.value, 10),
+    timezone: values.digest_timezone?.timezone_input?.value?.trim()
+  }, user.id);
+
+  refreshHomeViewAsync(user.id, team.id);
+};
+
+/**
+ * Handle the delete weekly digest modal submission
+ */
+const handleDeleteDigestSubmission = async (view, team, user) => {
+  await deleteDigest(team.id, view.private_metadata);
+
+  refreshHomeViewAsync(user.id, team.id);
+};
+
 module.exports = {
   handleSlackEvent,
   handleInteractiveAction
@@ -0,0 +1,489 @@
+const SwapRequest = require('../models/SwapRequest');
+const Rota = require('../models/Rota');
+const Workspace = require('../models/Workspace');
+const { getRotaById } = require('./rotaController');
+const { getWorkspaceLocale } = require('./workspaceController');
+const { getCurrentAssignment, updateRotaNotification, sendAssigneeDms, sendAssigneeEmails, getRotaLocale } = require('../services/assignmentService');
+const { getUpcomingSchedule, MAX_FORECAST_LENGTH } = require('../services/forecastService');
+const { getSlackClient } = require('../services/slackClient');
+const { getLocalDateString } = require('../utils/timezoneHelper');
+const { isValidDateString } = require('../utils/blackoutHelper');
+const { getAssigneeSlots } = require('../utils/rotationHelper');
+const { logger } = require('../utils/logger');
+const { DEFAULT_LOCALE, formatTurnDate, t } = require('../utils/i18n');
+
+// Answer to a swap request that is no longer pending
+const CLOSED_STATUS_KEYS = {
+  accepting: 'swap.alreadyAccepting',
+  accepted: 'swap.alreadyAccepted',
+  declined: 'swap.alreadyDeclined',
+  cancelled: 'swap.alreadyCancelled',
+  expired: 'swap.alreadyExpired'
+};
+
+/**
+ * Get the date (in the rota's timezone) of the shift an assignment covers
+ */
+function getAssignmentDate(assignment, timezone) {
+  return getLocalDateString(assignment.coverageStart || assignment.assignedDate, timezone);
+}
+
+/**
+ * Find who holds the turn on a date
+ * The shift currently on duty is backed by an assignment; later turns come from
+ * the forecast.
+ * @param {Object} rota - Rota document
+ * @param {string} dateString - Date in the rota's timezone (YYYY-MM-DD)
+ * @returns {Promise<Object|null>} { userId, assignment, entry } or null if nobody is scheduled
+ */
+async function getTurnOwner(rota, dateString, workspace, now = new Date()) {
+  const rotaTz = rota.schedule.timezone || 'UTC';
+
+  const current = await getCurrentAssignment(rota._id, rotaTz, now);
+  if (current && getAssignmentDate(current, rotaTz) === dateString) {
+    return { userId: current.userId, assignment: current, entry: null };
+  }
+
+  const entries = await getUpcomingSchedule(rota, { count: MAX_FORECAST_LENGTH, workspace, now });
+  const entry = entries.find(candidate => candidate.date === dateString && !candidate.skipped);
+
+  return entry ? { userId: entry.userId, assignment: null, entry } : null;
+}
+
+/**
+ * List a member's turns that can still be swapped, soonest first
+ * @returns {Promise<Array>} [{ date, at }]
+ */
+async function getUpcomingTurns(rota, userId, now = new Date()) {
+  const rotaTz = rota.schedule.timezone || 'UTC';
+  const turns = [];
+
+  const current = await getCurrentAssignment(rota._id, rotaTz, now);
+  if (current && current.userId === userId) {
+    turns.push({
+      date: getAssignmentDate(current, rotaTz),
+      at: current.coverageStart || current.assignedDate
+    });
+  }
+
+  const entries = await getUpcomingSchedule(rota, { count: MAX_FORECAST_LENGTH, now });
+  entries
+    .filter(entry => !entry.skipped && entry.userId === userId && entry.reason !== 'override')
+    .forEach(entry => turns.push({ date: entry.date, at: entry.at }));
+
+  return turns;
+}
+
+/**
+ * Check that both turns of a swap are still held by the expected members
+ * @param {string} locale - Language of the error messages
+ * @returns {Promise<Object>} { requesterTurn, targetTurn }
+ */
+async function resolveSwapTurns(rota, { requesterId, requesterDate, targetUserId, targetDate }, locale) {
+  const workspace = await Workspace.findOne({ teamId: rota.workspaceId });
+
+  const requesterTurn = await getTurnOwner(rota, requesterDate, workspace);
+  if (!requesterTurn || requesterTurn.userId !== requesterId) {
+    throw new Error(t(locale, 'swap.requesterNotScheduled', { date: formatTurnDate(requesterDate, locale) }));
+  }
+
+  const targetTurn = await getTurnOwner(rota, targetDate, workspace);
+  if (!targetTurn || targetTurn.userId !== targetUserId) {
+    throw new Error(t(locale, 'swap.targetNotScheduled', { date: formatTurnDate(targetDate, locale) }));
+  }
+
+  // Planned overrides are managed from the rota details, not swapped
+  if (requesterTurn.entry?.reason === 'override' || targetTurn.entry?.reason === 'override') {
+    throw new Error(t(locale, 'swap.plannedOverride'));
+  }
+
+  return { requesterTurn, targetTurn };
+}
+
+/**
+ * Build the DM asking the colleague to accept or decline
+ */
+function buildSwapRequestBlocks(swapRequest, rotaName, locale) {
+  const blocks = [
+    {
+      type: 'section',
+      text: {
+        type: 'mrkdwn',
+        text: t(locale, 'swap.requestText', {
+          requester: `<@${swapRequest.requesterId}>`,
+          rotaName,
+          requesterDate: formatTurnDate(swapRequest.requesterDate, locale),
+          targetDate: formatTurnDate(swapRequest.targetDate, locale)
+        })
+      }
+    }
+  ];
+
+  if (swapRequest.note) {
+    blocks.push({
+      type: 'context',
+      elements: [
+        {
+          type: 'mrkdwn',
+          text: `> ${swapRequest.note}`
+        }
+      ]
+    });
+  }
+
+  blocks.push({
+    type: 'actions',
+    elements: [
+      {
+        type: 'button',
+        text: {
+          type: 'plain_text',
+          text: t(locale, 'swap.accept'),
+          emoji: true
+        },
+        style: 'primary',
+        action_id: `swap_accept_${swapRequest._id}`,
+        value: swapRequest._id.toString()
+      },
+      {
+        type: 'button',
+        text: {
+          type: 'plain_text',
+          text: t(locale, 'swap.decline'),
+          emoji: true
+        },
+        style: 'danger',
+        action_id: `swap_decline_${swapRequest._id}`,
+        value: swapRequest._id.toString()
+      }
+    ]
+  });
+
+  return blocks;
+}
+
+/**
+ * Create a swap request and DM the colleague
+ */
+async function createSwapRequest(rotaId, workspaceId, { requesterId, requesterDate, targetUserId, targetDate, note }) {
+  const rota = await getRotaById(rotaId, workspaceId);
+  const locale = await getRotaLocale(rota);
+
+  if (getAssigneeSlots(rota).length > 1) {
+    throw new Error(t(locale, 'swap.multipleAssignees'));
+  }
+
+  if (!isValidDateString(requesterDate) || !isValidDateString(targetDate)) {
+    throw new Error(t(locale, 'swap.pickBothTurns'));
+  }
+
+  if (!targetUserId || !rota.members.includes(targetUserId)) {
+    throw new Error(t(locale, 'swap.notMember'));
+  }
+
+  if (targetUserId === requesterId) {
+    throw new Error(t(locale, 'swap.pickColleague'));
+  }
+
+  if (requesterDate === targetDate) {
+    throw new Error(t(locale, 'swap.pickDifferentDates'));
+  }
+
+  await resolveSwapTurns(rota, { requesterId, requesterDate, targetUserId, targetDate }, locale);
+
+  // A new request for the same turn replaces the pending one
+  const pending = await SwapRequest.findOne({
+    rotaId: rota._id,
+    requesterId,
+    requesterDate,
+    status: 'pending'
+  });
+
+  const swapRequest = new SwapRequest({
+    rotaId: rota._id,
+    workspaceId,
+    requesterId,
+    requesterDate,
+    targetUserId,
+    targetDate,
+    note: note || null
+  });
+
+  // DM first, so a failed DM leaves no pending request behind
+  const client = await getSlackClient(workspaceId);
+  let result;
+  try {
+    result = await client.chatPostMessage(
+      targetUserId,
+      t(locale, 'swap.requestFallback', { requester: `<@${requesterId}>`, rotaName: rota.name }),
+      buildSwapRequestBlocks(swapRequest, rota.name, locale)
+    );
+  } catch (error) {
+    logger.error('Error sending swap request DM', {
+      error: error.message,
+      rotaId: rota._id,
+      requesterId,
+      targetUserId
+    });
+    throw new Error(t(locale, 'swap.dmFailed', { user: `<@${targetUserId}>` }));
+  }
+
+  swapRequest.dmChannelId = result.channel;
+  swapRequest.dmTs = result.ts;
+  await swapRequest.save();
+
+  if (pending) {
+    await cancelSwapRequest(client, pending, rota.name, t(locale, 'swap.replaced', { user: `<@${requesterId}>` }), locale);
+  }
+
+  logger.info('Created swap request', {
+    swapRequestId: swapRequest._id,
+    rotaId: rota._id,
+    requesterId,
+    requesterDate,
+    targetUserId,
+    targetDate
+  });
+
+  return swapRequest;
+}
+
+/**
+ * Give a turn to another member
+ * Shifts already on duty are reassigned and their channel message (and DM) updated;
+ * future turns become swap overrides, applied by the scheduler.
+ */
+async function reassignTurn(rota, turn, date, toUserId, fromUserId, swapRequest, locale) {
+  if (turn.assignment) {
+    const assignment = turn.assignment;
+    const previousDm = assignment.dmTs ? { channelId: assignment.dmChannelId, ts: assignment.dmTs } : null;
+    assignment.userId = toUserId;
+    assignment.swappedFromUserId = fromUserId;
+    assignment.swapRequestId = swapRequest._id;
+    assignment.dmChannelId = null;
+    assignment.dmTs = null;
+    await assignment.save();
+
+    // The notification DM moves to the colleague
+    if (previousDm) {
+      const client = await getSlackClient(rota.workspaceId);
+      await client.chatUpdate(previousDm.channelId, previousDm.ts, t(locale, 'swap.coveringForYou', { user: `<@${toUserId}>` }), [
+        {
+          type: 'section',
+          text: {
+            type: 'mrkdwn',
+            text: t(locale, 'swap.coveringYourShift', { user: `<@${toUserId}>`, rotaName: rota.name })
+          }
+        }
+      ]).catch((error) => {
+        logger.warn('Error updating swapped DM', { error: error.message, assignmentId: assignment._id });
+      });
+      await sendAssigneeDms(rota, [assignment]);
+    }
+
+    await updateRotaNotification(rota.workspaceId, assignment, rota, [
+      t(locale, 'swap.coveringFor', { user: `<@${toUserId}>`, fromUser: `<@${fromUserId}>` })
+    ]).catch((error) => {
+      logger.error('Error updating swapped message', {
+        error: error.message,
+        assignmentId: assignment._id
+      });
+    });
+    await sendAssigneeEmails(rota, [assignment]);
+    return;
+  }
+
+  rota.overrides = [
+    ...(rota.overrides || []).filter(override => override.date !== date),
+    {
+      date,
+      userId: toUserId,
+      createdBy: swapRequest.requesterId,
+      createdAt: new Date(),
+      swapRequestId: swapRequest._id,
+      originalUserId: fromUserId
+    }
+  ].sort((a, b) => a.date.localeCompare(b.date));
+}
+
+/**
+ * Exchange both turns of an accepted swap
+ */
+async function applySwap(swapRequest) {
+  const rota = await Rota.findById(swapRequest.rotaId);
+  if (!rota) {
+    throw new Error(t(await getWorkspaceLocale(swapRequest.workspaceId), 'swap.rotaNotFound'));
+  }
+
+  const locale = await getRotaLocale(rota);
+  const { requesterTurn, targetTurn } = await resolveSwapTurns(rota, swapRequest, locale);
+
+  await reassignTurn(rota, requesterTurn, swapRequest.requesterDate, swapRequest.targetUserId, swapRequest.requesterId, swapRequest, locale);
+  await reassignTurn(rota, targetTurn, swapRequest.targetDate, swapRequest.requesterId, swapRequest.targetUserId, swapRequest, locale);
+  await rota.save();
+
+  return rota;
+}
+
+/**
+ * Replace the Accept/Decline DM with the outcome
+ */
+async function updateSwapRequestMessage(client, swapRequest, rotaName, outcome, locale) {
+  if (!swapRequest.dmChannelId || !swapRequest.dmTs) {
+    return;
+  }
+
+  await client.chatUpdate(
+    swapRequest.dmChannelId,
+    swapRequest.dmTs,
+    `${outcome} ${rotaName}`,
+    [
+      {
+        type: 'section',
+        text: {
+          type: 'mrkdwn',
+          text: t(locale, 'swap.summary', {
+            rotaName,
+            requester: `<@${swapRequest.requesterId}>`,
+            requesterDate: formatTurnDate(swapRequest.requesterDate, locale),
+            targetDate: formatTurnDate(swapRequest.targetDate, locale)
+          })
+        }
+      },
+      {
+        type: 'context',
+        elements: [
+          {
+            type: 'mrkdwn',
+            text: outcome
+          }
+        ]
+      }
+    ]
+  ).catch((error) => {
+    logger.error('Error updating swap request message', {
+      error: error.message,
+      swapRequestId: swapRequest._id
+    });
+  });
+}
+
+/**
+ * Cancel a pending swap request and update the colleague's DM
+ * Does nothing if it was answered in the meantime.
+ */
+async function cancelSwapRequest(client, swapRequest, rotaName, outcome, locale) {
+  const cancelled = await SwapRequest.findOneAndUpdate(
+    { _id: swapRequest._id, status: 'pending' },
+    { $set: { status: 'cancelled', respondedAt: new Date() } },
+    { new: true }
+  );
+  if (!cancelled) {
+    return;
+  }
+
+  await updateSwapRequestMessage(client, cancelled, rotaName, outcome, locale);
+
+  logger.info('Swap request cancelled', { swapRequestId: cancelled._id });
+}
+
+/**
+ * Main handler for the Accept/Decline buttons on a swap request
+ */
+async function handleSwapResponse(payload) {
+  try {
+    const { actions, user, team } = payload;
+    const action = actions[0];
+    const accepted = action.action_id.startsWith('swap_accept_');
+    const swapRequestId = action.value;
+
+    logger.info('Handling swap response', {
+      swapRequestId,
+      userId: user.id,
+      accepted
+    });
+
+    const found = await SwapRequest.findById(swapRequestId);
+    if (!found) {
+      return { success: false, error: t(await getWorkspaceLocale(team.id), 'swap.notFound') };
+    }
+
+    const rota = await Rota.findById(found.rotaId);
+    const locale = rota ? await getRotaLocale(rota) : await getWorkspaceLocale(found.workspaceId);
+    const rotaName = rota ? rota.name : t(locale, 'swap.deletedRota');
+
+    if (found.targetUserId !== user.id) {
+      return { success: false, error: t(locale, 'swap.notTarget') };
+    }
+
+    // Claim the request, so a double click or two answers at once only apply it once
+    const swapRequest = await SwapRequest.findOneAndUpdate(
+      { _id: found._id, status: 'pending' },
+      { $set: { status: accepted ? 'accepting' : 'declined', respondedAt: new Date() } },
+      { new: true }
+    );
+    if (!swapRequest) {
+      const current = await SwapRequest.findById(found._id);
+      return { success: false, error: t(locale, current ? CLOSED_STATUS_KEYS[current.status] : 'swap.notFound') };
+    }
+
+    const client = await getSlackClient(swapRequest.workspaceId);
+
+    let outcome;
+    if (!accepted) {
+      outcome = t(locale, 'swap.declinedBy', { user: `<@${user.id}>` });
+    } else {
+      try {
+        await applySwap(swapRequest);
+        swapRequest.status = 'accepted';
+        outcome = t(locale, 'swap.acceptedBy', { user: `<@${user.id}>` });
+      } catch (error) {
+        // The schedule changed since the request was made
+        swapRequest.status = 'expired';
+        outcome = t(locale, 'swap.couldNotSwap', { error: error.message });
+      }
+      await swapRequest.save();
+    }
+
+    await updateSwapRequestMessage(client, swapRequest, rotaName, outcome, locale);
+    await client.chatPostMessage(
+      swapRequest.requesterId,
+      t(locale, 'swap.requesterNotice', {
+        rotaName,
+        user: `<@${swapRequest.targetUserId}>`,
+        requesterDate: formatTurnDate(swapRequest.requesterDate, locale),
+        targetDate: formatTurnDate(swapRequest.targetDate, locale),
+        outcome
+      })
+    ).catch((error) => {
+      logger.error('Error notifying swap requester', {
+        error: error.message,
+        swapRequestId: swapRequest._id
+      });
+    });
+
+    logger.info('Swap request answered', {
+      swapRequestId: swapRequest._id,
+      status: swapRequest.status
+    });
+
+    return { success: true, status: swapRequest.status };
+  } catch (error) {
+    logger.error('Error handling swap response', {
+      error: error.message,
+      stack: error.stack
+    });
+    return {
+      success: false,
+      error: t(await getWorkspaceLocale(payload.team?.id).catch(() => DEFAULT_LOCALE), 'swap.answerFailed')
+    };
+  }
+}
+
+module.exports = {
+  getTurnOwner,
+  getUpcomingTurns,
+  createSwapRequest,
+  applySwap,
+  handleSwapResponse
+};
@@ -0,0 +1,48 @@
+const Workspace = require('../models/Workspace');
+const { isSupportedLocale, resolveLocale } = require('../utils/i18n');
+
+/**
+ * Get an active workspace
+ */
+async function getWorkspace(teamId) {
+  const workspace = await Workspace.findOne({ teamId, isActive: true });
+
+  if (!workspace) {
+    throw new Error('Workspace not found');
+  }
+
+  return workspace;
+}
+
+/**
+ * Get the language of a workspace, for messages not tied to a rota
+ * @returns {Promise<string>} Locale code, the default for unknown workspaces
+ */
+async function getWorkspaceLocale(teamId) {
+  const workspace = await Workspace.findOne({ teamId }, { locale: 1 });
+  return resolveLocale(null, workspace);
+}
+
+/**
+ * Set the workspace language, used by the Home tab and by rotas without their own
+ */
+async function updateWorkspaceLocale(teamId, locale) {
+  if (!isSupportedLocale(locale)) {
+    throw new Error('Unsupported language');
+  }
+
+  const workspace = await getWorkspace(teamId);
+
+  workspace.locale = locale;
+  await workspace.save();
+
+  console.log(`✓ Updated workspace language: ${locale} in ${teamId}`);
+
+  return workspace;
+}
+
+module.exports = {
+  getWorkspace,
+  getWorkspaceLocale,
+  updateWorkspaceLocale
+};
@@ -161,6 +161,18 @@ app.post('/admin/scheduler/retry', async (req, res) => {
   }
 });
 
+app.post('/admin/scheduler/sync-members', async (req, res) => {
+  try {
+    const { syncAllRotaMembers } = require('./services/memberSyncService');
+    logger.info('Manual member sync triggered');
+    const results = await syncAllRotaMembers();
+    res.json({ success: true, results });
+  } catch (error) {
+    logger.error('Error in manual member sync', { error: error.message });
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // Slack error handler
 app.use(handleSlackError);
 
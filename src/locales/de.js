@@ -0,0 +1,188 @@
+// German messages; missing keys fall back to English (see en.js)
+module.exports = {
+  // Rota notifications (channel and DM)
+  'notification.assigned': 'Zuständig',
+  'notification.assigneeNumber': 'Zuständig {number}',
+  'notification.thisAssignee': 'Die zuständige Person',
+  'notification.awayAllMembers': '⚠️ {who} scheint abwesend zu sein, und laut Slack-Status sind gerade alle Mitglieder des Dienstplans abwesend.',
+  'notification.awaySuggestion': '⚠️ {who} scheint abwesend zu sein. Vorschlag für die nächste Person: {suggested}. Mit {skipButton} neu zuweisen.',
+  'notification.acknowledged': '✅ {user} kümmert sich darum (bestätigt {time})',
+  'notification.acknowledge': '👍 Ich kümmere mich',
+  'notification.acknowledgeFor': '👍 Ich kümmere mich ({label})',
+  'notification.skipPerson': '⏭️ Person überspringen',
+  'notification.skipFor': '⏭️ {label} überspringen',
+  'notification.requestSwap': '🔁 Tausch anfragen',
+  'notification.viewPost': 'Beitrag in {channel} ansehen',
+  'notification.rotaChannel': 'Channel des Dienstplans: {channel}',
+
+  // Test notification sent from the Home tab or the edit modal
+  'test.intro': '🧪 Testbenachrichtigung für *{rotaName}* mit {assignees} als Beispiel. Niemand wurde eingeteilt und die Buttons fehlen.',
+  'test.failed': 'Die Testbenachrichtigung für *{rotaName}* konnte nicht gesendet werden: {error}',
+
+  // Email copy of notifications and reminders
+  'email.footer': 'Gesendet von Vibe Rotas. Öffne Slack, um einen Termin zu bestätigen, zu überspringen oder zu tauschen.',
+
+  // Skips
+  'skip.skippedBy': '⏭️ Übersprungen von {user} am {time}',
+  'skip.takesOver': '⏭️ {skippedUser} wurde von {user} übersprungen; {newUser} übernimmt',
+  'skip.takesOverAs': '⏭️ {skippedUser} wurde von {user} übersprungen; {newUser} übernimmt als {role}',
+  'skip.nowOnDuty': '📅 {rotaName}: {newUser} du bist jetzt dran und vertrittst {skippedUser}',
+  'skip.nowOnDutyAs': '📅 {rotaName}: {newUser} du bist jetzt als {role} dran und vertrittst {skippedUser}',
+  'skip.notFound': 'Zuweisung nicht gefunden',
+  'skip.rotaNotFound': 'Dienstplan nicht gefunden',
+  'skip.alreadySkipped': 'Diese Zuweisung wurde bereits übersprungen',
+  'skip.onlyOneMember': 'Überspringen ist nicht möglich, wenn der Dienstplan nur ein Mitglied hat',
+  'skip.allSkipped': 'Überspringen nicht möglich: alle anderen Mitglieder wurden bereits übersprungen ({count}/{max})',
+  'skip.everyoneAssigned': 'Überspringen nicht möglich: alle Mitglieder haben diesen Dienst bereits oder haben ihn übersprungen',
+  'skip.validationFailed': 'Fehler beim Prüfen der Anfrage zum Überspringen',
+  'skip.failed': 'Überspringen fehlgeschlagen. Bitte versuche es erneut.',
+
+  // Reminders to acknowledge a shift
+  'escalation.subject': '⏰ Bitte bestätige deinen Dienst für {rotaName}',
+  'escalation.text': '⏰ Du hast Dienst für *{rotaName}* in {channel}, aber der Dienst wurde noch nicht bestätigt.',
+  'escalation.followUp': '⏰ {user} hat den Dienst für *{rotaName}* noch nicht bestätigt. {contact}, kannst du nachhaken oder übernehmen?',
+  'acknowledge.thanks': '✅ Danke, dein Dienst ist bestätigt.',
+  'acknowledge.thanksIn': '✅ Danke, dein Dienst in {channel} ist bestätigt.',
+  'acknowledge.notFound': 'Zuweisung nicht gefunden',
+  'acknowledge.skipped': 'Dieser Dienst wurde übersprungen und neu vergeben',
+  'acknowledge.notAssignee': 'Nur die eingeteilte Person kann diesen Dienst bestätigen',
+  'acknowledge.failed': 'Bestätigen fehlgeschlagen. Bitte versuche es erneut.',
+
+  // Shift swaps
+  'swap.requestText': '🔁 {requester} möchte bei *{rotaName}* Termine tauschen:\n• Du übernimmst den Termin am *{requesterDate}*\n• Dafür wird dein Termin am *{targetDate}* übernommen',
+  'swap.requestFallback': '🔁 {requester} möchte bei {rotaName} Termine tauschen',
+  'swap.accept': 'Annehmen',
+  'swap.decline': 'Ablehnen',
+  'swap.summary': '🔁 Tausch bei *{rotaName}* mit {requester}: {requesterDate} ↔ {targetDate}',
+  'swap.acceptedBy': '✅ Angenommen von {user}',
+  'swap.declinedBy': '❌ Abgelehnt von {user}',
+  'swap.couldNotSwap': '⚠️ Tausch nicht möglich: {error}',
+  'swap.replaced': '🚫 Ersetzt durch eine neue Anfrage von {user}',
+  'swap.requesterNotice': '🔁 Deine Tauschanfrage bei {rotaName} mit {user} ({requesterDate} ↔ {targetDate}): {outcome}',
+  'swap.coveringForYou': '🔁 Getauscht: {user} übernimmt für dich',
+  'swap.coveringYourShift': '🔁 Getauscht: {user} übernimmt deinen Dienst für *{rotaName}*.',
+  'swap.coveringFor': '🔁 Getauscht: {user} übernimmt für {fromUser}',
+  'swap.deletedRota': 'einem gelöschten Dienstplan',
+  'swap.multipleAssignees': 'Tauschen ist nur bei Dienstplänen mit einer Person pro Termin möglich',
+  'swap.pickBothTurns': 'Wähle beide Termine für den Tausch',
+  'swap.notMember': 'Du kannst nur mit Mitgliedern dieses Dienstplans tauschen',
+  'swap.pickColleague': 'Wähle eine andere Person als dich selbst',
+  'swap.pickDifferentDates': 'Wähle zwei verschiedene Daten',
+  'swap.requesterNotScheduled': 'Die anfragende Person ist am {date} nicht mehr eingeteilt',
+  'swap.targetNotScheduled': 'Die andere Person ist am {date} nicht eingeteilt',
+  'swap.plannedOverride': 'Für eines dieser Daten ist eine Vertretung geplant; ändere sie in den Details des Dienstplans',
+  'swap.dmFailed': '{user} konnte nicht wegen des Tauschs benachrichtigt werden. Bitte versuche es erneut.',
+  'swap.notFound': 'Tauschanfrage nicht gefunden',
+  'swap.rotaNotFound': 'Dienstplan nicht gefunden',
+  'swap.notTarget': 'Nur die angefragte Person kann diese Tauschanfrage beantworten',
+  'swap.alreadyAccepted': 'Diese Tauschanfrage wurde bereits angenommen',
+  'swap.alreadyAccepting': 'Diese Tauschanfrage wird bereits angenommen',
+  'swap.alreadyDeclined': 'Diese Tauschanfrage wurde bereits abgelehnt',
+  'swap.alreadyCancelled': 'Diese Tauschanfrage wurde zurückgezogen',
+  'swap.alreadyExpired': 'Diese Tauschanfrage ist abgelaufen',
+  'swap.answerFailed': 'Die Tauschanfrage konnte nicht beantwortet werden. Bitte versuche es erneut.',
+  'swap.onlyAssignee': 'Nur die aktuell eingeteilte Person kann für diesen Dienst einen Tausch anfragen',
+  'swap.noLongerScheduled': 'Du bist an diesem Datum nicht mehr eingeteilt',
+  'swap.noUpcomingTurns': 'Du hast keine anstehenden Termine bei *{rotaName}*',
+
+  // Roster changes synced from a user group or channel
+  'roster.updated': '👥 Die Mitglieder von *{rotaName}* wurden aus {source} aktualisiert: {changes}.',
+  'roster.fromChannel': 'den Mitgliedern von {channel}',
+  'roster.fromUserGroup': 'der verknüpften Benutzergruppe',
+  'roster.added': 'hinzugefügt: {users}',
+  'roster.removed': 'entfernt: {users}',
+
+  // Heads-up DM before a turn
+  'advanceNotice.text': '⏰ Vorankündigung: Du bist am {date} für *{rotaName}* in {channel} eingeteilt.',
+  'advanceNotice.textAs': '⏰ Vorankündigung: Du bist am {date} für *{rotaName}* in {channel} als *{role}* eingeteilt.',
+  'advanceNotice.fallback': '⏰ Vorankündigung: Du bist am {date} für {rotaName} eingeteilt',
+  'advanceNotice.dateFormat': '{date_short_pretty} um {time}',
+  'advanceNotice.hint': 'Du kannst nicht? Überspringe diesen Termin oder tausche ihn mit jemandem.',
+  'advanceNotice.skip': '⏭️ Termin überspringen',
+  'advanceNotice.skipConfirmTitle': 'Termin überspringen?',
+  'advanceNotice.skipConfirmText': 'Die nächste verfügbare Person übernimmt den {date} und du behältst deinen Platz für den folgenden Termin.',
+  'advanceNotice.skipConfirm': 'Überspringen',
+  'advanceNotice.cancel': 'Abbrechen',
+  'advanceNotice.skipped': '⏭️ Du hast deinen Termin für *{rotaName}* am {date} übersprungen. Du behältst deinen Platz für den nächsten Termin.',
+  'advanceNotice.skippedCoveredBy': '⏭️ Du hast deinen Termin für *{rotaName}* am {date} übersprungen. {users} übernimmt. Du behältst deinen Platz für den nächsten Termin.',
+  'advanceNotice.skippedFallback': '⏭️ Du hast deinen Termin für {rotaName} übersprungen',
+  'advanceNotice.noLongerScheduled': 'Du bist am {date} nicht mehr eingeteilt',
+  'advanceNotice.plannedOverride': 'Dieser Termin wurde als Vertretung oder Tausch geplant; ändere ihn in den Details des Dienstplans',
+  'advanceNotice.nobodyAvailable': 'Am {date} ist niemand sonst verfügbar',
+
+  // Weekly digest posted to a channel
+  'digest.title': '📋 *Dienstpläne dieser Woche* ({from} – {to})',
+  'digest.fallback': '📋 Dienstpläne dieser Woche ({from} – {to})',
+  'digest.hint': 'Du kannst einen Termin nicht wahrnehmen? Frag mit {swapButton} jemanden, ob er ihn übernimmt.',
+  'digest.onDuty': 'Jetzt zuständig: {assignees}',
+  'digest.onDutyUntil': 'Jetzt zuständig: {assignees} bis {date}',
+  'digest.blackout': 'Sperrtag',
+  'digest.noTurns': 'Diese Woche keine Termine',
+  'digest.more': '…und {count} weitere Dienstpläne',
+
+  // Recurrence and rotation strategy descriptions
+  'recurrence.daily': 'Täglich',
+  'recurrence.weekly': 'Wöchentlich',
+  'recurrence.biweekly': 'Alle 2 Wochen',
+  'recurrence.monthly': 'Monatlich',
+  'recurrence.everyDay': 'Jeden Tag',
+  'recurrence.everyDays': 'Alle {count} Tage',
+  'recurrence.everyWeek': 'Jede Woche',
+  'recurrence.everyWeeks': 'Alle {count} Wochen',
+  'recurrence.everyMonth': 'Jeden Monat',
+  'recurrence.everyMonths': 'Alle {count} Monate',
+  'recurrence.onDays': '{every}: {days}',
+  'recurrence.onPosition': '{every} am {position} {days}',
+  'recurrence.first': 'ersten',
+  'recurrence.second': 'zweiten',
+  'recurrence.third': 'dritten',
+  'recurrence.fourth': 'vierten',
+  'recurrence.last': 'letzten',
+  'recurrence.monToFri': 'Mo-Fr',
+  'strategy.roundRobin': 'Reihum',
+  'strategy.leastServed': 'Am längsten nicht dran ({days} Tage)',
+  'strategy.shuffled': 'Jede Runde neu gemischt',
+
+  // Home tab
+  'home.intro': 'Verwalte die Dienstpläne deines Teams mit automatischer Rotation.',
+  'home.noRotas': ':information_source: *Noch keine Dienstpläne*\n\nLege deinen ersten Dienstplan an. Klicke dazu auf den Button unten!',
+  'home.yourRotas': '*Deine Dienstpläne* ({count})',
+  'home.members': '{count} Mitglieder',
+  'home.syncedFromUserGroup': 'aus einer Benutzergruppe synchronisiert',
+  'home.syncedFromChannel': 'aus {channel} synchronisiert',
+  'home.weekdaysOnly': 'Nur Werktage',
+  'home.current': 'Aktuell: {assignees}',
+  'home.until': 'bis {date}',
+  'home.swappedWith': 'getauscht mit {user}',
+  'home.memberSyncFailed': 'Mitglieder-Synchronisierung fehlgeschlagen: {error}',
+  'home.linkedTo': 'Verknüpft mit {group}',
+  'home.linkedUserGroupFailed': 'Konnte nicht aktualisiert werden: {error}',
+  'home.messageTemplate': 'Nachrichtenvorlage: {name}',
+  'home.channelTopicFailed': 'Channel-Thema konnte nicht aktualisiert werden: {error}',
+  'home.channelBookmarkFailed': 'Channel-Lesezeichen konnte nicht aktualisiert werden: {error}',
+  'home.nextRotation': 'Nächste Rotation: {date}',
+  'home.notScheduled': 'Nicht geplant',
+  'home.blackoutDate': '{count} Sperrtag',
+  'home.blackoutDates': '{count} Sperrtage',
+  'home.blackoutMoved': 'auf den nächsten Werktag verschoben',
+  'home.blackoutSkipped': 'ausgelassen',
+  'home.edit': 'Bearbeiten',
+  'home.details': 'Details & Vertretungen',
+  'home.viewSchedule': 'Zeitplan ansehen',
+  'home.sendTest': 'Test senden',
+  'home.delete': 'Löschen',
+  'home.createRota': '➕ Neuer Dienstplan',
+  'home.holidayCalendar': '🗓️ Feiertagskalender',
+  'home.language': 'Sprache',
+  'home.messageTemplates': '*Nachrichtenvorlagen* ({count})',
+  'home.messageTemplatesHint': 'Wiederverwendbare Nachrichten, z. B. ein Runbook. Dienstpläne mit einer Vorlage zeigen immer deren neueste Version.',
+  'home.usedBy': 'Verwendet von {rotas}',
+  'home.notUsed': '_Von keinem Dienstplan verwendet_',
+  'home.newTemplate': '➕ Neue Vorlage',
+  'home.digests': '*Wochenübersichten* ({count})',
+  'home.digestsHint': 'Ein wöchentlicher Beitrag, wer in den nächsten 7 Tagen zuständig ist, mit Buttons für Tauschanfragen.',
+  'home.digestChannelRotas': 'Dienstpläne, die in diesem Channel posten',
+  'home.digestAllRotas': 'Alle Dienstpläne',
+  'home.digestFailed': 'Die letzte Übersicht konnte nicht gepostet werden: {error}',
+  'home.newDigest': '➕ Neue Übersicht'
+};
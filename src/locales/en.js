@@ -0,0 +1,190 @@
+// English messages, the reference catalog: every key used in the code is
+// defined here, other languages fall back to it for missing keys.
+// {name} placeholders are filled in by t(); others are left untouched.
+module.exports = {
+  // Rota notifications (channel and DM)
+  'notification.assigned': 'Assigned',
+  'notification.assigneeNumber': 'Assignee {number}',
+  'notification.thisAssignee': 'This assignee',
+  'notification.awayAllMembers': '⚠️ {who} appears to be away, and all rota members currently look away in Slack status.',
+  'notification.awaySuggestion': '⚠️ {who} appears to be away. Suggested next person: {suggested}. Use {skipButton} to reassign.',
+  'notification.acknowledged': '✅ {user} is on it (acknowledged {time})',
+  'notification.acknowledge': '👍 I\'m on it',
+  'notification.acknowledgeFor': '👍 I\'m on it ({label})',
+  'notification.skipPerson': '⏭️ Skip Person',
+  'notification.skipFor': '⏭️ Skip {label}',
+  'notification.requestSwap': '🔁 Request Swap',
+  'notification.viewPost': 'View the post in {channel}',
+  'notification.rotaChannel': 'Rota channel: {channel}',
+
+  // Test notification sent from the Home tab or the edit modal
+  'test.intro': '🧪 Test notification for *{rotaName}*, with {assignees} as sample assignee(s). Nobody was assigned and the buttons are left out.',
+  'test.failed': 'Could not send the test notification for *{rotaName}*: {error}',
+
+  // Email copy of notifications and reminders
+  'email.footer': 'Sent by Vibe Rotas. Open Slack to acknowledge, skip or swap a turn.',
+
+  // Skips
+  'skip.skippedBy': '⏭️ Skipped by {user} on {time}',
+  'skip.takesOver': '⏭️ {skippedUser} was skipped by {user}; {newUser} takes over',
+  'skip.takesOverAs': '⏭️ {skippedUser} was skipped by {user}; {newUser} takes over as {role}',
+  'skip.nowOnDuty': '📅 {rotaName}: {newUser} you\'re now on duty, replacing {skippedUser}',
+  'skip.nowOnDutyAs': '📅 {rotaName}: {newUser} you\'re now on duty as {role}, replacing {skippedUser}',
+  'skip.notFound': 'Assignment not found',
+  'skip.rotaNotFound': 'Rota not found',
+  'skip.alreadySkipped': 'This assignment has already been skipped',
+  'skip.onlyOneMember': 'Cannot skip when rota has only one member',
+  'skip.allSkipped': 'Cannot skip: all other members have been skipped ({count}/{max})',
+  'skip.everyoneAssigned': 'Cannot skip: every member already has or skipped this shift',
+  'skip.validationFailed': 'Error validating skip request',
+  'skip.failed': 'Failed to skip person. Please try again.',
+
+  // Reminders to acknowledge a shift
+  'escalation.subject': '⏰ Please acknowledge your {rotaName} shift',
+  'escalation.text': '⏰ You\'re on duty for *{rotaName}* in {channel}, but the shift hasn\'t been acknowledged yet.',
+  'escalation.followUp': '⏰ {user} hasn\'t acknowledged the *{rotaName}* shift yet. {contact}, can you follow up or cover?',
+  'acknowledge.thanks': '✅ Thanks, your shift is acknowledged.',
+  'acknowledge.thanksIn': '✅ Thanks, your shift in {channel} is acknowledged.',
+  'acknowledge.notFound': 'Assignment not found',
+  'acknowledge.skipped': 'This shift was skipped and reassigned',
+  'acknowledge.notAssignee': 'Only the assigned person can acknowledge this shift',
+  'acknowledge.failed': 'Failed to acknowledge. Please try again.',
+
+  // Shift swaps
+  'swap.requestText': '🔁 {requester} would like to swap turns on *{rotaName}*:\n• You take their turn on *{requesterDate}*\n• They take your turn on *{targetDate}*',
+  'swap.requestFallback': '🔁 {requester} would like to swap turns on {rotaName}',
+  'swap.accept': 'Accept',
+  'swap.decline': 'Decline',
+  'swap.summary': '🔁 Swap on *{rotaName}* with {requester}: {requesterDate} ↔ {targetDate}',
+  'swap.acceptedBy': '✅ Accepted by {user}',
+  'swap.declinedBy': '❌ Declined by {user}',
+  'swap.couldNotSwap': '⚠️ Could not swap: {error}',
+  'swap.replaced': '🚫 Replaced by a new request from {user}',
+  'swap.requesterNotice': '🔁 Your swap request on {rotaName} with {user} ({requesterDate} ↔ {targetDate}): {outcome}',
+  'swap.coveringForYou': '🔁 Swapped: {user} is covering for you',
+  'swap.coveringYourShift': '🔁 Swapped: {user} is covering your *{rotaName}* shift.',
+  'swap.coveringFor': '🔁 Swapped: {user} is covering for {fromUser}',
+  'swap.deletedRota': 'a deleted rota',
+  'swap.multipleAssignees': 'Swaps are only available on rotas with one assignee per turn',
+  'swap.pickBothTurns': 'Pick both turns for the swap',
+  'swap.notMember': 'You can only swap with a member of this rota',
+  'swap.pickColleague': 'Pick a colleague other than yourself',
+  'swap.pickDifferentDates': 'Pick two different dates',
+  'swap.requesterNotScheduled': 'The requester is no longer scheduled on {date}',
+  'swap.targetNotScheduled': 'The colleague is not scheduled on {date}',
+  'swap.plannedOverride': 'One of these dates has a planned override; change it from the rota details instead',
+  'swap.dmFailed': 'Could not message {user} about the swap. Please try again.',
+  'swap.notFound': 'Swap request not found',
+  'swap.rotaNotFound': 'Rota not found',
+  'swap.notTarget': 'Only the colleague who was asked can answer this swap request',
+  'swap.alreadyAccepted': 'This swap request was already accepted',
+  'swap.alreadyAccepting': 'This swap request is already being accepted',
+  'swap.alreadyDeclined': 'This swap request was already declined',
+  'swap.alreadyCancelled': 'This swap request was cancelled',
+  'swap.alreadyExpired': 'This swap request has expired',
+  'swap.answerFailed': 'Failed to answer the swap request. Please try again.',
+  'swap.onlyAssignee': 'Only the current assignee can request a swap for this shift',
+  'swap.noLongerScheduled': 'You are no longer scheduled on that date',
+  'swap.noUpcomingTurns': 'You have no upcoming turns in *{rotaName}*',
+
+  // Roster changes synced from a user group or channel
+  'roster.updated': '👥 The *{rotaName}* roster was updated from {source}: {changes}.',
+  'roster.fromChannel': 'the members of {channel}',
+  'roster.fromUserGroup': 'the linked user group',
+  'roster.added': 'added {users}',
+  'roster.removed': 'removed {users}',
+
+  // Heads-up DM before a turn; {date_short_pretty} and {time} are Slack date tokens
+  'advanceNotice.text': '⏰ Heads-up: you\'re on duty for *{rotaName}* in {channel} on {date}.',
+  'advanceNotice.textAs': '⏰ Heads-up: you\'re on duty for *{rotaName}* in {channel} as *{role}* on {date}.',
+  'advanceNotice.fallback': '⏰ Heads-up: you\'re on duty for {rotaName} on {date}',
+  'advanceNotice.dateFormat': '{date_short_pretty} at {time}',
+  'advanceNotice.hint': 'Can\'t make it? Skip this turn or swap it with a colleague.',
+  'advanceNotice.skip': '⏭️ Skip this turn',
+  'advanceNotice.skipConfirmTitle': 'Skip this turn?',
+  'advanceNotice.skipConfirmText': 'The next available member covers {date} and you keep your place for the following turn.',
+  'advanceNotice.skipConfirm': 'Skip',
+  'advanceNotice.cancel': 'Cancel',
+  'advanceNotice.skipped': '⏭️ You skipped your *{rotaName}* turn on {date}. You keep your place for the next turn.',
+  'advanceNotice.skippedCoveredBy': '⏭️ You skipped your *{rotaName}* turn on {date}. {users} will cover it. You keep your place for the next turn.',
+  'advanceNotice.skippedFallback': '⏭️ You skipped your {rotaName} turn',
+  'advanceNotice.noLongerScheduled': 'You are no longer scheduled on {date}',
+  'advanceNotice.plannedOverride': 'This turn was planned as an override or swap; change it from the rota details instead',
+  'advanceNotice.nobodyAvailable': 'Nobody else is available on {date}',
+
+  // Weekly digest posted to a channel
+  'digest.title': '📋 *Rotas this week* ({from} – {to})',
+  'digest.fallback': '📋 Rotas this week ({from} – {to})',
+  'digest.hint': 'Can\'t make one of your turns? Use {swapButton} to ask a colleague to take it.',
+  'digest.onDuty': 'On duty now: {assignees}',
+  'digest.onDutyUntil': 'On duty now: {assignees} until {date}',
+  'digest.blackout': 'blackout',
+  'digest.noTurns': 'No turns this week',
+  'digest.more': '…and {count} more rotas',
+
+  // Recurrence and rotation strategy descriptions
+  'recurrence.daily': 'Daily',
+  'recurrence.weekly': 'Weekly',
+  'recurrence.biweekly': 'Every 2 weeks',
+  'recurrence.monthly': 'Monthly',
+  'recurrence.everyDay': 'Every day',
+  'recurrence.everyDays': 'Every {count} days',
+  'recurrence.everyWeek': 'Every week',
+  'recurrence.everyWeeks': 'Every {count} weeks',
+  'recurrence.everyMonth': 'Every month',
+  'recurrence.everyMonths': 'Every {count} months',
+  'recurrence.onDays': '{every} on {days}',
+  'recurrence.onPosition': '{every} on the {position} {days}',
+  'recurrence.first': 'first',
+  'recurrence.second': 'second',
+  'recurrence.third': 'third',
+  'recurrence.fourth': 'fourth',
+  'recurrence.last': 'last',
+  'recurrence.monToFri': 'Mon-Fri',
+  'strategy.roundRobin': 'Round robin',
+  'strategy.leastServed': 'Least recently served ({days} days)',
+  'strategy.shuffled': 'Shuffled each cycle',
+
+  // Home tab
+  'home.intro': 'Manage your team rotas with automatic rotation scheduling.',
+  'home.noRotas': ':information_source: *No rotas yet*\n\nGet started by creating your first rota. Click the button below to begin!',
+  'home.yourRotas': '*Your Rotas* ({count})',
+  'home.members': '{count} members',
+  'home.syncedFromUserGroup': 'synced from a user group',
+  'home.syncedFromChannel': 'synced from {channel}',
+  'home.weekdaysOnly': 'Weekdays only',
+  'home.current': 'Current: {assignees}',
+  'home.until': 'until {date}',
+  'home.swappedWith': 'swapped with {user}',
+  'home.memberSyncFailed': 'Member sync failed: {error}',
+  'home.linkedTo': 'Linked to {group}',
+  'home.linkedUserGroupFailed': 'Could not update it: {error}',
+  'home.messageTemplate': 'Message template: {name}',
+  'home.channelTopicFailed': 'Could not update the channel topic: {error}',
+  'home.channelBookmarkFailed': 'Could not update the channel bookmark: {error}',
+  'home.nextRotation': 'Next rotation: {date}',
+  'home.notScheduled': 'Not scheduled',
+  'home.blackoutDate': '{count} blackout date',
+  'home.blackoutDates': '{count} blackout dates',
+  'home.blackoutMoved': 'moved to next working day',
+  'home.blackoutSkipped': 'skipped',
+  'home.edit': 'Edit',
+  'home.details': 'Details & overrides',
+  'home.viewSchedule': 'View schedule',
+  'home.sendTest': 'Send test',
+  'home.delete': 'Delete',
+  'home.createRota': '➕ Create New Rota',
+  'home.holidayCalendar': '🗓️ Holiday Calendar',
+  'home.language': 'Language',
+  'home.messageTemplates': '*Message Templates* ({count})',
+  'home.messageTemplatesHint': 'Reusable custom messages, e.g. a runbook. Rotas that use a template always show its latest version.',
+  'home.usedBy': 'Used by {rotas}',
+  'home.notUsed': '_Not used by any rota_',
+  'home.newTemplate': '➕ New Template',
+  'home.digests': '*Weekly Digests* ({count})',
+  'home.digestsHint': 'A weekly post of who is on duty for the next 7 days, with quick links to request swaps.',
+  'home.digestChannelRotas': 'Rotas posting in this channel',
+  'home.digestAllRotas': 'All rotas',
+  'home.digestFailed': 'Could not post the last digest: {error}',
+  'home.newDigest': '➕ New Digest'
+};
@@ -0,0 +1,188 @@
+// Portuguese messages; missing keys fall back to English (see en.js)
+module.exports = {
+  // Rota notifications (channel and DM)
+  'notification.assigned': 'Responsável',
+  'notification.assigneeNumber': 'Responsável {number}',
+  'notification.thisAssignee': 'Este responsável',
+  'notification.awayAllMembers': '⚠️ {who} parece estar ausente, e todos os membros da escala parecem ausentes no status do Slack.',
+  'notification.awaySuggestion': '⚠️ {who} parece estar ausente. Próxima pessoa sugerida: {suggested}. Use {skipButton} para reatribuir.',
+  'notification.acknowledged': '✅ {user} está cuidando disso (confirmado {time})',
+  'notification.acknowledge': '👍 Estou cuidando disso',
+  'notification.acknowledgeFor': '👍 Estou cuidando disso ({label})',
+  'notification.skipPerson': '⏭️ Pular pessoa',
+  'notification.skipFor': '⏭️ Pular {label}',
+  'notification.requestSwap': '🔁 Pedir troca',
+  'notification.viewPost': 'Ver a publicação em {channel}',
+  'notification.rotaChannel': 'Canal da escala: {channel}',
+
+  // Test notification sent from the Home tab or the edit modal
+  'test.intro': '🧪 Notificação de teste de *{rotaName}*, com {assignees} como exemplo. Ninguém foi designado e os botões foram omitidos.',
+  'test.failed': 'Não foi possível enviar a notificação de teste de *{rotaName}*: {error}',
+
+  // Email copy of notifications and reminders
+  'email.footer': 'Enviado pelo Vibe Rotas. Abra o Slack para confirmar, pular ou trocar um turno.',
+
+  // Skips
+  'skip.skippedBy': '⏭️ Pulado por {user} em {time}',
+  'skip.takesOver': '⏭️ {skippedUser} foi pulado(a) por {user}; {newUser} assume',
+  'skip.takesOverAs': '⏭️ {skippedUser} foi pulado(a) por {user}; {newUser} assume como {role}',
+  'skip.nowOnDuty': '📅 {rotaName}: {newUser} agora é sua vez, substituindo {skippedUser}',
+  'skip.nowOnDutyAs': '📅 {rotaName}: {newUser} agora é sua vez como {role}, substituindo {skippedUser}',
+  'skip.notFound': 'Designação não encontrada',
+  'skip.rotaNotFound': 'Escala não encontrada',
+  'skip.alreadySkipped': 'Esta designação já foi pulada',
+  'skip.onlyOneMember': 'Não é possível pular quando a escala tem só um membro',
+  'skip.allSkipped': 'Não é possível pular: todos os outros membros já foram pulados ({count}/{max})',
+  'skip.everyoneAssigned': 'Não é possível pular: todos os membros já têm ou pularam este turno',
+  'skip.validationFailed': 'Erro ao validar o pedido para pular',
+  'skip.failed': 'Não foi possível pular a pessoa. Tente novamente.',
+
+  // Reminders to acknowledge a shift
+  'escalation.subject': '⏰ Confirme seu turno em {rotaName}',
+  'escalation.text': '⏰ É sua vez em *{rotaName}* no {channel}, mas o turno ainda não foi confirmado.',
+  'escalation.followUp': '⏰ {user} ainda não confirmou o turno de *{rotaName}*. {contact}, pode verificar ou cobrir?',
+  'acknowledge.thanks': '✅ Obrigado, seu turno foi confirmado.',
+  'acknowledge.thanksIn': '✅ Obrigado, seu turno no {channel} foi confirmado.',
+  'acknowledge.notFound': 'Designação não encontrada',
+  'acknowledge.skipped': 'Este turno foi pulado e reatribuído',
+  'acknowledge.notAssignee': 'Só a pessoa designada pode confirmar este turno',
+  'acknowledge.failed': 'Não foi possível confirmar. Tente novamente.',
+
+  // Shift swaps
+  'swap.requestText': '🔁 {requester} gostaria de trocar turnos em *{rotaName}*:\n• Você assume o turno dele(a) em *{requesterDate}*\n• Ele(a) assume o seu turno em *{targetDate}*',
+  'swap.requestFallback': '🔁 {requester} gostaria de trocar turnos em {rotaName}',
+  'swap.accept': 'Aceitar',
+  'swap.decline': 'Recusar',
+  'swap.summary': '🔁 Troca em *{rotaName}* com {requester}: {requesterDate} ↔ {targetDate}',
+  'swap.acceptedBy': '✅ Aceita por {user}',
+  'swap.declinedBy': '❌ Recusada por {user}',
+  'swap.couldNotSwap': '⚠️ Não foi possível trocar: {error}',
+  'swap.replaced': '🚫 Substituída por um novo pedido de {user}',
+  'swap.requesterNotice': '🔁 Seu pedido de troca em {rotaName} com {user} ({requesterDate} ↔ {targetDate}): {outcome}',
+  'swap.coveringForYou': '🔁 Troca feita: {user} vai cobrir você',
+  'swap.coveringYourShift': '🔁 Troca feita: {user} vai cobrir seu turno em *{rotaName}*.',
+  'swap.coveringFor': '🔁 Troca feita: {user} vai cobrir {fromUser}',
+  'swap.deletedRota': 'uma escala excluída',
+  'swap.multipleAssignees': 'Trocas só estão disponíveis em escalas com um responsável por turno',
+  'swap.pickBothTurns': 'Escolha os dois turnos da troca',
+  'swap.notMember': 'Você só pode trocar com um membro desta escala',
+  'swap.pickColleague': 'Escolha um(a) colega que não seja você',
+  'swap.pickDifferentDates': 'Escolha duas datas diferentes',
+  'swap.requesterNotScheduled': 'Quem pediu a troca não está mais escalado(a) em {date}',
+  'swap.targetNotScheduled': 'O(a) colega não está escalado(a) em {date}',
+  'swap.plannedOverride': 'Uma dessas datas tem uma substituição planejada; altere-a nos detalhes da escala',
+  'swap.dmFailed': 'Não foi possível enviar a mensagem a {user} sobre a troca. Tente novamente.',
+  'swap.notFound': 'Pedido de troca não encontrado',
+  'swap.rotaNotFound': 'Escala não encontrada',
+  'swap.notTarget': 'Só o(a) colega a quem foi pedido pode responder a este pedido de troca',
+  'swap.alreadyAccepted': 'Este pedido de troca já foi aceito',
+  'swap.alreadyAccepting': 'Este pedido de troca já está sendo aceito',
+  'swap.alreadyDeclined': 'Este pedido de troca já foi recusado',
+  'swap.alreadyCancelled': 'Este pedido de troca foi cancelado',
+  'swap.alreadyExpired': 'Este pedido de troca expirou',
+  'swap.answerFailed': 'Não foi possível responder ao pedido de troca. Tente novamente.',
+  'swap.onlyAssignee': 'Só o(a) responsável atual pode pedir uma troca deste turno',
+  'swap.noLongerScheduled': 'Você não está mais escalado(a) nessa data',
+  'swap.noUpcomingTurns': 'Você não tem próximos turnos em *{rotaName}*',
+
+  // Roster changes synced from a user group or channel
+  'roster.updated': '👥 Os membros de *{rotaName}* foram atualizados a partir de {source}: {changes}.',
+  'roster.fromChannel': 'os membros de {channel}',
+  'roster.fromUserGroup': 'o grupo de usuários vinculado',
+  'roster.added': 'entraram {users}',
+  'roster.removed': 'saíram {users}',
+
+  // Heads-up DM before a turn
+  'advanceNotice.text': '⏰ Aviso: é a sua vez em *{rotaName}* no {channel} em {date}.',
+  'advanceNotice.textAs': '⏰ Aviso: é a sua vez em *{rotaName}* no {channel} como *{role}* em {date}.',
+  'advanceNotice.fallback': '⏰ Aviso: é a sua vez em {rotaName} em {date}',
+  'advanceNotice.dateFormat': '{date_short_pretty} às {time}',
+  'advanceNotice.hint': 'Não vai conseguir? Pule este turno ou troque com um colega.',
+  'advanceNotice.skip': '⏭️ Pular este turno',
+  'advanceNotice.skipConfirmTitle': 'Pular este turno?',
+  'advanceNotice.skipConfirmText': 'O próximo membro disponível cobre {date} e você mantém o seu lugar no turno seguinte.',
+  'advanceNotice.skipConfirm': 'Pular',
+  'advanceNotice.cancel': 'Cancelar',
+  'advanceNotice.skipped': '⏭️ Você pulou o seu turno em *{rotaName}* em {date}. Você mantém o seu lugar para o próximo turno.',
+  'advanceNotice.skippedCoveredBy': '⏭️ Você pulou o seu turno em *{rotaName}* em {date}. {users} vai cobri-lo. Você mantém o seu lugar para o próximo turno.',
+  'advanceNotice.skippedFallback': '⏭️ Você pulou o seu turno em {rotaName}',
+  'advanceNotice.noLongerScheduled': 'Você não está mais escalado(a) em {date}',
+  'advanceNotice.plannedOverride': 'Este turno foi planejado como substituição ou troca; altere-o nos detalhes da escala',
+  'advanceNotice.nobodyAvailable': 'Ninguém mais está disponível em {date}',
+
+  // Weekly digest posted to a channel
+  'digest.title': '📋 *Escalas desta semana* ({from} – {to})',
+  'digest.fallback': '📋 Escalas desta semana ({from} – {to})',
+  'digest.hint': 'Não vai conseguir fazer um dos seus turnos? Use {swapButton} para pedir a um colega que o assuma.',
+  'digest.onDuty': 'De plantão agora: {assignees}',
+  'digest.onDutyUntil': 'De plantão agora: {assignees} até {date}',
+  'digest.blackout': 'data bloqueada',
+  'digest.noTurns': 'Nenhum turno esta semana',
+  'digest.more': '…e mais {count} escalas',
+
+  // Recurrence and rotation strategy descriptions
+  'recurrence.daily': 'Diariamente',
+  'recurrence.weekly': 'Semanalmente',
+  'recurrence.biweekly': 'A cada 2 semanas',
+  'recurrence.monthly': 'Mensalmente',
+  'recurrence.everyDay': 'Todo dia',
+  'recurrence.everyDays': 'A cada {count} dias',
+  'recurrence.everyWeek': 'Toda semana',
+  'recurrence.everyWeeks': 'A cada {count} semanas',
+  'recurrence.everyMonth': 'Todo mês',
+  'recurrence.everyMonths': 'A cada {count} meses',
+  'recurrence.onDays': '{every}: {days}',
+  'recurrence.onPosition': '{every}, na {position} {days}',
+  'recurrence.first': 'primeira',
+  'recurrence.second': 'segunda',
+  'recurrence.third': 'terceira',
+  'recurrence.fourth': 'quarta',
+  'recurrence.last': 'última',
+  'recurrence.monToFri': 'seg-sex',
+  'strategy.roundRobin': 'Rodízio',
+  'strategy.leastServed': 'Quem serviu há mais tempo ({days} dias)',
+  'strategy.shuffled': 'Ordem aleatória a cada ciclo',
+
+  // Home tab
+  'home.intro': 'Gerencie as escalas da sua equipe com rotação automática.',
+  'home.noRotas': ':information_source: *Nenhuma escala ainda*\n\nComece criando a sua primeira escala. Clique no botão abaixo!',
+  'home.yourRotas': '*Suas escalas* ({count})',
+  'home.members': '{count} membros',
+  'home.syncedFromUserGroup': 'sincronizado de um grupo de usuários',
+  'home.syncedFromChannel': 'sincronizado de {channel}',
+  'home.weekdaysOnly': 'Somente dias úteis',
+  'home.current': 'Atual: {assignees}',
+  'home.until': 'até {date}',
+  'home.swappedWith': 'trocado com {user}',
+  'home.memberSyncFailed': 'Falha ao sincronizar membros: {error}',
+  'home.linkedTo': 'Vinculado a {group}',
+  'home.linkedUserGroupFailed': 'Não foi possível atualizá-lo: {error}',
+  'home.messageTemplate': 'Modelo de mensagem: {name}',
+  'home.channelTopicFailed': 'Não foi possível atualizar o tópico do canal: {error}',
+  'home.channelBookmarkFailed': 'Não foi possível atualizar o favorito do canal: {error}',
+  'home.nextRotation': 'Próxima rotação: {date}',
+  'home.notScheduled': 'Não agendado',
+  'home.blackoutDate': '{count} data bloqueada',
+  'home.blackoutDates': '{count} datas bloqueadas',
+  'home.blackoutMoved': 'movidas para o próximo dia útil',
+  'home.blackoutSkipped': 'puladas',
+  'home.edit': 'Editar',
+  'home.details': 'Detalhes e substituições',
+  'home.viewSchedule': 'Ver agenda',
+  'home.sendTest': 'Enviar teste',
+  'home.delete': 'Excluir',
+  'home.createRota': '➕ Criar nova escala',
+  'home.holidayCalendar': '🗓️ Calendário de feriados',
+  'home.language': 'Idioma',
+  'home.messageTemplates': '*Modelos de mensagem* ({count})',
+  'home.messageTemplatesHint': 'Mensagens personalizadas reutilizáveis, p. ex. um runbook. As escalas que usam um modelo sempre mostram a versão mais recente.',
+  'home.usedBy': 'Usado por {rotas}',
+  'home.notUsed': '_Não usado por nenhuma escala_',
+  'home.newTemplate': '➕ Novo modelo',
+  'home.digests': '*Resumos semanais* ({count})',
+  'home.digestsHint': 'Uma publicação semanal com quem está de plantão nos próximos 7 dias e atalhos para pedir trocas.',
+  'home.digestChannelRotas': 'Escalas que publicam neste canal',
+  'home.digestAllRotas': 'Todas as escalas',
+  'home.digestFailed': 'Não foi possível publicar o último resumo: {error}',
+  'home.newDigest': '➕ Novo resumo'
+};
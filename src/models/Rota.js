@@ -1,4 +1,18 @@
 const mongoose = require('mongoose');
+const { FREQUENCIES, CUSTOM_FREQUENCIES, WEEKDAY_CODES, SET_POSITIONS } = require('../utils/rruleHelper');
+const { BLACKOUT_MODES } = require('../utils/blackoutHelper');
+const { ROTATION_STRATEGIES, DEFAULT_LOOKBACK_DAYS, MAX_LOOKBACK_DAYS, MAX_ASSIGNEES, MAX_ROLE_LENGTH } = require('../utils/rotationHelper');
+const { LOCALE_CODES } = require('../utils/i18n');
+
+// What the rota keeps up to date in its channel besides posting
+const CHANNEL_STATUS_MODES = ['off', 'topic', 'bookmark'];
+
+// Where notifications go: the rota channel, a DM to each assignee, or both
+const DELIVERY_MODES = ['channel', 'dm', 'channel_and_dm'];
+
+// Where members come from: picked by hand, or mirrored from a Slack user
+// group or the members of a channel
+const MEMBER_SOURCES = ['manual', 'usergroup', 'channel'];
 
 const rotaSchema = new mongoose.Schema({
   name: {
@@ -26,9 +40,31 @@ const rotaSchema = new mongoose.Schema({
     },
     frequency: {
       type: String,
-      enum: ['DAILY', 'WEEKLY', 'BIWEEKLY', 'MONTHLY'],
+      enum: FREQUENCIES,
       required: true
     },
+    // Advanced recurrence options, only used when frequency is CUSTOM
+    recurrence: {
+      freq: {
+        type: String,
+        enum: CUSTOM_FREQUENCIES
+      },
+      interval: {
+        type: Number,
+        min: 1,
+        max: 99,
+        default: 1
+      },
+      byWeekday: [{
+        type: String,
+        enum: WEEKDAY_CODES
+      }],
+      bySetPos: {
+        type: Number,
+        enum: [...SET_POSITIONS, null],
+        default: null
+      }
+    },
     startDate: {
       type: Date,
       required: true
@@ -56,15 +92,269 @@ const rotaSchema = new mongoose.Schema({
       required: true
     }
   },
+  // Rota-specific blackout dates, combined with the workspace calendar
+  blackout: {
+    dates: [{
+      _id: false,
+      date: {
+        type: String,
+        required: true,
+        match: /^\d{4}-\d{2}-\d{2}$/
+      },
+      label: {
+        type: String,
+        default: null
+      }
+    }],
+    // skip: drop the occurrence; next_working_day: move it to the next weekday that is not blacked out
+    mode: {
+      type: String,
+      enum: BLACKOUT_MODES,
+      default: 'skip'
+    }
+  },
+  // Pre-planned assignees for specific scheduled dates (YYYY-MM-DD in the rota's timezone)
+  overrides: [{
+    _id: false,
+    date: {
+      type: String,
+      required: true,
+      match: /^\d{4}-\d{2}-\d{2}$/
+    },
+    userId: {
+      type: String,
+      required: true
+    },
+    createdBy: {
+      type: String,
+      required: true
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now
+    },
+    // Set when the override comes from an accepted shift swap; swap overrides
+    // always use up the turn of the person who was due (originalUserId)
+    swapRequestId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'SwapRequest',
+      default: null
+    },
+    originalUserId: {
+      type: String,
+      default: null
+    }
+  }],
+  // Whether an override uses up the turn of the person who was due (true),
+  // or leaves the rotation pointer where it was (false)
+  overrideAdvancesRotation: {
+    type: Boolean,
+    default: false
+  },
   customMessage: {
     type: Object,
     required: false,
     default: null
   },
+  // Workspace message template used instead of customMessage (null = none)
+  messageTemplateId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
   currentIndex: {
     type: Number,
     default: 0
   },
+  // How the next person is picked: round-robin on currentIndex, the member who
+  // served least (then least recently) within the lookback window, or a
+  // shuffled cycle where currentIndex is the position in rotation.cycle
+  rotation: {
+    strategy: {
+      type: String,
+      enum: ROTATION_STRATEGIES,
+      default: 'round_robin'
+    },
+    lookbackDays: {
+      type: Number,
+      min: 1,
+      max: MAX_LOOKBACK_DAYS,
+      default: DEFAULT_LOOKBACK_DAYS
+    },
+    cycle: [{
+      type: String
+    }],
+    // Round-robin members passed over because they were unavailable; they go
+    // first at their next available occurrence
+    deferred: [{
+      type: String
+    }]
+  },
+  // People assigned per occurrence, with optional role labels per slot
+  // (e.g. ["Primary", "Secondary"])
+  assignees: {
+    count: {
+      type: Number,
+      min: 1,
+      max: MAX_ASSIGNEES,
+      default: 1
+    },
+    roles: [{
+      type: String,
+      maxlength: MAX_ROLE_LENGTH
+    }]
+  },
+  // Membership kept in sync with a user group or channel (see memberSyncService)
+  memberSync: {
+    source: {
+      type: String,
+      enum: MEMBER_SOURCES,
+      default: 'manual'
+    },
+    // User group ID (S...) or channel ID
+    sourceId: {
+      type: String,
+      default: null
+    },
+    lastSyncedAt: {
+      type: Date,
+      default: null
+    },
+    lastError: {
+      type: String,
+      default: null
+    }
+  },
+  // User group kept pointed at the current assignee(s), e.g. @support-oncall
+  linkedUserGroup: {
+    usergroupId: {
+      type: String,
+      default: null
+    },
+    lastUpdatedAt: {
+      type: Date,
+      default: null
+    },
+    lastError: {
+      type: String,
+      default: null
+    }
+  },
+  // Channel topic or bookmark rewritten with the current assignee(s), e.g.
+  // "Support today: @alice"
+  channelStatus: {
+    mode: {
+      type: String,
+      enum: CHANNEL_STATUS_MODES,
+      default: 'off'
+    },
+    // {assignees} and {rotaName} are replaced; null uses the default template
+    template: {
+      type: String,
+      default: null,
+      maxlength: 250
+    },
+    bookmarkId: {
+      type: String,
+      default: null
+    },
+    lastError: {
+      type: String,
+      default: null
+    }
+  },
+  delivery: {
+    mode: {
+      type: String,
+      enum: DELIVERY_MODES,
+      default: 'channel'
+    },
+    // Also email assignees their notifications and reminders (needs SMTP config)
+    email: {
+      type: Boolean,
+      default: false
+    },
+    // Addresses to use instead of members' Slack profile emails
+    emailAddresses: [{
+      userId: {
+        type: String,
+        required: true
+      },
+      email: {
+        type: String,
+        required: true
+      }
+    }]
+  },
+  // Language of the rota's notifications (null = the workspace's language)
+  locale: {
+    type: String,
+    enum: LOCALE_CODES,
+    default: null
+  },
+  // Escalate when the assignee has not acknowledged the notification within
+  // afterMinutes (null = never): first a DM, then the backup/owner in thread
+  escalation: {
+    afterMinutes: {
+      type: Number,
+      default: null,
+      min: 5,
+      max: 1440
+    }
+  },
+  // When each member can take a turn: allowed weekdays (empty = any day) and
+  // an optional date range. Members without an entry are always available.
+  availability: [{
+    userId: {
+      type: String,
+      required: true
+    },
+    weekdays: [{
+      type: String,
+      enum: WEEKDAY_CODES
+    }],
+    startDate: {
+      type: String,
+      default: null,
+      match: /^\d{4}-\d{2}-\d{2}$/
+    },
+    endDate: {
+      type: String,
+      default: null,
+      match: /^\d{4}-\d{2}-\d{2}$/
+    }
+  }],
+  // DM the next assignee(s) hoursBefore their turn (null = never).
+  // lastNoticeDate is the latest occurrence already announced, so restarts
+  // don't send the same heads-up twice
+  advanceNotice: {
+    hoursBefore: {
+      type: Number,
+      default: null,
+      min: 1,
+      max: 168
+    },
+    lastNoticeDate: {
+      type: String,
+      default: null
+    }
+  },
+  // Future turns a member skipped ahead of time from the heads-up DM; they
+  // are passed over on that date like an unavailable member
+  skipAhead: [{
+    userId: {
+      type: String,
+      required: true
+    },
+    date: {
+      type: String,
+      required: true,
+      match: /^\d{4}-\d{2}-\d{2}$/
+    },
+    skippedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
   isActive: {
     type: Boolean,
     default: true
@@ -21,6 +21,16 @@ const rotaAssignmentSchema = new mongoose.Schema({
     required: true,
     index: true
   },
+  // Coverage window: the assignee is on duty from coverageStart until
+  // coverageEnd (the next scheduled rotation, null if there is none)
+  coverageStart: {
+    type: Date,
+    default: null
+  },
+  coverageEnd: {
+    type: Date,
+    default: null
+  },
   notified: {
     type: Boolean,
     default: false
@@ -37,6 +47,57 @@ const rotaAssignmentSchema = new mongoose.Schema({
     type: String,
     required: true
   },
+  // Direct message sent to the assignee, for rotas that deliver by DM
+  dmChannelId: {
+    type: String,
+    default: null
+  },
+  dmTs: {
+    type: String,
+    default: null
+  },
+  // Assignee slot within the occurrence (0 = first/primary) and its role label
+  slot: {
+    type: Number,
+    default: 0
+  },
+  role: {
+    type: String,
+    default: null
+  },
+  // Set when the assignee came from a pre-planned date override
+  isOverride: {
+    type: Boolean,
+    default: false
+  },
+  // Swap tracking: who was originally due for this shift before an accepted swap
+  swappedFromUserId: {
+    type: String,
+    default: null
+  },
+  swapRequestId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'SwapRequest',
+    default: null
+  },
+  // Acknowledgement ("I'm on it") and escalation when nobody acknowledges:
+  // level 1 = assignee reminded by DM, 2 = backup or rota owner asked in thread
+  acknowledgedAt: {
+    type: Date,
+    default: null
+  },
+  acknowledgedBy: {
+    type: String,
+    default: null
+  },
+  escalationLevel: {
+    type: Number,
+    default: 0
+  },
+  lastEscalatedAt: {
+    type: Date,
+    default: null
+  },
   // Skip tracking fields
   skipped: {
     type: Boolean,
@@ -69,5 +130,7 @@ rotaAssignmentSchema.index({ rotaId: 1, assignedDate: -1 });
 rotaAssignmentSchema.index({ workspaceId: 1, notified: 1 });
 // Index for skip queries
 rotaAssignmentSchema.index({ rotaId: 1, assignedDate: -1, skipped: 1 });
+// Index for "who is on duty now" lookups
+rotaAssignmentSchema.index({ rotaId: 1, coverageStart: -1, coverageEnd: 1 });
 
 module.exports = mongoose.model('RotaAssignment', rotaAssignmentSchema);
@@ -0,0 +1,68 @@
+const mongoose = require('mongoose');
+
+// 'accepting' while an accepted swap is being applied
+const SWAP_STATUSES = ['pending', 'accepting', 'accepted', 'declined', 'cancelled', 'expired'];
+
+const swapRequestSchema = new mongoose.Schema({
+  rotaId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Rota',
+    required: true,
+    index: true
+  },
+  workspaceId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  // Member asking for the swap and the turn they want to give away
+  requesterId: {
+    type: String,
+    required: true
+  },
+  requesterDate: {
+    type: String,
+    required: true,
+    match: /^\d{4}-\d{2}-\d{2}$/
+  },
+  // Colleague being asked and the turn they would give in exchange
+  targetUserId: {
+    type: String,
+    required: true
+  },
+  targetDate: {
+    type: String,
+    required: true,
+    match: /^\d{4}-\d{2}-\d{2}$/
+  },
+  note: {
+    type: String,
+    default: null,
+    maxlength: 500
+  },
+  status: {
+    type: String,
+    enum: SWAP_STATUSES,
+    default: 'pending',
+    index: true
+  },
+  respondedAt: {
+    type: Date,
+    default: null
+  },
+  // DM with Accept/Decline buttons sent to the colleague
+  dmChannelId: {
+    type: String,
+    default: null
+  },
+  dmTs: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+swapRequestSchema.index({ rotaId: 1, status: 1 });
+
+module.exports = mongoose.model('SwapRequest', swapRequestSchema);
@@ -1,4 +1,9 @@
 const mongoose = require('mongoose');
+const { LOCALE_CODES, DEFAULT_LOCALE } = require('../utils/i18n');
+const { WEEKDAY_CODES } = require('../utils/rruleHelper');
+
+// Which rotas a digest lists: those posting in its channel, or every rota
+const DIGEST_SCOPES = ['channel', 'workspace'];
 
 const workspaceSchema = new mongoose.Schema({
   teamId: {
@@ -46,7 +51,103 @@ const workspaceSchema = new mongoose.Schema({
   isActive: {
     type: Boolean,
     default: true
-  }
+  },
+  // Workspace-wide holidays and shutdown days (YYYY-MM-DD), applied to every rota
+  blackoutDates: [{
+    _id: false,
+    date: {
+      type: String,
+      required: true,
+      match: /^\d{4}-\d{2}-\d{2}$/
+    },
+    label: {
+      type: String,
+      default: null
+    }
+  }],
+  // Weekly posts listing who is on duty for the week ahead (see digestService)
+  digests: [{
+    channelId: {
+      type: String,
+      required: true
+    },
+    scope: {
+      type: String,
+      enum: DIGEST_SCOPES,
+      default: 'channel'
+    },
+    // Only these rotas (empty = every rota in scope)
+    rotaIds: [{
+      type: mongoose.Schema.Types.ObjectId
+    }],
+    weekday: {
+      type: String,
+      enum: WEEKDAY_CODES,
+      default: 'MO'
+    },
+    // Wall-clock time in the digest's timezone
+    hour: {
+      type: Number,
+      min: 0,
+      max: 23,
+      default: 9
+    },
+    minute: {
+      type: Number,
+      min: 0,
+      max: 59,
+      default: 0
+    },
+    timezone: {
+      type: String,
+      default: 'UTC'
+    },
+    // Local date (YYYY-MM-DD) of the last post, so each week is posted once
+    lastPostedDate: {
+      type: String,
+      default: null
+    },
+    // Why the last post failed, shown on the Home tab; that week is not retried
+    lastError: {
+      type: String,
+      default: null
+    },
+    createdBy: {
+      type: String,
+      default: null
+    }
+  }],
+  // Language of the Home tab and the default for rota notifications
+  locale: {
+    type: String,
+    enum: LOCALE_CODES,
+    default: DEFAULT_LOCALE
+  },
+  // Reusable custom messages (rich_text); rotas reference them by ID and
+  // always render the latest version
+  messageTemplates: [{
+    name: {
+      type: String,
+      required: true,
+      maxlength: 100
+    },
+    message: {
+      type: Object,
+      required: true
+    },
+    createdBy: {
+      type: String,
+      default: null
+    },
+    updatedBy: {
+      type: String,
+      default: null
+    },
+    updatedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }]
 }, {
   timestamps: true
 });
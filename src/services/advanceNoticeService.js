@@ -0,0 +1,198 @@
+const Rota = require('../models/Rota');
+const { getSlackClient } = require('./slackClient');
+const { getUpcomingSchedule } = require('./forecastService');
+const { getRotaLocale } = require('./assignmentService');
+const { sendMemberEmail } = require('./emailService');
+const { schedulerLogger } = require('../utils/logger');
+const { DEFAULT_LOCALE, formatTurnDate, t } = require('../utils/i18n');
+
+// Occurrences looked at per rota; the longest heads-up is a week
+const MAX_NOTICE_ENTRIES = 10;
+
+/**
+ * Blocks of the heads-up DM sent before a member's turn
+ * Skip and swap buttons carry the rota in the action ID and the date as value.
+ * @param {Object} rota - Rota document
+ * @param {Object} entry - Forecast entry of the turn
+ * @param {Object} assignee - { userId, role } of the recipient
+ * @param {string} locale - Language of the rota's notifications
+ */
+function buildAdvanceNoticeBlocks(rota, entry, assignee, locale = DEFAULT_LOCALE) {
+  const at = Math.floor(new Date(entry.at).getTime() / 1000);
+  const turnDate = formatTurnDate(entry.date, locale);
+  const blocks = [
+    {
+      type: 'section',
+      text: {
+        type: 'mrkdwn',
+        text: t(locale, assignee.role ? 'advanceNotice.textAs' : 'advanceNotice.text', {
+          rotaName: rota.name,
+          channel: `<#${rota.channelId}>`,
+          role: assignee.role,
+          date: `<!date^${at}^${t(locale, 'advanceNotice.dateFormat')}|${turnDate}>`
+        })
+      }
+    }
+  ];
+
+  if (rota.members.length < 2) {
+    return blocks;
+  }
+
+  const elements = [
+    {
+      type: 'button',
+      text: {
+        type: 'plain_text',
+        text: t(locale, 'advanceNotice.skip'),
+        emoji: true
+      },
+      action_id: `heads_up_skip_${rota._id}`,
+      value: entry.date,
+      confirm: {
+        title: { type: 'plain_text', text: t(locale, 'advanceNotice.skipConfirmTitle') },
+        text: { type: 'mrkdwn', text: t(locale, 'advanceNotice.skipConfirmText', { date: turnDate }) },
+        confirm: { type: 'plain_text', text: t(locale, 'advanceNotice.skipConfirm') },
+        deny: { type: 'plain_text', text: t(locale, 'advanceNotice.cancel') }
+      }
+    }
+  ];
+
+  // Swaps need a single assignee per turn
+  if (entry.assignees.length === 1) {
+    elements.push({
+      type: 'button',
+      text: {
+        type: 'plain_text',
+        text: t(locale, 'notification.requestSwap'),
+        emoji: true
+      },
+      action_id: `heads_up_swap_${rota._id}`,
+      value: entry.date
+    });
+  }
+
+  blocks.push(
+    {
+      type: 'context',
+      elements: [
+        {
+          type: 'mrkdwn',
+          text: t(locale, 'advanceNotice.hint')
+        }
+      ]
+    },
+    {
+      type: 'actions',
+      elements
+    }
+  );
+
+  return blocks;
+}
+
+/**
+ * DM one assignee about their upcoming turn (and email them, for rotas with
+ * email delivery)
+ */
+async function sendAdvanceNotice(client, rota, entry, assignee, locale = DEFAULT_LOCALE) {
+  const text = t(locale, 'advanceNotice.fallback', { rotaName: rota.name, date: formatTurnDate(entry.date, locale) });
+  const blocks = buildAdvanceNoticeBlocks(rota, entry, assignee, locale);
+  await client.chatPostMessage(assignee.userId, text, blocks);
+  await sendMemberEmail(client, rota, assignee.userId, { subject: text, blocks, locale });
+
+  schedulerLogger.info('Sent advance notice', { rotaId: rota._id, userId: assignee.userId, date: entry.date });
+}
+
+/**
+ * Send the heads-up for every turn of a rota that is now within its notice period
+ * Each occurrence date is claimed on the rota (advanceNotice.lastNoticeDate)
+ * before any DM goes out, so a restart or an overlapping run never announces
+ * the same turn twice.
+ * @param {Object} rota - Rota document with advanceNotice.hoursBefore set
+ * @param {Date} now - Current time
+ * @returns {Promise<number>} Number of DMs sent
+ */
+async function sendAdvanceNotices(rota, now = new Date()) {
+  const windowEnd = now.getTime() + rota.advanceNotice.hoursBefore * 60 * 60 * 1000;
+  const lastNoticeDate = rota.advanceNotice.lastNoticeDate;
+
+  const entries = (await getUpcomingSchedule(rota, { count: MAX_NOTICE_ENTRIES, now }))
+    .filter(entry => !entry.skipped && entry.userId)
+    .filter(entry => entry.at.getTime() > now.getTime() && entry.at.getTime() <= windowEnd)
+    .filter(entry => !lastNoticeDate || entry.date > lastNoticeDate);
+
+  if (entries.length === 0) {
+    return 0;
+  }
+
+  const client = await getSlackClient(rota.workspaceId);
+  const locale = await getRotaLocale(rota);
+  let sent = 0;
+
+  for (const entry of entries) {
+    const claim = await Rota.updateOne(
+      {
+        _id: rota._id,
+        $or: [
+          { 'advanceNotice.lastNoticeDate': null },
+          { 'advanceNotice.lastNoticeDate': { $lt: entry.date } }
+        ]
+      },
+      { 'advanceNotice.lastNoticeDate': entry.date }
+    );
+    if (claim.modifiedCount === 0) {
+      continue;
+    }
+
+    for (const assignee of entry.assignees.filter(candidate => candidate.userId)) {
+      try {
+        await sendAdvanceNotice(client, rota, entry, assignee, locale);
+        sent++;
+      } catch (error) {
+        schedulerLogger.error('Error sending advance notice', {
+          rotaId: rota._id,
+          userId: assignee.userId,
+          date: entry.date,
+          error: error.message
+        });
+      }
+    }
+  }
+
+  return sent;
+}
+
+/**
+ * Send due heads-up DMs for every active rota with an advance notice
+ */
+async function processAdvanceNotices(now = new Date()) {
+  const results = { rotas: 0, sent: 0, failed: 0 };
+
+  try {
+    const rotas = await Rota.find({ isActive: true, 'advanceNotice.hoursBefore': { $gt: 0 } });
+    results.rotas = rotas.length;
+
+    for (const rota of rotas) {
+      try {
+        results.sent += await sendAdvanceNotices(rota, now);
+      } catch (error) {
+        results.failed++;
+        schedulerLogger.error('Error processing advance notices', { rotaId: rota._id, rotaName: rota.name, error: error.message });
+      }
+    }
+
+    if (results.sent > 0 || results.failed > 0) {
+      schedulerLogger.info('Advance notices completed', results);
+    }
+  } catch (error) {
+    schedulerLogger.error('Error in advance notices', { error: error.message });
+  }
+
+  return results;
+}
+
+module.exports = {
+  sendAdvanceNotice,
+  processAdvanceNotices
+};
@@ -1,11 +1,17 @@
 const RotaAssignment = require('../models/RotaAssignment');
+const Rota = require('../models/Rota');
+const Workspace = require('../models/Workspace');
 const { getSlackClient } = require('./slackClient');
+const { isEmailDelivery, sendMemberEmail } = require('./emailService');
 const { schedulerLogger } = require('../utils/logger');
+const { getDayBoundsInTimezone } = require('../utils/timezoneHelper');
+const { DEFAULT_LOCALE, resolveLocale, getIntlLocale, t } = require('../utils/i18n');
 
 /**
  * Create a new assignment record
+ * @param {Object} options - Optional { coverageStart, coverageEnd, isOverride, slot, role, swapRequestId, swappedFromUserId }
  */
-async function createAssignment(rotaId, workspaceId, userId, channelId, assignedDate) {
+async function createAssignment(rotaId, workspaceId, userId, channelId, assignedDate, options = {}) {
   try {
     const assignment = new RotaAssignment({
       rotaId,
@@ -13,11 +19,24 @@ async function createAssignment(rotaId, workspaceId, userId, channelId, assigned
       userId,
       assignedDate,
       channelId,
+      coverageStart: options.coverageStart || null,
+      coverageEnd: options.coverageEnd || null,
+      isOverride: options.isOverride === true,
+      slot: options.slot || 0,
+      role: options.role || null,
+      swapRequestId: options.swapRequestId || null,
+      swappedFromUserId: options.swappedFromUserId || null,
       notified: false
     });
 
     await assignment.save();
-    schedulerLogger.info('Created assignment', { rotaId, userId, assignedDate });
+    schedulerLogger.info('Created assignment', {
+      rotaId,
+      userId,
+      assignedDate,
+      coverageStart: assignment.coverageStart,
+      coverageEnd: assignment.coverageEnd
+    });
     return assignment;
   } catch (error) {
     schedulerLogger.error('Error creating assignment', { error: error.message, rotaId, userId });
@@ -49,22 +68,64 @@ async function markAsNotified(assignmentId, messageTs) {
 }
 
 /**
- * Get current assignment for today for a rota
+ * Get the assignment on duty right now for a rota
+ * Uses the assignment's coverage window; assignments created before coverage
+ * windows existed only count on the day they were assigned.
+ * @param {string} rotaId - Rota ID
+ * @param {string} timezone - Rota's timezone, defines "today" for older assignments
+ * @param {Date} at - Instant to check (defaults to now)
  */
-async function getCurrentAssignment(rotaId) {
-  const today = new Date();
-  const startOfDay = new Date(today.getFullYear(), today.getMonth(), today.getDate());
-  const endOfDay = new Date(today.getFullYear(), today.getMonth(), today.getDate(), 23, 59, 59);
+async function getCurrentAssignment(rotaId, timezone = 'UTC', at = new Date()) {
+  const active = await RotaAssignment.findOne({
+    rotaId,
+    skipped: false,
+    coverageStart: { $lte: at },
+    $or: [
+      { coverageEnd: null },
+      { coverageEnd: { $gt: at } }
+    ]
+  }).sort({ coverageStart: -1, slot: 1, createdAt: -1 });
+
+  if (active) {
+    return active;
+  }
+
+  const { start, end } = getDayBoundsInTimezone(at, timezone);
 
   return await RotaAssignment.findOne({
     rotaId,
+    skipped: false,
+    coverageStart: null,
     assignedDate: {
-      $gte: startOfDay,
-      $lte: endOfDay
+      $gte: start,
+      $lte: end
     }
   }).sort({ createdAt: -1 });
 }
 
+/**
+ * Get everyone on duty right now for a rota, first slot (primary) first
+ * @returns {Promise<Array>} Assignments; empty if nobody is on duty
+ */
+async function getCurrentAssignments(rotaId, timezone = 'UTC', at = new Date()) {
+  const current = await getCurrentAssignment(rotaId, timezone, at);
+
+  if (!current) {
+    return [];
+  }
+
+  // Assignments created before coverage windows only have one assignee
+  if (!current.coverageStart) {
+    return [current];
+  }
+
+  return await RotaAssignment.find({
+    rotaId,
+    skipped: false,
+    coverageStart: current.coverageStart
+  }).sort({ slot: 1, createdAt: -1 });
+}
+
 /**
  * Get recent assignments for a rota
  */
@@ -93,47 +154,151 @@ async function getUnnotifiedAssignments(workspaceId) {
 
 /**
  * Check if assignment already exists for today
+ * @param {string} rotaId - Rota ID
+ * @param {Date} date - Any instant within the day to check
+ * @param {string} timezone - Rota's timezone, defines the day boundaries
  */
-async function assignmentExistsForToday(rotaId, date) {
-  const startOfDay = new Date(date);
-  startOfDay.setHours(0, 0, 0, 0);
-
-  const endOfDay = new Date(date);
-  endOfDay.setHours(23, 59, 59, 999);
+async function assignmentExistsForToday(rotaId, date, timezone = 'UTC') {
+  const { start, end } = getDayBoundsInTimezone(date, timezone);
 
   const existing = await RotaAssignment.findOne({
     rotaId,
     assignedDate: {
-      $gte: startOfDay,
-      $lte: endOfDay
+      $gte: start,
+      $lte: end
     }
   });
 
   return !!existing;
 }
 
+// Placeholders a custom message can use. User and channel placeholders become
+// mentions in rich_text messages; in plain strings users render as their ID
+// (for "<@{userId}>") and channels as a channel link
+const TEMPLATE_VARIABLES = ['userId', 'rotaName', 'date', 'weekday', 'nextUserId', 'previousUserId', 'channel', 'memberCount', 'turnNumber'];
+const USER_VARIABLES = ['userId', 'nextUserId', 'previousUserId'];
+
+// Shown for people that are not known (yet), e.g. the next person of a shuffled rota
+const UNKNOWN_USER_TEXT = 'TBD';
+
+const PLACEHOLDER_PATTERN = /\{(\w+)\}/g;
+
 /**
- * Render message template with user substitution
+ * Get the custom message a rota's notifications show
+ * Rotas using a workspace message template get its latest version; if the
+ * template is gone they fall back to their own message.
+ * @param {Object} rota - Rota document
+ * @returns {Promise<Object|null>} rich_text (or legacy mrkdwn) template
+ */
+async function getCustomMessage(rota) {
+  if (!rota.messageTemplateId) {
+    return rota.customMessage;
+  }
+
+  const workspace = await Workspace.findOne({ teamId: rota.workspaceId }, { messageTemplates: 1 });
+  const template = workspace?.messageTemplates.id(rota.messageTemplateId);
+
+  return template ? template.message : rota.customMessage;
+}
+
+/**
+ * Get the language of a rota's notifications: its own, else the workspace's
+ * @param {Object} rota - Rota document
+ * @returns {Promise<string>} Locale code, e.g. 'de'
+ */
+async function getRotaLocale(rota) {
+  if (rota.locale) {
+    return resolveLocale(rota);
+  }
+
+  const workspace = await Workspace.findOne({ teamId: rota.workspaceId }, { locale: 1 });
+  return resolveLocale(rota, workspace);
+}
+
+/**
+ * List the placeholders of a template that cannot be rendered
+ * @param {Object} template - rich_text (or legacy mrkdwn) template
+ * @returns {Array} Unknown placeholder names, without braces
+ */
+function findUnknownPlaceholders(template) {
+  const unknown = new Set();
+
+  for (const match of JSON.stringify(template || {}).matchAll(PLACEHOLDER_PATTERN)) {
+    if (!TEMPLATE_VARIABLES.includes(match[1])) {
+      unknown.add(match[1]);
+    }
+  }
+
+  return [...unknown];
+}
+
+/**
+ * Split a rich_text text element around user and channel placeholders so they
+ * render as real mentions
+ */
+function splitRichTextElement(element, variables) {
+  const parts = element.text.split(/(\{(?:userId|nextUserId|previousUserId|channel)\})/);
+  if (parts.length === 1) {
+    return [element];
+  }
+
+  return parts
+    .filter(part => part !== '')
+    .map((part) => {
+      const name = part.slice(1, -1);
+      const value = variables[name];
+
+      if (USER_VARIABLES.includes(name) && part === `{${name}}`) {
+        return value
+          ? { type: 'user', user_id: value, ...(element.style ? { style: element.style } : {}) }
+          : { ...element, text: UNKNOWN_USER_TEXT };
+      }
+
+      if (name === 'channel' && part === '{channel}' && value) {
+        return { type: 'channel', channel_id: value, ...(element.style ? { style: element.style } : {}) };
+      }
+
+      return { ...element, text: part };
+    });
+}
+
+/**
+ * Render message template with variable substitution
  * Handles both legacy mrkdwn templates and new rich_text templates
+ * @param {Object} template - Template with {placeholders} (see TEMPLATE_VARIABLES)
+ * @param {Object} variables - { userId, rotaName, date, weekday, nextUserId, ... }
  */
-function renderMessageTemplate(template, userId, rotaName) {
+function renderMessageTemplate(template, variables) {
   const rendered = JSON.parse(JSON.stringify(template)); // Deep clone
 
+  const stringValue = (name) => {
+    const value = variables[name];
+    if (name === 'channel') {
+      return value ? `<#${value}>` : '';
+    }
+    if (USER_VARIABLES.includes(name) && !value) {
+      return UNKNOWN_USER_TEXT;
+    }
+    return value === undefined || value === null ? '' : String(value);
+  };
+
   // Recursively replace placeholders and user mentions
   function replaceInObject(obj) {
     if (typeof obj === 'string') {
-      return obj
-        .replace(/\{userId\}/g, userId)
-        .replace(/\{rotaName\}/g, rotaName);
+      return obj.replace(PLACEHOLDER_PATTERN, (placeholder, name) => (
+        TEMPLATE_VARIABLES.includes(name) ? stringValue(name) : placeholder
+      ));
     } else if (Array.isArray(obj)) {
-      return obj.map(replaceInObject);
+      return obj.flatMap(item => (item && item.type === 'text' && typeof item.text === 'string'
+        ? splitRichTextElement(item, variables).map(replaceInObject)
+        : [replaceInObject(item)]));
     } else if (typeof obj === 'object' && obj !== null) {
       // Handle rich_text user mentions
-      if (obj.type === 'user' && obj.user_id === '{userId}') {
-        return {
-          ...obj,
-          user_id: userId
-        };
+      if (obj.type === 'user' && /^\{\w+\}$/.test(obj.user_id) && USER_VARIABLES.includes(obj.user_id.slice(1, -1))) {
+        const userId = variables[obj.user_id.slice(1, -1)];
+        return userId
+          ? { ...obj, user_id: userId }
+          : { type: 'text', text: UNKNOWN_USER_TEXT };
       }
 
       const newObj = {};
@@ -149,100 +314,288 @@ function renderMessageTemplate(template, userId, rotaName) {
 }
 
 /**
- * Send rota notification to channel
- * @param {string} workspaceId - Workspace ID
- * @param {string} channelId - Channel ID
- * @param {string} userId - User ID to assign
+ * Collect the variables for rendering a rota's custom message
+ * Dates are formatted in the rota's timezone and language. {turnNumber} counts the rota's
+ * turns so far including this one; {previousUserId} and {nextUserId} are the
+ * primary assignees of the turns before and after it.
+ * @param {Object} rota - Rota document
+ * @param {Object} assignment - Assignment (or primary assignment) being announced
+ * @returns {Promise<Object>} Variables for renderMessageTemplate(), without userId
+ */
+async function getTemplateVariables(rota, assignment) {
+  const timezone = rota.schedule?.timezone || 'UTC';
+  const shiftStart = assignment.coverageStart || assignment.assignedDate || new Date();
+  const intlLocale = getIntlLocale(await getRotaLocale(rota));
+  const variables = {
+    rotaName: rota.name,
+    date: new Intl.DateTimeFormat(intlLocale, { month: 'short', day: 'numeric', year: 'numeric', timeZone: timezone }).format(shiftStart),
+    weekday: new Intl.DateTimeFormat(intlLocale, { weekday: 'long', timeZone: timezone }).format(shiftStart),
+    channel: assignment.channelId || rota.channelId,
+    memberCount: rota.members.length,
+    nextUserId: null,
+    previousUserId: null,
+    turnNumber: null
+  };
+
+  // Nothing to look up for rotas without a custom message
+  if (!rota.customMessage && !rota.messageTemplateId) {
+    return variables;
+  }
+
+  try {
+    const primaryTurns = { rotaId: rota._id, skipped: false, slot: { $in: [0, null] } };
+    const previous = await RotaAssignment.findOne({ ...primaryTurns, assignedDate: { $lt: assignment.assignedDate } })
+      .sort({ assignedDate: -1 });
+    variables.previousUserId = previous ? previous.userId : null;
+    variables.turnNumber = await RotaAssignment.countDocuments({ ...primaryTurns, assignedDate: { $lte: assignment.assignedDate } });
+
+    // Required here: forecastService depends on this module. The stored rota
+    // has the rotation position after this assignment
+    const { getUpcomingSchedule } = require('./forecastService');
+    const currentRota = await Rota.findById(rota._id) || rota;
+    const [next] = (await getUpcomingSchedule(currentRota, { count: 2 })).filter(entry => !entry.skipped);
+    variables.nextUserId = next ? next.userId : null;
+  } catch (error) {
+    schedulerLogger.warn('Failed to look up template variables', { rotaId: rota._id, error: error.message });
+  }
+
+  return variables;
+}
+
+/**
+ * Normalise the assignee argument of the notification helpers
+ * @param {string|Array} assignees - User ID, or [{ userId, role, assignmentId }]
+ * @param {string} assignmentId - Assignment ID when a single user ID is given
+ * @returns {Array} [{ userId, role, assignmentId }]
+ */
+function toAssigneeList(assignees, assignmentId = null) {
+  return Array.isArray(assignees)
+    ? assignees
+    : [{ userId: assignees, role: null, assignmentId }];
+}
+
+/**
+ * Build the Block Kit blocks for a rota notification
+ * @param {Array} assignees - [{ userId, role, assignmentId, acknowledgedAt }], first is the primary
  * @param {string} rotaName - Name of the rota
  * @param {Object} customMessage - Optional custom message
- * @param {string} assignmentId - Assignment ID for skip button
- * @param {number} memberCount - Number of members in rota (for skip button visibility)
+ * @param {number} memberCount - Number of members in rota (for button visibility)
+ * @param {Object} awaySuggestion - Optional away-status warning
+ * @param {Array} notes - Optional extra context lines (e.g. swap notes)
+ * @param {Object} templateVariables - Custom message variables from getTemplateVariables()
+ * @param {string} locale - Language of the labels and buttons
+ * @returns {Array} Blocks
  */
-async function sendRotaNotification(workspaceId, channelId, userId, rotaName, customMessage, assignmentId = null, memberCount = 1, awaySuggestion = null) {
-  try {
-    const client = await getSlackClient(workspaceId);
+function buildRotaNotificationBlocks(assignees, rotaName, customMessage, memberCount = 1, awaySuggestion = null, notes = [], templateVariables = {}, locale = DEFAULT_LOCALE) {
+  const blocks = [];
+  const primaryUserId = assignees[0].userId;
+  const assignedLabel = t(locale, 'notification.assigned');
 
-    // Build the notification blocks
-    const blocks = [];
+  // Always include standard header with rota name and assigned people, one
+  // line per assignee labelled with their role
+  const assigneeElements = assignees.length === 1 && !assignees[0].role
+    ? [
+      {
+        type: 'text',
+        text: `📅 ${rotaName}\n\n${assignedLabel}: `,
+        style: { bold: true }
+      },
+      {
+        type: 'user',
+        user_id: primaryUserId
+      }
+    ]
+    : [
+      {
+        type: 'text',
+        text: `📅 ${rotaName}\n`,
+        style: { bold: true }
+      },
+      ...assignees.flatMap((assignee, index) => [
+        {
+          type: 'text',
+          text: `\n${assignee.role || (assignees.length > 1 ? t(locale, 'notification.assigneeNumber', { number: index + 1 }) : assignedLabel)}: `,
+          style: { bold: true }
+        },
+        {
+          type: 'user',
+          user_id: assignee.userId
+        }
+      ])
+    ];
+
+  const headerBlock = {
+    type: 'rich_text',
+    elements: [
+      {
+        type: 'rich_text_section',
+        elements: assigneeElements
+      }
+    ]
+  };
 
-    // Always include standard header with rota name and assigned person
-    const headerBlock = {
-      type: 'rich_text',
+  blocks.push(headerBlock);
+
+  if (awaySuggestion && assignees.some(assignee => assignee.userId === awaySuggestion.assignedUserId)) {
+    const who = assignees.length > 1 ? `<@${awaySuggestion.assignedUserId}>` : t(locale, 'notification.thisAssignee');
+    blocks.push({
+      type: 'context',
       elements: [
         {
-          type: 'rich_text_section',
-          elements: [
-            {
-              type: 'text',
-              text: `📅 ${rotaName}\n\nAssigned: `,
-              style: { bold: true }
-            },
-            {
-              type: 'user',
-              user_id: userId
-            }
-          ]
+          type: 'mrkdwn',
+          text: awaySuggestion.allMembersAway
+            ? t(locale, 'notification.awayAllMembers', { who })
+            : t(locale, 'notification.awaySuggestion', {
+              who,
+              suggested: `<@${awaySuggestion.suggestedUserId}>`,
+              skipButton: t(locale, 'notification.skipPerson')
+            })
         }
       ]
-    };
-
-    blocks.push(headerBlock);
-
-    if (awaySuggestion?.assignedUserId === userId) {
-      blocks.push({
-        type: 'context',
-        elements: [
-          {
-            type: 'mrkdwn',
-            text: awaySuggestion.allMembersAway
-              ? '⚠️ This assignee appears to be away, and all rota members currently look away in Slack status.'
-              : `⚠️ This assignee appears to be away. Suggested next person: <@${awaySuggestion.suggestedUserId}>. Use ⏭️ Skip Person to reassign.`
-          }
-        ]
-      });
-    }
+    });
+  }
 
-    // Add custom message if provided
-    if (customMessage && customMessage.elements && customMessage.elements.length > 0) {
-      // Render custom message with user substitution
-      const renderedCustomMessage = renderMessageTemplate(customMessage, userId, rotaName);
-      blocks.push({ type: 'divider' });
-      blocks.push(renderedCustomMessage);
-    }
+  notes.forEach((note) => {
+    blocks.push({
+      type: 'context',
+      elements: [
+        {
+          type: 'mrkdwn',
+          text: note
+        }
+      ]
+    });
+  });
+
+  // Acknowledgement status, e.g. "✅ @alice is on it"
+  assignees.filter(assignee => assignee.acknowledgedAt).forEach((assignee) => {
+    const at = Math.floor(new Date(assignee.acknowledgedAt).getTime() / 1000);
+    blocks.push({
+      type: 'context',
+      elements: [
+        {
+          type: 'mrkdwn',
+          text: t(locale, 'notification.acknowledged', {
+            user: `<@${assignee.userId}>`,
+            time: `<!date^${at}^{time}|${new Date(assignee.acknowledgedAt).toISOString()}>`
+          })
+        }
+      ]
+    });
+  });
+
+  // Add custom message if provided
+  if (customMessage && customMessage.elements && customMessage.elements.length > 0) {
+    // Render custom message with variable substitution ({userId} is the primary assignee)
+    const renderedCustomMessage = renderMessageTemplate(customMessage, {
+      rotaName,
+      ...templateVariables,
+      userId: primaryUserId
+    });
+    blocks.push({ type: 'divider' });
+    blocks.push(renderedCustomMessage);
+  }
+
+  // "I'm on it" for everyone who has not acknowledged yet, then skip and swap
+  // buttons if the rota has more than 1 member. Every assignee gets their own
+  // buttons; swaps need a single assignee per turn
+  const buttonAssignees = assignees.filter(assignee => assignee.assignmentId);
+  const label = (assignee, index) => assignee.role || t(locale, 'notification.assigneeNumber', { number: index + 1 });
+  const elements = buttonAssignees
+    .filter(assignee => !assignee.acknowledgedAt)
+    .map(assignee => ({
+      type: 'button',
+      text: {
+        type: 'plain_text',
+        text: assignees.length > 1
+          ? t(locale, 'notification.acknowledgeFor', { label: label(assignee, assignees.indexOf(assignee)) })
+          : t(locale, 'notification.acknowledge'),
+        emoji: true
+      },
+      action_id: `ack_${assignee.assignmentId}`,
+      value: assignee.assignmentId.toString()
+    }));
 
-    // Add skip button if assignment ID provided and rota has more than 1 member
-    if (assignmentId && memberCount > 1) {
-      blocks.push({
-        type: 'actions',
-        elements: [
-          {
-            type: 'button',
-            text: {
-              type: 'plain_text',
-              text: '⏭️ Skip Person',
-              emoji: true
-            },
-            action_id: `skip_person_${assignmentId}`,
-            value: assignmentId
-          }
-        ]
+  if (buttonAssignees.length > 0 && memberCount > 1) {
+    elements.push(...buttonAssignees.map(assignee => ({
+      type: 'button',
+      text: {
+        type: 'plain_text',
+        text: assignees.length > 1
+          ? t(locale, 'notification.skipFor', { label: label(assignee, assignees.indexOf(assignee)) })
+          : t(locale, 'notification.skipPerson'),
+        emoji: true
+      },
+      action_id: `skip_person_${assignee.assignmentId}`,
+      value: assignee.assignmentId.toString()
+    })));
+
+    if (assignees.length === 1) {
+      elements.push({
+        type: 'button',
+        text: {
+          type: 'plain_text',
+          text: t(locale, 'notification.requestSwap'),
+          emoji: true
+        },
+        action_id: `request_swap_${assignees[0].assignmentId}`,
+        value: assignees[0].assignmentId.toString()
       });
     }
+  }
+
+  if (elements.length > 0) {
+    blocks.push({
+      type: 'actions',
+      elements
+    });
+  }
+
+  return blocks;
+}
+
+/**
+ * Plain-text fallback for a rota notification
+ */
+function notificationText(assignees, rotaName, locale = DEFAULT_LOCALE) {
+  return `📅 ${rotaName} - ${t(locale, 'notification.assigned')}: ${assignees.map(assignee => `<@${assignee.userId}>`).join(', ')}`;
+}
+
+/**
+ * Send rota notification to channel
+ * @param {string} workspaceId - Workspace ID
+ * @param {string} channelId - Channel ID
+ * @param {string|Array} userId - User ID to assign, or [{ userId, role, assignmentId }] for several assignees
+ * @param {string} rotaName - Name of the rota
+ * @param {Object} customMessage - Optional custom message
+ * @param {string} assignmentId - Assignment ID for skip button (single assignee)
+ * @param {number} memberCount - Number of members in rota (for skip button visibility)
+ * @param {Object} awaySuggestion - Optional away-status warning
+ * @param {Object} templateVariables - Custom message variables from getTemplateVariables()
+ * @param {string} locale - Language of the notification, from getRotaLocale()
+ */
+async function sendRotaNotification(workspaceId, channelId, userId, rotaName, customMessage, assignmentId = null, memberCount = 1, awaySuggestion = null, templateVariables = {}, locale = DEFAULT_LOCALE) {
+  try {
+    const client = await getSlackClient(workspaceId);
+    const assignees = toAssigneeList(userId, assignmentId);
+
+    // Build the notification blocks
+    const blocks = buildRotaNotificationBlocks(assignees, rotaName, customMessage, memberCount, awaySuggestion, [], templateVariables, locale);
 
     // Send message
     const result = await client.chatPostMessage(
       channelId,
-      `📅 ${rotaName} - Assigned: <@${userId}>`,
+      notificationText(assignees, rotaName, locale),
       blocks
     );
 
     schedulerLogger.info('Sent rota notification', {
       workspaceId,
       channelId,
-      userId,
+      userIds: assignees.map(assignee => assignee.userId),
       rotaName,
       messageTs: result.ts,
-      hasSkipButton: !!(assignmentId && memberCount > 1)
+      hasSkipButton: !!(assignees.some(assignee => assignee.assignmentId) && memberCount > 1)
     });
 
     return result.ts;
@@ -257,6 +610,389 @@ async function sendRotaNotification(workspaceId, channelId, userId, rotaName, cu
   }
 }
 
+/**
+ * Send a preview of a rota's notification to one person by DM
+ * The next scheduled assignee(s) stand in as sample assignees. Nothing is
+ * stored: no assignment is created and the rotation does not move, so the
+ * preview has no skip, swap or "I'm on it" buttons.
+ * @param {Object} rota - Rota document
+ * @param {string} userId - Who gets the preview
+ * @param {Object} changes - Unsaved settings to preview, e.g. { customMessage, messageTemplateId, locale } from the edit modal
+ * @returns {Promise<string>} Timestamp of the preview message
+ */
+async function sendTestNotification(rota, userId, changes = {}) {
+  const preview = { ...rota.toObject(), ...changes };
+
+  // Required here: forecastService depends on this module
+  const { getUpcomingSchedule } = require('./forecastService');
+  const [entry, following] = (await getUpcomingSchedule(rota, { count: 3 }))
+    .filter(item => !item.skipped && item.userId);
+
+  const assignees = entry
+    ? entry.assignees.filter(assignee => assignee.userId).map(assignee => ({ userId: assignee.userId, role: assignee.role, assignmentId: null }))
+    : [{ userId, role: null, assignmentId: null }];
+  const sample = {
+    channelId: rota.channelId,
+    assignedDate: entry ? entry.at : new Date(),
+    coverageStart: entry ? entry.at : null
+  };
+
+  // The sample turn has not happened yet: count it, and the turn after it is next
+  const templateVariables = {
+    ...await getTemplateVariables(preview, sample),
+    nextUserId: following ? following.userId : null
+  };
+  if (templateVariables.turnNumber !== null) {
+    templateVariables.turnNumber += 1;
+  }
+
+  const locale = await getRotaLocale(preview);
+  const client = await getSlackClient(rota.workspaceId);
+  await client.chatPostMessage(userId, t(locale, 'test.intro', {
+    rotaName: rota.name,
+    assignees: assignees.map(assignee => `<@${assignee.userId}>`).join(', ')
+  }));
+
+  const messageTs = await sendRotaNotification(
+    rota.workspaceId,
+    userId,
+    assignees,
+    rota.name,
+    await getCustomMessage(preview),
+    null,
+    rota.members.length,
+    null,
+    templateVariables,
+    locale
+  );
+
+  schedulerLogger.info('Sent test notification', { rotaId: rota._id, userId });
+
+  return messageTs;
+}
+
+/**
+ * Where a rota's notifications are delivered: 'channel', 'dm' or 'channel_and_dm'
+ */
+function getDeliveryMode(rota) {
+  return rota.delivery?.mode || 'channel';
+}
+
+/**
+ * Get the live assignments notified together with this one
+ * They share the channel message, or for DM-only rotas the coverage window.
+ */
+async function getMessageAssignments(assignment) {
+  const query = assignment.messageTs
+    ? { rotaId: assignment.rotaId, messageTs: assignment.messageTs, skipped: false }
+    : { rotaId: assignment.rotaId, coverageStart: assignment.coverageStart, notified: true, skipped: false };
+
+  const messageAssignments = assignment.messageTs || assignment.coverageStart
+    ? await RotaAssignment.find(query).sort({ slot: 1 })
+    : [];
+
+  return messageAssignments.length > 0 ? messageAssignments : [assignment];
+}
+
+/**
+ * Link to the channel message, or null if it cannot be resolved
+ */
+async function getMessageLink(client, channelId, messageTs) {
+  if (!messageTs) {
+    return null;
+  }
+
+  try {
+    const result = await client.chatGetPermalink(channelId, messageTs);
+    return result.permalink || null;
+  } catch (error) {
+    schedulerLogger.warn('Failed to get message permalink', { channelId, messageTs, error: error.message });
+    return null;
+  }
+}
+
+/**
+ * Build the DM for one assignee: the channel notification with only their own
+ * buttons, plus a link back to the channel message
+ * @param {Object} options - { link, customMessage, notes, templateVariables, locale }
+ */
+function buildAssigneeDmBlocks(assignees, recipientId, rota, { link = null, customMessage = null, notes = [], templateVariables = {}, locale = DEFAULT_LOCALE } = {}) {
+  const ownAssignees = assignees.map(assignee => (assignee.userId === recipientId
+    ? assignee
+    : { ...assignee, assignmentId: null }));
+
+  const blocks = buildRotaNotificationBlocks(ownAssignees, rota.name, customMessage, rota.members.length, null, notes, templateVariables, locale);
+  blocks.push({
+    type: 'context',
+    elements: [
+      {
+        type: 'mrkdwn',
+        text: link
+          ? `<${link}|${t(locale, 'notification.viewPost', { channel: `<#${rota.channelId}>` })}>`
+          : t(locale, 'notification.rotaChannel', { channel: `<#${rota.channelId}>` })
+      }
+    ]
+  });
+
+  return blocks;
+}
+
+function toMessageAssignee(assignment) {
+  return {
+    userId: assignment.userId,
+    role: assignment.role,
+    assignmentId: assignment._id,
+    acknowledgedAt: assignment.acknowledgedAt
+  };
+}
+
+/**
+ * Send the notification to assignees by direct message
+ * Each DM carries the rendered custom message, a link to the channel message
+ * (if any) and the recipient's own skip, swap and "I'm on it" buttons. Failed
+ * DMs are logged and do not stop the others.
+ * @param {Object} rota - Rota document
+ * @param {Array} recipients - Notified assignments to DM
+ * @returns {Promise<number>} Number of DMs delivered
+ */
+async function sendAssigneeDms(rota, recipients) {
+  const client = await getSlackClient(rota.workspaceId);
+  const customMessage = await getCustomMessage(rota);
+  const locale = await getRotaLocale(rota);
+  let delivered = 0;
+
+  for (const recipient of recipients) {
+    try {
+      const messageAssignments = await getMessageAssignments(recipient);
+      const assignees = messageAssignments.map(toMessageAssignee);
+      const link = await getMessageLink(client, recipient.channelId, recipient.messageTs);
+      const templateVariables = await getTemplateVariables(rota, messageAssignments[0]);
+
+      const result = await client.chatPostMessage(
+        recipient.userId,
+        notificationText(assignees, rota.name, locale),
+        buildAssigneeDmBlocks(assignees, recipient.userId, rota, { link, customMessage, templateVariables, locale })
+      );
+
+      await RotaAssignment.updateOne({ _id: recipient._id }, { dmChannelId: result.channel, dmTs: result.ts });
+      delivered++;
+
+      schedulerLogger.info('Sent rota notification by DM', {
+        assignmentId: recipient._id,
+        userId: recipient.userId,
+        rotaName: rota.name
+      });
+    } catch (error) {
+      schedulerLogger.error('Error sending rota notification by DM', {
+        error: error.message,
+        assignmentId: recipient._id,
+        userId: recipient.userId
+      });
+    }
+  }
+
+  return delivered;
+}
+
+/**
+ * Send the notification to assignees by email, for rotas with email delivery
+ * The email is the DM rendered as text and HTML; its buttons are left out and
+ * the link points to the channel message. Failed emails are logged and do not
+ * stop the others.
+ * @param {Object} rota - Rota document
+ * @param {Array} recipients - Notified assignments to email
+ * @returns {Promise<number>} Number of emails sent
+ */
+async function sendAssigneeEmails(rota, recipients) {
+  if (!isEmailDelivery(rota)) {
+    return 0;
+  }
+
+  const client = await getSlackClient(rota.workspaceId);
+  const customMessage = await getCustomMessage(rota);
+  const locale = await getRotaLocale(rota);
+  let sent = 0;
+
+  for (const recipient of recipients) {
+    try {
+      const messageAssignments = await getMessageAssignments(recipient);
+      const assignees = messageAssignments.map(toMessageAssignee);
+      const link = await getMessageLink(client, recipient.channelId, messageAssignments[0].messageTs);
+      const templateVariables = await getTemplateVariables(rota, messageAssignments[0]);
+
+      const delivered = await sendMemberEmail(client, rota, recipient.userId, {
+        subject: notificationText(assignees, rota.name, locale),
+        blocks: buildAssigneeDmBlocks(assignees, recipient.userId, rota, { link, customMessage, templateVariables, locale }),
+        locale
+      });
+      if (delivered) {
+        sent++;
+      }
+    } catch (error) {
+      schedulerLogger.error('Error sending rota notification by email', {
+        error: error.message,
+        assignmentId: recipient._id,
+        userId: recipient.userId
+      });
+    }
+  }
+
+  return sent;
+}
+
+/**
+ * Re-render an already posted rota notification (e.g. after a swap or a skip)
+ * Lists every active assignee that shares the message, and updates their DMs too.
+ * @param {string} workspaceId - Workspace ID
+ * @param {Object} assignment - One of the assignments whose message should be updated
+ * @param {Object} rota - Rota document
+ * @param {Array} notes - Extra context lines to show under the header
+ */
+async function updateRotaNotification(workspaceId, assignment, rota, notes = []) {
+  const messageAssignments = await getMessageAssignments(assignment);
+  const dmAssignments = messageAssignments.filter(messageAssignment => messageAssignment.dmTs);
+
+  if (!assignment.messageTs && dmAssignments.length === 0) {
+    schedulerLogger.warn('No message timestamp, cannot update notification', { assignmentId: assignment._id });
+    return;
+  }
+
+  const assignees = messageAssignments.map(toMessageAssignee);
+  const client = await getSlackClient(workspaceId);
+  const templateVariables = await getTemplateVariables(rota, messageAssignments[0]);
+  const customMessage = await getCustomMessage(rota);
+  const locale = await getRotaLocale(rota);
+
+  if (assignment.messageTs) {
+    const blocks = buildRotaNotificationBlocks(
+      assignees,
+      rota.name,
+      customMessage,
+      rota.members.length,
+      null,
+      notes,
+      templateVariables,
+      locale
+    );
+
+    await client.chatUpdate(
+      assignment.channelId,
+      assignment.messageTs,
+      notificationText(assignees, rota.name, locale),
+      blocks
+    );
+  }
+
+  const link = dmAssignments.length > 0
+    ? await getMessageLink(client, assignment.channelId, assignment.messageTs)
+    : null;
+
+  for (const dmAssignment of dmAssignments) {
+    await client.chatUpdate(
+      dmAssignment.dmChannelId,
+      dmAssignment.dmTs,
+      notificationText(assignees, rota.name, locale),
+      buildAssigneeDmBlocks(assignees, dmAssignment.userId, rota, { link, customMessage, notes, templateVariables, locale })
+    ).catch((error) => {
+      schedulerLogger.warn('Failed to update notification DM', { assignmentId: dmAssignment._id, error: error.message });
+    });
+  }
+
+  schedulerLogger.info('Updated rota notification', {
+    workspaceId,
+    assignmentId: assignment._id,
+    messageTs: assignment.messageTs,
+    dms: dmAssignments.length
+  });
+}
+
+const DEFAULT_CHANNEL_STATUS_TEMPLATE = 'On duty for {rotaName}: {assignees}';
+
+// Slack limits for conversations.setTopic and bookmark titles
+const MAX_TOPIC_LENGTH = 250;
+const MAX_BOOKMARK_TITLE_LENGTH = 100;
+
+/**
+ * Render the channel topic/bookmark template
+ * @param {string} template - Template with {assignees} and {rotaName} placeholders
+ * @param {Array} assigneeLabels - One label per assignee (mention or name, with role)
+ * @param {string} rotaName - Name of the rota
+ */
+function renderChannelStatus(template, assigneeLabels, rotaName) {
+  return (template || DEFAULT_CHANNEL_STATUS_TEMPLATE)
+    .replace(/\{assignees\}/g, assigneeLabels.join(', '))
+    .replace(/\{rotaName\}/g, rotaName);
+}
+
+/**
+ * Get a user's display name for places that cannot render mentions
+ */
+async function getDisplayName(client, userId) {
+  const userInfo = await client.usersInfo(userId);
+  const user = userInfo.user || {};
+  return user.profile?.display_name || user.real_name || user.name || userId;
+}
+
+/**
+ * Rewrite the rota channel's topic or bookmark with the current assignee(s)
+ * Called after an assignment is created or skipped. Never throws: a failure is
+ * stored on the rota (channelStatus.lastError) and shown on the Home tab.
+ * @param {Object} rota - Rota document
+ * @returns {Promise<boolean>} Whether the channel was updated
+ */
+async function updateChannelStatus(rota) {
+  const mode = rota.channelStatus?.mode;
+  if (!mode || mode === 'off') {
+    return false;
+  }
+
+  try {
+    const assignments = await getCurrentAssignments(rota._id, rota.schedule.timezone || 'UTC');
+    if (assignments.length === 0) {
+      return false;
+    }
+
+    const client = await getSlackClient(rota.workspaceId);
+    const withRole = (label, assignment) => (assignment.role ? `${label} (${assignment.role})` : label);
+    const update = { 'channelStatus.lastError': null };
+
+    if (mode === 'topic') {
+      const labels = assignments.map(assignment => withRole(`<@${assignment.userId}>`, assignment));
+      const topic = renderChannelStatus(rota.channelStatus.template, labels, rota.name).slice(0, MAX_TOPIC_LENGTH);
+      await client.conversationsSetTopic(rota.channelId, topic);
+    } else {
+      // Bookmark titles are plain text; the link opens a DM with the primary assignee
+      const labels = await Promise.all(assignments.map(async assignment => withRole(await getDisplayName(client, assignment.userId), assignment)));
+      const title = renderChannelStatus(rota.channelStatus.template, labels, rota.name).slice(0, MAX_BOOKMARK_TITLE_LENGTH);
+      const link = `https://slack.com/app_redirect?team=${rota.workspaceId}&channel=${assignments[0].userId}`;
+
+      let bookmarkId = rota.channelStatus.bookmarkId;
+      if (bookmarkId) {
+        // The bookmark may have been removed by hand; add a new one then
+        bookmarkId = await client.bookmarksEdit(rota.channelId, bookmarkId, title, link)
+          .then(() => bookmarkId)
+          .catch(() => null);
+      }
+      if (!bookmarkId) {
+        const result = await client.bookmarksAdd(rota.channelId, title, link);
+        bookmarkId = result.bookmark?.id || null;
+      }
+
+      update['channelStatus.bookmarkId'] = bookmarkId;
+    }
+
+    await Rota.updateOne({ _id: rota._id }, update);
+
+    schedulerLogger.info('Updated channel status', { rotaId: rota._id, channelId: rota.channelId, mode });
+    return true;
+  } catch (error) {
+    schedulerLogger.error('Error updating channel status', { rotaId: rota._id, channelId: rota.channelId, mode, error: error.message });
+    await Rota.updateOne({ _id: rota._id }, { 'channelStatus.lastError': error.message })
+      .catch(() => {});
+    return false;
+  }
+}
+
 /**
  * Send notification with retry logic
  */
@@ -269,7 +1005,9 @@ async function sendNotificationWithRetry(
   assignmentId = null,
   memberCount = 1,
   maxRetries = 3,
-  awaySuggestion = null
+  awaySuggestion = null,
+  templateVariables = {},
+  locale = DEFAULT_LOCALE
 ) {
   let lastError;
 
@@ -283,7 +1021,9 @@ async function sendNotificationWithRetry(
         customMessage,
         assignmentId,
         memberCount,
-        awaySuggestion
+        awaySuggestion,
+        templateVariables,
+        locale
       );
       return messageTs;
     } catch (error) {
@@ -310,10 +1050,24 @@ module.exports = {
   createAssignment,
   markAsNotified,
   getCurrentAssignment,
+  getCurrentAssignments,
   getRecentAssignments,
   getUnnotifiedAssignments,
   assignmentExistsForToday,
   renderMessageTemplate,
+  getCustomMessage,
+  getRotaLocale,
+  findUnknownPlaceholders,
+  getTemplateVariables,
+  TEMPLATE_VARIABLES,
+  buildRotaNotificationBlocks,
   sendRotaNotification,
-  sendNotificationWithRetry
+  sendTestNotification,
+  updateRotaNotification,
+  getDeliveryMode,
+  sendAssigneeDms,
+  sendAssigneeEmails,
+  updateChannelStatus,
+  sendNotificationWithRetry,
+  DEFAULT_CHANNEL_STATUS_TEMPLATE
 };
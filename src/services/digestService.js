@@ -0,0 +1,247 @@
+const Workspace = require('../models/Workspace');
+const { getSlackClient } = require('./slackClient');
+const { getUpcomingSchedule } = require('./forecastService');
+const { getCurrentAssignments } = require('./assignmentService');
+const { getDigestRotas } = require('../controllers/digestController');
+const { WEEKDAY_CODES, addDays } = require('../utils/rruleHelper');
+const { getAssigneeSlots } = require('../utils/rotationHelper');
+const { getDatePartsInTimezone, getLocalDateString } = require('../utils/timezoneHelper');
+const { resolveLocale, formatTurnDate, t } = require('../utils/i18n');
+const { schedulerLogger } = require('../utils/logger');
+
+// Occurrences looked at per rota: a daily rota has 7 a week, plus blacked-out days
+const DIGEST_FORECAST_LENGTH = 14;
+
+// Slack allows 50 blocks per message
+const MAX_DIGEST_ROTAS = 45;
+
+/**
+ * Format assignees as mentions with their role, e.g. "@alice (Primary), @bob"
+ */
+function formatAssignees(assignees) {
+  return assignees
+    .filter(assignee => assignee.userId)
+    .map(assignee => (assignee.role ? `<@${assignee.userId}> (${assignee.role})` : `<@${assignee.userId}>`))
+    .join(', ');
+}
+
+/**
+ * Build a rota's section of the digest: who is on duty now, then every turn of
+ * the next 7 days (in the rota's timezone), projected from its recurrence and
+ * rotation state
+ * @param {Object} rota - Rota document
+ * @param {Object} workspace - Workspace document (for blackout dates)
+ * @param {Date} now - Current time
+ * @param {string} locale - Language of the digest
+ * @returns {Promise<Object>} Section block
+ */
+async function buildRotaDigestBlock(rota, workspace, now, locale) {
+  const rotaTz = rota.schedule.timezone || 'UTC';
+  const localToday = getLocalDateString(now, rotaTz);
+  const weekEnd = addDays(localToday, 6);
+  const lines = [];
+
+  const current = await getCurrentAssignments(rota._id, rotaTz, now);
+  if (current.length > 0) {
+    const assignees = formatAssignees(current);
+    lines.push(current[0].coverageEnd
+      ? t(locale, 'digest.onDutyUntil', { assignees, date: formatTurnDate(getLocalDateString(current[0].coverageEnd, rotaTz), locale) })
+      : t(locale, 'digest.onDuty', { assignees }));
+  }
+
+  const entries = (await getUpcomingSchedule(rota, { count: DIGEST_FORECAST_LENGTH, workspace, now }))
+    .filter(entry => entry.date >= localToday && entry.date <= weekEnd);
+
+  entries.forEach((entry) => {
+    lines.push(entry.skipped
+      ? `• ~${formatTurnDate(entry.date, locale)}~ _${t(locale, 'digest.blackout')}_`
+      : `• *${formatTurnDate(entry.date, locale)}*: ${formatAssignees(entry.assignees)}`);
+  });
+
+  if (lines.length === 0) {
+    lines.push(`_${t(locale, 'digest.noTurns')}_`);
+  }
+
+  const block = {
+    type: 'section',
+    text: {
+      type: 'mrkdwn',
+      text: `*${rota.name}* • <#${rota.channelId}>\n${lines.join('\n')}`
+    }
+  };
+
+  // Opens the swap modal with the clicking member's own turns; swaps need a
+  // single assignee per turn
+  if (rota.members.length > 1 && getAssigneeSlots(rota).length === 1) {
+    block.accessory = {
+      type: 'button',
+      text: {
+        type: 'plain_text',
+        text: t(locale, 'notification.requestSwap'),
+        emoji: true
+      },
+      action_id: `digest_swap_${rota._id}`,
+      value: rota._id.toString()
+    };
+  }
+
+  return block;
+}
+
+/**
+ * Post a digest to its channel
+ * @param {Object} workspace - Workspace document
+ * @param {Object} digest - Digest subdocument
+ * @param {Date} now - Current time
+ * @returns {Promise<boolean>} Whether anything was posted
+ */
+async function postDigest(workspace, digest, now = new Date()) {
+  const rotas = await getDigestRotas(workspace.teamId, digest);
+  if (rotas.length === 0) {
+    schedulerLogger.info('No rotas for digest, nothing posted', { teamId: workspace.teamId, digestId: digest._id });
+    return false;
+  }
+
+  const locale = resolveLocale(null, workspace);
+  const localToday = getLocalDateString(now, digest.timezone || 'UTC');
+  const range = {
+    from: formatTurnDate(localToday, locale),
+    to: formatTurnDate(addDays(localToday, 6), locale)
+  };
+
+  const blocks = [
+    {
+      type: 'section',
+      text: {
+        type: 'mrkdwn',
+        text: t(locale, 'digest.title', range)
+      }
+    },
+    {
+      type: 'context',
+      elements: [
+        {
+          type: 'mrkdwn',
+          text: t(locale, 'digest.hint', { swapButton: t(locale, 'notification.requestSwap') })
+        }
+      ]
+    }
+  ];
+
+  for (const rota of rotas.slice(0, MAX_DIGEST_ROTAS)) {
+    blocks.push(await buildRotaDigestBlock(rota, workspace, now, locale));
+  }
+
+  if (rotas.length > MAX_DIGEST_ROTAS) {
+    blocks.push({
+      type: 'context',
+      elements: [
+        {
+          type: 'mrkdwn',
+          text: t(locale, 'digest.more', { count: rotas.length - MAX_DIGEST_ROTAS })
+        }
+      ]
+    });
+  }
+
+  const client = await getSlackClient(workspace.teamId);
+  await client.chatPostMessage(digest.channelId, t(locale, 'digest.fallback', range), blocks);
+
+  schedulerLogger.info('Posted digest', { teamId: workspace.teamId, digestId: digest._id, channelId: digest.channelId, rotas: rotas.length });
+  return true;
+}
+
+/**
+ * Whether a digest should be posted now: its weekday and time have come in its
+ * timezone, and it was not posted yet that day
+ * @returns {string|null} Local date to post for, null when not due
+ */
+function getDueDate(digest, now) {
+  const timezone = digest.timezone || 'UTC';
+  const localDate = getLocalDateString(now, timezone);
+  const { hour, minute } = getDatePartsInTimezone(now, timezone);
+  const weekday = WEEKDAY_CODES[(new Date(`${localDate}T00:00:00.000Z`).getUTCDay() + 6) % 7];
+
+  const isDue = weekday === digest.weekday &&
+    hour * 60 + minute >= digest.hour * 60 + digest.minute &&
+    (!digest.lastPostedDate || digest.lastPostedDate < localDate);
+
+  return isDue ? localDate : null;
+}
+
+/**
+ * Store the outcome of a digest's last post (null on success)
+ */
+async function setDigestError(workspace, digest, message) {
+  await Workspace.updateOne(
+    { _id: workspace._id, 'digests._id': digest._id },
+    { $set: { 'digests.$.lastError': message } }
+  );
+}
+
+/**
+ * Post every digest that is due
+ * Each digest is claimed for the day (lastPostedDate) before it is posted, so
+ * a restart or an overlapping run never posts the same week twice. A failed
+ * post is not retried; its error is stored on the digest (lastError) and shown
+ * on the Home tab.
+ */
+async function processDigests(now = new Date()) {
+  const results = { posted: 0, failed: 0 };
+
+  try {
+    const workspaces = await Workspace.find({ isActive: true, 'digests.0': { $exists: true } });
+
+    for (const workspace of workspaces) {
+      for (const digest of workspace.digests) {
+        const dueDate = getDueDate(digest, now);
+        if (!dueDate) {
+          continue;
+        }
+
+        const claim = await Workspace.updateOne(
+          {
+            _id: workspace._id,
+            digests: {
+              $elemMatch: {
+                _id: digest._id,
+                $or: [{ lastPostedDate: null }, { lastPostedDate: { $lt: dueDate } }]
+              }
+            }
+          },
+          { $set: { 'digests.$.lastPostedDate': dueDate } }
+        );
+        if (claim.modifiedCount === 0) {
+          continue;
+        }
+
+        try {
+          if (await postDigest(workspace, digest, now)) {
+            results.posted++;
+          }
+          if (digest.lastError) {
+            await setDigestError(workspace, digest, null);
+          }
+        } catch (error) {
+          results.failed++;
+          schedulerLogger.error('Error posting digest', { teamId: workspace.teamId, digestId: digest._id, error: error.message });
+          await setDigestError(workspace, digest, error.message).catch((updateError) => {
+            schedulerLogger.error('Error storing digest error', { digestId: digest._id, error: updateError.message });
+          });
+        }
+      }
+    }
+
+    if (results.posted > 0 || results.failed > 0) {
+      schedulerLogger.info('Digests completed', results);
+    }
+  } catch (error) {
+    schedulerLogger.error('Error in digests', { error: error.message });
+  }
+
+  return results;
+}
+
+module.exports = {
+  processDigests
+};
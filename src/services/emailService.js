@@ -0,0 +1,126 @@
+const nodemailer = require('nodemailer');
+const emailConfig = require('../config/email');
+const { collectMentions, renderMrkdwn, renderEmail } = require('../utils/emailRenderer');
+const { schedulerLogger } = require('../utils/logger');
+const { DEFAULT_LOCALE, t } = require('../utils/i18n');
+
+let transport = null;
+
+/**
+ * Whether an SMTP server is configured (SMTP_HOST)
+ */
+function isEmailConfigured() {
+  return !!emailConfig.host;
+}
+
+/**
+ * Whether a rota's notifications and reminders are also sent by email
+ */
+function isEmailDelivery(rota) {
+  return isEmailConfigured() && !!rota.delivery?.email;
+}
+
+function getTransport() {
+  if (!transport) {
+    transport = nodemailer.createTransport({
+      host: emailConfig.host,
+      port: emailConfig.port,
+      secure: emailConfig.secure,
+      auth: emailConfig.user ? { user: emailConfig.user, pass: emailConfig.password } : undefined
+    });
+  }
+
+  return transport;
+}
+
+/**
+ * Get the address to email a member at: the rota's override for them, else
+ * their Slack profile email (needs the users:read.email scope)
+ * @returns {Promise<string|null>}
+ */
+async function getMemberEmail(client, rota, userId) {
+  const override = (rota.delivery?.emailAddresses || []).find(entry => entry.userId === userId);
+  if (override) {
+    return override.email;
+  }
+
+  const userInfo = await client.usersInfo(userId);
+  return userInfo.user?.profile?.email || null;
+}
+
+/**
+ * Look up the names of the users and channels mentioned in a message
+ * Mentions that cannot be resolved keep their ID.
+ * @returns {Promise<Object>} { users: { id: name }, channels: { id: name } }
+ */
+async function lookupNames(client, content) {
+  const mentions = collectMentions(content);
+  const names = { users: {}, channels: {} };
+
+  for (const userId of mentions.users) {
+    try {
+      const { user = {} } = await client.usersInfo(userId);
+      names.users[userId] = user.profile?.display_name || user.real_name || user.name || userId;
+    } catch (error) {
+      schedulerLogger.warn('Failed to look up user for email', { userId, error: error.message });
+    }
+  }
+
+  for (const channelId of mentions.channels) {
+    try {
+      const { channel = {} } = await client.conversationsInfo(channelId);
+      names.channels[channelId] = channel.name || channelId;
+    } catch (error) {
+      schedulerLogger.warn('Failed to look up channel for email', { channelId, error: error.message });
+    }
+  }
+
+  return names;
+}
+
+/**
+ * Email a Slack message to a rota member, as text and HTML without buttons
+ * Does nothing for rotas without email delivery. Never throws: failures are
+ * logged and do not affect the Slack delivery.
+ * @param {Object} client - Slack client of the workspace
+ * @param {Object} rota - Rota document
+ * @param {string} userId - Member to email
+ * @param {Object} message - { subject, blocks, locale }: subject in mrkdwn, the Block Kit message
+ * @returns {Promise<boolean>} Whether the email was sent
+ */
+async function sendMemberEmail(client, rota, userId, { subject, blocks, locale = DEFAULT_LOCALE }) {
+  if (!isEmailDelivery(rota)) {
+    return false;
+  }
+
+  try {
+    const to = await getMemberEmail(client, rota, userId);
+    if (!to) {
+      schedulerLogger.warn('No email address for member, email not sent', { rotaId: rota._id, userId });
+      return false;
+    }
+
+    const names = await lookupNames(client, [subject, blocks]);
+    const { text, html } = renderEmail(blocks, names, t(locale, 'email.footer'));
+
+    await getTransport().sendMail({
+      from: emailConfig.from,
+      to,
+      subject: renderMrkdwn(subject, names),
+      text,
+      html
+    });
+
+    schedulerLogger.info('Sent email', { rotaId: rota._id, userId });
+    return true;
+  } catch (error) {
+    schedulerLogger.error('Error sending email', { rotaId: rota._id, userId, error: error.message });
+    return false;
+  }
+}
+
+module.exports = {
+  isEmailConfigured,
+  isEmailDelivery,
+  sendMemberEmail
+};
@@ -0,0 +1,155 @@
+const Rota = require('../models/Rota');
+const RotaAssignment = require('../models/RotaAssignment');
+const { getSlackClient } = require('./slackClient');
+const { getRotaLocale } = require('./assignmentService');
+const { sendMemberEmail } = require('./emailService');
+const { t } = require('../utils/i18n');
+const { schedulerLogger } = require('../utils/logger');
+
+// Level reached by an unacknowledged assignment
+const ESCALATION_DM = 1;
+const ESCALATION_THREAD = 2;
+
+// Older notifications are never escalated (the longest setting escalates
+// in thread after two days)
+const MAX_ESCALATION_AGE_MS = 2 * 24 * 60 * 60 * 1000;
+
+/**
+ * Blocks of the reminder DM sent to an assignee who has not acknowledged
+ */
+function buildEscalationDmBlocks(assignment, rota, locale) {
+  return [
+    {
+      type: 'section',
+      text: {
+        type: 'mrkdwn',
+        text: t(locale, 'escalation.text', { rotaName: rota.name, channel: `<#${assignment.channelId}>` })
+      }
+    },
+    {
+      type: 'actions',
+      elements: [
+        {
+          type: 'button',
+          text: {
+            type: 'plain_text',
+            text: t(locale, 'notification.acknowledge'),
+            emoji: true
+          },
+          style: 'primary',
+          action_id: `ack_${assignment._id}`,
+          value: assignment._id.toString()
+        }
+      ]
+    }
+  ];
+}
+
+/**
+ * Pick who to ask when an assignee does not respond: another assignee of the
+ * same turn (the backup) or else the rota owner
+ */
+async function getEscalationContact(assignment, rota) {
+  // DM-only rotas have no shared message; the turn is its coverage window
+  const turn = assignment.messageTs
+    ? { messageTs: assignment.messageTs }
+    : { coverageStart: assignment.coverageStart };
+  const backup = assignment.messageTs || assignment.coverageStart
+    ? await RotaAssignment.findOne({
+      rotaId: assignment.rotaId,
+      ...turn,
+      skipped: false,
+      userId: { $ne: assignment.userId }
+    }).sort({ slot: 1 })
+    : null;
+
+  return backup ? backup.userId : rota.createdBy;
+}
+
+/**
+ * Escalate one unacknowledged assignment if its time has come
+ * After escalation.afterMinutes the assignee gets a DM (and an email, for rotas
+ * with email delivery); after twice that the backup (or rota owner) is
+ * mentioned in the notification's thread, or in the channel itself for DM-only
+ * rotas.
+ * @returns {Promise<boolean>} Whether anything was sent
+ */
+async function escalateAssignment(assignment, rota, now = new Date()) {
+  const afterMs = rota.escalation.afterMinutes * 60 * 1000;
+  const elapsed = now.getTime() - assignment.notificationSentAt.getTime();
+  const client = await getSlackClient(assignment.workspaceId);
+  const locale = await getRotaLocale(rota);
+
+  if (assignment.escalationLevel < ESCALATION_DM && elapsed >= afterMs) {
+    const subject = t(locale, 'escalation.subject', { rotaName: rota.name });
+    const blocks = buildEscalationDmBlocks(assignment, rota, locale);
+    await client.chatPostMessage(assignment.userId, subject, blocks);
+    await sendMemberEmail(client, rota, assignment.userId, { subject, blocks, locale });
+    await RotaAssignment.updateOne({ _id: assignment._id }, { escalationLevel: ESCALATION_DM, lastEscalatedAt: now });
+    schedulerLogger.info('Escalated by DM', { assignmentId: assignment._id, userId: assignment.userId });
+    return true;
+  }
+
+  if (assignment.escalationLevel === ESCALATION_DM && elapsed >= 2 * afterMs) {
+    const contactId = await getEscalationContact(assignment, rota);
+    await client.chatPostMessage(
+      assignment.channelId,
+      t(locale, 'escalation.followUp', { user: `<@${assignment.userId}>`, rotaName: rota.name, contact: `<@${contactId}>` }),
+      null,
+      assignment.messageTs
+    );
+    await RotaAssignment.updateOne({ _id: assignment._id }, { escalationLevel: ESCALATION_THREAD, lastEscalatedAt: now });
+    schedulerLogger.info('Escalated in channel', { assignmentId: assignment._id, contactId, threaded: !!assignment.messageTs });
+    return true;
+  }
+
+  return false;
+}
+
+/**
+ * Escalate unacknowledged notifications of rotas with escalation enabled
+ * Only shifts that are still running are considered.
+ */
+async function processEscalations(now = new Date()) {
+  const results = { checked: 0, escalated: 0, failed: 0 };
+
+  try {
+    const rotas = await Rota.find({ isActive: true, 'escalation.afterMinutes': { $gt: 0 } });
+    if (rotas.length === 0) {
+      return results;
+    }
+
+    const rotasById = new Map(rotas.map(rota => [rota._id.toString(), rota]));
+    const assignments = await RotaAssignment.find({
+      rotaId: { $in: rotas.map(rota => rota._id) },
+      notified: true,
+      skipped: false,
+      acknowledgedAt: null,
+      escalationLevel: { $lt: ESCALATION_THREAD },
+      notificationSentAt: { $gte: new Date(now.getTime() - MAX_ESCALATION_AGE_MS) },
+      $or: [{ coverageEnd: null }, { coverageEnd: { $gt: now } }]
+    });
+    results.checked = assignments.length;
+
+    for (const assignment of assignments) {
+      try {
+        if (await escalateAssignment(assignment, rotasById.get(assignment.rotaId.toString()), now)) {
+          results.escalated++;
+        }
+      } catch (error) {
+        results.failed++;
+        schedulerLogger.error('Error escalating assignment', { assignmentId: assignment._id, error: error.message });
+      }
+    }
+
+    schedulerLogger.info('Escalation check completed', results);
+  } catch (error) {
+    schedulerLogger.error('Error in escalation check', { error: error.message });
+  }
+
+  return results;
+}
+
+module.exports = {
+  processEscalations
+};
@@ -0,0 +1,184 @@
+const Workspace = require('../models/Workspace');
+const { getScheduledOccurrences, getOccurrencesBetween, getOccurrenceInstant } = require('../utils/rruleHelper');
+const { getLocalDateString } = require('../utils/timezoneHelper');
+const { getRotaBlackout } = require('../utils/blackoutHelper');
+const { assignmentExistsForToday } = require('./assignmentService');
+const { findOverride } = require('../controllers/overrideController');
+const {
+  getRotationStrategy,
+  getServiceHistory,
+  recordService,
+  getShuffleCycle,
+  selectNextMember,
+  getUnavailableMembers,
+  getAssigneeSlots
+} = require('../utils/rotationHelper');
+
+const DEFAULT_FORECAST_LENGTH = 10;
+const MAX_FORECAST_LENGTH = 50;
+
+/**
+ * Project who will be on duty for the next occurrences of a rota
+ * Starts from the rota's current rotation position (currentIndex), so skips
+ * that already moved the pointer are taken into account. Weekdays-only and
+ * custom rules come from the RRULE; blacked-out occurrences are listed as
+ * skipped and do not use up a turn. Planned overrides replace the projected
+ * assignee and only use up a turn if the rota is set to advance on overrides
+ * (or the override comes from a swap). Members unavailable on a date are
+ * passed over without losing their place, as the scheduler does.
+ * @param {Object} rota - Rota document
+ * @param {Object} options - { count, workspace, now }
+ * @returns {Promise<Array>} Entries: { date, originalDate, at, userId, assignees, skipped, reason },
+ * where userId is the first (primary) assignee and assignees lists every slot ({ userId, role })
+ */
+async function getUpcomingSchedule(rota, { count = DEFAULT_FORECAST_LENGTH, workspace = undefined, now = new Date() } = {}) {
+  const limit = Math.min(Math.max(count, 1), MAX_FORECAST_LENGTH);
+  const rotaTz = rota.schedule.timezone || 'UTC';
+  const localToday = getLocalDateString(now, rotaTz);
+
+  const rotaWorkspace = workspace !== undefined
+    ? workspace
+    : await Workspace.findOne({ teamId: rota.workspaceId });
+  const blackout = getRotaBlackout(rota, rotaWorkspace);
+
+  // Today's occurrence only counts if it has not been assigned yet
+  const todayAssigned = await assignmentExistsForToday(rota._id, now, rotaTz);
+
+  const occurrences = getScheduledOccurrences(rota.schedule.rrule, localToday, limit + 1, blackout)
+    .filter(occurrence => !(occurrence.date === localToday && todayAssigned))
+    .slice(0, limit);
+
+  const atFor = (dateString) => getOccurrenceInstant(
+    new Date(`${dateString}T00:00:00.000Z`),
+    rota.schedule.notificationHour,
+    rota.schedule.notificationMinute,
+    rotaTz
+  );
+
+  const strategy = getRotationStrategy(rota);
+  const slots = getAssigneeSlots(rota);
+  const history = strategy === 'least_served'
+    ? await getServiceHistory(rota, now)
+    : null;
+
+  // Shuffled rotas only know the rest of the current cycle
+  const shuffle = strategy === 'shuffled' && (rota.rotation?.cycle || []).length > 0
+    ? getShuffleCycle(rota)
+    : { cycle: [], position: 0 };
+  let cyclePosition = shuffle.position;
+
+  // Project on a copy of the rotation pointer so the rota itself is untouched
+  const projection = {
+    members: rota.members,
+    currentIndex: rota.currentIndex,
+    rotation: { strategy, deferred: [...(rota.rotation?.deferred || [])] }
+  };
+
+  const nextProjected = (excludeUserIds, unavailableUserIds) => {
+    if (strategy !== 'shuffled') {
+      return selectNextMember(projection, { exclude: excludeUserIds, unavailable: unavailableUserIds, history });
+    }
+
+    const isFree = (userId, index) => index >= cyclePosition && !excludeUserIds.includes(userId);
+    let position = shuffle.cycle.findIndex((userId, index) => isFree(userId, index) && !unavailableUserIds.includes(userId));
+    if (position === -1) {
+      position = shuffle.cycle.findIndex(isFree);
+    }
+    if (position === -1) {
+      cyclePosition = shuffle.cycle.length;
+      return null;
+    }
+
+    // Same as the scheduler: the chosen member moves up in the cycle
+    [shuffle.cycle[cyclePosition], shuffle.cycle[position]] = [shuffle.cycle[position], shuffle.cycle[cyclePosition]];
+    return shuffle.cycle[cyclePosition++];
+  };
+
+  // An override that uses up the turn of the person who was due
+  const passProjectedTurn = () => {
+    if (strategy === 'shuffled') {
+      cyclePosition++;
+    } else if (strategy === 'round_robin' && rota.members.length > 0) {
+      projection.currentIndex = (projection.currentIndex + 1) % rota.members.length;
+    }
+  };
+
+  const entries = occurrences.map((occurrence) => {
+    const at = atFor(occurrence.date);
+    const override = findOverride(rota, occurrence.date);
+    const assignees = [];
+    const unavailable = getUnavailableMembers(rota, occurrence.date);
+
+    // One person per assignee slot; an override takes the first slot
+    slots.forEach(({ slot, role }) => {
+      let userId;
+
+      if (slot === 0 && override) {
+        if (override.swapRequestId || rota.overrideAdvancesRotation) {
+          passProjectedTurn();
+        }
+        userId = override.userId;
+      } else {
+        userId = rota.members.length > 0
+          ? nextProjected(assignees.map(assignee => assignee.userId).filter(Boolean), unavailable)
+          : null;
+      }
+
+      if (history && userId) {
+        recordService(history, userId, at);
+      }
+
+      assignees.push({ userId, role });
+    });
+
+    let reason = null;
+    if (override?.swapRequestId) {
+      reason = 'swap';
+    } else if (override) {
+      reason = 'override';
+    } else if (occurrence.originalDate !== occurrence.date) {
+      reason = 'moved';
+    } else if (!assignees[0].userId) {
+      reason = 'unknown';
+    }
+
+    return {
+      date: occurrence.date,
+      originalDate: occurrence.originalDate,
+      at,
+      userId: assignees[0].userId,
+      assignees,
+      skipped: false,
+      reason
+    };
+  });
+
+  // List blacked-out occurrences that are dropped entirely within the same range
+  if (blackout && blackout.mode !== 'next_working_day' && entries.length > 0) {
+    const rangeStart = new Date(`${localToday}T00:00:00.000Z`);
+    const rangeEnd = new Date(`${entries[entries.length - 1].date}T23:59:59.999Z`);
+
+    getOccurrencesBetween(rota.schedule.rrule, rangeStart, rangeEnd)
+      .map(occurrence => occurrence.toISOString().split('T')[0])
+      .filter(dateString => blackout.dates.has(dateString))
+      .forEach(dateString => entries.push({
+        date: dateString,
+        originalDate: dateString,
+        at: atFor(dateString),
+        userId: null,
+        assignees: [],
+        skipped: true,
+        reason: 'blackout'
+      }));
+
+    entries.sort((a, b) => a.date.localeCompare(b.date));
+  }
+
+  return entries;
+}
+
+module.exports = {
+  DEFAULT_FORECAST_LENGTH,
+  MAX_FORECAST_LENGTH,
+  getUpcomingSchedule
+};
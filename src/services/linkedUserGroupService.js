@@ -0,0 +1,49 @@
+const Rota = require('../models/Rota');
+const { getSlackClient } = require('./slackClient');
+const { getCurrentAssignments } = require('./assignmentService');
+const { logger } = require('../utils/logger');
+
+/**
+ * Point a rota's linked user group at the current assignee(s)
+ * Called after the scheduler assigns a rota and after a skip. Never throws: a
+ * failure is stored on the rota (linkedUserGroup.lastError) and shown on the
+ * Home tab, and is cleared by the next successful update.
+ * @param {Object} rota - Rota document
+ * @returns {Promise<boolean>} Whether the group was updated
+ */
+async function updateLinkedUserGroup(rota) {
+  const usergroupId = rota.linkedUserGroup?.usergroupId;
+  if (!usergroupId) {
+    return false;
+  }
+
+  try {
+    const assignments = await getCurrentAssignments(rota._id, rota.schedule.timezone || 'UTC');
+    const userIds = [...new Set(assignments.map(assignment => assignment.userId))];
+
+    // Slack does not allow empty user groups; keep the last assignee until the next one
+    if (userIds.length === 0) {
+      return false;
+    }
+
+    const client = await getSlackClient(rota.workspaceId);
+    await client.usergroupsUsersUpdate(usergroupId, userIds);
+
+    await Rota.updateOne({ _id: rota._id }, {
+      'linkedUserGroup.lastUpdatedAt': new Date(),
+      'linkedUserGroup.lastError': null
+    });
+
+    logger.info('Updated linked user group', { rotaId: rota._id, usergroupId, userIds });
+    return true;
+  } catch (error) {
+    logger.error('Error updating linked user group', { rotaId: rota._id, usergroupId, error: error.message });
+    await Rota.updateOne({ _id: rota._id }, { 'linkedUserGroup.lastError': error.message })
+      .catch(() => {});
+    return false;
+  }
+}
+
+module.exports = {
+  updateLinkedUserGroup
+};
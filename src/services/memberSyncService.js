@@ -0,0 +1,183 @@
+const Rota = require('../models/Rota');
+const { getSlackClient } = require('./slackClient');
+const { getRotaLocale } = require('./assignmentService');
+const { updateRota } = require('../controllers/rotaController');
+const { DEFAULT_LOCALE, t } = require('../utils/i18n');
+const { schedulerLogger } = require('../utils/logger');
+
+// Same limit as the members picker in the rota modals
+const MAX_SYNCED_MEMBERS = 50;
+
+// Stop paging through very large channels
+const MAX_CHANNEL_MEMBERS = 1000;
+
+/**
+ * List the workspace's user groups for the rota modals
+ * Returns an empty list when they cannot be read (e.g. missing usergroups:read).
+ * @returns {Promise<Array>} [{ id, handle, name }]
+ */
+async function listUserGroups(client) {
+  try {
+    const result = await client.usergroupsList();
+    return (result.usergroups || [])
+      .filter(group => !group.date_delete)
+      .map(group => ({ id: group.id, handle: group.handle, name: group.name }));
+  } catch (error) {
+    console.warn('Failed to list user groups:', error.message);
+    return [];
+  }
+}
+
+/**
+ * Read the members of a rota's user group or channel
+ * Channel members are filtered down to active people (no bots or deactivated accounts).
+ * @returns {Promise<Array>} User IDs, in the order Slack returns them
+ */
+async function fetchSourceMembers(client, rota) {
+  const { source, sourceId } = rota.memberSync;
+
+  if (source === 'usergroup') {
+    const result = await client.usergroupsUsersList(sourceId);
+    return (result.users || []).slice(0, MAX_SYNCED_MEMBERS);
+  }
+
+  const userIds = [];
+  let cursor = null;
+  do {
+    const page = await client.conversationsMembers(sourceId, cursor);
+    userIds.push(...(page.members || []));
+    cursor = page.response_metadata?.next_cursor || null;
+  } while (cursor && userIds.length < MAX_CHANNEL_MEMBERS);
+
+  const people = [];
+  for (const userId of userIds) {
+    if (people.length >= MAX_SYNCED_MEMBERS) {
+      break;
+    }
+
+    const userInfo = await client.usersInfo(userId);
+    if (userInfo.user && !userInfo.user.is_bot && !userInfo.user.deleted && userId !== 'USLACKBOT') {
+      people.push(userId);
+    }
+  }
+
+  return people;
+}
+
+/**
+ * Describe where a rota's members come from, for messages
+ */
+function describeMemberSource(rota, locale = DEFAULT_LOCALE) {
+  return rota.memberSync?.source === 'channel'
+    ? t(locale, 'roster.fromChannel', { channel: `<#${rota.memberSync.sourceId}>` })
+    : t(locale, 'roster.fromUserGroup');
+}
+
+/**
+ * Post a short roster change notice to the rota's channel
+ */
+async function postRosterNotice(client, rota, added, removed) {
+  const locale = await getRotaLocale(rota);
+  const changes = [];
+  if (added.length > 0) {
+    changes.push(t(locale, 'roster.added', { users: added.map(userId => `<@${userId}>`).join(', ') }));
+  }
+  if (removed.length > 0) {
+    changes.push(t(locale, 'roster.removed', { users: removed.map(userId => `<@${userId}>`).join(', ') }));
+  }
+
+  const text = t(locale, 'roster.updated', {
+    rotaName: rota.name,
+    source: describeMemberSource(rota, locale),
+    changes: changes.join('; ')
+  });
+  await client.chatPostMessage(rota.channelId, text);
+}
+
+/**
+ * Mirror a rota's members from its user group or channel
+ * Member changes go through updateRota, so whoever is due next stays next and
+ * new members join the end of the current cycle. The channel gets a notice when
+ * the roster changes, except on the first sync of a rota without members.
+ * @param {Object} rota - Rota document with a member source
+ * @returns {Promise<Object>} { added, removed }
+ */
+async function syncRotaMembers(rota) {
+  const { source, sourceId } = rota.memberSync || {};
+  if (!source || source === 'manual') {
+    return { added: [], removed: [] };
+  }
+
+  try {
+    if (!sourceId) {
+      throw new Error('No user group or channel to sync members from');
+    }
+
+    const client = await getSlackClient(rota.workspaceId);
+    const members = await fetchSourceMembers(client, rota);
+
+    if (members.length === 0) {
+      throw new Error(source === 'usergroup' ? 'The user group has no members' : 'The channel has no members');
+    }
+
+    const added = members.filter(userId => !rota.members.includes(userId));
+    const removed = rota.members.filter(userId => !members.includes(userId));
+
+    if (added.length > 0 || removed.length > 0) {
+      await updateRota(rota._id, rota.workspaceId, { members });
+      schedulerLogger.info('Synced rota members', { rotaId: rota._id, rotaName: rota.name, source, added, removed });
+
+      if (rota.members.length > 0) {
+        await postRosterNotice(client, rota, added, removed).catch((error) => {
+          schedulerLogger.warn('Failed to post roster notice', { rotaId: rota._id, error: error.message });
+        });
+      }
+    }
+
+    await Rota.updateOne({ _id: rota._id }, {
+      'memberSync.lastSyncedAt': new Date(),
+      'memberSync.lastError': null
+    });
+
+    return { added, removed };
+  } catch (error) {
+    schedulerLogger.error('Error syncing rota members', { rotaId: rota._id, rotaName: rota.name, error: error.message });
+    await Rota.updateOne({ _id: rota._id }, { 'memberSync.lastError': error.message });
+    throw error;
+  }
+}
+
+/**
+ * Sync the members of every active rota that has a member source
+ */
+async function syncAllRotaMembers() {
+  const results = { total: 0, synced: 0, failed: 0 };
+
+  try {
+    const rotas = await Rota.find({ isActive: true, 'memberSync.source': { $in: ['usergroup', 'channel'] } });
+    results.total = rotas.length;
+
+    for (const rota of rotas) {
+      try {
+        await syncRotaMembers(rota);
+        results.synced++;
+      } catch {
+        // Already logged and stored on the rota by syncRotaMembers()
+        results.failed++;
+      }
+    }
+
+    schedulerLogger.info('Member sync completed', results);
+  } catch (error) {
+    schedulerLogger.error('Error in member sync', { error: error.message });
+  }
+
+  return results;
+}
+
+module.exports = {
+  listUserGroups,
+  describeMemberSource,
+  syncRotaMembers,
+  syncAllRotaMembers
+};
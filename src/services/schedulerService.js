@@ -1,21 +1,38 @@
 const cron = require('node-cron');
 const Rota = require('../models/Rota');
-const { getNextOccurrence } = require('../utils/rruleHelper');
-const { getCurrentHourInTimezone, getCurrentMinuteInTimezone } = require('../utils/timezoneHelper');
-const { getNextAssignment } = require('../controllers/rotaController');
+const Workspace = require('../models/Workspace');
+const { isScheduledOn, getCoverageWindow } = require('../utils/rruleHelper');
+const { getRotaBlackout } = require('../utils/blackoutHelper');
+const { getAssigneeSlots } = require('../utils/rotationHelper');
+const { getCurrentHourInTimezone, getCurrentMinuteInTimezone, getLocalDateString } = require('../utils/timezoneHelper');
+const { getNextAssignment, getOverrideAssignment } = require('../controllers/rotaController');
+const { findOverride } = require('../controllers/overrideController');
 const {
   createAssignment,
   markAsNotified,
   assignmentExistsForToday,
   sendNotificationWithRetry,
-  getUnnotifiedAssignments
+  getUnnotifiedAssignments,
+  getDeliveryMode,
+  sendAssigneeDms,
+  sendAssigneeEmails,
+  getTemplateVariables,
+  getCustomMessage,
+  getRotaLocale,
+  updateChannelStatus
 } = require('./assignmentService');
 const { getSlackClient } = require('./slackClient');
+const { syncAllRotaMembers } = require('./memberSyncService');
+const { updateLinkedUserGroup } = require('./linkedUserGroupService');
+const { processEscalations } = require('./escalationService');
+const { processAdvanceNotices } = require('./advanceNoticeService');
+const { processDigests } = require('./digestService');
 const { findAwayMatch } = require('../utils/awayStatusHelper');
 const { schedulerLogger } = require('../utils/logger');
 
 let schedulerTask = null;
 let schedulerRetryTask = null;
+let memberSyncTask = null;
 let isRunning = false;
 
 async function buildAwaySuggestion(workspaceId, rota, assignedUserId) {
@@ -64,29 +81,23 @@ async function buildAwaySuggestion(workspaceId, rota, assignedUserId) {
 /**
  * Check if rota should execute today (including catch-up for missed executions)
  * @param {Object} rota - The rota to check
+ * @param {Object} blackout - Combined workspace/rota blackout ({ dates, mode }), optional
  * @returns {boolean} True if rota should execute now
  */
-function shouldExecuteToday(rota) {
+function shouldExecuteToday(rota, blackout = null) {
   try {
-    // Step 1: Check if date matches (RRULE evaluation)
-    const nextOccurrence = getNextOccurrence(rota.schedule.rrule);
+    // Step 1: Check if today (in the rota's timezone) is a scheduled date.
+    // Blacked-out occurrences are dropped, or moved to the next working day
+    const now = new Date();
+    const rotaTz = rota.schedule.timezone || 'UTC';
+    const localToday = getLocalDateString(now, rotaTz);
 
-    if (!nextOccurrence) {
-      schedulerLogger.warn('No next occurrence found', { rotaId: rota._id, rotaName: rota.name });
+    if (blackout?.dates.has(localToday)) {
+      schedulerLogger.info('Rota blacked out today', { rotaId: rota._id, rotaName: rota.name, localToday });
       return false;
     }
 
-    // Check if next occurrence is today
-    const today = new Date();
-    today.setHours(0, 0, 0, 0);
-
-    const tomorrow = new Date(today);
-    tomorrow.setDate(tomorrow.getDate() + 1);
-
-    const occurrenceDate = new Date(nextOccurrence);
-    occurrenceDate.setHours(0, 0, 0, 0);
-
-    const dateMatches = occurrenceDate >= today && occurrenceDate < tomorrow;
+    const dateMatches = isScheduledOn(rota.schedule.rrule, localToday, blackout);
 
     if (!dateMatches) {
       return false;
@@ -94,8 +105,6 @@ function shouldExecuteToday(rota) {
 
     // Step 2: Check if notification time has passed or is current
     // This allows catch-up for missed executions within the same day
-    const now = new Date();
-    const rotaTz = rota.schedule.timezone || 'UTC';
     const currentHour = getCurrentHourInTimezone(now, rotaTz);
     const currentMinute = getCurrentMinuteInTimezone(now, rotaTz);
 
@@ -120,6 +129,7 @@ function shouldExecuteToday(rota) {
       rotaId: rota._id,
       rotaName: rota.name,
       timezone: rotaTz,
+      localToday,
       currentHour,
       currentMinute,
       notificationHour,
@@ -147,8 +157,10 @@ function shouldExecuteToday(rota) {
 
 /**
  * Process a single rota
+ * @param {Object} rota - The rota to process
+ * @param {Object} blackout - Combined workspace/rota blackout ({ dates, mode }), optional
  */
-async function processRota(rota) {
+async function processRota(rota, blackout = null) {
   try {
     const rotaId = rota._id;
     const workspaceId = rota.workspaceId;
@@ -159,42 +171,127 @@ async function processRota(rota) {
       workspaceId
     });
 
+    const rotaTz = rota.schedule.timezone || 'UTC';
+    const localToday = getLocalDateString(new Date(), rotaTz);
+
     // Check if assignment already exists for today
-    const alreadyAssigned = await assignmentExistsForToday(rotaId, new Date());
+    const alreadyAssigned = await assignmentExistsForToday(rotaId, new Date(), rotaTz);
     if (alreadyAssigned) {
       schedulerLogger.info('Assignment already exists for today', { rotaId, rotaName: rota.name });
       return { success: true, skipped: true, reason: 'already_assigned' };
     }
 
-    // Get next assignment
-    const { userId, rotaName, channelId } = await getNextAssignment(rotaId, workspaceId);
-    schedulerLogger.info('Next assignment determined', { rotaId, userId, channelId });
+    // The assignees cover the rota until the next scheduled rotation
+    const coverage = getCoverageWindow(
+      rota.schedule.rrule,
+      localToday,
+      rota.schedule.notificationHour,
+      rota.schedule.notificationMinute,
+      rotaTz,
+      blackout
+    );
+
+    // Pick one person per assignee slot; a pre-planned override for today
+    // takes the first slot
+    const override = findOverride(rota, localToday);
+    const assignees = [];
+    const created = [];
+    let rotaName = rota.name;
+    let channelId = rota.channelId;
+
+    for (const { slot, role } of getAssigneeSlots(rota)) {
+      const slotOverride = slot === 0 ? override : null;
+      const next = slotOverride
+        ? await getOverrideAssignment(rotaId, workspaceId, slotOverride)
+        : await getNextAssignment(rotaId, workspaceId, assignees.map(assignee => assignee.userId), localToday);
+      rotaName = next.rotaName;
+      channelId = next.channelId;
+      schedulerLogger.info('Next assignment determined', { rotaId, userId: next.userId, channelId, slot, isOverride: !!slotOverride });
+
+      // Create assignment record
+      const assignment = await createAssignment(rotaId, workspaceId, next.userId, channelId, new Date(), {
+        coverageStart: coverage.start,
+        coverageEnd: coverage.end,
+        isOverride: !!slotOverride,
+        slot,
+        role,
+        swapRequestId: slotOverride?.swapRequestId || null,
+        swappedFromUserId: slotOverride?.originalUserId || null
+      });
+
+      assignees.push({ userId: next.userId, role, assignmentId: assignment._id });
+      created.push(assignment);
+    }
 
+    const userId = assignees[0].userId;
     const awaySuggestion = await buildAwaySuggestion(workspaceId, rota, userId);
+    const customMessage = await getCustomMessage(rota);
+    const templateVariables = await getTemplateVariables(rota, created[0]);
+    const locale = await getRotaLocale(rota);
+
+    // Send one notification listing everyone, with a skip button each, to the
+    // channel and/or to each assignee by DM
+    const deliveryMode = getDeliveryMode(rota);
+    let messageTs = null;
+    if (deliveryMode !== 'dm') {
+      messageTs = await sendNotificationWithRetry(
+        workspaceId,
+        channelId,
+        assignees,             // Each carries its assignment ID for the skip buttons
+        rotaName,
+        customMessage,
+        null,
+        rota.members.length,   // Pass member count to determine button visibility
+        3, // Number of retries
+        awaySuggestion,
+        templateVariables,
+        locale
+      );
+    }
 
-    // Create assignment record
-    const assignment = await createAssignment(rotaId, workspaceId, userId, channelId, new Date());
+    // Mark as notified
+    const notified = [];
+    for (const assignee of assignees) {
+      notified.push(await markAsNotified(assignee.assignmentId, messageTs));
+    }
 
-    // Send notification with skip button
-    const messageTs = await sendNotificationWithRetry(
-      workspaceId,
-      channelId,
-      userId,
-      rotaName,
-      rota.customMessage,
-      assignment._id,        // Pass assignment ID for skip button
-      rota.members.length,   // Pass member count to determine button visibility
-      3, // Number of retries
-      awaySuggestion
-    );
+    if (deliveryMode !== 'channel') {
+      const delivered = await sendAssigneeDms(rota, notified);
+
+      // Nobody could be reached by DM: fall back to the channel
+      if (delivered === 0 && deliveryMode === 'dm') {
+        schedulerLogger.warn('No DM delivered, posting to the channel instead', { rotaId, rotaName });
+        messageTs = await sendNotificationWithRetry(
+          workspaceId,
+          channelId,
+          assignees,
+          rotaName,
+          customMessage,
+          null,
+          rota.members.length,
+          3,
+          awaySuggestion,
+          templateVariables,
+          locale
+        );
+        for (const assignee of assignees) {
+          await markAsNotified(assignee.assignmentId, messageTs);
+        }
+      }
+    }
 
-    // Mark as notified
-    await markAsNotified(assignment._id, messageTs);
+    // Rotas with email delivery also email every assignee
+    await sendAssigneeEmails(rota, notified);
+
+    // Point the linked user group (e.g. @support-oncall) at the new assignees
+    // and show them in the channel topic or bookmark
+    await updateLinkedUserGroup(rota);
+    await updateChannelStatus(rota);
 
     schedulerLogger.info('Rota processed successfully', {
       rotaId,
       rotaName,
-      userId,
+      userIds: assignees.map(assignee => assignee.userId),
       messageTs
     });
 
@@ -234,6 +331,11 @@ async function processAllRotas() {
       return;
     }
 
+    // Load workspace holiday calendars once per cycle
+    const workspaceIds = [...new Set(rotas.map(rota => rota.workspaceId))];
+    const workspaces = await Workspace.find({ teamId: { $in: workspaceIds } });
+    const workspacesById = new Map(workspaces.map(workspace => [workspace.teamId, workspace]));
+
     const results = {
       total: rotas.length,
       processed: 0,
@@ -245,7 +347,8 @@ async function processAllRotas() {
     // Process each rota
     for (const rota of rotas) {
       // Check if this rota should execute today
-      if (!shouldExecuteToday(rota)) {
+      const blackout = getRotaBlackout(rota, workspacesById.get(rota.workspaceId));
+      if (!shouldExecuteToday(rota, blackout)) {
         schedulerLogger.info('Rota not scheduled for today', {
           rotaId: rota._id,
           rotaName: rota.name
@@ -254,7 +357,7 @@ async function processAllRotas() {
         continue;
       }
 
-      const result = await processRota(rota);
+      const result = await processRota(rota, blackout);
 
       if (result.success) {
         if (result.skipped) {
@@ -289,8 +392,32 @@ async function processAllRotas() {
   }
 }
 
+/**
+ * Group unnotified assignments by occurrence (rota and coverage window), so an
+ * occurrence with several assignees is retried as one notification
+ * Assignments without a coverage window are retried on their own.
+ * @returns {Array<Array>} Assignments of each occurrence, by assignee slot
+ */
+function groupByOccurrence(assignments) {
+  const groups = new Map();
+
+  for (const assignment of assignments) {
+    const key = assignment.coverageStart
+      ? `${assignment.rotaId}_${assignment.coverageStart.toISOString()}`
+      : assignment._id.toString();
+    if (!groups.has(key)) {
+      groups.set(key, []);
+    }
+    groups.get(key).push(assignment);
+  }
+
+  return [...groups.values()].map(group => group.sort((a, b) => (a.slot || 0) - (b.slot || 0)));
+}
+
 /**
  * Retry failed notifications
+ * Like processRota(), each occurrence gets one notification listing all of its
+ * assignees, so later updates (acknowledge, skip, swap) share its message.
  */
 async function retryFailedNotifications() {
   try {
@@ -309,33 +436,52 @@ async function retryFailedNotifications() {
     let retried = 0;
     let failed = 0;
 
-    for (const assignment of unnotified) {
+    for (const occurrence of groupByOccurrence(unnotified)) {
+      const first = occurrence[0];
       try {
         // Get rota details
-        const rota = await Rota.findById(assignment.rotaId);
+        const rota = await Rota.findById(first.rotaId);
         if (!rota) {
-          schedulerLogger.warn('Rota not found for assignment', { assignmentId: assignment._id });
+          schedulerLogger.warn('Rota not found for assignment', { assignmentId: first._id });
           continue;
         }
 
-        // Retry notification
+        const assignees = occurrence.map(assignment => ({
+          userId: assignment.userId,
+          role: assignment.role || null,
+          assignmentId: assignment._id
+        }));
+
+        // Retry notification in the channel, also for DM-only rotas whose DMs failed
         const messageTs = await sendNotificationWithRetry(
-          assignment.workspaceId,
-          assignment.channelId,
-          assignment.userId,
+          first.workspaceId,
+          first.channelId,
+          assignees,
           rota.name,
-          rota.customMessage,
-          2 // Fewer retries for retry job
+          await getCustomMessage(rota),
+          null,
+          rota.members.length,
+          2, // Fewer retries for retry job
+          null,
+          await getTemplateVariables(rota, first),
+          await getRotaLocale(rota)
         );
 
-        await markAsNotified(assignment._id, messageTs);
-        retried++;
+        const notified = [];
+        for (const assignment of occurrence) {
+          notified.push(await markAsNotified(assignment._id, messageTs));
+        }
+        if (getDeliveryMode(rota) === 'channel_and_dm') {
+          await sendAssigneeDms(rota, notified);
+        }
+        await sendAssigneeEmails(rota, notified);
+        retried += occurrence.length;
       } catch (error) {
         schedulerLogger.error('Failed to retry notification', {
-          assignmentId: assignment._id,
+          assignmentIds: occurrence.map(assignment => assignment._id),
           error: error.message
         });
-        failed++;
+        failed += occurrence.length;
       }
     }
 
@@ -360,6 +506,12 @@ function startScheduler() {
   schedulerTask = cron.schedule('*/15 * * * *', async () => {
     schedulerLogger.info('Scheduler triggered by cron');
     await processAllRotas();
+    // Then remind or escalate assignees who have not acknowledged
+    await processEscalations();
+    // And give the next people a heads-up before their turn
+    await processAdvanceNotices();
+    // Post the weekly digests that are due
+    await processDigests();
   });
 
   // Also run retry job every 6 hours
@@ -368,8 +520,16 @@ function startScheduler() {
     await retryFailedNotifications();
   });
 
+  // Refresh members of rotas linked to a user group or channel every hour,
+  // between scheduler runs
+  memberSyncTask = cron.schedule('10 * * * *', async () => {
+    schedulerLogger.info('Member sync triggered by cron');
+    await syncAllRotaMembers();
+  });
+
   schedulerLogger.info('Scheduler started - runs every 15 minutes (0, 15, 30, 45)');
   schedulerLogger.info('Retry job started - runs every 6 hours');
+  schedulerLogger.info('Member sync started - runs every hour (at 10 past)');
 
   // Run immediately on startup (optional)
   if (process.env.RUN_SCHEDULER_ON_START === 'true') {
@@ -386,6 +546,8 @@ function stopScheduler() {
   schedulerTask = null;
   schedulerRetryTask?.stop();
   schedulerRetryTask = null;
+  memberSyncTask?.stop();
+  memberSyncTask = null;
   schedulerLogger.info('Scheduler stopped');
 }
 
@@ -63,6 +63,13 @@ class SlackClient {
     });
   }
 
+  async viewsPush(triggerId, view) {
+    return this.makeRequest('views.push', {
+      trigger_id: triggerId,
+      view: view
+    });
+  }
+
   // Chat API
   async chatPostMessage(channel, text, blocks = null, threadTs = null) {
     return this.makeRequest('chat.postMessage', {
@@ -82,6 +89,22 @@ class SlackClient {
     });
   }
 
+  async chatGetPermalink(channel, messageTs) {
+    return this.makeRequest('chat.getPermalink', {
+      channel: channel,
+      message_ts: messageTs
+    }, true); // Use GET method
+  }
+
+  async chatPostEphemeral(channel, user, text, blocks = null) {
+    return this.makeRequest('chat.postEphemeral', {
+      channel: channel,
+      user: user,
+      text: text,
+      blocks: blocks
+    });
+  }
+
   async chatDelete(channel, ts) {
     return this.makeRequest('chat.delete', {
       channel: channel,
@@ -118,6 +141,21 @@ class SlackClient {
     }, true); // Use GET method
   }
 
+  async conversationsMembers(channel, cursor = null, limit = 200) {
+    return this.makeRequest('conversations.members', {
+      channel: channel,
+      limit: limit,
+      ...(cursor ? { cursor } : {}) // A "null" query parameter is not a valid cursor
+    }, true); // Use GET method
+  }
+
+  async conversationsSetTopic(channel, topic) {
+    return this.makeRequest('conversations.setTopic', {
+      channel: channel,
+      topic: topic
+    });
+  }
+
   async conversationsHistory(channel, options = {}) {
     return this.makeRequest('conversations.history', {
       channel: channel,
@@ -125,6 +163,67 @@ class SlackClient {
     }, true); // Use GET method
   }
 
+  // Bookmarks API
+  async bookmarksAdd(channelId, title, link) {
+    return this.makeRequest('bookmarks.add', {
+      channel_id: channelId,
+      title: title,
+      type: 'link',
+      link: link
+    });
+  }
+
+  async bookmarksEdit(channelId, bookmarkId, title, link) {
+    return this.makeRequest('bookmarks.edit', {
+      channel_id: channelId,
+      bookmark_id: bookmarkId,
+      title: title,
+      link: link
+    });
+  }
+
+  // User Groups API
+  async usergroupsList() {
+    return this.makeRequest('usergroups.list', {}, true); // Use GET method
+  }
+
+  async usergroupsUsersList(usergroup) {
+    return this.makeRequest('usergroups.users.list', {
+      usergroup: usergroup
+    }, true); // Use GET method
+  }
+
+  async usergroupsUsersUpdate(usergroup, userIds) {
+    return this.makeRequest('usergroups.users.update', {
+      usergroup: usergroup,
+      users: userIds.join(',')
+    });
+  }
+
+  // Files API
+  async filesInfo(fileId) {
+    return this.makeRequest('files.info', {
+      file: fileId
+    }, true); // Use GET method
+  }
+
+  // Download a private file (url_private / url_private_download) as text
+  async downloadFile(url) {
+    try {
+      const response = await axios.get(url, {
+        headers: {
+          'Authorization': `Bearer ${this.token}`
+        },
+        responseType: 'text'
+      });
+
+      return response.data;
+    } catch (error) {
+      console.error('Error downloading file:', error.message);
+      throw error;
+    }
+  }
+
   // Team API
   async teamInfo() {
     return this.makeRequest('team.info', {}, true); // Use GET method
@@ -0,0 +1,265 @@
+/**
+ * Blackout Calendar Utilities
+ * Parses manual date lists and .ics files into blackout dates, and combines
+ * workspace and rota calendars for the scheduler
+ */
+
+const { RRule } = require('rrule');
+const { addDays } = require('./rruleHelper');
+
+const BLACKOUT_MODES = ['skip', 'next_working_day'];
+
+// Upper bound on stored dates per calendar (a few years of holidays)
+const MAX_BLACKOUT_DATES = 1000;
+
+// Longest range accepted from a single line or .ics event
+const MAX_RANGE_DAYS = 366;
+
+// How far ahead recurring .ics events (e.g. a yearly holiday) are expanded
+const ICS_RECURRENCE_DAYS = 2 * 365;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Check that a string is a real YYYY-MM-DD calendar date
+ */
+function isValidDateString(value) {
+  if (!DATE_PATTERN.test(value)) {
+    return false;
+  }
+
+  const date = new Date(`${value}T00:00:00.000Z`);
+  return !isNaN(date.getTime()) && date.toISOString().startsWith(value);
+}
+
+/**
+ * Expand an inclusive date range into individual dates
+ */
+function expandRange(startDate, endDate) {
+  const dates = [];
+  let current = startDate;
+
+  while (current <= endDate && dates.length < MAX_RANGE_DAYS) {
+    dates.push(current);
+    current = addDays(current, 1);
+  }
+
+  return dates;
+}
+
+/**
+ * Parse a manual blackout list, one entry per line:
+ *   2026-12-25 Christmas Day
+ *   2026-12-28..2026-12-31 Company shutdown
+ * @param {string} text - Raw text from the modal
+ * @returns {object} { dates: [{ date, label }], errors: [string] }
+ */
+function parseDateList(text = '') {
+  const dates = [];
+  const errors = [];
+
+  text.split('\n').forEach((rawLine, index) => {
+    const line = rawLine.trim();
+    if (!line) {
+      return;
+    }
+
+    const [range, ...labelParts] = line.split(/\s+/);
+    const label = labelParts.join(' ') || null;
+    const [startDate, endDate = startDate] = range.split('..');
+
+    if (!isValidDateString(startDate) || !isValidDateString(endDate) || endDate < startDate) {
+      errors.push(`Line ${index + 1}: "${range}" is not a date (YYYY-MM-DD) or range (YYYY-MM-DD..YYYY-MM-DD)`);
+      return;
+    }
+
+    expandRange(startDate, endDate).forEach(date => dates.push({ date, label }));
+  });
+
+  return { dates, errors };
+}
+
+/**
+ * Unescape an iCalendar TEXT value
+ */
+function unescapeIcsText(value) {
+  return value
+    .replace(/\\n/gi, ' ')
+    .replace(/\\([,;\\])/g, '$1')
+    .trim();
+}
+
+/**
+ * Read the date part of an iCalendar DATE or DATE-TIME value
+ */
+function icsValueToDate(value) {
+  const match = /^(\d{4})(\d{2})(\d{2})/.exec(value);
+  return match ? `${match[1]}-${match[2]}-${match[3]}` : null;
+}
+
+/**
+ * First date a blackout can still matter for: yesterday in UTC, so today is
+ * kept in every timezone
+ */
+function getBlackoutCutoff(now = new Date()) {
+  return addDays(now.toISOString().split('T')[0], -1);
+}
+
+/**
+ * List the start dates of a recurring .ics event (RRULE, minus EXDATEs) from
+ * the blackout cutoff up to ICS_RECURRENCE_DAYS ahead
+ * @throws {Error} When the RRULE cannot be read
+ */
+function expandIcsRecurrence(event, now = new Date()) {
+  let rule;
+  try {
+    rule = new RRule({
+      ...RRule.parseString(event.rrule),
+      dtstart: new Date(`${event.start}T00:00:00.000Z`)
+    });
+  } catch {
+    throw new Error(`Unsupported recurrence rule in "${event.summary || event.start}": ${event.rrule}`);
+  }
+
+  const from = new Date(`${getBlackoutCutoff(now)}T00:00:00.000Z`);
+  const until = new Date(from.getTime() + ICS_RECURRENCE_DAYS * DAY_MS);
+
+  return rule.between(from, until, true)
+    .map(occurrence => occurrence.toISOString().split('T')[0])
+    .filter(date => !event.exdates.includes(date));
+}
+
+/**
+ * Parse the VEVENTs of an .ics file into blackout dates
+ * All-day events use the exclusive DTEND from RFC 5545; timed events block the
+ * calendar day they start on. Recurring events (RRULE, e.g. a yearly holiday)
+ * are expanded for the next two years.
+ * @param {string} icsText - Contents of the .ics file
+ * @returns {Array} [{ date, label }]
+ * @throws {Error} When an event has a recurrence rule that cannot be read
+ */
+function parseIcsDates(icsText = '') {
+  // Unfold continuation lines (RFC 5545 section 3.1)
+  const lines = icsText.replace(/\r\n/g, '\n').replace(/\n[ \t]/g, '').split('\n');
+  const dates = [];
+  let event = null;
+
+  for (const line of lines) {
+    if (line === 'BEGIN:VEVENT') {
+      event = { exdates: [] };
+      continue;
+    }
+
+    if (line === 'END:VEVENT') {
+      if (event?.start) {
+        const isAllDay = event.allDay;
+        const lastDay = event.end
+          ? (isAllDay ? addDays(event.end, -1) : event.end)
+          : event.start;
+        const endDate = lastDay < event.start ? event.start : lastDay;
+        const spanDays = Math.round((new Date(endDate).getTime() - new Date(event.start).getTime()) / DAY_MS);
+        const starts = event.rrule ? expandIcsRecurrence(event) : [event.start];
+
+        starts.forEach((start) => {
+          expandRange(start, addDays(start, spanDays)).forEach(date => dates.push({ date, label: event.summary || null }));
+        });
+      }
+      event = null;
+      continue;
+    }
+
+    if (!event) {
+      continue;
+    }
+
+    const separator = line.indexOf(':');
+    if (separator === -1) {
+      continue;
+    }
+
+    const [name, ...params] = line.slice(0, separator).split(';');
+    const value = line.slice(separator + 1);
+
+    if (name === 'DTSTART') {
+      event.start = icsValueToDate(value);
+      event.allDay = params.includes('VALUE=DATE') || /^\d{8}$/.test(value);
+    } else if (name === 'DTEND') {
+      event.end = icsValueToDate(value);
+    } else if (name === 'RRULE') {
+      event.rrule = value;
+    } else if (name === 'EXDATE') {
+      event.exdates.push(...value.split(',').map(icsValueToDate).filter(Boolean));
+    } else if (name === 'SUMMARY') {
+      event.summary = unescapeIcsText(value);
+    }
+  }
+
+  return dates;
+}
+
+/**
+ * Merge date lists, de-duplicating by date (first label wins) and sorting
+ * Past dates no longer affect scheduling and are dropped.
+ * @returns {Array} [{ date, label }]
+ * @throws {Error} When more than MAX_BLACKOUT_DATES dates remain
+ */
+function mergeDates(...lists) {
+  const cutoff = getBlackoutCutoff();
+  const byDate = new Map();
+
+  lists.flat().forEach((entry) => {
+    if (entry?.date && entry.date >= cutoff && !byDate.has(entry.date)) {
+      byDate.set(entry.date, { date: entry.date, label: entry.label || null });
+    }
+  });
+
+  if (byDate.size > MAX_BLACKOUT_DATES) {
+    throw new Error(`Too many blackout dates (${byDate.size}); the limit is ${MAX_BLACKOUT_DATES}`);
+  }
+
+  return [...byDate.values()].sort((a, b) => a.date.localeCompare(b.date));
+}
+
+/**
+ * Format stored dates back into the editable one-per-line text
+ */
+function formatDateList(dates = []) {
+  return dates
+    .map(entry => (entry.label ? `${entry.date} ${entry.label}` : entry.date))
+    .join('\n');
+}
+
+/**
+ * Combine workspace and rota calendars into the blackout used for scheduling
+ * @param {Object} rota - Rota document
+ * @param {Object} workspace - Workspace document (optional)
+ * @returns {Object|null} { dates: Set<string>, mode } or null if nothing is blacked out
+ */
+function getRotaBlackout(rota, workspace = null) {
+  const dates = new Set([
+    ...(workspace?.blackoutDates || []).map(entry => entry.date),
+    ...(rota.blackout?.dates || []).map(entry => entry.date)
+  ]);
+
+  if (dates.size === 0) {
+    return null;
+  }
+
+  return {
+    dates,
+    mode: rota.blackout?.mode || 'skip'
+  };
+}
+
+module.exports = {
+  BLACKOUT_MODES,
+  MAX_BLACKOUT_DATES,
+  isValidDateString,
+  parseDateList,
+  parseIcsDates,
+  mergeDates,
+  formatDateList,
+  getRotaBlackout
+};
@@ -0,0 +1,298 @@
+/**
+ * Render Slack messages (Block Kit blocks and mrkdwn) as email text and HTML
+ * Mentions are replaced with names looked up beforehand (see collectMentions);
+ * buttons and other interactive blocks are left out.
+ */
+
+// Innermost <...> token of mrkdwn: mentions (<@...>, <#...>), special tokens
+// (<!...>) and links (<scheme:...|label>); links may wrap a mention. Any other
+// text between angle brackets is left as it is.
+const MRKDWN_TOKEN = /<((?:[@#!]|[a-z][a-z0-9+.-]*:)[^<>]*)>/i;
+const PLACEHOLDER = /\u0000(\d+)\u0000/g;
+
+const MUTED_STYLE = 'color:#616061;font-size:13px;';
+
+// Link schemes kept as links; anything else (javascript:, data:, ...) is plain text
+const SAFE_LINK = /^(https?:|mailto:)/i;
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Split "value|label" on the first pipe
+ */
+function splitLabel(token) {
+  const index = token.indexOf('|');
+  return index === -1 ? [token, null] : [token.slice(0, index), token.slice(index + 1)];
+}
+
+/**
+ * List the users and channels mentioned in blocks or mrkdwn strings
+ * @param {*} node - Blocks, block elements or strings
+ * @param {Object} mentions - { users: Set, channels: Set } to add to
+ * @returns {Object} { users: Set, channels: Set }
+ */
+function collectMentions(node, mentions = { users: new Set(), channels: new Set() }) {
+  if (typeof node === 'string') {
+    for (const [, id] of node.matchAll(/<@([A-Z0-9]+)[|>]/g)) {
+      mentions.users.add(id);
+    }
+    for (const [, id] of node.matchAll(/<#([A-Z0-9]+)>/g)) {
+      mentions.channels.add(id);
+    }
+  } else if (Array.isArray(node)) {
+    node.forEach(item => collectMentions(item, mentions));
+  } else if (node && typeof node === 'object') {
+    if (node.type === 'user' && node.user_id) {
+      mentions.users.add(node.user_id);
+    } else if (node.type === 'channel' && node.channel_id) {
+      mentions.channels.add(node.channel_id);
+    }
+    Object.values(node).forEach(value => collectMentions(value, mentions));
+  }
+
+  return mentions;
+}
+
+function userName(names, userId) {
+  return `@${names.users?.[userId] || userId}`;
+}
+
+function channelName(names, channelId) {
+  return `#${names.channels?.[channelId] || channelId}`;
+}
+
+/**
+ * Apply mrkdwn *bold*, _italic_, ~strike~ and `code` to escaped HTML
+ */
+function formatMrkdwnHtml(escaped) {
+  return escaped
+    .replace(/`([^`\n]+)`/g, '<code>$1</code>')
+    .replace(/\*([^*\n]+)\*/g, '<strong>$1</strong>')
+    .replace(/(^|[^\w])_([^_\n]+)_(?=[^\w]|$)/g, '$1<em>$2</em>')
+    .replace(/~([^~\n]+)~/g, '<s>$1</s>')
+    .replace(/\n/g, '<br>');
+}
+
+/**
+ * Render one mrkdwn token (the text between < and >)
+ * @param {Function} expand - Replaces placeholders of inner tokens in a label
+ */
+function renderToken(token, names, html, expand) {
+  const [value, label] = splitLabel(token);
+  let text;
+
+  if (value.startsWith('@')) {
+    text = userName(names, value.slice(1));
+  } else if (value.startsWith('#')) {
+    text = label ? `#${label}` : channelName(names, value.slice(1));
+  } else if (value.startsWith('!date^')) {
+    text = label || '';
+  } else if (value.startsWith('!subteam^')) {
+    text = label || '@group';
+  } else if (value.startsWith('!')) {
+    text = `@${value.slice(1)}`;
+  } else {
+    // A link, with an optional label that may hold inner tokens
+    if (html) {
+      const inner = label ? expand(formatMrkdwnHtml(escapeHtml(label))) : escapeHtml(value);
+      return SAFE_LINK.test(value) ? `<a href="${escapeHtml(value)}">${inner}</a>` : inner;
+    }
+    if (!SAFE_LINK.test(value)) {
+      return label ? expand(label) : value;
+    }
+    return label ? `${expand(label)} (${value})` : value;
+  }
+
+  return html ? `<strong>${escapeHtml(text)}</strong>` : text;
+}
+
+/**
+ * Render a mrkdwn string
+ * @param {string} text - Slack mrkdwn
+ * @param {Object} names - { users: { id: name }, channels: { id: name } }
+ * @param {boolean} html - HTML instead of plain text
+ * @returns {string}
+ */
+function renderMrkdwn(text, names, html = false) {
+  const tokens = [];
+  const expand = value => value.replace(PLACEHOLDER, (placeholder, index) => tokens[index]);
+  let source = text || '';
+  let match;
+
+  // Innermost tokens first, so a link label can hold a mention
+  while ((match = MRKDWN_TOKEN.exec(source))) {
+    tokens.push(renderToken(match[1], names, html, expand));
+    source = `${source.slice(0, match.index)}\u0000${tokens.length - 1}\u0000${source.slice(match.index + match[0].length)}`;
+  }
+
+  return expand(html ? formatMrkdwnHtml(escapeHtml(source)) : source);
+}
+
+function renderTextObject(textObject, names, html) {
+  if (!textObject) {
+    return '';
+  }
+
+  if (textObject.type === 'mrkdwn') {
+    return renderMrkdwn(textObject.text, names, html);
+  }
+
+  return html ? escapeHtml(textObject.text).replace(/\n/g, '<br>') : textObject.text;
+}
+
+/**
+ * Render the inline elements of a rich_text section
+ */
+function renderRichTextInline(elements = [], names, html) {
+  return elements.map((element) => {
+    let text;
+    switch (element.type) {
+    case 'text':
+      text = element.text || '';
+      break;
+    case 'link':
+      if (!SAFE_LINK.test(element.url || '')) {
+        text = element.text || element.url || '';
+        break;
+      }
+      if (html) {
+        return `<a href="${escapeHtml(element.url)}">${escapeHtml(element.text || element.url)}</a>`;
+      }
+      return element.text ? `${element.text} (${element.url})` : element.url;
+    case 'user':
+      text = userName(names, element.user_id);
+      break;
+    case 'channel':
+      text = channelName(names, element.channel_id);
+      break;
+    case 'usergroup':
+      text = '@group';
+      break;
+    case 'broadcast':
+      text = `@${element.range}`;
+      break;
+    case 'emoji':
+      text = element.unicode
+        ? String.fromCodePoint(...element.unicode.split('-').map(code => parseInt(code, 16)))
+        : `:${element.name}:`;
+      break;
+    case 'date':
+      text = element.fallback || new Date(element.timestamp * 1000).toUTCString();
+      break;
+    default:
+      text = element.text || '';
+    }
+
+    if (!html) {
+      return text;
+    }
+
+    let rendered = escapeHtml(text).replace(/\n/g, '<br>');
+    const style = element.style || {};
+    if (element.type === 'user' || element.type === 'channel' || style.bold) {
+      rendered = `<strong>${rendered}</strong>`;
+    }
+    if (style.italic) {
+      rendered = `<em>${rendered}</em>`;
+    }
+    if (style.strike) {
+      rendered = `<s>${rendered}</s>`;
+    }
+    if (style.code) {
+      rendered = `<code>${rendered}</code>`;
+    }
+    return rendered;
+  }).join('');
+}
+
+/**
+ * Render a rich_text block (sections, lists, quotes, code blocks)
+ */
+function renderRichText(block, names, html) {
+  return (block.elements || []).map((element) => {
+    const inline = renderRichTextInline(element.elements, names, html);
+
+    switch (element.type) {
+    case 'rich_text_list': {
+      const items = (element.elements || []).map(item => renderRichTextInline(item.elements, names, html));
+      if (html) {
+        const tag = element.style === 'ordered' ? 'ol' : 'ul';
+        return `<${tag}>${items.map(item => `<li>${item}</li>`).join('')}</${tag}>`;
+      }
+      const indent = '  '.repeat(element.indent || 0);
+      return items.map((item, index) => `${indent}${element.style === 'ordered' ? `${index + 1}.` : '•'} ${item}`).join('\n');
+    }
+    case 'rich_text_preformatted':
+      return html ? `<pre>${inline}</pre>` : inline;
+    case 'rich_text_quote':
+      return html
+        ? `<blockquote style="border-left:4px solid #ddd;margin:0;padding-left:12px;">${inline}</blockquote>`
+        : inline.split('\n').map(line => `> ${line}`).join('\n');
+    default:
+      return html ? `<p>${inline}</p>` : inline;
+    }
+  }).join(html ? '' : '\n');
+}
+
+/**
+ * Render one block; interactive blocks (actions, inputs) render as null
+ */
+function renderBlock(block, names, html) {
+  switch (block.type) {
+  case 'header':
+    return html ? `<h2>${escapeHtml(block.text.text)}</h2>` : block.text.text;
+  case 'section': {
+    const parts = [renderTextObject(block.text, names, html), ...(block.fields || []).map(field => renderTextObject(field, names, html))]
+      .filter(Boolean);
+    return html ? `<p>${parts.join('<br>')}</p>` : parts.join('\n');
+  }
+  case 'context': {
+    const text = (block.elements || [])
+      .filter(element => element.type === 'mrkdwn' || element.type === 'plain_text')
+      .map(element => renderTextObject(element, names, html))
+      .join(' ');
+    return html ? `<p style="${MUTED_STYLE}">${text}</p>` : text;
+  }
+  case 'divider':
+    return html ? '<hr>' : '---';
+  case 'rich_text':
+    return renderRichText(block, names, html);
+  default:
+    return null;
+  }
+}
+
+/**
+ * Render Slack blocks as an email body
+ * @param {Array} blocks - Block Kit blocks
+ * @param {Object} names - { users: { id: name }, channels: { id: name } }
+ * @param {string} footer - Optional muted last line
+ * @returns {Object} { text, html }
+ */
+function renderEmail(blocks, names, footer = null) {
+  const text = blocks.map(block => renderBlock(block, names, false)).filter(part => part !== null);
+  const html = blocks.map(block => renderBlock(block, names, true)).filter(part => part !== null);
+
+  if (footer) {
+    text.push(`-- \n${footer}`);
+    html.push(`<hr><p style="${MUTED_STYLE}">${escapeHtml(footer)}</p>`);
+  }
+
+  return {
+    text: text.join('\n\n'),
+    html: '<!DOCTYPE html><html><body style="font-family:-apple-system,Segoe UI,Helvetica,Arial,sans-serif;font-size:15px;line-height:1.4;">' +
+      `${html.join('\n')}</body></html>`
+  };
+}
+
+module.exports = {
+  collectMentions,
+  renderMrkdwn,
+  renderEmail
+};
@@ -0,0 +1,72 @@
+const en = require('../locales/en');
+const pt = require('../locales/pt');
+const de = require('../locales/de');
+
+const DEFAULT_LOCALE = 'en';
+
+// Supported languages: name shown in the pickers, Intl locale for dates and
+// the message catalog
+const LOCALES = {
+  en: { label: 'English', intl: 'en-US', messages: en },
+  pt: { label: 'Português', intl: 'pt-BR', messages: pt },
+  de: { label: 'Deutsch', intl: 'de-DE', messages: de }
+};
+
+const LOCALE_CODES = Object.keys(LOCALES);
+
+function isSupportedLocale(locale) {
+  return LOCALE_CODES.includes(locale);
+}
+
+/**
+ * Pick the language of a rota's messages: its own, else the workspace's, else English
+ * @param {Object} rota - Rota document (optional)
+ * @param {Object} workspace - Workspace document (optional)
+ * @returns {string} Locale code, e.g. 'de'
+ */
+function resolveLocale(rota = null, workspace = null) {
+  return [rota?.locale, workspace?.locale].find(isSupportedLocale) || DEFAULT_LOCALE;
+}
+
+/**
+ * Get the Intl locale used to format dates, e.g. 'de-DE'
+ */
+function getIntlLocale(locale) {
+  return (LOCALES[locale] || LOCALES[DEFAULT_LOCALE]).intl;
+}
+
+/**
+ * Format a YYYY-MM-DD date for messages, e.g. "Mon, Mar 2"
+ */
+function formatTurnDate(dateString, locale = DEFAULT_LOCALE) {
+  return new Intl.DateTimeFormat(getIntlLocale(locale), {
+    weekday: 'short',
+    month: 'short',
+    day: 'numeric',
+    timeZone: 'UTC'
+  }).format(new Date(`${dateString}T00:00:00.000Z`));
+}
+
+/**
+ * Translate a message key, falling back to English for missing keys
+ * @param {string} locale - Locale code
+ * @param {string} key - Catalog key, e.g. 'notification.assigned'
+ * @param {Object} params - Values for the {name} placeholders
+ * @returns {string} Message
+ */
+function t(locale, key, params = {}) {
+  const message = LOCALES[locale]?.messages[key] ?? en[key] ?? key;
+
+  return message.replace(/\{(\w+)\}/g, (match, name) => (params[name] !== undefined ? String(params[name]) : match));
+}
+
+module.exports = {
+  DEFAULT_LOCALE,
+  LOCALES,
+  LOCALE_CODES,
+  isSupportedLocale,
+  resolveLocale,
+  getIntlLocale,
+  formatTurnDate,
+  t
+};
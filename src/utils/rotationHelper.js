@@ -0,0 +1,484 @@
+/**
+ * Rotation Strategy Utilities
+ * Decides who is next for strategies other than the plain round-robin on
+ * currentIndex: least recently served, and shuffled cycles
+ */
+
+const RotaAssignment = require('../models/RotaAssignment');
+const { WEEKDAY_CODES } = require('./rruleHelper');
+const { DEFAULT_LOCALE, t } = require('./i18n');
+
+const ROTATION_STRATEGIES = ['round_robin', 'least_served', 'shuffled'];
+
+const DEFAULT_LOOKBACK_DAYS = 90;
+const MAX_LOOKBACK_DAYS = 365;
+
+// Upper bound on people assigned to a single occurrence
+const MAX_ASSIGNEES = 5;
+const MAX_ROLE_LENGTH = 30;
+
+const STRATEGY_KEYS = {
+  round_robin: 'strategy.roundRobin',
+  least_served: 'strategy.leastServed',
+  shuffled: 'strategy.shuffled'
+};
+
+/**
+ * Get the rota's rotation strategy (rotas created before strategies existed are round-robin)
+ */
+function getRotationStrategy(rota) {
+  return rota.rotation?.strategy || 'round_robin';
+}
+
+/**
+ * Short description for the Home tab, e.g. "Least recently served (90 days)"
+ */
+function describeRotationStrategy(rota, locale = DEFAULT_LOCALE) {
+  const strategy = getRotationStrategy(rota);
+
+  if (strategy === 'least_served') {
+    return t(locale, 'strategy.leastServed', { days: rota.rotation?.lookbackDays || DEFAULT_LOOKBACK_DAYS });
+  }
+
+  return t(locale, STRATEGY_KEYS[strategy] || STRATEGY_KEYS.round_robin);
+}
+
+/**
+ * Summarise who served the rota within its lookback window
+ * Skipped assignments do not count as a served turn.
+ * @param {Object} rota - Rota document
+ * @param {Date} now - End of the lookback window
+ * @returns {Promise<Map>} userId -> { count, lastAssignedAt }
+ */
+async function getServiceHistory(rota, now = new Date()) {
+  const lookbackDays = rota.rotation?.lookbackDays || DEFAULT_LOOKBACK_DAYS;
+  const since = new Date(now.getTime() - lookbackDays * 24 * 60 * 60 * 1000);
+
+  const assignments = await RotaAssignment.find({
+    rotaId: rota._id,
+    skipped: false,
+    assignedDate: { $gte: since, $lte: now }
+  }).select('userId assignedDate');
+
+  const history = new Map();
+  assignments.forEach((assignment) => {
+    const entry = history.get(assignment.userId) || { count: 0, lastAssignedAt: null };
+    entry.count++;
+    if (!entry.lastAssignedAt || assignment.assignedDate > entry.lastAssignedAt) {
+      entry.lastAssignedAt = assignment.assignedDate;
+    }
+    history.set(assignment.userId, entry);
+  });
+
+  return history;
+}
+
+/**
+ * Record a (projected) turn in a service history map
+ */
+function recordService(history, userId, at) {
+  const entry = history.get(userId) || { count: 0, lastAssignedAt: null };
+  history.set(userId, {
+    count: entry.count + 1,
+    lastAssignedAt: !entry.lastAssignedAt || at > entry.lastAssignedAt ? at : entry.lastAssignedAt
+  });
+}
+
+/**
+ * Pick the member with the fewest turns, then the oldest last turn
+ * Remaining ties go to the member closest after the rotation pointer, so a
+ * fresh rota behaves like round-robin.
+ * @param {Object} rota - Rota document (members, currentIndex)
+ * @param {Map} history - Result of getServiceHistory()
+ * @param {Array} excludeUserIds - Members who cannot take this turn
+ * @returns {string|null} User ID, or null if every member is excluded
+ */
+function pickLeastServed(rota, history, excludeUserIds = []) {
+  const members = rota.members;
+  const candidates = members
+    .map((userId, index) => ({
+      userId,
+      distance: (index - rota.currentIndex + members.length) % members.length,
+      count: history.get(userId)?.count || 0,
+      lastAssignedAt: history.get(userId)?.lastAssignedAt || null
+    }))
+    .filter(candidate => !excludeUserIds.includes(candidate.userId));
+
+  if (candidates.length === 0) {
+    return null;
+  }
+
+  candidates.sort((a, b) => {
+    if (a.count !== b.count) {
+      return a.count - b.count;
+    }
+    const aTime = a.lastAssignedAt ? a.lastAssignedAt.getTime() : 0;
+    const bTime = b.lastAssignedAt ? b.lastAssignedAt.getTime() : 0;
+    if (aTime !== bTime) {
+      return aTime - bTime;
+    }
+    return a.distance - b.distance;
+  });
+
+  return candidates[0].userId;
+}
+
+/**
+ * Shuffle members into a new cycle (Fisher-Yates)
+ * The previous assignee is never first, so nobody serves twice in a row
+ * across cycles.
+ */
+function newShuffleCycle(members, previousUserId = null) {
+  const cycle = [...members];
+
+  for (let i = cycle.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [cycle[i], cycle[j]] = [cycle[j], cycle[i]];
+  }
+
+  if (cycle.length > 1 && cycle[0] === previousUserId) {
+    [cycle[0], cycle[1]] = [cycle[1], cycle[0]];
+  }
+
+  return cycle;
+}
+
+/**
+ * Read the persisted shuffle cycle for the current members
+ * Removed members are dropped (moving the position back if they were already
+ * served) and new members are appended to the end of the cycle.
+ * @param {Object} rota - Rota document; currentIndex is the position in the cycle
+ * @returns {Object} { cycle, position } - position may equal cycle.length when used up
+ */
+function getShuffleCycle(rota) {
+  const stored = rota.rotation?.cycle || [];
+  const removedBefore = stored
+    .slice(0, rota.currentIndex)
+    .filter(userId => !rota.members.includes(userId))
+    .length;
+
+  const cycle = stored.filter(userId => rota.members.includes(userId));
+  rota.members
+    .filter(userId => !cycle.includes(userId))
+    .forEach(userId => cycle.push(userId));
+
+  return {
+    cycle,
+    position: Math.max(rota.currentIndex - removedBefore, 0)
+  };
+}
+
+/**
+ * Bring the rota's shuffle cycle up to date, reshuffling when the cycle is used
+ * up or was never shuffled. Updates the rota in place; the caller saves it.
+ * @returns {Array} The cycle; rota.currentIndex is the next position in it
+ */
+function prepareShuffleCycle(rota) {
+  const stored = rota.rotation?.cycle || [];
+  const { cycle, position } = getShuffleCycle(rota);
+
+  if (stored.length === 0 || position >= cycle.length) {
+    rota.rotation.cycle = newShuffleCycle(rota.members, stored[stored.length - 1] || null);
+    rota.currentIndex = 0;
+  } else {
+    rota.rotation.cycle = cycle;
+    rota.currentIndex = position;
+  }
+
+  return [...rota.rotation.cycle];
+}
+
+/**
+ * Move the rotation pointer past the current turn
+ * Shuffled rotas step through their cycle and reshuffle once everyone had a
+ * turn; other strategies wrap around the member list.
+ */
+function advanceRotation(rota) {
+  if (getRotationStrategy(rota) === 'shuffled') {
+    prepareShuffleCycle(rota);
+    rota.currentIndex += 1;
+    prepareShuffleCycle(rota);
+    return;
+  }
+
+  rota.currentIndex = (rota.currentIndex + 1) % rota.members.length;
+}
+
+/**
+ * Take the next member of the shuffle cycle who is not excluded
+ * The chosen member swaps places with whoever was due, so a passed-over member
+ * keeps a turn later in the cycle. A used-up cycle is reshuffled.
+ * Updates the rota in place; the caller saves it.
+ * @returns {string|null} User ID, or null if every member is excluded
+ */
+function takeFromShuffleCycle(rota, excludeUserIds = []) {
+  for (let attempt = 0; attempt < 2; attempt++) {
+    const cycle = prepareShuffleCycle(rota);
+    const position = cycle.findIndex((userId, index) => index >= rota.currentIndex && !excludeUserIds.includes(userId));
+
+    if (position !== -1) {
+      [cycle[rota.currentIndex], cycle[position]] = [cycle[position], cycle[rota.currentIndex]];
+      rota.rotation.cycle = cycle;
+
+      const userId = cycle[rota.currentIndex];
+      advanceRotation(rota);
+      return userId;
+    }
+
+    // Everyone left in this cycle is excluded; start the next cycle
+    rota.currentIndex = cycle.length;
+  }
+
+  return null;
+}
+
+/**
+ * Apply a new member list without losing the rotation position
+ * Members who stay keep their order and new members join the end of the list,
+ * i.e. the end of the current cycle. currentIndex keeps pointing at the person
+ * who was due next, or the first remaining member after them if they were
+ * removed. Shuffled rotas reconcile their cycle in prepareShuffleCycle().
+ * Updates the rota in place; the caller saves it.
+ * @param {Object} rota - Rota document
+ * @param {Array} members - New member list (user IDs)
+ */
+function applyMemberChanges(rota, members) {
+  const previous = [...rota.members];
+  const kept = previous.filter(userId => members.includes(userId));
+  const added = members.filter((userId, index) => !previous.includes(userId) && members.indexOf(userId) === index);
+
+  rota.members = [...kept, ...added];
+
+  if (getRotationStrategy(rota) === 'shuffled') {
+    return;
+  }
+
+  const due = previous.slice(rota.currentIndex).find(userId => members.includes(userId));
+  if (due) {
+    rota.currentIndex = rota.members.indexOf(due);
+  } else {
+    // Everyone left in the current cycle was removed: new members go first,
+    // otherwise the next cycle starts over
+    rota.currentIndex = added.length > 0 ? kept.length : 0;
+  }
+}
+
+/**
+ * Make a member the next one picked
+ * Round-robin and least-served rotas move currentIndex to them; shuffled rotas
+ * move them to the current position of the cycle. Turns owed to unavailable
+ * members are dropped so the choice wins. Updates the rota in place; the
+ * caller saves it.
+ */
+function setNextMember(rota, userId) {
+  rota.rotation.deferred = [];
+
+  if (getRotationStrategy(rota) !== 'shuffled') {
+    rota.currentIndex = rota.members.indexOf(userId);
+    return;
+  }
+
+  const cycle = prepareShuffleCycle(rota);
+  const position = cycle.indexOf(userId);
+
+  if (position >= rota.currentIndex) {
+    [cycle[rota.currentIndex], cycle[position]] = [cycle[position], cycle[rota.currentIndex]];
+  } else {
+    // Already served in this cycle: serve again now
+    cycle.splice(position, 1);
+    rota.currentIndex -= 1;
+    cycle.splice(rota.currentIndex, 0, userId);
+  }
+
+  rota.rotation.cycle = cycle;
+}
+
+/**
+ * Preview who would be picked next if the rota had these members
+ * Works on a copy, so the rota is untouched. Availability is not checked
+ * since the date of the next turn is not known here.
+ * @param {Object} rota - Rota document
+ * @param {Array} members - Member list to preview (defaults to the current one)
+ * @param {Map} history - Service history, required for least-served rotas
+ * @returns {string|null} User ID, or null if it is only decided at random
+ * when the next shuffled cycle starts
+ */
+function previewNextMember(rota, members = rota.members, history = null) {
+  const strategy = getRotationStrategy(rota);
+
+  if (members.length === 0 || (strategy === 'shuffled' && (rota.rotation?.cycle || []).length === 0)) {
+    return null;
+  }
+
+  const projection = {
+    members: [...rota.members],
+    currentIndex: rota.currentIndex,
+    rotation: {
+      strategy,
+      cycle: [...(rota.rotation?.cycle || [])],
+      deferred: [...(rota.rotation?.deferred || [])]
+    }
+  };
+  applyMemberChanges(projection, members);
+
+  if (strategy === 'shuffled') {
+    const { cycle, position } = getShuffleCycle(projection);
+    return cycle[position] || null;
+  }
+
+  return selectNextMember(projection, { history });
+}
+
+/**
+ * Round-robin pick that keeps the place of members who are unavailable
+ * Members passed over because they were unavailable are remembered in
+ * rotation.deferred and go first at their next available occurrence.
+ */
+function pickRoundRobin(rota, excludeUserIds, unavailableUserIds) {
+  const members = rota.members;
+  const deferred = (rota.rotation?.deferred || []).filter(userId => members.includes(userId));
+
+  const owed = deferred.find(userId => !excludeUserIds.includes(userId) && !unavailableUserIds.includes(userId));
+  if (owed) {
+    rota.rotation.deferred = deferred.filter(userId => userId !== owed);
+    return owed;
+  }
+
+  for (let offset = 0; offset < members.length; offset++) {
+    const member = members[(rota.currentIndex + offset) % members.length];
+
+    if (excludeUserIds.includes(member)) {
+      continue;
+    }
+
+    if (unavailableUserIds.includes(member)) {
+      if (!deferred.includes(member)) {
+        deferred.push(member);
+      }
+      continue;
+    }
+
+    rota.rotation.deferred = deferred;
+    rota.currentIndex = (members.indexOf(member) + 1) % members.length;
+    return member;
+  }
+
+  return null;
+}
+
+/**
+ * Pick the next member according to the rota's strategy and move the pointer
+ * past them. Unavailable members are passed over without losing their place;
+ * if nobody is available, availability is ignored rather than leaving the
+ * turn empty. Updates the rota in place; the caller saves it.
+ * @param {Object} rota - Rota document
+ * @param {Object} options - { exclude, unavailable, history }: members who cannot
+ * take this turn (e.g. already assigned to another slot), members unavailable
+ * on the date, and the service history required for least-served rotas
+ * @returns {string|null} User ID, or null if every member is excluded
+ */
+function selectNextMember(rota, { exclude = [], unavailable = [], history = null } = {}) {
+  const strategy = getRotationStrategy(rota);
+
+  if (rota.members.length === 0) {
+    return null;
+  }
+
+  const pick = (unavailableUserIds) => {
+    if (strategy === 'shuffled') {
+      return takeFromShuffleCycle(rota, [...exclude, ...unavailableUserIds]);
+    }
+
+    if (strategy === 'least_served') {
+      const userId = pickLeastServed(rota, history || new Map(), [...exclude, ...unavailableUserIds]);
+      if (userId) {
+        rota.currentIndex = (rota.members.indexOf(userId) + 1) % rota.members.length;
+      }
+      return userId;
+    }
+
+    return pickRoundRobin(rota, exclude, unavailableUserIds);
+  };
+
+  return pick(unavailable) || (unavailable.length > 0 ? pick([]) : null);
+}
+
+/**
+ * Check whether a member can take a turn on a date
+ * Members without availability rules are always available, unless they
+ * skipped that date ahead of time.
+ * @param {Object} rota - Rota document
+ * @param {string} userId - Member
+ * @param {string} dateString - Date in the rota's timezone (YYYY-MM-DD)
+ */
+function isMemberAvailable(rota, userId, dateString) {
+  if ((rota.skipAhead || []).some(entry => entry.userId === userId && entry.date === dateString)) {
+    return false;
+  }
+
+  const rule = (rota.availability || []).find(entry => entry.userId === userId);
+  if (!rule) {
+    return true;
+  }
+
+  if (rule.startDate && dateString < rule.startDate) {
+    return false;
+  }
+
+  if (rule.endDate && dateString > rule.endDate) {
+    return false;
+  }
+
+  if (rule.weekdays && rule.weekdays.length > 0) {
+    // getUTCDay() is 0 for Sunday; WEEKDAY_CODES start on Monday
+    const weekday = WEEKDAY_CODES[(new Date(`${dateString}T00:00:00.000Z`).getUTCDay() + 6) % 7];
+    return rule.weekdays.includes(weekday);
+  }
+
+  return true;
+}
+
+/**
+ * Get the members who cannot take a turn on a date
+ */
+function getUnavailableMembers(rota, dateString) {
+  return rota.members.filter(userId => !isMemberAvailable(rota, userId, dateString));
+}
+
+/**
+ * Get the assignee slots of an occurrence, e.g. Primary and Secondary
+ * Never more slots than members.
+ * @returns {Array} [{ slot, role }]
+ */
+function getAssigneeSlots(rota) {
+  const count = Math.max(Math.min(rota.assignees?.count || 1, rota.members.length), 1);
+  const roles = rota.assignees?.roles || [];
+
+  return Array.from({ length: count }, (value, slot) => ({
+    slot,
+    role: roles[slot] || null
+  }));
+}
+
+module.exports = {
+  ROTATION_STRATEGIES,
+  DEFAULT_LOOKBACK_DAYS,
+  MAX_LOOKBACK_DAYS,
+  MAX_ASSIGNEES,
+  MAX_ROLE_LENGTH,
+  getRotationStrategy,
+  describeRotationStrategy,
+  getServiceHistory,
+  recordService,
+  pickLeastServed,
+  getShuffleCycle,
+  prepareShuffleCycle,
+  advanceRotation,
+  selectNextMember,
+  applyMemberChanges,
+  setNextMember,
+  previewNextMember,
+  isMemberAvailable,
+  getUnavailableMembers,
+  getAssigneeSlots
+};
@@ -1,18 +1,62 @@
 const { RRule } = require('rrule');
+const { getLocalDateString, zonedTimeToUtc } = require('./timezoneHelper');
+const { DEFAULT_LOCALE, getIntlLocale, t } = require('./i18n');
+
+const FREQUENCIES = ['DAILY', 'WEEKLY', 'BIWEEKLY', 'MONTHLY', 'CUSTOM'];
+
+// Base frequencies available in the advanced (CUSTOM) recurrence mode
+const CUSTOM_FREQUENCIES = ['DAILY', 'WEEKLY', 'MONTHLY'];
+
+const WEEKDAY_CODES = ['MO', 'TU', 'WE', 'TH', 'FR', 'SA', 'SU'];
+
+// BYSETPOS values offered for monthly rules (-1 = last)
+const SET_POSITIONS = [1, 2, 3, 4, -1];
+
+// Catalog keys used by describeRecurrence()
+const FREQUENCY_KEYS = {
+  DAILY: 'recurrence.daily',
+  WEEKLY: 'recurrence.weekly',
+  BIWEEKLY: 'recurrence.biweekly',
+  MONTHLY: 'recurrence.monthly'
+};
+
+const INTERVAL_KEYS = {
+  DAILY: ['recurrence.everyDay', 'recurrence.everyDays'],
+  WEEKLY: ['recurrence.everyWeek', 'recurrence.everyWeeks'],
+  MONTHLY: ['recurrence.everyMonth', 'recurrence.everyMonths']
+};
+
+const SET_POSITION_KEYS = {
+  1: 'recurrence.first',
+  2: 'recurrence.second',
+  3: 'recurrence.third',
+  4: 'recurrence.fourth',
+  '-1': 'recurrence.last'
+};
 
 /**
  * Generate RRULE string from frequency and start date
+ * @param {string} frequency - One of FREQUENCIES
+ * @param {string|Date} startDate - First date of the rota
+ * @param {string} timezone - TZID for the rule
+ * @param {boolean} weekdaysOnly - Restrict occurrences to Monday-Friday
+ * @param {Object} recurrence - Advanced options, required when frequency is CUSTOM
+ *   ({ freq, interval, byWeekday: ['MO', ...], bySetPos })
  */
-function generateRRule(frequency, startDate, timezone = 'UTC', weekdaysOnly = false) {
-  const freq = {
+function generateRRule(frequency, startDate, timezone = 'UTC', weekdaysOnly = false, recurrence = null) {
+  const freqMap = {
     'DAILY': RRule.DAILY,
     'WEEKLY': RRule.WEEKLY,
     'BIWEEKLY': RRule.WEEKLY, // Weekly with interval 2
     'MONTHLY': RRule.MONTHLY
-  }[frequency];
+  };
 
-  if (!freq) {
-    throw new Error(`Invalid frequency: ${frequency}`);
+  const freq = frequency === 'CUSTOM'
+    ? freqMap[recurrence?.freq]
+    : freqMap[frequency];
+
+  if (freq === undefined) {
+    throw new Error(`Invalid frequency: ${frequency === 'CUSTOM' ? recurrence?.freq : frequency}`);
   }
 
   const options = {
@@ -30,10 +74,92 @@ function generateRRule(frequency, startDate, timezone = 'UTC', weekdaysOnly = fa
     options.interval = 2;
   }
 
+  if (frequency === 'CUSTOM') {
+    options.interval = recurrence.interval || 1;
+
+    if (recurrence.byWeekday && recurrence.byWeekday.length > 0) {
+      // An explicit weekday selection wins over the weekdays-only shortcut
+      options.byweekday = recurrence.byWeekday.map(code => RRule[code]);
+    }
+
+    if (recurrence.freq === 'MONTHLY' && recurrence.bySetPos) {
+      options.bysetpos = recurrence.bySetPos;
+    }
+  }
+
   const rule = new RRule(options);
   return rule.toString();
 }
 
+/**
+ * Validate advanced recurrence options
+ * @returns {Array<string>} Validation errors (empty when valid)
+ */
+function validateRecurrence(recurrence) {
+  const errors = [];
+
+  if (!recurrence || !CUSTOM_FREQUENCIES.includes(recurrence.freq)) {
+    errors.push('Custom recurrence needs a base frequency (Daily, Weekly or Monthly)');
+    return errors;
+  }
+
+  if (recurrence.interval !== undefined && recurrence.interval !== null) {
+    const interval = Number(recurrence.interval);
+    if (!Number.isInteger(interval) || interval < 1 || interval > 99) {
+      errors.push('Repeat interval must be a whole number between 1 and 99');
+    }
+  }
+
+  const byWeekday = recurrence.byWeekday || [];
+  if (byWeekday.some(code => !WEEKDAY_CODES.includes(code))) {
+    errors.push('Invalid weekday in custom recurrence');
+  }
+
+  if (recurrence.bySetPos !== undefined && recurrence.bySetPos !== null) {
+    if (recurrence.freq !== 'MONTHLY') {
+      errors.push('Position in month can only be used with a monthly recurrence');
+    } else if (!SET_POSITIONS.includes(recurrence.bySetPos)) {
+      errors.push('Invalid position in month');
+    } else if (byWeekday.length === 0) {
+      errors.push('Pick at least one weekday to use a position in month');
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Describe a rota schedule in a short human readable form
+ * e.g. "Weekly", "Every 3 weeks on Tue, Thu", "Every month on the last Mon-Fri"
+ * @param {Object} schedule - Rota schedule
+ * @param {string} locale - Language of the description
+ */
+function describeRecurrence(schedule, locale = DEFAULT_LOCALE) {
+  if (schedule.frequency !== 'CUSTOM' || !schedule.recurrence?.freq) {
+    return FREQUENCY_KEYS[schedule.frequency] ? t(locale, FREQUENCY_KEYS[schedule.frequency]) : schedule.frequency;
+  }
+
+  const { freq, interval = 1, byWeekday = [], bySetPos = null } = schedule.recurrence;
+  const [everyKey, everyCountKey] = INTERVAL_KEYS[freq];
+  const every = interval > 1 ? t(locale, everyCountKey, { count: interval }) : t(locale, everyKey);
+
+  // Short weekday names in the language; 2024-01-01 was a Monday
+  const weekdayFormat = new Intl.DateTimeFormat(getIntlLocale(locale), { weekday: 'short', timeZone: 'UTC' });
+  const isBusinessDays = byWeekday.length === 5 && WEEKDAY_CODES.slice(0, 5).every(code => byWeekday.includes(code));
+  const dayList = isBusinessDays
+    ? t(locale, 'recurrence.monToFri')
+    : WEEKDAY_CODES
+      .map((code, index) => (byWeekday.includes(code) ? weekdayFormat.format(new Date(Date.UTC(2024, 0, 1 + index))) : null))
+      .filter(Boolean)
+      .join(', ');
+
+  if (freq === 'MONTHLY' && bySetPos && dayList) {
+    return t(locale, 'recurrence.onPosition', { every, position: t(locale, SET_POSITION_KEYS[bySetPos]), days: dayList });
+  }
+
+  return dayList ? t(locale, 'recurrence.onDays', { every, days: dayList }) : every;
+}
+
 /**
  * Get next occurrence from RRULE
  */
@@ -72,32 +198,218 @@ function validateRRule(rruleString) {
   }
 }
 
+/**
+ * Check whether a calendar date is an occurrence of the rule
+ * RRULE occurrences are calendar days (midnight UTC); the rota's timezone decides
+ * which calendar day "today" is.
+ * @param {string} rruleString - RRULE string
+ * @param {string} dateString - Calendar date in YYYY-MM-DD format
+ */
+function isOccurrenceOn(rruleString, dateString) {
+  const dayStart = new Date(`${dateString}T00:00:00.000Z`);
+  const dayEnd = new Date(dayStart.getTime() + 24 * 60 * 60 * 1000 - 1);
+  return getOccurrencesBetween(rruleString, dayStart, dayEnd).length > 0;
+}
+
+/**
+ * Get the instant an occurrence fires at, in the rota's timezone
+ * @param {Date} occurrence - Occurrence returned by the RRULE (calendar day)
+ * @param {number} notificationHour - Local hour (0-23)
+ * @param {number} notificationMinute - Local minute
+ * @param {string} timezone - Rota's IANA timezone
+ * @returns {Date} UTC instant of the notification
+ */
+function getOccurrenceInstant(occurrence, notificationHour, notificationMinute, timezone = 'UTC') {
+  return zonedTimeToUtc(
+    occurrence.getUTCFullYear(),
+    occurrence.getUTCMonth() + 1,
+    occurrence.getUTCDate(),
+    notificationHour,
+    notificationMinute,
+    timezone
+  );
+}
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Add days to a YYYY-MM-DD calendar date
+ */
+function addDays(dateString, days) {
+  return new Date(new Date(`${dateString}T00:00:00.000Z`).getTime() + days * DAY_MS)
+    .toISOString()
+    .split('T')[0];
+}
+
+/**
+ * Check if a YYYY-MM-DD calendar date falls on Saturday or Sunday
+ */
+function isWeekend(dateString) {
+  const weekday = new Date(`${dateString}T00:00:00.000Z`).getUTCDay();
+  return weekday === 0 || weekday === 6;
+}
+
+/**
+ * Resolve where a single occurrence actually lands once blackout dates apply
+ * @param {string} dateString - Occurrence date (YYYY-MM-DD)
+ * @param {Object} blackout - { dates: Set<string>, mode: 'skip' | 'next_working_day' }
+ * @returns {string|null} Effective date, or null if the occurrence is dropped
+ */
+function resolveOccurrenceDate(dateString, blackout = null) {
+  if (!blackout || !blackout.dates.has(dateString)) {
+    return dateString;
+  }
+
+  if (blackout.mode !== 'next_working_day') {
+    return null;
+  }
+
+  // Move forward to the next weekday that is not blacked out (bounded search)
+  let candidate = dateString;
+  for (let i = 0; i < 60; i++) {
+    candidate = addDays(candidate, 1);
+    if (!isWeekend(candidate) && !blackout.dates.has(candidate)) {
+      return candidate;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Get the effective scheduled occurrences of a rule, with blackout dates applied
+ * @param {string} rruleString - RRULE string
+ * @param {string} fromDateString - First calendar date to include (YYYY-MM-DD)
+ * @param {number} count - Maximum number of occurrences to return
+ * @param {Object} blackout - Optional { dates: Set<string>, mode: 'skip' | 'next_working_day' }
+ * @returns {Array<Object>} Sorted occurrences, one per date: { date, originalDate }
+ *   (originalDate differs from date when a blacked-out occurrence was moved)
+ */
+function getScheduledOccurrences(rruleString, fromDateString, count = 1, blackout = null) {
+  const results = new Map();
+  // Occurrences shortly before the start date can be moved onto or after it
+  let windowStart = new Date(`${addDays(fromDateString, blackout ? -62 : 0)}T00:00:00.000Z`);
+  const limit = new Date(`${addDays(fromDateString, 5 * 366)}T00:00:00.000Z`);
+  const sortedResults = () => [...results.values()].sort((a, b) => a.date.localeCompare(b.date));
+
+  while (windowStart < limit) {
+    const windowEnd = new Date(windowStart.getTime() + 120 * DAY_MS - 1);
+    const occurrences = getOccurrencesBetween(rruleString, windowStart, windowEnd);
+
+    for (const occurrence of occurrences) {
+      const originalDate = occurrence.toISOString().split('T')[0];
+      const effective = resolveOccurrenceDate(originalDate, blackout);
+      if (effective && effective >= fromDateString && !results.has(effective)) {
+        results.set(effective, { date: effective, originalDate });
+      }
+    }
+
+    // Later occurrences can only land after the end of this window, so stop
+    // once enough dates fall inside it
+    const sorted = sortedResults();
+    if (sorted.length >= count && sorted[count - 1].date <= windowEnd.toISOString().split('T')[0]) {
+      return sorted.slice(0, count);
+    }
+
+    windowStart = new Date(windowEnd.getTime() + 1);
+  }
+
+  return sortedResults().slice(0, count);
+}
+
+/**
+ * Get the effective scheduled dates of a rule, with blackout dates applied
+ * @param {string} rruleString - RRULE string
+ * @param {string} fromDateString - First calendar date to include (YYYY-MM-DD)
+ * @param {number} count - Maximum number of dates to return
+ * @param {Object} blackout - Optional { dates: Set<string>, mode: 'skip' | 'next_working_day' }
+ * @returns {Array<string>} Sorted, de-duplicated YYYY-MM-DD dates
+ */
+function getScheduledDates(rruleString, fromDateString, count = 1, blackout = null) {
+  return getScheduledOccurrences(rruleString, fromDateString, count, blackout).map(occurrence => occurrence.date);
+}
+
+/**
+ * Check whether a calendar date is an effective scheduled date of the rule
+ * (an occurrence that is not blacked out, or one moved onto this date)
+ * @param {string} rruleString - RRULE string
+ * @param {string} dateString - Calendar date (YYYY-MM-DD)
+ * @param {Object} blackout - Optional { dates: Set<string>, mode }
+ */
+function isScheduledOn(rruleString, dateString, blackout = null) {
+  if (!blackout) {
+    return isOccurrenceOn(rruleString, dateString);
+  }
+
+  return getScheduledDates(rruleString, dateString, 1, blackout)[0] === dateString;
+}
+
+/**
+ * Get the next notification instant of a rota that is still in the future
+ * @param {string} rruleString - RRULE string
+ * @param {number} notificationHour - Hour in rota's timezone (0-23)
+ * @param {number} notificationMinute - Minute (0, 15, 30, 45)
+ * @param {string} rotaTimezone - Rota's IANA timezone
+ * @param {Date} now - Reference instant (defaults to now)
+ * @param {Object} blackout - Optional { dates: Set<string>, mode } to skip or move dates
+ * @returns {Date|null} UTC instant, or null when the rule has no further dates
+ */
+function getNextNotificationTime(rruleString, notificationHour = 10, notificationMinute = 0, rotaTimezone = 'UTC', now = new Date(), blackout = null) {
+  // Start from "today" in the rota's timezone so a later notification time
+  // today is still picked up
+  const today = getLocalDateString(now, rotaTimezone);
+
+  for (const dateString of getScheduledDates(rruleString, today, 2, blackout)) {
+    const instant = getOccurrenceInstant(new Date(`${dateString}T00:00:00.000Z`), notificationHour, notificationMinute, rotaTimezone);
+    if (instant > now) {
+      return instant;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Get the coverage window of the shift that starts on a scheduled date
+ * The shift runs from that date's notification time until the next scheduled
+ * date's notification time, so weekly and monthly rotas stay covered in between.
+ * @param {string} rruleString - RRULE string
+ * @param {string} dateString - Scheduled date the shift starts on (YYYY-MM-DD)
+ * @param {number} notificationHour - Hour in rota's timezone (0-23)
+ * @param {number} notificationMinute - Minute
+ * @param {string} timezone - Rota's IANA timezone
+ * @param {Object} blackout - Optional { dates: Set<string>, mode }
+ * @returns {Object} { start, end } where end is null if the rule has no further dates
+ */
+function getCoverageWindow(rruleString, dateString, notificationHour = 10, notificationMinute = 0, timezone = 'UTC', blackout = null) {
+  const start = getOccurrenceInstant(new Date(`${dateString}T00:00:00.000Z`), notificationHour, notificationMinute, timezone);
+  const [nextDate] = getScheduledDates(rruleString, addDays(dateString, 1), 1, blackout);
+  const end = nextDate
+    ? getOccurrenceInstant(new Date(`${nextDate}T00:00:00.000Z`), notificationHour, notificationMinute, timezone)
+    : null;
+
+  return { start, end };
+}
+
 /**
  * Format next occurrence for display with notification time
  * @param {string} rruleString - RRULE string
  * @param {number} notificationHour - Hour in rota's timezone (0-23)
  * @param {number} notificationMinute - Minute (0, 15, 30, 45)
- * @param {string} rotaTimezone - Timezone where rota executes (should be UTC)
+ * @param {string} rotaTimezone - Timezone where rota executes
  * @param {string} displayTimezone - Timezone to display to user (optional, defaults to rotaTimezone)
+ * @param {Object} blackout - Optional { dates: Set<string>, mode } so blacked-out dates are skipped
+ * @param {string} locale - Language to format the date in (12 or 24-hour clock follows it)
  */
-function formatNextOccurrence(rruleString, notificationHour = 10, notificationMinute = 0, rotaTimezone = 'UTC', displayTimezone = null) {
-  const next = getNextOccurrence(rruleString);
+function formatNextOccurrence(rruleString, notificationHour = 10, notificationMinute = 0, rotaTimezone = 'UTC', displayTimezone = null, blackout = null, locale = DEFAULT_LOCALE) {
+  const next = getNextNotificationTime(rruleString, notificationHour, notificationMinute, rotaTimezone, new Date(), blackout);
   if (!next) {
-    return 'Not scheduled';
+    return t(locale, 'home.notScheduled');
   }
 
   // Use displayTimezone if provided, otherwise use rotaTimezone
   const tzToDisplay = displayTimezone || rotaTimezone;
 
-  // Get the date from RRULE (this is just a date, midnight UTC)
-  const year = next.getUTCFullYear();
-  const month = next.getUTCMonth();
-  const day = next.getUTCDate();
-
-  // Create a UTC date with the notification time
-  // Since rotas are stored in UTC, notificationHour/Minute are already in UTC
-  const utcDate = new Date(Date.UTC(year, month, day, notificationHour, notificationMinute, 0));
-
   // Format in the display timezone
   const options = {
     year: 'numeric',
@@ -105,18 +417,32 @@ function formatNextOccurrence(rruleString, notificationHour = 10, notificationMi
     day: 'numeric',
     hour: '2-digit',
     minute: '2-digit',
-    timeZone: tzToDisplay,
-    hour12: true
+    timeZone: tzToDisplay
   };
 
-  const formatter = new Intl.DateTimeFormat('en-US', options);
-  return formatter.format(utcDate);
+  const formatter = new Intl.DateTimeFormat(getIntlLocale(locale), options);
+  return formatter.format(next);
 }
 
 module.exports = {
+  FREQUENCIES,
+  CUSTOM_FREQUENCIES,
+  WEEKDAY_CODES,
+  SET_POSITIONS,
   generateRRule,
+  validateRecurrence,
+  describeRecurrence,
   getNextOccurrence,
   getOccurrencesBetween,
   validateRRule,
+  isOccurrenceOn,
+  getOccurrenceInstant,
+  addDays,
+  resolveOccurrenceDate,
+  getScheduledOccurrences,
+  getScheduledDates,
+  isScheduledOn,
+  getCoverageWindow,
+  getNextNotificationTime,
   formatNextOccurrence
 };
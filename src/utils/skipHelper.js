@@ -1,32 +1,61 @@
 const RotaAssignment = require('../models/RotaAssignment');
 const Rota = require('../models/Rota');
 const { logger } = require('../utils/logger');
+const { DEFAULT_LOCALE, t } = require('../utils/i18n');
+const { getDayBoundsInTimezone, getLocalDateString } = require('../utils/timezoneHelper');
+const {
+  getRotationStrategy,
+  getServiceHistory,
+  selectNextMember,
+  getUnavailableMembers
+} = require('../utils/rotationHelper');
 
 /**
  * Get assignments for a specific date
+ * @param {string} rotaId - Rota ID
+ * @param {Date} date - Any instant within the day
+ * @param {string} timezone - Rota's timezone, defines the day boundaries
  */
-async function getAssignmentsForDate(rotaId, date) {
-  const startOfDay = new Date(date);
-  startOfDay.setHours(0, 0, 0, 0);
-
-  const endOfDay = new Date(date);
-  endOfDay.setHours(23, 59, 59, 999);
+async function getAssignmentsForDate(rotaId, date, timezone = 'UTC') {
+  const { start, end } = getDayBoundsInTimezone(date, timezone);
 
   return await RotaAssignment.find({
     rotaId,
     assignedDate: {
-      $gte: startOfDay,
-      $lte: endOfDay
+      $gte: start,
+      $lte: end
     }
   }).sort({ createdAt: 1 }); // Oldest first for counting
 }
 
+/**
+ * Get all assignments for the same shift as the given assignment
+ * Shifts are identified by their coverage window; assignments created before
+ * coverage windows existed fall back to the calendar day they were assigned.
+ * @param {string} rotaId - Rota ID
+ * @param {Object} shift - Assignment (or { coverageStart, assignedDate }) identifying the shift
+ * @param {string} timezone - Rota's timezone, used for the calendar day fallback
+ */
+async function getAssignmentsForShift(rotaId, shift, timezone = 'UTC') {
+  if (shift.coverageStart) {
+    return await RotaAssignment.find({
+      rotaId,
+      coverageStart: shift.coverageStart
+    }).sort({ createdAt: 1 }); // Oldest first for counting
+  }
+
+  return await getAssignmentsForDate(rotaId, shift.assignedDate, timezone);
+}
+
 /**
  * Count consecutive skips from the most recent assignment backwards
+ * @param {Object} shift - Assignment identifying the shift
  */
-async function getConsecutiveSkipCount(rotaId, date) {
+async function getConsecutiveSkipCount(rotaId, shift, timezone = 'UTC') {
   try {
-    const assignments = await getAssignmentsForDate(rotaId, date);
+    // Only the same assignee slot counts when an occurrence has several assignees
+    const assignments = (await getAssignmentsForShift(rotaId, shift, timezone))
+      .filter(assignment => (assignment.slot || 0) === (shift.slot || 0));
 
     if (assignments.length === 0) {
       return 0;
@@ -47,7 +76,8 @@ async function getConsecutiveSkipCount(rotaId, date) {
     logger.error('Error counting consecutive skips', {
       error: error.message,
       rotaId,
-      date
+      coverageStart: shift.coverageStart,
+      assignedDate: shift.assignedDate
     });
     return 0;
   }
@@ -55,16 +85,19 @@ async function getConsecutiveSkipCount(rotaId, date) {
 
 /**
  * Check if an assignment can be skipped
+ * @param {string} rotaId - Rota ID
+ * @param {Object} shift - Assignment being skipped
+ * @param {string} locale - Language of the reason
  * Returns { canSkip: boolean, reason: string }
  */
-async function canSkipAssignment(rotaId, date) {
+async function canSkipAssignment(rotaId, shift, locale = DEFAULT_LOCALE) {
   try {
     // Get the rota
     const rota = await Rota.findById(rotaId);
     if (!rota) {
       return {
         canSkip: false,
-        reason: 'Rota not found'
+        reason: t(locale, 'skip.rotaNotFound')
       };
     }
 
@@ -72,18 +105,30 @@ async function canSkipAssignment(rotaId, date) {
     if (rota.members.length <= 1) {
       return {
         canSkip: false,
-        reason: 'Cannot skip when rota has only one member'
+        reason: t(locale, 'skip.onlyOneMember')
       };
     }
 
     // Check consecutive skip count
-    const consecutiveSkips = await getConsecutiveSkipCount(rotaId, date);
+    const consecutiveSkips = await getConsecutiveSkipCount(rotaId, shift, rota.schedule.timezone || 'UTC');
     const maxSkips = rota.members.length - 1;
 
     if (consecutiveSkips >= maxSkips) {
       return {
         canSkip: false,
-        reason: `Cannot skip: all other members have been skipped (${consecutiveSkips}/${maxSkips})`
+        reason: t(locale, 'skip.allSkipped', { count: consecutiveSkips, max: maxSkips })
+      };
+    }
+
+    // Someone must be left who doesn't have (and didn't skip) this shift yet;
+    // with several assignees the other slots are taken too
+    const shiftAssignments = await getAssignmentsForShift(rotaId, shift, rota.schedule.timezone || 'UTC');
+    const assignedUserIds = shiftAssignments.map(assignment => assignment.userId);
+
+    if (rota.members.every(member => assignedUserIds.includes(member))) {
+      return {
+        canSkip: false,
+        reason: t(locale, 'skip.everyoneAssigned')
       };
     }
 
@@ -95,44 +140,73 @@ async function canSkipAssignment(rotaId, date) {
     logger.error('Error checking if assignment can be skipped', {
       error: error.message,
       rotaId,
-      date
+      assignmentId: shift._id
     });
     return {
       canSkip: false,
-      reason: 'Error validating skip request'
+      reason: t(locale, 'skip.validationFailed')
     };
   }
 }
 
 /**
  * Get the next available person in the rotation
- * Excludes users who have already been assigned today
+ * Excludes users who have already been assigned to this shift and prefers
+ * members who are available on the shift's date
+ * @param {Object} rota - Rota document
+ * @param {Object} shift - Assignment being replaced
  */
-async function getNextAvailablePerson(rota, date) {
+async function getNextAvailablePerson(rota, shift) {
   try {
-    // Get today's assignments to find who's already been assigned
-    const todaysAssignments = await getAssignmentsForDate(rota._id, date);
-    const assignedUserIds = todaysAssignments.map(a => a.userId);
-
-    // Find next person who hasn't been assigned today
-    const members = rota.members;
-    let currentIndex = rota.currentIndex;
-    let attempts = 0;
-
-    while (attempts < members.length) {
-      // Move to next person
-      currentIndex = (currentIndex + 1) % members.length;
-      const nextUserId = members[currentIndex];
-
-      // Check if this person hasn't been assigned today
-      if (!assignedUserIds.includes(nextUserId)) {
+    // Get this shift's assignments to find who's already been assigned
+    const shiftAssignments = await getAssignmentsForShift(rota._id, shift, rota.schedule.timezone || 'UTC');
+    const assignedUserIds = shiftAssignments.map(a => a.userId);
+    const shiftDate = getLocalDateString(shift.coverageStart || shift.assignedDate, rota.schedule.timezone || 'UTC');
+    const unavailableUserIds = getUnavailableMembers(rota, shiftDate);
+
+    // Least-served and shuffled rotas hand the shift to whoever their strategy
+    // picks among the members who haven't had it yet
+    const strategy = getRotationStrategy(rota);
+    if (strategy !== 'round_robin') {
+      const history = strategy === 'least_served' ? await getServiceHistory(rota) : null;
+      const userId = selectNextMember(rota, { exclude: assignedUserIds, unavailable: unavailableUserIds, history });
+      if (userId) {
         return {
-          userId: nextUserId,
-          newIndex: currentIndex
+          userId,
+          newIndex: rota.currentIndex
         };
       }
+    }
+
+    // Find next person who hasn't been assigned to this shift, preferring
+    // members who are available that day
+    const members = rota.members;
+    const findFrom = (skipUserIds) => {
+      let currentIndex = rota.currentIndex;
+      let attempts = 0;
+
+      while (attempts < members.length) {
+        // Move to next person
+        currentIndex = (currentIndex + 1) % members.length;
+        const nextUserId = members[currentIndex];
+
+        // Check if this person hasn't been assigned to this shift
+        if (!skipUserIds.includes(nextUserId)) {
+          return {
+            userId: nextUserId,
+            newIndex: currentIndex
+          };
+        }
+
+        attempts++;
+      }
+
+      return null;
+    };
 
-      attempts++;
+    const nextPerson = findFrom([...assignedUserIds, ...unavailableUserIds]) || findFrom(assignedUserIds);
+    if (nextPerson) {
+      return nextPerson;
     }
 
     // If we've tried everyone and all have been assigned (shouldn't happen with skip limits)
@@ -153,6 +227,7 @@ async function getNextAvailablePerson(rota, date) {
 
 module.exports = {
   getAssignmentsForDate,
+  getAssignmentsForShift,
   getConsecutiveSkipCount,
   canSkipAssignment,
   getNextAvailablePerson
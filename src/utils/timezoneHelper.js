@@ -3,6 +3,8 @@
  * Provides functions for timezone conversions and time comparisons
  */
 
+const { DEFAULT_LOCALE, getIntlLocale } = require('./i18n');
+
 /**
  * Get the current hour in a specific timezone
  * @param {Date} date - The date to convert
@@ -62,33 +64,18 @@ function getCurrentMinuteInTimezone(date, timezone) {
 }
 
 /**
- * Format hour and minute for display
+ * Format hour and minute for display in the language's clock
  * @param {number} hour - Hour in 24-hour format (0-23)
  * @param {number} minute - Minute (0-59)
- * @returns {string} Formatted string (e.g., "10:30 (10:30 AM)")
+ * @param {string} locale - Locale code
+ * @returns {string} Formatted string (e.g., "10:30 AM" in English, "10:30" in German)
  */
-function formatTimeDisplay(hour, minute = 0) {
-  const minuteStr = minute.toString().padStart(2, '0');
-  let label = '';
-
-  // Format for 12-hour display
-  let displayHour = hour;
-  let period = 'AM';
-
-  if (hour === 0) {
-    displayHour = 12;
-    period = 'AM';
-  } else if (hour === 12) {
-    displayHour = 12;
-    period = 'PM';
-  } else if (hour > 12) {
-    displayHour = hour - 12;
-    period = 'PM';
-  }
-
-  label += `${displayHour}:${minuteStr} ${period}`;
-
-  return label;
+function formatTimeDisplay(hour, minute = 0, locale = DEFAULT_LOCALE) {
+  return new Intl.DateTimeFormat(getIntlLocale(locale), {
+    hour: 'numeric',
+    minute: '2-digit',
+    timeZone: 'UTC'
+  }).format(new Date(Date.UTC(1970, 0, 1, hour, minute)));
 }
 
 /**
@@ -177,7 +164,127 @@ function convertTimezoneForDisplay(hour, minute, sourceTimezone, targetTimezone,
   };
 }
 
+/**
+ * Check whether a string is a valid IANA timezone
+ * @param {string} timezone - Timezone to check (e.g., 'Europe/London')
+ * @returns {boolean} True if Intl recognises the timezone
+ */
+function isValidTimezone(timezone) {
+  if (!timezone || typeof timezone !== 'string') {
+    return false;
+  }
+
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Get the wall-clock date and time parts of an instant in a timezone
+ * @param {Date} date - The instant to convert
+ * @param {string} timezone - IANA timezone
+ * @returns {object} { year, month (1-12), day, hour, minute }
+ */
+function getDatePartsInTimezone(date, timezone) {
+  const formatter = new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    hour12: false
+  });
+
+  const parts = formatter.formatToParts(date);
+  const get = (type) => parseInt(parts.find(p => p.type === type).value, 10);
+
+  return {
+    year: get('year'),
+    month: get('month'),
+    day: get('day'),
+    // Some ICU versions render midnight as 24
+    hour: get('hour') % 24,
+    minute: get('minute')
+  };
+}
+
+/**
+ * Get the calendar date of an instant in a timezone
+ * @param {Date} date - The instant to convert
+ * @param {string} timezone - IANA timezone
+ * @returns {string} Date in YYYY-MM-DD format
+ */
+function getLocalDateString(date, timezone) {
+  const { year, month, day } = getDatePartsInTimezone(date, timezone);
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+/**
+ * Get the UTC offset of a timezone at a given instant
+ * @param {Date} date - The instant
+ * @param {string} timezone - IANA timezone
+ * @returns {number} Offset in minutes (e.g., 60 for BST, -300 for EST)
+ */
+function getTimezoneOffsetMinutes(date, timezone) {
+  const { year, month, day, hour, minute } = getDatePartsInTimezone(date, timezone);
+  const asUtc = Date.UTC(year, month - 1, day, hour, minute);
+  const truncated = Math.floor(date.getTime() / 60000) * 60000;
+  return Math.round((asUtc - truncated) / 60000);
+}
+
+/**
+ * Convert a wall-clock time in a timezone to the matching instant (DST-aware)
+ * Times that fall in a DST gap are moved forward by the size of the gap.
+ * @param {number} year - Full year
+ * @param {number} month - Month (1-12)
+ * @param {number} day - Day of month
+ * @param {number} hour - Hour (0-23)
+ * @param {number} minute - Minute (0-59)
+ * @param {string} timezone - IANA timezone
+ * @returns {Date} The UTC instant
+ */
+function zonedTimeToUtc(year, month, day, hour, minute, timezone) {
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute);
+
+  // First guess uses the offset at the wall-clock time, second pass corrects
+  // for the case where the real instant is on the other side of a DST change
+  const firstOffset = getTimezoneOffsetMinutes(new Date(wallClock), timezone);
+  const firstGuess = wallClock - firstOffset * 60000;
+  const secondOffset = getTimezoneOffsetMinutes(new Date(firstGuess), timezone);
+
+  return new Date(wallClock - secondOffset * 60000);
+}
+
+/**
+ * Get the start and end instants of the calendar day containing a date
+ * @param {Date} date - Any instant within the day
+ * @param {string} timezone - IANA timezone defining the day
+ * @returns {object} { start, end } as Dates (end is inclusive, last millisecond)
+ */
+function getDayBoundsInTimezone(date, timezone = 'UTC') {
+  const { year, month, day } = getDatePartsInTimezone(date, timezone);
+  const start = zonedTimeToUtc(year, month, day, 0, 0, timezone);
+
+  const nextDay = new Date(Date.UTC(year, month - 1, day + 1));
+  const end = zonedTimeToUtc(nextDay.getUTCFullYear(), nextDay.getUTCMonth() + 1, nextDay.getUTCDate(), 0, 0, timezone);
+
+  return {
+    start,
+    end: new Date(end.getTime() - 1)
+  };
+}
+
 module.exports = {
+  isValidTimezone,
+  getDatePartsInTimezone,
+  getLocalDateString,
+  getTimezoneOffsetMinutes,
+  zonedTimeToUtc,
+  getDayBoundsInTimezone,
   getCurrentHourInTimezone,
   getCurrentMinuteInTimezone,
   formatTimeDisplay,
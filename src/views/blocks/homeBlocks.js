@@ -1,5 +1,16 @@
-const { formatNextOccurrence } = require('../../utils/rruleHelper');
+const { formatNextOccurrence, describeRecurrence } = require('../../utils/rruleHelper');
 const { formatTimeDisplay, convertTimezoneForDisplay } = require('../../utils/timezoneHelper');
+const { formatDateList, getRotaBlackout } = require('../../utils/blackoutHelper');
+const { DEFAULT_CHANNEL_STATUS_TEMPLATE } = require('../../services/assignmentService');
+const { isEmailConfigured } = require('../../services/emailService');
+const { LOCALES, resolveLocale, getIntlLocale, t } = require('../../utils/i18n');
+const {
+  DEFAULT_LOOKBACK_DAYS,
+  MAX_LOOKBACK_DAYS,
+  MAX_ASSIGNEES,
+  getRotationStrategy,
+  describeRotationStrategy
+} = require('../../utils/rotationHelper');
 
 /**
  * Generate hour options for notification time selector (0-23)
@@ -48,417 +59,2201 @@ function generateMinuteOptions() {
   }));
 }
 
-const homeBlocks = (rotas = [], assignments = {}, userTimezone = 'UTC') => {
-  const blocks = [
+const FREQUENCY_OPTIONS = [
+  { value: 'DAILY', label: 'Daily' },
+  { value: 'WEEKLY', label: 'Weekly' },
+  { value: 'BIWEEKLY', label: 'Biweekly (Every 2 weeks)' },
+  { value: 'MONTHLY', label: 'Monthly' },
+  { value: 'CUSTOM', label: 'Custom (advanced)' }
+];
+
+const RECURRENCE_FREQUENCY_OPTIONS = [
+  { value: 'DAILY', label: 'Days' },
+  { value: 'WEEKLY', label: 'Weeks' },
+  { value: 'MONTHLY', label: 'Months' }
+];
+
+const WEEKDAY_OPTIONS = [
+  { value: 'MO', label: 'Monday' },
+  { value: 'TU', label: 'Tuesday' },
+  { value: 'WE', label: 'Wednesday' },
+  { value: 'TH', label: 'Thursday' },
+  { value: 'FR', label: 'Friday' },
+  { value: 'SA', label: 'Saturday' },
+  { value: 'SU', label: 'Sunday' }
+];
+
+const SET_POSITION_OPTIONS = [
+  { value: '1', label: 'First' },
+  { value: '2', label: 'Second' },
+  { value: '3', label: 'Third' },
+  { value: '4', label: 'Fourth' },
+  { value: '-1', label: 'Last' }
+];
+
+/**
+ * Build a static_select option from one of the option lists above
+ * @param {Array} list - Option list ({ value, label })
+ * @param {string} value - Value to look up
+ * @returns {Object|undefined} Slack option object, undefined if value is unknown
+ */
+function selectOption(list, value) {
+  const option = list.find(item => item.value === value);
+  if (!option) {
+    return undefined;
+  }
+
+  return {
+    text: {
+      type: 'plain_text',
+      text: option.label
+    },
+    value: option.value
+  };
+}
+
+function frequencyOption(frequency) {
+  return selectOption(FREQUENCY_OPTIONS, frequency);
+}
+
+/**
+ * Build the advanced recurrence inputs (only used when frequency is Custom)
+ * @param {Object} recurrence - Existing recurrence to pre-fill (optional)
+ * @returns {Array} Blocks for the create/edit modals
+ */
+function recurrenceBlocks(recurrence = null) {
+  const byWeekday = recurrence?.byWeekday || [];
+  const bySetPos = recurrence?.bySetPos;
+
+  return [
     {
-      type: 'header',
-      text: {
+      type: 'context',
+      elements: [
+        {
+          type: 'mrkdwn',
+          text: '*Advanced recurrence* (only used when frequency is _Custom_). Examples: every 3 weeks on Tue and Thu, the first Monday of the month, the last Mon-Fri of the month, every 10 days.'
+        }
+      ]
+    },
+    {
+      type: 'input',
+      block_id: 'recurrence_interval',
+      optional: true,
+      label: {
         type: 'plain_text',
-        text: '🔄 Vibe Rotas',
-        emoji: true
+        text: 'Repeat Every'
+      },
+      element: {
+        type: 'number_input',
+        action_id: 'recurrence_interval_input',
+        is_decimal_allowed: false,
+        min_value: '1',
+        max_value: '99',
+        initial_value: String(recurrence?.interval || 1)
+      }
+    },
+    {
+      type: 'input',
+      block_id: 'recurrence_freq',
+      optional: true,
+      label: {
+        type: 'plain_text',
+        text: 'Repeat Unit'
+      },
+      element: {
+        type: 'static_select',
+        action_id: 'recurrence_freq_input',
+        placeholder: {
+          type: 'plain_text',
+          text: 'Days, weeks or months'
+        },
+        initial_option: selectOption(RECURRENCE_FREQUENCY_OPTIONS, recurrence?.freq),
+        options: RECURRENCE_FREQUENCY_OPTIONS.map(option => selectOption(RECURRENCE_FREQUENCY_OPTIONS, option.value))
+      }
+    },
+    {
+      type: 'input',
+      block_id: 'recurrence_weekdays',
+      optional: true,
+      label: {
+        type: 'plain_text',
+        text: 'On Weekdays'
+      },
+      element: {
+        type: 'checkboxes',
+        action_id: 'recurrence_weekdays_input',
+        options: WEEKDAY_OPTIONS.map(option => selectOption(WEEKDAY_OPTIONS, option.value)),
+        initial_options: byWeekday.length > 0
+          ? byWeekday.map(code => selectOption(WEEKDAY_OPTIONS, code))
+          : undefined
+      }
+    },
+    {
+      type: 'input',
+      block_id: 'recurrence_setpos',
+      optional: true,
+      label: {
+        type: 'plain_text',
+        text: 'Position in Month'
+      },
+      hint: {
+        type: 'plain_text',
+        text: 'Monthly only. Picks the Nth matching weekday, e.g. First + Monday, or Last + Monday-Friday for the last business day.'
+      },
+      element: {
+        type: 'static_select',
+        action_id: 'recurrence_setpos_input',
+        placeholder: {
+          type: 'plain_text',
+          text: 'Any'
+        },
+        initial_option: bySetPos ? selectOption(SET_POSITION_OPTIONS, String(bySetPos)) : undefined,
+        options: SET_POSITION_OPTIONS.map(option => selectOption(SET_POSITION_OPTIONS, option.value))
+      }
+    }
+  ];
+}
+
+const ROTATION_STRATEGY_OPTIONS = [
+  { label: 'Round robin (fixed order)', value: 'round_robin' },
+  { label: 'Least recently served (fairest)', value: 'least_served' },
+  { label: 'Shuffled (new random order each cycle)', value: 'shuffled' }
+];
+
+/**
+ * Build the rotation strategy inputs
+ * @param {Object} rota - Existing rota to pre-fill (optional)
+ * @returns {Array} Blocks for the create/edit modals
+ */
+function rotationBlocks(rota = null) {
+  const strategy = rota ? getRotationStrategy(rota) : 'round_robin';
+
+  return [
+    {
+      type: 'input',
+      block_id: 'rotation_strategy',
+      label: {
+        type: 'plain_text',
+        text: 'Rotation'
+      },
+      hint: {
+        type: 'plain_text',
+        text: 'Least recently served picks whoever had the fewest turns (then the oldest last turn) within the lookback, ignoring skipped turns. Shuffled picks a random order and nobody repeats until everyone had a turn.'
+      },
+      element: {
+        type: 'static_select',
+        action_id: 'strategy_input',
+        initial_option: selectOption(ROTATION_STRATEGY_OPTIONS, strategy),
+        options: ROTATION_STRATEGY_OPTIONS.map(option => selectOption(ROTATION_STRATEGY_OPTIONS, option.value))
+      }
+    },
+    {
+      type: 'input',
+      block_id: 'rotation_lookback',
+      optional: true,
+      label: {
+        type: 'plain_text',
+        text: 'Lookback (days)'
+      },
+      hint: {
+        type: 'plain_text',
+        text: 'Only used by least recently served.'
+      },
+      element: {
+        type: 'number_input',
+        action_id: 'lookback_input',
+        is_decimal_allowed: false,
+        min_value: '1',
+        max_value: String(MAX_LOOKBACK_DAYS),
+        initial_value: String(rota?.rotation?.lookbackDays || DEFAULT_LOOKBACK_DAYS)
+      }
+    }
+  ];
+}
+
+/**
+ * Build the assignees-per-occurrence inputs
+ * @param {Object} rota - Existing rota to pre-fill (optional)
+ * @returns {Array} Blocks for the create/edit modals
+ */
+function assigneeBlocks(rota = null) {
+  const roles = rota?.assignees?.roles || [];
+
+  return [
+    {
+      type: 'input',
+      block_id: 'assignee_count',
+      label: {
+        type: 'plain_text',
+        text: 'People per Turn'
+      },
+      hint: {
+        type: 'plain_text',
+        text: 'e.g. 2 for a primary and a backup. Each person gets their own skip button.'
+      },
+      element: {
+        type: 'number_input',
+        action_id: 'count_input',
+        is_decimal_allowed: false,
+        min_value: '1',
+        max_value: String(MAX_ASSIGNEES),
+        initial_value: String(rota?.assignees?.count || 1)
       }
     },
+    {
+      type: 'input',
+      block_id: 'assignee_roles',
+      optional: true,
+      label: {
+        type: 'plain_text',
+        text: 'Role Labels'
+      },
+      hint: {
+        type: 'plain_text',
+        text: 'Optional, comma-separated in slot order, e.g. Primary, Secondary.'
+      },
+      element: {
+        type: 'plain_text_input',
+        action_id: 'roles_input',
+        initial_value: roles.length > 0 ? roles.join(', ') : undefined,
+        max_length: 200
+      }
+    }
+  ];
+}
+
+/**
+ * Describe a member's availability rule in one line
+ */
+function describeAvailability(rule) {
+  const parts = [];
+
+  if (rule.weekdays?.length > 0) {
+    parts.push(rule.weekdays
+      .map(code => WEEKDAY_OPTIONS.find(option => option.value === code)?.label.slice(0, 3) || code)
+      .join(', '));
+  }
+
+  if (rule.startDate && rule.endDate) {
+    parts.push(`${rule.startDate} to ${rule.endDate}`);
+  } else if (rule.startDate) {
+    parts.push(`from ${rule.startDate}`);
+  } else if (rule.endDate) {
+    parts.push(`until ${rule.endDate}`);
+  }
+
+  return parts.join(', ');
+}
+
+/**
+ * Build the member availability section of the edit modal
+ * Picking a member opens their availability on top of the edit modal.
+ * @param {Object} rota - Rota being edited
+ * @returns {Array} Blocks for the edit modal
+ */
+function availabilityBlocks(rota) {
+  const rules = (rota.availability || []).filter(rule => rota.members.includes(rule.userId));
+  const emailAddresses = (rota.delivery?.emailAddresses || []).filter(entry => rota.members.includes(entry.userId));
+  const lines = [
+    ...rules.map(rule => `<@${rule.userId}>: ${describeAvailability(rule)}`),
+    ...emailAddresses.map(entry => `<@${entry.userId}>: emailed at ${entry.email}`)
+  ];
+
+  return [
     {
       type: 'section',
+      block_id: 'member_availability',
       text: {
         type: 'mrkdwn',
-        text: 'Manage your team rotas with automatic rotation scheduling.'
+        text: '*Member Availability*\nLimit when a member can take a turn. Unavailable members are passed over and keep their place.'
+      },
+      accessory: {
+        type: 'users_select',
+        action_id: 'availability_member_select',
+        placeholder: {
+          type: 'plain_text',
+          text: 'Set for a member'
+        }
       }
     },
     {
-      type: 'divider'
+      type: 'context',
+      elements: [
+        {
+          type: 'mrkdwn',
+          text: lines.length > 0
+            ? lines.join('\n')
+            : '_Everyone is available on every scheduled date._'
+        }
+      ]
     }
   ];
+}
 
-  if (rotas.length === 0) {
+const MEMBER_SOURCE_OPTIONS = [
+  { value: 'manual', label: 'Picked by hand' },
+  { value: 'usergroup', label: 'A user group' },
+  { value: 'channel', label: 'Members of a channel' }
+];
+
+/**
+ * Build the member source inputs: members picked by hand or kept in sync
+ * with a user group or channel
+ * @param {Object} rota - Existing rota to pre-fill (optional)
+ * @param {Array} userGroups - Workspace user groups ({ id, handle, name })
+ * @returns {Array} Blocks for the create/edit modals
+ */
+function memberSourceBlocks(rota = null, userGroups = []) {
+  const source = rota?.memberSync?.source || 'manual';
+  const sourceId = rota?.memberSync?.sourceId || null;
+  const groupOptions = userGroups.slice(0, 100).map(group => ({
+    text: {
+      type: 'plain_text',
+      text: `@${group.handle}`.slice(0, 75)
+    },
+    value: group.id
+  }));
+
+  const blocks = [
+    {
+      type: 'input',
+      block_id: 'member_source',
+      label: {
+        type: 'plain_text',
+        text: 'Members Come From'
+      },
+      hint: {
+        type: 'plain_text',
+        text: 'Synced members are refreshed every hour; the channel gets a notice when the roster changes.'
+      },
+      element: {
+        type: 'static_select',
+        action_id: 'source_input',
+        options: MEMBER_SOURCE_OPTIONS.map(option => selectOption(MEMBER_SOURCE_OPTIONS, option.value)),
+        initial_option: selectOption(MEMBER_SOURCE_OPTIONS, source)
+      }
+    }
+  ];
+
+  if (groupOptions.length > 0) {
     blocks.push({
-      type: 'section',
-      text: {
-        type: 'mrkdwn',
-        text: ':information_source: *No rotas yet*\n\nGet started by creating your first rota. Click the button below to begin!'
+      type: 'input',
+      block_id: 'member_source_usergroup',
+      optional: true,
+      label: {
+        type: 'plain_text',
+        text: 'User Group'
+      },
+      element: {
+        type: 'static_select',
+        action_id: 'usergroup_input',
+        options: groupOptions,
+        initial_option: source === 'usergroup'
+          ? groupOptions.find(option => option.value === sourceId)
+          : undefined
       }
     });
   } else {
     blocks.push({
-      type: 'section',
-      text: {
-        type: 'mrkdwn',
-        text: `*Your Rotas* (${rotas.length})`
-      }
+      type: 'context',
+      elements: [
+        {
+          type: 'mrkdwn',
+          text: '_No user groups found. Syncing from a user group needs the `usergroups:read` scope._'
+        }
+      ]
     });
+  }
 
-    rotas.forEach((rota) => {
-      const notificationHour = rota.schedule.notificationHour !== undefined ? rota.schedule.notificationHour : 10;
-      const notificationMinute = rota.schedule.notificationMinute !== undefined ? rota.schedule.notificationMinute : 0;
-      const rotaTimezone = rota.schedule.timezone || 'UTC';
-      const weekdaysOnlyLabel = rota.schedule.weekdaysOnly ? ' • Weekdays only' : '';
+  blocks.push({
+    type: 'input',
+    block_id: 'member_source_channel',
+    optional: true,
+    label: {
+      type: 'plain_text',
+      text: 'Members of Channel'
+    },
+    hint: {
+      type: 'plain_text',
+      text: 'Leave empty to use the rota channel. Bots are left out.'
+    },
+    element: {
+      type: 'conversations_select',
+      action_id: 'channel_input',
+      initial_conversation: source === 'channel' && sourceId ? sourceId : undefined,
+      filter: {
+        include: ['public', 'private'],
+        exclude_bot_users: true
+      }
+    }
+  });
 
-      // Convert notification time from UTC to user's timezone for display
-      const convertedTime = convertTimezoneForDisplay(
-        notificationHour,
-        notificationMinute,
-        'UTC', // Stored in UTC
-        userTimezone // Display in user's timezone
-      );
+  return blocks;
+}
 
-      // Format next rotation in USER'S timezone for display
-      const nextRotation = formatNextOccurrence(
-        rota.schedule.rrule,
-        notificationHour,
-        notificationMinute,
-        rotaTimezone,
-        userTimezone // Display timezone
-      );
+/**
+ * Build the linked user group input: a group kept pointed at the current assignee(s)
+ * @param {Object} rota - Existing rota to pre-fill (optional)
+ * @param {Array} userGroups - Workspace user groups ({ id, handle, name })
+ * @returns {Array} Blocks for the create/edit modals (none without user groups)
+ */
+function linkedUserGroupBlocks(rota = null, userGroups = []) {
+  if (userGroups.length === 0) {
+    return [];
+  }
 
-      // Format notification time in USER'S timezone for display
-      const timeDisplay = formatTimeDisplay(convertedTime.hour, convertedTime.minute);
+  // A selection cannot be cleared in a static_select, hence the explicit "None"
+  const options = [
+    {
+      text: {
+        type: 'plain_text',
+        text: 'None'
+      },
+      value: 'none'
+    },
+    ...userGroups.slice(0, 99).map(group => ({
+      text: {
+        type: 'plain_text',
+        text: `@${group.handle}`.slice(0, 75)
+      },
+      value: group.id
+    }))
+  ];
+  const linkedId = rota?.linkedUserGroup?.usergroupId;
 
-      // Get current assignment for this rota
-      const currentAssignment = assignments[rota._id.toString()];
-      const assigneeText = currentAssignment
-        ? `\n:bust_in_silhouette: Current: <@${currentAssignment.userId}>`
-        : '';
+  return [
+    {
+      type: 'input',
+      block_id: 'linked_usergroup',
+      optional: true,
+      label: {
+        type: 'plain_text',
+        text: 'Linked User Group'
+      },
+      hint: {
+        type: 'plain_text',
+        text: 'Kept pointed at whoever is currently assigned, e.g. @support-oncall. Its current members are replaced.'
+      },
+      element: {
+        type: 'static_select',
+        action_id: 'usergroup_input',
+        options,
+        initial_option: linkedId ? options.find(option => option.value === linkedId) : undefined
+      }
+    }
+  ];
+}
 
-      blocks.push({
-        type: 'section',
-        text: {
-          type: 'mrkdwn',
-          text: `*${rota.name}*\n:busts_in_silhouette: ${rota.members.length} members • <#${rota.channelId}>\n:calendar: ${rota.schedule.frequency}${weekdaysOnlyLabel} • :alarm_clock: ${timeDisplay}${assigneeText}`
-        },
-        accessory: {
-          type: 'overflow',
-          options: [
-            {
-              text: {
-                type: 'plain_text',
-                text: 'Edit',
-                emoji: true
-              },
-              value: `edit_${rota._id}`
-            },
-            {
-              text: {
-                type: 'plain_text',
-                text: 'Delete',
-                emoji: true
-              },
-              value: `delete_${rota._id}`
-            }
-          ],
-          action_id: `rota_actions_${rota._id}`
-        }
-      });
+const CHANNEL_STATUS_OPTIONS = [
+  { value: 'off', label: 'Nothing' },
+  { value: 'topic', label: 'Channel topic' },
+  { value: 'bookmark', label: 'Channel bookmark' }
+];
 
-      blocks.push({
-        type: 'context',
-        elements: [
-          {
-            type: 'mrkdwn',
-            text: `Next rotation: ${nextRotation}`
-          }
-        ]
-      });
+/**
+ * Build the channel topic/bookmark inputs
+ * @param {Object} rota - Existing rota to pre-fill (optional)
+ * @returns {Array} Blocks for the create/edit modals
+ */
+function channelStatusBlocks(rota = null) {
+  return [
+    {
+      type: 'input',
+      block_id: 'channel_status_mode',
+      label: {
+        type: 'plain_text',
+        text: 'Show Current Assignee In'
+      },
+      hint: {
+        type: 'plain_text',
+        text: 'Rewritten in the rota channel whenever someone is assigned or skipped.'
+      },
+      element: {
+        type: 'static_select',
+        action_id: 'mode_input',
+        options: CHANNEL_STATUS_OPTIONS.map(option => selectOption(CHANNEL_STATUS_OPTIONS, option.value)),
+        initial_option: selectOption(CHANNEL_STATUS_OPTIONS, rota?.channelStatus?.mode || 'off')
+      }
+    },
+    {
+      type: 'input',
+      block_id: 'channel_status_template',
+      optional: true,
+      label: {
+        type: 'plain_text',
+        text: 'Topic / Bookmark Text'
+      },
+      hint: {
+        type: 'plain_text',
+        text: `{assignees} and {rotaName} are replaced. Defaults to "${DEFAULT_CHANNEL_STATUS_TEMPLATE}".`
+      },
+      element: {
+        type: 'plain_text_input',
+        action_id: 'template_input',
+        initial_value: rota?.channelStatus?.template || undefined,
+        max_length: 250,
+        placeholder: {
+          type: 'plain_text',
+          text: 'Support today: {assignees}'
+        }
+      }
+    }
+  ];
+}
 
-      blocks.push({
-        type: 'divider'
-      });
-    });
-  }
+const DELIVERY_OPTIONS = [
+  { value: 'channel', label: 'Channel only' },
+  { value: 'dm', label: 'Direct message only' },
+  { value: 'channel_and_dm', label: 'Channel and direct message' }
+];
 
-  // Add "Create New Rota" button
-  blocks.push({
-    type: 'actions',
+/**
+ * Build the delivery inputs: post to the channel, DM the assignee, or both,
+ * and by email when an SMTP server is configured
+ * @param {Object} rota - Existing rota to pre-fill (optional)
+ * @returns {Array} Blocks for the create/edit modals
+ */
+function deliveryBlocks(rota = null) {
+  const emailOption = {
+    text: {
+      type: 'plain_text',
+      text: 'Also email notifications and reminders'
+    },
+    value: 'true'
+  };
+
+  const blocks = [
+    {
+      type: 'input',
+      block_id: 'delivery_mode',
+      label: {
+        type: 'plain_text',
+        text: 'Notify'
+      },
+      hint: {
+        type: 'plain_text',
+        text: 'DMs carry the same message and buttons, with a link to the channel post. DM-only rotas post in the channel if no DM can be sent.'
+      },
+      element: {
+        type: 'static_select',
+        action_id: 'mode_input',
+        options: DELIVERY_OPTIONS.map(option => selectOption(DELIVERY_OPTIONS, option.value)),
+        initial_option: selectOption(DELIVERY_OPTIONS, rota?.delivery?.mode || 'channel') ||
+          selectOption(DELIVERY_OPTIONS, 'channel')
+      }
+    }
+  ];
+
+  if (isEmailConfigured()) {
+    blocks.push({
+      type: 'input',
+      block_id: 'delivery_email',
+      optional: true,
+      label: {
+        type: 'plain_text',
+        text: 'Email'
+      },
+      hint: {
+        type: 'plain_text',
+        text: 'Assignees get the notification, reminders and heads-ups by email too, at their Slack profile address unless one is set in their availability settings.'
+      },
+      element: {
+        type: 'checkboxes',
+        action_id: 'email_input',
+        options: [emailOption],
+        ...(rota?.delivery?.email && { initial_options: [emailOption] })
+      }
+    });
+  }
+
+  return blocks;
+}
+
+const LOCALE_OPTIONS = Object.entries(LOCALES).map(([value, { label }]) => ({ value, label }));
+
+const ROTA_LOCALE_OPTIONS = [
+  { value: 'default', label: 'Workspace default' },
+  ...LOCALE_OPTIONS
+];
+
+/**
+ * Build the language input of the rota's notifications
+ * @param {Object} rota - Existing rota to pre-fill (optional)
+ * @returns {Array} Blocks for the create/edit modals
+ */
+function localeBlocks(rota = null) {
+  return [
+    {
+      type: 'input',
+      block_id: 'rota_locale',
+      label: {
+        type: 'plain_text',
+        text: 'Language'
+      },
+      hint: {
+        type: 'plain_text',
+        text: 'Language of the notifications and DMs. The workspace default is set on the Home tab.'
+      },
+      element: {
+        type: 'static_select',
+        action_id: 'locale_input',
+        options: ROTA_LOCALE_OPTIONS.map(option => selectOption(ROTA_LOCALE_OPTIONS, option.value)),
+        initial_option: selectOption(ROTA_LOCALE_OPTIONS, rota?.locale || 'default') ||
+          selectOption(ROTA_LOCALE_OPTIONS, 'default')
+      }
+    }
+  ];
+}
+
+const ESCALATION_OPTIONS = [
+  { value: 'never', label: 'Never' },
+  { value: '15', label: 'After 15 minutes' },
+  { value: '30', label: 'After 30 minutes' },
+  { value: '60', label: 'After 1 hour' },
+  { value: '120', label: 'After 2 hours' },
+  { value: '240', label: 'After 4 hours' }
+];
+
+/**
+ * Build the escalation input: when to chase an assignee who has not clicked "I'm on it"
+ * @param {Object} rota - Existing rota to pre-fill (optional)
+ * @returns {Array} Blocks for the create/edit modals
+ */
+function escalationBlocks(rota = null) {
+  const afterMinutes = rota?.escalation?.afterMinutes;
+
+  return [
+    {
+      type: 'input',
+      block_id: 'escalation_after',
+      label: {
+        type: 'plain_text',
+        text: 'Escalate If Not Acknowledged'
+      },
+      hint: {
+        type: 'plain_text',
+        text: 'First the assignee gets a DM; after twice the time, the backup (or rota owner) is mentioned in the thread.'
+      },
+      element: {
+        type: 'static_select',
+        action_id: 'after_input',
+        options: ESCALATION_OPTIONS.map(option => selectOption(ESCALATION_OPTIONS, option.value)),
+        initial_option: selectOption(ESCALATION_OPTIONS, afterMinutes ? String(afterMinutes) : 'never') ||
+          selectOption(ESCALATION_OPTIONS, 'never')
+      }
+    }
+  ];
+}
+
+const ADVANCE_NOTICE_OPTIONS = [
+  { value: 'never', label: 'No heads-up' },
+  { value: '2', label: '2 hours before' },
+  { value: '4', label: '4 hours before' },
+  { value: '12', label: '12 hours before' },
+  { value: '24', label: 'The day before' },
+  { value: '48', label: '2 days before' }
+];
+
+/**
+ * Build the heads-up input: when the next person gets a DM before their turn
+ * @param {Object} rota - Existing rota to pre-fill (optional)
+ * @returns {Array} Blocks for the create/edit modals
+ */
+function advanceNoticeBlocks(rota = null) {
+  const hoursBefore = rota?.advanceNotice?.hoursBefore;
+
+  return [
+    {
+      type: 'input',
+      block_id: 'advance_notice',
+      label: {
+        type: 'plain_text',
+        text: 'Heads-Up Before a Turn'
+      },
+      hint: {
+        type: 'plain_text',
+        text: 'The person due next gets a DM with buttons to skip the turn or request a swap in advance.'
+      },
+      element: {
+        type: 'static_select',
+        action_id: 'hours_input',
+        options: ADVANCE_NOTICE_OPTIONS.map(option => selectOption(ADVANCE_NOTICE_OPTIONS, option.value)),
+        initial_option: selectOption(ADVANCE_NOTICE_OPTIONS, hoursBefore ? String(hoursBefore) : 'never') ||
+          selectOption(ADVANCE_NOTICE_OPTIONS, 'never')
+      }
+    }
+  ];
+}
+
+/**
+ * Build the message template input: use a workspace template instead of the
+ * rota's own custom message
+ * @param {Object} rota - Existing rota to pre-fill (optional)
+ * @param {Array} messageTemplates - Workspace message templates
+ * @returns {Array} Blocks for the create/edit modals (none without templates)
+ */
+function messageTemplateBlocks(rota = null, messageTemplates = []) {
+  if (messageTemplates.length === 0) {
+    return [];
+  }
+
+  const options = [
+    {
+      text: {
+        type: 'plain_text',
+        text: 'None (use the custom message below)'
+      },
+      value: 'none'
+    },
+    ...messageTemplates.slice(0, 99).map(template => ({
+      text: {
+        type: 'plain_text',
+        text: template.name.slice(0, 75)
+      },
+      value: template._id.toString()
+    }))
+  ];
+  const templateId = rota?.messageTemplateId?.toString();
+
+  return [
+    {
+      type: 'input',
+      block_id: 'message_template',
+      optional: true,
+      label: {
+        type: 'plain_text',
+        text: 'Message Template'
+      },
+      hint: {
+        type: 'plain_text',
+        text: 'A workspace template replaces the custom message; notifications always show its latest version.'
+      },
+      element: {
+        type: 'static_select',
+        action_id: 'template_input',
+        options,
+        initial_option: options.find(option => option.value === templateId) || options[0]
+      }
+    }
+  ];
+}
+
+// Help text of the custom message input, listing the template variables
+const CUSTOM_MESSAGE_HINT = 'Additional message to display with the notification. The notification always includes the rota name and assigned person. ' +
+  'Placeholders: {userId}, {nextUserId}, {previousUserId} (people, shown as mentions), {channel}, {rotaName}, ' +
+  '{date} and {weekday} (of the turn, in the rota timezone), {memberCount}, {turnNumber} (turns so far, including this one).';
+
+/**
+ * Build the rota timezone input
+ * @param {string} timezone - IANA timezone to pre-fill
+ * @returns {Object} Input block
+ */
+function timezoneBlock(timezone) {
+  return {
+    type: 'input',
+    block_id: 'rota_timezone',
+    label: {
+      type: 'plain_text',
+      text: 'Rota Timezone'
+    },
+    hint: {
+      type: 'plain_text',
+      text: 'IANA timezone the rota runs in, e.g. Europe/London or Australia/Sydney. Days and the notification time follow this timezone, including daylight saving changes.'
+    },
+    element: {
+      type: 'plain_text_input',
+      action_id: 'timezone_input',
+      initial_value: timezone,
+      max_length: 64
+    }
+  };
+}
+
+/**
+ * Build the Home tab section listing the workspace message templates
+ * @param {Array} messageTemplates - Workspace message templates
+ * @param {Array} rotas - Active rotas, to show which ones use each template
+ * @param {string} locale - Language of the Home tab
+ * @returns {Array} Blocks
+ */
+function messageTemplateSectionBlocks(messageTemplates, rotas, locale) {
+  const blocks = [
+    {
+      type: 'divider'
+    },
+    {
+      type: 'section',
+      text: {
+        type: 'mrkdwn',
+        text: t(locale, 'home.messageTemplates', { count: messageTemplates.length })
+      }
+    },
+    {
+      type: 'context',
+      elements: [
+        {
+          type: 'mrkdwn',
+          text: t(locale, 'home.messageTemplatesHint')
+        }
+      ]
+    }
+  ];
+
+  messageTemplates.forEach((template) => {
+    const usedBy = rotas.filter(rota => rota.messageTemplateId?.toString() === template._id.toString());
+    const usageText = usedBy.length > 0
+      ? t(locale, 'home.usedBy', { rotas: usedBy.map(rota => rota.name).join(', ') })
+      : t(locale, 'home.notUsed');
+
+    blocks.push({
+      type: 'section',
+      text: {
+        type: 'mrkdwn',
+        text: `:memo: *${template.name}*\n${usageText}`
+      },
+      accessory: {
+        type: 'overflow',
+        options: [
+          {
+            text: {
+              type: 'plain_text',
+              text: t(locale, 'home.edit'),
+              emoji: true
+            },
+            value: `edit_${template._id}`
+          },
+          {
+            text: {
+              type: 'plain_text',
+              text: t(locale, 'home.delete'),
+              emoji: true
+            },
+            value: `delete_${template._id}`
+          }
+        ],
+        action_id: `template_actions_${template._id}`
+      }
+    });
+  });
+
+  blocks.push({
+    type: 'actions',
+    elements: [
+      {
+        type: 'button',
+        text: {
+          type: 'plain_text',
+          text: t(locale, 'home.newTemplate'),
+          emoji: true
+        },
+        action_id: 'create_template_button'
+      }
+    ]
+  });
+
+  return blocks;
+}
+
+const DIGEST_SCOPE_OPTIONS = [
+  { value: 'channel', label: 'Rotas posting in this channel' },
+  { value: 'workspace', label: 'All rotas of the workspace' }
+];
+
+/**
+ * Describe when a digest is posted, e.g. "Monday 09:00 (Europe/London)"
+ * @param {Object} digest - Digest subdocument
+ * @param {string} locale - Language of the weekday name
+ * @returns {string}
+ */
+function describeDigestSchedule(digest, locale) {
+  // 2024-01-01 is a Monday, so adding the weekday's index gives a date on it
+  const weekdayIndex = WEEKDAY_OPTIONS.findIndex(option => option.value === digest.weekday);
+  const weekday = new Intl.DateTimeFormat(getIntlLocale(locale), { weekday: 'long', timeZone: 'UTC' })
+    .format(new Date(Date.UTC(2024, 0, 1 + weekdayIndex)));
+  const time = `${digest.hour.toString().padStart(2, '0')}:${digest.minute.toString().padStart(2, '0')}`;
+
+  return `${weekday} ${time} (${digest.timezone})`;
+}
+
+/**
+ * Build the Home tab section listing the workspace weekly digests
+ * @param {Array} digests - Workspace digests
+ * @param {Array} rotas - Active rotas, to name the rotas a digest picked
+ * @param {string} locale - Language of the Home tab
+ * @returns {Array} Blocks
+ */
+function digestSectionBlocks(digests, rotas, locale) {
+  const blocks = [
+    {
+      type: 'divider'
+    },
+    {
+      type: 'section',
+      text: {
+        type: 'mrkdwn',
+        text: t(locale, 'home.digests', { count: digests.length })
+      }
+    },
+    {
+      type: 'context',
+      elements: [
+        {
+          type: 'mrkdwn',
+          text: t(locale, 'home.digestsHint')
+        }
+      ]
+    }
+  ];
+
+  digests.forEach((digest) => {
+    const picked = rotas.filter(rota => (digest.rotaIds || []).some(id => id.toString() === rota._id.toString()));
+    let rotasText;
+    if (picked.length > 0) {
+      rotasText = picked.map(rota => rota.name).join(', ');
+    } else if (digest.scope === 'workspace') {
+      rotasText = t(locale, 'home.digestAllRotas');
+    } else {
+      rotasText = t(locale, 'home.digestChannelRotas');
+    }
+    const errorText = digest.lastError ? `\n:warning: ${t(locale, 'home.digestFailed', { error: digest.lastError })}` : '';
+
+    blocks.push({
+      type: 'section',
+      text: {
+        type: 'mrkdwn',
+        text: `:newspaper: <#${digest.channelId}> • ${describeDigestSchedule(digest, locale)}\n${rotasText}${errorText}`
+      },
+      accessory: {
+        type: 'overflow',
+        options: [
+          {
+            text: {
+              type: 'plain_text',
+              text: t(locale, 'home.edit'),
+              emoji: true
+            },
+            value: `edit_${digest._id}`
+          },
+          {
+            text: {
+              type: 'plain_text',
+              text: t(locale, 'home.delete'),
+              emoji: true
+            },
+            value: `delete_${digest._id}`
+          }
+        ],
+        action_id: `digest_actions_${digest._id}`
+      }
+    });
+  });
+
+  blocks.push({
+    type: 'actions',
     elements: [
       {
-        type: 'button',
-        text: {
+        type: 'button',
+        text: {
+          type: 'plain_text',
+          text: t(locale, 'home.newDigest'),
+          emoji: true
+        },
+        action_id: 'create_digest_button'
+      }
+    ]
+  });
+
+  return blocks;
+}
+
+const homeBlocks = (rotas = [], assignments = {}, userTimezone = 'UTC', workspace = null) => {
+  // Everything on the Home tab follows the workspace language; modals stay in English
+  const locale = resolveLocale(null, workspace);
+  const blocks = [
+    {
+      type: 'header',
+      text: {
+        type: 'plain_text',
+        text: '🔄 Vibe Rotas',
+        emoji: true
+      }
+    },
+    {
+      type: 'section',
+      text: {
+        type: 'mrkdwn',
+        text: t(locale, 'home.intro')
+      }
+    },
+    {
+      type: 'divider'
+    }
+  ];
+
+  if (rotas.length === 0) {
+    blocks.push({
+      type: 'section',
+      text: {
+        type: 'mrkdwn',
+        text: t(locale, 'home.noRotas')
+      }
+    });
+  } else {
+    blocks.push({
+      type: 'section',
+      text: {
+        type: 'mrkdwn',
+        text: t(locale, 'home.yourRotas', { count: rotas.length })
+      }
+    });
+
+    rotas.forEach((rota) => {
+      const notificationHour = rota.schedule.notificationHour !== undefined ? rota.schedule.notificationHour : 10;
+      const notificationMinute = rota.schedule.notificationMinute !== undefined ? rota.schedule.notificationMinute : 0;
+      const rotaTimezone = rota.schedule.timezone || 'UTC';
+      const weekdaysOnlyLabel = rota.schedule.weekdaysOnly ? ` • ${t(locale, 'home.weekdaysOnly')}` : '';
+
+      // Convert notification time from the rota's timezone to user's timezone for display
+      const convertedTime = convertTimezoneForDisplay(
+        notificationHour,
+        notificationMinute,
+        rotaTimezone, // Stored as wall-clock time in the rota's timezone
+        userTimezone // Display in user's timezone
+      );
+
+      // Format next rotation in USER'S timezone for display, skipping blacked-out dates
+      const blackout = getRotaBlackout(rota, workspace);
+      const nextRotation = formatNextOccurrence(
+        rota.schedule.rrule,
+        notificationHour,
+        notificationMinute,
+        rotaTimezone,
+        userTimezone, // Display timezone
+        blackout,
+        locale
+      );
+
+      const rotaBlackoutCount = rota.blackout?.dates?.length || 0;
+      const blackoutText = rotaBlackoutCount > 0
+        ? ` • :no_entry: ${t(locale, rotaBlackoutCount === 1 ? 'home.blackoutDate' : 'home.blackoutDates', { count: rotaBlackoutCount })} (${t(locale, rota.blackout.mode === 'next_working_day' ? 'home.blackoutMoved' : 'home.blackoutSkipped')})`
+        : '';
+
+      // Format notification time in USER'S timezone for display, and mention the
+      // rota's own local time when it runs in a different timezone
+      const timeDisplay = rotaTimezone === userTimezone
+        ? formatTimeDisplay(convertedTime.hour, convertedTime.minute, locale)
+        : `${formatTimeDisplay(convertedTime.hour, convertedTime.minute, locale)} (${formatTimeDisplay(notificationHour, notificationMinute, locale)} ${rotaTimezone})`;
+
+      // Get current assignments for this rota (one per assignee slot)
+      const currentAssignments = assignments[rota._id.toString()] || [];
+      const currentAssignment = currentAssignments[0];
+      const coverageEndText = currentAssignment?.coverageEnd
+        ? ` (${t(locale, 'home.until', { date: new Intl.DateTimeFormat(getIntlLocale(locale), { month: 'short', day: 'numeric', timeZone: userTimezone }).format(currentAssignment.coverageEnd) })})`
+        : '';
+      const swapText = currentAssignment?.swappedFromUserId
+        ? ` :repeat: ${t(locale, 'home.swappedWith', { user: `<@${currentAssignment.swappedFromUserId}>` })}`
+        : '';
+      const currentText = currentAssignments
+        .map(assignment => (assignment.role ? `<@${assignment.userId}> (${assignment.role})` : `<@${assignment.userId}>`))
+        .join(', ');
+      const assigneeText = currentAssignment
+        ? `\n:bust_in_silhouette: ${t(locale, 'home.current', { assignees: currentText })}${coverageEndText}${swapText}`
+        : '';
+
+      // Members mirrored from a user group or channel, with the last sync error
+      const memberSource = rota.memberSync?.source;
+      const memberSourceText = {
+        usergroup: ` (${t(locale, 'home.syncedFromUserGroup')})`,
+        channel: ` (${t(locale, 'home.syncedFromChannel', { channel: `<#${rota.memberSync?.sourceId}>` })})`
+      }[memberSource] || '';
+      const memberSyncErrorText = memberSource && memberSource !== 'manual' && rota.memberSync.lastError
+        ? `\n:warning: ${t(locale, 'home.memberSyncFailed', { error: rota.memberSync.lastError })}`
+        : '';
+
+      // User group following the current assignee, with the last update error
+      const linkedGroupId = rota.linkedUserGroup?.usergroupId;
+      const channelStatusErrorText = rota.channelStatus?.mode && rota.channelStatus.mode !== 'off' && rota.channelStatus.lastError
+        ? `\n:warning: ${t(locale, rota.channelStatus.mode === 'topic' ? 'home.channelTopicFailed' : 'home.channelBookmarkFailed', { error: rota.channelStatus.lastError })}`
+        : '';
+      const messageTemplate = rota.messageTemplateId
+        ? (workspace?.messageTemplates || []).find(template => template._id.toString() === rota.messageTemplateId.toString())
+        : null;
+      const messageTemplateText = messageTemplate ? `\n:memo: ${t(locale, 'home.messageTemplate', { name: messageTemplate.name })}` : '';
+      const linkedGroupError = rota.linkedUserGroup?.lastError
+        ? ` • :warning: ${t(locale, 'home.linkedUserGroupFailed', { error: rota.linkedUserGroup.lastError })}`
+        : '';
+      const linkedGroupText = linkedGroupId
+        ? `\n:link: ${t(locale, 'home.linkedTo', { group: `<!subteam^${linkedGroupId}>` })}${linkedGroupError}`
+        : '';
+
+      blocks.push({
+        type: 'section',
+        text: {
+          type: 'mrkdwn',
+          text: `*${rota.name}*\n:busts_in_silhouette: ${t(locale, 'home.members', { count: rota.members.length })}${memberSourceText} • <#${rota.channelId}>\n:calendar: ${describeRecurrence(rota.schedule, locale)}${weekdaysOnlyLabel} • :alarm_clock: ${timeDisplay}\n:arrows_counterclockwise: ${describeRotationStrategy(rota, locale)}${assigneeText}${memberSyncErrorText}${linkedGroupText}${messageTemplateText}${channelStatusErrorText}`
+        },
+        accessory: {
+          type: 'overflow',
+          options: [
+            {
+              text: {
+                type: 'plain_text',
+                text: t(locale, 'home.edit'),
+                emoji: true
+              },
+              value: `edit_${rota._id}`
+            },
+            {
+              text: {
+                type: 'plain_text',
+                text: t(locale, 'home.details'),
+                emoji: true
+              },
+              value: `details_${rota._id}`
+            },
+            {
+              text: {
+                type: 'plain_text',
+                text: t(locale, 'home.viewSchedule'),
+                emoji: true
+              },
+              value: `schedule_${rota._id}`
+            },
+            {
+              text: {
+                type: 'plain_text',
+                text: t(locale, 'home.sendTest'),
+                emoji: true
+              },
+              value: `test_${rota._id}`
+            },
+            {
+              text: {
+                type: 'plain_text',
+                text: t(locale, 'home.delete'),
+                emoji: true
+              },
+              value: `delete_${rota._id}`
+            }
+          ],
+          action_id: `rota_actions_${rota._id}`
+        }
+      });
+
+      blocks.push({
+        type: 'context',
+        elements: [
+          {
+            type: 'mrkdwn',
+            text: `${t(locale, 'home.nextRotation', { date: nextRotation })}${blackoutText}`
+          }
+        ]
+      });
+
+      blocks.push({
+        type: 'divider'
+      });
+    });
+  }
+
+  // Add "Create New Rota" button
+  blocks.push({
+    type: 'actions',
+    elements: [
+      {
+        type: 'button',
+        text: {
+          type: 'plain_text',
+          text: t(locale, 'home.createRota'),
+          emoji: true
+        },
+        style: 'primary',
+        action_id: 'create_rota_button'
+      },
+      {
+        type: 'button',
+        text: {
+          type: 'plain_text',
+          text: t(locale, 'home.holidayCalendar'),
+          emoji: true
+        },
+        action_id: 'workspace_blackout_button'
+      },
+      {
+        type: 'static_select',
+        action_id: 'workspace_locale_select',
+        placeholder: {
+          type: 'plain_text',
+          text: t(locale, 'home.language')
+        },
+        options: LOCALE_OPTIONS.map(option => selectOption(LOCALE_OPTIONS, option.value)),
+        initial_option: selectOption(LOCALE_OPTIONS, locale)
+      }
+    ]
+  });
+
+  blocks.push(...messageTemplateSectionBlocks(workspace?.messageTemplates || [], rotas, locale));
+  blocks.push(...digestSectionBlocks(workspace?.digests || [], rotas, locale));
+
+  return blocks;
+};
+
+const createRotaModal = (userTimezone = 'UTC', userGroups = [], messageTemplates = []) => {
+  return {
+    type: 'modal',
+    callback_id: 'create_rota_modal',
+    title: {
+      type: 'plain_text',
+      text: 'Create New Rota'
+    },
+    submit: {
+      type: 'plain_text',
+      text: 'Create'
+    },
+    close: {
+      type: 'plain_text',
+      text: 'Cancel'
+    },
+    private_metadata: JSON.stringify({ userTimezone }),
+    blocks: [
+      {
+        type: 'context',
+        elements: [
+          {
+            type: 'mrkdwn',
+            text: ':information_source: *Timezone:* The notification time is local to the rota timezone below (defaults to yours) and stays at that wall-clock time across daylight saving changes.'
+          }
+        ]
+      },
+      {
+        type: 'input',
+        block_id: 'rota_name',
+        label: {
+          type: 'plain_text',
+          text: 'Rota Name'
+        },
+        element: {
+          type: 'plain_text_input',
+          action_id: 'name_input',
+          placeholder: {
+            type: 'plain_text',
+            text: 'e.g., Weekly Support Rotation'
+          },
+          max_length: 100
+        }
+      },
+      {
+        type: 'input',
+        block_id: 'channel_select',
+        label: {
+          type: 'plain_text',
+          text: 'Channel'
+        },
+        "element": {
+          "type": "conversations_select",
+          "action_id": "selected",
+          "default_to_current_conversation": false,
+          "placeholder": {
+            "type": "plain_text",
+            "text": "Select a channel"
+          },
+          "filter": {
+            "include": ["public", "private"],
+            "exclude_bot_users": true
+          }
+        }
+      },
+      {
+        type: 'input',
+        block_id: 'members_select',
+        optional: true,
+        label: {
+          type: 'plain_text',
+          text: 'Team Members'
+        },
+        hint: {
+          type: 'plain_text',
+          text: 'The rotation follows the order members are added in. Reorder them later with Edit. Leave empty when syncing members.'
+        },
+        element: {
+          type: 'multi_users_select',
+          action_id: 'members_input',
+          placeholder: {
+            type: 'plain_text',
+            text: 'Select team members'
+          },
+          max_selected_items: 50
+        }
+      },
+      ...memberSourceBlocks(null, userGroups),
+      ...linkedUserGroupBlocks(null, userGroups),
+      ...channelStatusBlocks(),
+      ...deliveryBlocks(),
+      ...localeBlocks(),
+      ...escalationBlocks(),
+      ...advanceNoticeBlocks(),
+      ...rotationBlocks(),
+      ...assigneeBlocks(),
+      {
+        type: 'input',
+        block_id: 'frequency_select',
+        label: {
+          type: 'plain_text',
+          text: 'Rotation Frequency'
+        },
+        element: {
+          type: 'static_select',
+          action_id: 'frequency_input',
+          placeholder: {
+            type: 'plain_text',
+            text: 'Select frequency'
+          },
+          initial_option: frequencyOption('WEEKLY'),
+          options: FREQUENCY_OPTIONS.map(option => frequencyOption(option.value))
+        }
+      },
+      {
+        type: 'input',
+        block_id: 'start_date',
+        label: {
+          type: 'plain_text',
+          text: 'Start Date'
+        },
+        element: {
+          type: 'datepicker',
+          action_id: 'start_date_input',
+          placeholder: {
+            type: 'plain_text',
+            text: 'Select start date'
+          }
+        }
+      },
+      ...recurrenceBlocks(),
+      {
+        type: 'input',
+        block_id: 'weekdays_only',
+        optional: true,
+        label: {
+          type: 'plain_text',
+          text: 'Weekdays Only'
+        },
+        element: {
+          type: 'checkboxes',
+          action_id: 'weekdays_only_input',
+          options: [
+            {
+              text: {
+                type: 'plain_text',
+                text: 'Only schedule Monday-Friday'
+              },
+              value: 'true'
+            }
+          ]
+        }
+      },
+      timezoneBlock(userTimezone),
+      {
+        type: 'input',
+        block_id: 'notification_hour',
+        label: {
+          type: 'plain_text',
+          text: 'Notification Hour'
+        },
+        element: {
+          type: 'static_select',
+          action_id: 'hour_select',
+          placeholder: {
+            type: 'plain_text',
+            text: 'Select hour'
+          },
+          initial_option: {
+            text: {
+              type: 'plain_text',
+              text: '10 AM'
+            },
+            value: '10'
+          },
+          options: generateHourOptions()
+        }
+      },
+      {
+        type: 'input',
+        block_id: 'notification_minute',
+        label: {
+          type: 'plain_text',
+          text: 'Notification Minute'
+        },
+        hint: {
+          type: 'plain_text',
+          text: 'Choose minute (notifications run every 15 minutes)'
+        },
+        element: {
+          type: 'static_select',
+          action_id: 'minute_select',
+          placeholder: {
+            type: 'plain_text',
+            text: 'Select minute'
+          },
+          initial_option: {
+            text: {
+              type: 'plain_text',
+              text: ':00'
+            },
+            value: '0'
+          },
+          options: generateMinuteOptions()
+        }
+      },
+      ...messageTemplateBlocks(null, messageTemplates),
+      {
+        type: 'input',
+        block_id: 'custom_message',
+        label: {
+          type: 'plain_text',
+          text: 'Custom Message (Optional)'
+        },
+        hint: {
+          type: 'plain_text',
+          text: CUSTOM_MESSAGE_HINT
+        },
+        element: {
+          type: 'rich_text_input',
+          action_id: 'message_input',
+          placeholder: {
+            type: 'plain_text',
+            text: 'Add any additional context or instructions...'
+          }
+        },
+        optional: true
+      }
+    ]
+  };
+};
+
+/**
+ * Create the edit rota modal
+ * @param {Object} rota - Rota being edited
+ * @param {string} userTimezone - Timezone of the user opening the modal
+ * @param {Object} options - { members, nextUserId, userGroups }: member selection being
+ * edited, who would be next once it is saved (null if decided at random), and the
+ * workspace user groups to sync members from
+ */
+const editRotaModal = (rota, userTimezone = 'UTC', { members = rota.members, nextUserId = null, userGroups = [], messageTemplates = [] } = {}) => {
+  // Notification time is stored as wall-clock time in the rota's timezone
+  const rotaTimezone = rota.schedule.timezone || 'UTC';
+  const displayHour = rota.schedule.notificationHour;
+  const displayMinute = rota.schedule.notificationMinute;
+
+  return {
+    type: 'modal',
+    callback_id: 'edit_rota_modal',
+    private_metadata: JSON.stringify({ rotaId: rota._id.toString(), userTimezone }),
+    title: {
+      type: 'plain_text',
+      text: 'Edit Rota'
+    },
+    submit: {
+      type: 'plain_text',
+      text: 'Save'
+    },
+    close: {
+      type: 'plain_text',
+      text: 'Cancel'
+    },
+    blocks: [
+      {
+        type: 'context',
+        elements: [
+          {
+            type: 'mrkdwn',
+            text: `:information_source: *Timezone:* The notification time is local to the rota timezone (*${rotaTimezone}*) and stays at that wall-clock time across daylight saving changes.`
+          }
+        ]
+      },
+      {
+        type: 'input',
+        block_id: 'rota_name',
+        label: {
+          type: 'plain_text',
+          text: 'Rota Name'
+        },
+        element: {
+          type: 'plain_text_input',
+          action_id: 'name_input',
+          initial_value: rota.name,
+          max_length: 100
+        }
+      },
+      {
+        type: 'input',
+        block_id: 'channel_select',
+        label: {
+          type: 'plain_text',
+          text: 'Channel'
+        },
+        element: {
+          type: 'channels_select',
+          action_id: 'channel_input',
+          initial_channel: rota.channelId
+        }
+      },
+      {
+        type: 'input',
+        block_id: 'members_select',
+        dispatch_action: true,
+        optional: true,
+        label: {
+          type: 'plain_text',
+          text: 'Team Members'
+        },
+        hint: {
+          type: 'plain_text',
+          text: 'New members join the end of the current cycle; whoever is due next stays next. Synced rotas overwrite this list.'
+        },
+        element: {
+          type: 'multi_users_select',
+          action_id: 'members_input',
+          initial_users: members,
+          max_selected_items: 50
+        }
+      },
+      {
+        type: 'section',
+        block_id: 'member_order',
+        text: {
+          type: 'mrkdwn',
+          text: `*Rotation order:* ${rota.members.map(userId => `<@${userId}>`).join(' → ')}`
+        },
+        accessory: {
+          type: 'button',
+          action_id: 'reorder_members_button',
+          text: {
+            type: 'plain_text',
+            text: 'Reorder members'
+          },
+          value: rota._id.toString()
+        }
+      },
+      {
+        type: 'context',
+        block_id: 'next_member_preview',
+        elements: [
+          {
+            type: 'mrkdwn',
+            text: nextUserId
+              ? `:arrow_right: Next up after saving: <@${nextUserId}>`
+              : ':arrow_right: Next up after saving: _picked at random when the next shuffled cycle starts_'
+          }
+        ]
+      },
+      ...memberSourceBlocks(rota, userGroups),
+      ...linkedUserGroupBlocks(rota, userGroups),
+      ...channelStatusBlocks(rota),
+      ...deliveryBlocks(rota),
+      ...localeBlocks(rota),
+      ...escalationBlocks(rota),
+      ...advanceNoticeBlocks(rota),
+      ...rotationBlocks(rota),
+      ...assigneeBlocks(rota),
+      ...availabilityBlocks(rota),
+      {
+        type: 'input',
+        block_id: 'frequency_select',
+        label: {
+          type: 'plain_text',
+          text: 'Rotation Frequency'
+        },
+        element: {
+          type: 'static_select',
+          action_id: 'frequency_input',
+          initial_option: frequencyOption(rota.schedule.frequency),
+          options: FREQUENCY_OPTIONS.map(option => frequencyOption(option.value))
+        }
+      },
+      {
+        type: 'input',
+        block_id: 'start_date',
+        label: {
+          type: 'plain_text',
+          text: 'Start Date'
+        },
+        element: {
+          type: 'datepicker',
+          action_id: 'start_date_input',
+          initial_date: rota.schedule.startDate.toISOString().split('T')[0]
+        }
+      },
+      ...recurrenceBlocks(rota.schedule.frequency === 'CUSTOM' ? rota.schedule.recurrence : null),
+      {
+        type: 'input',
+        block_id: 'weekdays_only',
+        optional: true,
+        label: {
+          type: 'plain_text',
+          text: 'Weekdays Only'
+        },
+        element: {
+          type: 'checkboxes',
+          action_id: 'weekdays_only_input',
+          options: [
+            {
+              text: {
+                type: 'plain_text',
+                text: 'Only schedule Monday-Friday'
+              },
+              value: 'true'
+            }
+          ],
+          initial_options: rota.schedule.weekdaysOnly
+            ? [
+              {
+                text: {
+                  type: 'plain_text',
+                  text: 'Only schedule Monday-Friday'
+                },
+                value: 'true'
+              }
+            ]
+            : []
+        }
+      },
+      timezoneBlock(rotaTimezone),
+      {
+        type: 'input',
+        block_id: 'notification_hour',
+        label: {
+          type: 'plain_text',
+          text: 'Notification Hour'
+        },
+        element: {
+          type: 'static_select',
+          action_id: 'hour_select',
+          placeholder: {
+            type: 'plain_text',
+            text: 'Select hour'
+          },
+          initial_option: {
+            text: {
+              type: 'plain_text',
+              text: (() => {
+                const h = displayHour;
+                const ampm = h < 12 ? 'AM' : 'PM';
+                const displayHr = h === 0 ? 12 : (h > 12 ? h - 12 : h);
+                return `${displayHr} ${ampm}`;
+              })()
+            },
+            value: displayHour.toString()
+          },
+          options: generateHourOptions()
+        }
+      },
+      {
+        type: 'input',
+        block_id: 'notification_minute',
+        label: {
+          type: 'plain_text',
+          text: 'Notification Minute'
+        },
+        hint: {
+          type: 'plain_text',
+          text: 'Choose minute (notifications run every 15 minutes)'
+        },
+        element: {
+          type: 'static_select',
+          action_id: 'minute_select',
+          placeholder: {
+            type: 'plain_text',
+            text: 'Select minute'
+          },
+          initial_option: {
+            text: {
+              type: 'plain_text',
+              text: `:${displayMinute.toString().padStart(2, '0')}`
+            },
+            value: displayMinute.toString()
+          },
+          options: generateMinuteOptions()
+        }
+      },
+      ...messageTemplateBlocks(rota, messageTemplates),
+      {
+        type: 'input',
+        block_id: 'custom_message',
+        label: {
+          type: 'plain_text',
+          text: 'Custom Message (Optional)'
+        },
+        hint: {
+          type: 'plain_text',
+          text: CUSTOM_MESSAGE_HINT
+        },
+        element: {
+          type: 'rich_text_input',
+          action_id: 'message_input',
+          initial_value: rota.customMessage || undefined
+        },
+        optional: true
+      },
+      {
+        type: 'actions',
+        block_id: 'send_test',
+        elements: [
+          {
+            type: 'button',
+            action_id: 'send_test_button',
+            text: {
+              type: 'plain_text',
+              text: '🧪 Send test',
+              emoji: true
+            },
+            value: rota._id.toString()
+          }
+        ]
+      },
+      {
+        type: 'context',
+        elements: [
+          {
+            type: 'mrkdwn',
+            text: 'DMs you a preview with the message, template and language above, before saving. Nobody is assigned and the rotation does not move.'
+          }
+        ]
+      }
+    ]
+  };
+};
+
+/**
+ * Modal to create or edit a workspace message template
+ * @param {Object} template - Template to edit, null to create one
+ * @param {Array} usedBy - Rotas using the template
+ */
+const messageTemplateModal = (template = null, usedBy = []) => {
+  const usageText = usedBy.length > 0
+    ? `:information_source: Used by ${usedBy.map(rota => `*${rota.name}*`).join(', ')}. Changes show up in their next notification.`
+    : ':information_source: Not used by any rota yet. Pick it in a rota\'s edit modal under *Message Template*.';
+
+  return {
+    type: 'modal',
+    callback_id: 'message_template_modal',
+    private_metadata: template ? template._id.toString() : '',
+    title: {
+      type: 'plain_text',
+      text: template ? 'Edit Template' : 'New Template'
+    },
+    submit: {
+      type: 'plain_text',
+      text: 'Save'
+    },
+    close: {
+      type: 'plain_text',
+      text: 'Cancel'
+    },
+    blocks: [
+      ...(template
+        ? [{
+          type: 'context',
+          elements: [
+            {
+              type: 'mrkdwn',
+              text: usageText
+            }
+          ]
+        }]
+        : []),
+      {
+        type: 'input',
+        block_id: 'template_name',
+        label: {
+          type: 'plain_text',
+          text: 'Name'
+        },
+        element: {
+          type: 'plain_text_input',
+          action_id: 'name_input',
+          initial_value: template?.name || undefined,
+          placeholder: {
+            type: 'plain_text',
+            text: 'e.g., Support runbook'
+          },
+          max_length: 100
+        }
+      },
+      {
+        type: 'input',
+        block_id: 'template_message',
+        label: {
           type: 'plain_text',
-          text: '➕ Create New Rota',
-          emoji: true
+          text: 'Message'
         },
-        style: 'primary',
-        action_id: 'create_rota_button'
+        hint: {
+          type: 'plain_text',
+          text: CUSTOM_MESSAGE_HINT
+        },
+        element: {
+          type: 'rich_text_input',
+          action_id: 'message_input',
+          initial_value: template?.message || undefined
+        }
       }
     ]
-  });
+  };
+};
 
-  return blocks;
+/**
+ * Confirmation modal to delete a workspace message template
+ */
+const deleteMessageTemplateModal = (template, usedBy = []) => {
+  const usageText = usedBy.length > 0
+    ? `\n\nUsed by ${usedBy.map(rota => `*${rota.name}*`).join(', ')}; these rotas keep a copy of it as their own custom message.`
+    : '';
+
+  return {
+    type: 'modal',
+    callback_id: 'delete_message_template_modal',
+    private_metadata: template._id.toString(),
+    title: {
+      type: 'plain_text',
+      text: 'Delete Template'
+    },
+    submit: {
+      type: 'plain_text',
+      text: 'Delete'
+    },
+    close: {
+      type: 'plain_text',
+      text: 'Cancel'
+    },
+    blocks: [
+      {
+        type: 'section',
+        text: {
+          type: 'mrkdwn',
+          text: `:warning: *Are you sure you want to delete this template?*\n\n*${template.name}*${usageText}`
+        }
+      }
+    ]
+  };
 };
 
-const createRotaModal = (userTimezone = 'UTC') => {
-  // Get timezone display name
-  const tzDisplay = userTimezone === 'UTC' ? 'UTC' : userTimezone;
-  
+/**
+ * Modal to create or edit a weekly digest
+ * @param {Object|null} digest - Digest to edit, null to create one
+ * @param {Array} rotas - Active rotas the digest may pick from
+ * @param {string} userTimezone - Default timezone of a new digest
+ */
+const digestModal = (digest = null, rotas = [], userTimezone = 'UTC') => {
+  const rotaOptions = rotas.slice(0, 100).map(rota => ({
+    text: {
+      type: 'plain_text',
+      text: rota.name.slice(0, 75)
+    },
+    value: rota._id.toString()
+  }));
+  const pickedOptions = rotaOptions
+    .filter(option => (digest?.rotaIds || []).some(id => id.toString() === option.value));
+  const hour = digest ? digest.hour : 9;
+  const minute = digest ? digest.minute : 0;
+
   return {
     type: 'modal',
-    callback_id: 'create_rota_modal',
+    callback_id: 'digest_modal',
+    private_metadata: digest ? digest._id.toString() : '',
     title: {
       type: 'plain_text',
-      text: 'Create New Rota'
+      text: digest ? 'Edit Digest' : 'New Digest'
     },
     submit: {
       type: 'plain_text',
-      text: 'Create'
+      text: 'Save'
     },
     close: {
       type: 'plain_text',
       text: 'Cancel'
     },
-    private_metadata: JSON.stringify({ userTimezone }),
     blocks: [
       {
         type: 'context',
         elements: [
           {
             type: 'mrkdwn',
-            text: `:information_source: *Timezone:* All times are shown in *${tzDisplay}*. The notification will be sent at the time you select in your timezone.`
+            text: ':information_source: Once a week, posts who is on duty for the next 7 days, with a button to request a swap.'
           }
         ]
       },
       {
         type: 'input',
-        block_id: 'rota_name',
+        block_id: 'digest_channel',
         label: {
           type: 'plain_text',
-          text: 'Rota Name'
+          text: 'Channel'
         },
         element: {
-          type: 'plain_text_input',
-          action_id: 'name_input',
-          placeholder: {
-            type: 'plain_text',
-            text: 'e.g., Weekly Support Rotation'
-          },
-          max_length: 100
+          type: 'channels_select',
+          action_id: 'channel_input',
+          initial_channel: digest?.channelId || undefined
         }
       },
       {
         type: 'input',
-        block_id: 'channel_select',
+        block_id: 'digest_scope',
         label: {
           type: 'plain_text',
-          text: 'Channel'
+          text: 'Rotas'
         },
-        "element": {
-          "type": "conversations_select",
-          "action_id": "selected",
-          "default_to_current_conversation": false,
-          "placeholder": {
-            "type": "plain_text",
-            "text": "Select a channel"
-          },
-          "filter": {
-            "include": ["public", "private"],
-            "exclude_bot_users": true
-          }
+        element: {
+          type: 'radio_buttons',
+          action_id: 'scope_input',
+          initial_option: selectOption(DIGEST_SCOPE_OPTIONS, digest?.scope || 'channel'),
+          options: DIGEST_SCOPE_OPTIONS.map(option => selectOption(DIGEST_SCOPE_OPTIONS, option.value))
         }
       },
-      {
-        type: 'input',
-        block_id: 'members_select',
-        label: {
-          type: 'plain_text',
-          text: 'Team Members'
-        },
-        element: {
-          type: 'multi_users_select',
-          action_id: 'members_input',
-          placeholder: {
+      ...(rotaOptions.length > 0
+        ? [{
+          type: 'input',
+          block_id: 'digest_rotas',
+          optional: true,
+          label: {
             type: 'plain_text',
-            text: 'Select team members'
+            text: 'Only These Rotas'
           },
-          max_selected_items: 50
-        }
-      },
-      {
-        type: 'input',
-        block_id: 'frequency_select',
-        label: {
-          type: 'plain_text',
-          text: 'Rotation Frequency'
-        },
-        element: {
-          type: 'static_select',
-          action_id: 'frequency_input',
-          placeholder: {
+          hint: {
             type: 'plain_text',
-            text: 'Select frequency'
+            text: 'Leave empty to list the rotas chosen above.'
           },
-          initial_option: {
-            text: {
+          element: {
+            type: 'multi_static_select',
+            action_id: 'rotas_input',
+            placeholder: {
               type: 'plain_text',
-              text: 'Weekly'
-            },
-            value: 'WEEKLY'
-          },
-          options: [
-            {
-              text: {
-                type: 'plain_text',
-                text: 'Daily'
-              },
-              value: 'DAILY'
-            },
-            {
-              text: {
-                type: 'plain_text',
-                text: 'Weekly'
-              },
-              value: 'WEEKLY'
+              text: 'Select rotas'
             },
-            {
-              text: {
-                type: 'plain_text',
-                text: 'Biweekly (Every 2 weeks)'
-              },
-              value: 'BIWEEKLY'
-            },
-            {
-              text: {
-                type: 'plain_text',
-                text: 'Monthly'
-              },
-              value: 'MONTHLY'
-            }
-          ]
-        }
-      },
+            options: rotaOptions,
+            ...(pickedOptions.length > 0 && { initial_options: pickedOptions })
+          }
+        }]
+        : []),
       {
         type: 'input',
-        block_id: 'start_date',
+        block_id: 'digest_weekday',
         label: {
           type: 'plain_text',
-          text: 'Start Date'
+          text: 'Day'
         },
         element: {
-          type: 'datepicker',
-          action_id: 'start_date_input',
-          placeholder: {
-            type: 'plain_text',
-            text: 'Select start date'
-          }
+          type: 'static_select',
+          action_id: 'weekday_input',
+          initial_option: selectOption(WEEKDAY_OPTIONS, digest?.weekday || 'MO'),
+          options: WEEKDAY_OPTIONS.map(option => selectOption(WEEKDAY_OPTIONS, option.value))
         }
       },
       {
         type: 'input',
-        block_id: 'weekdays_only',
-        optional: true,
+        block_id: 'digest_hour',
         label: {
           type: 'plain_text',
-          text: 'Weekdays Only'
+          text: 'Hour'
         },
         element: {
-          type: 'checkboxes',
-          action_id: 'weekdays_only_input',
-          options: [
-            {
-              text: {
-                type: 'plain_text',
-                text: 'Only schedule Monday-Friday'
-              },
-              value: 'true'
-            }
-          ]
+          type: 'static_select',
+          action_id: 'hour_select',
+          initial_option: generateHourOptions().find(option => option.value === hour.toString()),
+          options: generateHourOptions()
         }
       },
       {
         type: 'input',
-        block_id: 'notification_hour',
+        block_id: 'digest_minute',
         label: {
           type: 'plain_text',
-          text: 'Notification Hour'
+          text: 'Minute'
         },
         element: {
           type: 'static_select',
-          action_id: 'hour_select',
-          placeholder: {
-            type: 'plain_text',
-            text: 'Select hour'
-          },
-          initial_option: {
-            text: {
-              type: 'plain_text',
-              text: '10 AM'
-            },
-            value: '10'
-          },
-          options: generateHourOptions()
+          action_id: 'minute_select',
+          initial_option: generateMinuteOptions().find(option => option.value === minute.toString()),
+          options: generateMinuteOptions()
         }
       },
       {
         type: 'input',
-        block_id: 'notification_minute',
+        block_id: 'digest_timezone',
         label: {
           type: 'plain_text',
-          text: 'Notification Minute'
+          text: 'Timezone'
         },
         hint: {
           type: 'plain_text',
-          text: 'Choose minute (notifications run every 15 minutes)'
-        },
-        element: {
-          type: 'static_select',
-          action_id: 'minute_select',
-          placeholder: {
-            type: 'plain_text',
-            text: 'Select minute'
-          },
-          initial_option: {
-            text: {
-              type: 'plain_text',
-              text: ':00'
-            },
-            value: '0'
-          },
-          options: generateMinuteOptions()
+          text: 'IANA timezone of the day and time above, e.g. Europe/London. The week listed starts on that day.'
+        },
+        element: {
+          type: 'plain_text_input',
+          action_id: 'timezone_input',
+          initial_value: digest?.timezone || userTimezone,
+          max_length: 64
+        }
+      }
+    ]
+  };
+};
+
+/**
+ * Confirmation modal to delete a weekly digest
+ */
+const deleteDigestModal = (digest) => {
+  return {
+    type: 'modal',
+    callback_id: 'delete_digest_modal',
+    private_metadata: digest._id.toString(),
+    title: {
+      type: 'plain_text',
+      text: 'Delete Digest'
+    },
+    submit: {
+      type: 'plain_text',
+      text: 'Delete'
+    },
+    close: {
+      type: 'plain_text',
+      text: 'Cancel'
+    },
+    blocks: [
+      {
+        type: 'section',
+        text: {
+          type: 'mrkdwn',
+          text: `:warning: *Are you sure you want to delete this digest?*\n\nIt will stop posting in <#${digest.channelId}>.`
+        }
+      }
+    ]
+  };
+};
+
+const deleteRotaModal = (rota) => {
+  return {
+    type: 'modal',
+    callback_id: 'delete_rota_modal',
+    private_metadata: rota._id.toString(),
+    title: {
+      type: 'plain_text',
+      text: 'Delete Rota'
+    },
+    submit: {
+      type: 'plain_text',
+      text: 'Delete'
+    },
+    close: {
+      type: 'plain_text',
+      text: 'Cancel'
+    },
+    blocks: [
+      {
+        type: 'section',
+        text: {
+          type: 'mrkdwn',
+          text: `:warning: *Are you sure you want to delete this rota?*\n\n*${rota.name}*\n\nThis action cannot be undone.`
+        }
+      }
+    ]
+  };
+};
+
+/**
+ * Build the blackout date list and .ics import inputs
+ * @param {Array} dates - Stored blackout dates ({ date, label })
+ * @returns {Array} Input blocks
+ */
+function blackoutInputBlocks(dates = []) {
+  return [
+    {
+      type: 'input',
+      block_id: 'blackout_dates',
+      optional: true,
+      label: {
+        type: 'plain_text',
+        text: 'Blackout Dates'
+      },
+      hint: {
+        type: 'plain_text',
+        text: 'One per line: a date or a range, followed by an optional label. e.g. 2026-12-25 Christmas Day, or 2026-12-28..2026-12-31 Company shutdown'
+      },
+      element: {
+        type: 'plain_text_input',
+        action_id: 'dates_input',
+        multiline: true,
+        initial_value: formatDateList(dates),
+        placeholder: {
+          type: 'plain_text',
+          text: '2026-12-25 Christmas Day'
         }
+      }
+    },
+    {
+      type: 'input',
+      block_id: 'blackout_ics',
+      optional: true,
+      label: {
+        type: 'plain_text',
+        text: 'Import Calendar (.ics)'
       },
+      hint: {
+        type: 'plain_text',
+        text: 'Events from the file are added to the dates above.'
+      },
+      element: {
+        type: 'file_input',
+        action_id: 'ics_input',
+        filetypes: ['ics'],
+        max_files: 1
+      }
+    }
+  ];
+}
+
+const workspaceBlackoutModal = (workspace) => {
+  return {
+    type: 'modal',
+    callback_id: 'workspace_blackout_modal',
+    title: {
+      type: 'plain_text',
+      text: 'Holiday Calendar'
+    },
+    submit: {
+      type: 'plain_text',
+      text: 'Save'
+    },
+    close: {
+      type: 'plain_text',
+      text: 'Cancel'
+    },
+    blocks: [
       {
-        type: 'input',
-        block_id: 'custom_message',
-        label: {
-          type: 'plain_text',
-          text: 'Custom Message (Optional)'
-        },
-        hint: {
-          type: 'plain_text',
-          text: 'Additional message to display with the notification. The notification always includes the rota name and assigned person.'
-        },
-        element: {
-          type: 'rich_text_input',
-          action_id: 'message_input',
-          placeholder: {
-            type: 'plain_text',
-            text: 'Add any additional context or instructions...'
+        type: 'context',
+        elements: [
+          {
+            type: 'mrkdwn',
+            text: ':information_source: Public holidays and shutdown days for the whole workspace. Every rota treats these dates as blacked out, in addition to its own blackout dates.'
           }
-        },
-        optional: true
-      }
+        ]
+      },
+      ...blackoutInputBlocks(workspace?.blackoutDates || [])
     ]
   };
 };
 
-const editRotaModal = (rota, userTimezone = 'UTC') => {
-  const { convertTimezoneForDisplay } = require('../../utils/timezoneHelper');
-  
-  // Convert UTC time to user's timezone for display
-  const utcHour = rota.schedule.notificationHour;
-  const utcMinute = rota.schedule.notificationMinute;
-  
-  const converted = convertTimezoneForDisplay(utcHour, utcMinute, 'UTC', userTimezone);
-  const displayHour = converted.hour;
-  const displayMinute = converted.minute;
-  
-  // Get timezone display name
-  const tzDisplay = userTimezone === 'UTC' ? 'UTC' : userTimezone;
-  
+const BLACKOUT_MODE_OPTIONS = [
+  { value: 'skip', label: 'Skip the day entirely' },
+  { value: 'next_working_day', label: 'Move to the next working day' }
+];
+
+const rotaBlackoutModal = (rota) => {
   return {
     type: 'modal',
-    callback_id: 'edit_rota_modal',
-    private_metadata: JSON.stringify({ rotaId: rota._id.toString(), userTimezone }),
+    callback_id: 'rota_blackout_modal',
+    private_metadata: rota._id.toString(),
     title: {
       type: 'plain_text',
-      text: 'Edit Rota'
+      text: 'Blackout Dates'
     },
     submit: {
       type: 'plain_text',
@@ -474,237 +2269,350 @@ const editRotaModal = (rota, userTimezone = 'UTC') => {
         elements: [
           {
             type: 'mrkdwn',
-            text: `:information_source: *Timezone:* All times are shown in *${tzDisplay}*. The notification will be sent at the time you select in your timezone.`
+            text: `:information_source: Dates when *${rota.name}* should not post. The workspace holiday calendar also applies.`
           }
         ]
       },
+      ...blackoutInputBlocks(rota.blackout?.dates || []),
       {
         type: 'input',
-        block_id: 'rota_name',
+        block_id: 'blackout_mode',
         label: {
           type: 'plain_text',
-          text: 'Rota Name'
+          text: 'When a Rotation Falls on a Blackout Date'
         },
         element: {
-          type: 'plain_text_input',
-          action_id: 'name_input',
-          initial_value: rota.name,
-          max_length: 100
+          type: 'radio_buttons',
+          action_id: 'mode_input',
+          initial_option: selectOption(BLACKOUT_MODE_OPTIONS, rota.blackout?.mode || 'skip'),
+          options: BLACKOUT_MODE_OPTIONS.map(option => selectOption(BLACKOUT_MODE_OPTIONS, option.value))
         }
-      },
+      }
+    ]
+  };
+};
+
+/**
+ * Modal listing the upcoming occurrences of a rota and who is on duty
+ * @param {Object} rota - Rota document
+ * @param {Array} entries - Forecast from forecastService.getUpcomingSchedule
+ * @param {string} userTimezone - Viewer's timezone for dates and times
+ * @param {number} maxCount - Largest forecast length the "Show more" button may request
+ */
+const scheduleModal = (rota, entries = [], userTimezone = 'UTC', maxCount = 50) => {
+  const formatter = new Intl.DateTimeFormat('en-US', {
+    weekday: 'short',
+    month: 'short',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: '2-digit',
+    hour12: true,
+    timeZone: userTimezone
+  });
+
+  const lines = entries.map((entry) => {
+    const when = formatter.format(entry.at);
+
+    if (entry.skipped) {
+      return `~${when}~ • :no_entry: skipped (blackout date)`;
+    }
+
+    let note = '';
+    if (entry.reason === 'moved') {
+      note = ` _(moved from ${entry.originalDate})_`;
+    } else if (entry.reason === 'override') {
+      note = ' :pushpin: _override_';
+    } else if (entry.reason === 'swap') {
+      note = ' :repeat: _swap_';
+    }
+
+    const assigneeText = entry.assignees
+      .map((assignee) => {
+        const who = assignee.userId ? `<@${assignee.userId}>` : '_next shuffle_';
+        return assignee.role ? `${who} (${assignee.role})` : who;
+      })
+      .join(', ');
+    return `*${when}* • ${assigneeText}${note}`;
+  });
+
+  const assignedCount = entries.filter(entry => !entry.skipped).length;
+
+  const blocks = [
+    {
+      type: 'context',
+      elements: [
+        {
+          type: 'mrkdwn',
+          text: `:calendar: ${describeRecurrence(rota.schedule)} • Times shown in *${userTimezone}*. Projected from the current rotation position; skips and edits can change it.`
+        }
+      ]
+    }
+  ];
+
+  if (lines.length === 0) {
+    blocks.push({
+      type: 'section',
+      text: {
+        type: 'mrkdwn',
+        text: '_No upcoming occurrences._'
+      }
+    });
+  }
+
+  // Section text is limited to 3000 characters, so list in chunks
+  for (let i = 0; i < lines.length; i += 15) {
+    blocks.push({
+      type: 'section',
+      text: {
+        type: 'mrkdwn',
+        text: lines.slice(i, i + 15).join('\n')
+      }
+    });
+  }
+
+  if (assignedCount > 0 && assignedCount < maxCount) {
+    blocks.push({
+      type: 'actions',
+      elements: [
+        {
+          type: 'button',
+          text: {
+            type: 'plain_text',
+            text: 'Show more',
+            emoji: true
+          },
+          action_id: `schedule_more_${rota._id}`,
+          value: String(Math.min(assignedCount + 10, maxCount))
+        }
+      ]
+    });
+  }
+
+  return {
+    type: 'modal',
+    callback_id: 'rota_schedule_modal',
+    private_metadata: rota._id.toString(),
+    title: {
+      type: 'plain_text',
+      text: 'Upcoming Schedule'
+    },
+    close: {
+      type: 'plain_text',
+      text: 'Close'
+    },
+    blocks: [
       {
-        type: 'input',
-        block_id: 'channel_select',
-        label: {
+        type: 'header',
+        text: {
           type: 'plain_text',
-          text: 'Channel'
-        },
-        element: {
-          type: 'channels_select',
-          action_id: 'channel_input',
-          initial_channel: rota.channelId
+          text: rota.name.slice(0, 150),
+          emoji: true
         }
       },
-      {
-        type: 'input',
-        block_id: 'members_select',
-        label: {
+      ...blocks
+    ]
+  };
+};
+
+/**
+ * Rota detail modal with planned date overrides
+ * @param {Object} rota - Rota document
+ * @param {Array} overrides - Upcoming overrides ({ date, userId }), soonest first
+ */
+const rotaDetailModal = (rota, overrides = []) => {
+  const overrideBlocks = overrides.length > 0
+    ? overrides.map(override => ({
+      type: 'section',
+      text: {
+        type: 'mrkdwn',
+        text: override.swapRequestId
+          ? `:repeat: *${override.date}* • <@${override.userId}> _(swap with <@${override.originalUserId}>)_`
+          : `:pushpin: *${override.date}* • <@${override.userId}>`
+      },
+      accessory: {
+        type: 'button',
+        text: {
           type: 'plain_text',
-          text: 'Team Members'
+          text: 'Remove',
+          emoji: true
         },
-        element: {
-          type: 'multi_users_select',
-          action_id: 'members_input',
-          initial_users: rota.members,
-          max_selected_items: 50
+        style: 'danger',
+        action_id: `remove_override_${rota._id}_${override.date}`,
+        value: override.date
+      }
+    }))
+    : [
+      {
+        type: 'context',
+        elements: [
+          {
+            type: 'mrkdwn',
+            text: '_No overrides planned._'
+          }
+        ]
+      }
+    ];
+
+  const advanceOption = {
+    text: {
+      type: 'plain_text',
+      text: 'Overrides use up the turn of the person who was due'
+    },
+    description: {
+      type: 'plain_text',
+      text: 'Unticked: the rotation continues with the person who was due, as if the override never happened.'
+    },
+    value: 'true'
+  };
+
+  return {
+    type: 'modal',
+    callback_id: 'rota_detail_modal',
+    private_metadata: rota._id.toString(),
+    title: {
+      type: 'plain_text',
+      text: 'Rota Details'
+    },
+    submit: {
+      type: 'plain_text',
+      text: 'Save'
+    },
+    close: {
+      type: 'plain_text',
+      text: 'Close'
+    },
+    blocks: [
+      {
+        type: 'section',
+        text: {
+          type: 'mrkdwn',
+          text: `*${rota.name}*\n:busts_in_silhouette: ${rota.members.map(member => `<@${member}>`).join(', ')}\n:calendar: ${describeRecurrence(rota.schedule)} • <#${rota.channelId}>`
         }
       },
       {
-        type: 'input',
-        block_id: 'frequency_select',
-        label: {
-          type: 'plain_text',
-          text: 'Rotation Frequency'
-        },
-        element: {
-          type: 'static_select',
-          action_id: 'frequency_input',
-          initial_option: {
+        type: 'actions',
+        elements: [
+          {
+            type: 'button',
             text: {
               type: 'plain_text',
-              text: rota.schedule.frequency === 'BIWEEKLY' ? 'Biweekly (Every 2 weeks)' : rota.schedule.frequency.charAt(0) + rota.schedule.frequency.slice(1).toLowerCase()
+              text: '🔁 Request a swap',
+              emoji: true
             },
-            value: rota.schedule.frequency
+            action_id: `swap_request_button_${rota._id}`,
+            value: rota._id.toString()
           },
-          options: [
-            {
-              text: {
-                type: 'plain_text',
-                text: 'Daily'
-              },
-              value: 'DAILY'
-            },
-            {
-              text: {
-                type: 'plain_text',
-                text: 'Weekly'
-              },
-              value: 'WEEKLY'
-            },
-            {
-              text: {
-                type: 'plain_text',
-                text: 'Biweekly (Every 2 weeks)'
-              },
-              value: 'BIWEEKLY'
+          {
+            type: 'button',
+            text: {
+              type: 'plain_text',
+              text: '🗓️ Blackout dates',
+              emoji: true
             },
-            {
-              text: {
-                type: 'plain_text',
-                text: 'Monthly'
-              },
-              value: 'MONTHLY'
-            }
-          ]
-        }
+            action_id: 'rota_blackout_button',
+            value: rota._id.toString()
+          }
+        ]
       },
-      {
-        type: 'input',
-        block_id: 'start_date',
-        label: {
-          type: 'plain_text',
-          text: 'Start Date'
-        },
-        element: {
-          type: 'datepicker',
-          action_id: 'start_date_input',
-          initial_date: rota.schedule.startDate.toISOString().split('T')[0]
+      {
+        type: 'divider'
+      },
+      {
+        type: 'section',
+        text: {
+          type: 'mrkdwn',
+          text: '*Planned overrides*'
         }
       },
+      ...overrideBlocks,
+      {
+        type: 'divider'
+      },
       {
         type: 'input',
-        block_id: 'weekdays_only',
+        block_id: 'override_date',
         optional: true,
         label: {
           type: 'plain_text',
-          text: 'Weekdays Only'
+          text: 'Add Override: Date'
         },
-        element: {
-          type: 'checkboxes',
-          action_id: 'weekdays_only_input',
-          options: [
-            {
-              text: {
-                type: 'plain_text',
-                text: 'Only schedule Monday-Friday'
-              },
-              value: 'true'
-            }
-          ],
-          initial_options: rota.schedule.weekdaysOnly
-            ? [
-              {
-                text: {
-                  type: 'plain_text',
-                  text: 'Only schedule Monday-Friday'
-                },
-                value: 'true'
-              }
-            ]
-            : []
-        }
-      },
-      {
-        type: 'input',
-        block_id: 'notification_hour',
-        label: {
+        hint: {
           type: 'plain_text',
-          text: 'Notification Hour'
+          text: 'A scheduled date, in the rota timezone.'
         },
         element: {
-          type: 'static_select',
-          action_id: 'hour_select',
-          placeholder: {
-            type: 'plain_text',
-            text: 'Select hour'
-          },
-          initial_option: {
-            text: {
-              type: 'plain_text',
-              text: (() => {
-                const h = displayHour;
-                const ampm = h < 12 ? 'AM' : 'PM';
-                const displayHr = h === 0 ? 12 : (h > 12 ? h - 12 : h);
-                return `${displayHr} ${ampm}`;
-              })()
-            },
-            value: displayHour.toString()
-          },
-          options: generateHourOptions()
+          type: 'datepicker',
+          action_id: 'date_input'
         }
       },
       {
         type: 'input',
-        block_id: 'notification_minute',
+        block_id: 'override_user',
+        optional: true,
         label: {
           type: 'plain_text',
-          text: 'Notification Minute'
-        },
-        hint: {
-          type: 'plain_text',
-          text: 'Choose minute (notifications run every 15 minutes)'
+          text: 'Add Override: Member'
         },
         element: {
-          type: 'static_select',
-          action_id: 'minute_select',
+          type: 'users_select',
+          action_id: 'user_input',
           placeholder: {
             type: 'plain_text',
-            text: 'Select minute'
-          },
-          initial_option: {
-            text: {
-              type: 'plain_text',
-              text: `:${displayMinute.toString().padStart(2, '0')}`
-            },
-            value: displayMinute.toString()
-          },
-          options: generateMinuteOptions()
+            text: 'Who covers that date'
+          }
         }
       },
       {
         type: 'input',
-        block_id: 'custom_message',
+        block_id: 'override_advance',
+        optional: true,
         label: {
           type: 'plain_text',
-          text: 'Custom Message (Optional)'
-        },
-        hint: {
-          type: 'plain_text',
-          text: 'Additional message to display with the notification. The notification always includes the rota name and assigned person.'
+          text: 'Rotation'
         },
         element: {
-          type: 'rich_text_input',
-          action_id: 'message_input',
-          initial_value: rota.customMessage || undefined
-        },
-        optional: true
+          type: 'checkboxes',
+          action_id: 'advance_input',
+          options: [advanceOption],
+          initial_options: rota.overrideAdvancesRotation ? [advanceOption] : undefined
+        }
       }
     ]
   };
 };
 
-const deleteRotaModal = (rota) => {
-  return {
+/**
+ * Modal for asking a colleague to swap turns
+ * @param {Object} rota - Rota document
+ * @param {Array} turns - The requester's upcoming turns ({ date, at }), soonest first
+ * @param {string} userTimezone - Requester's timezone for display
+ * @param {string} selectedDate - Turn to preselect (YYYY-MM-DD)
+ */
+const swapRequestModal = (rota, turns = [], userTimezone = 'UTC', selectedDate = null) => {
+  const formatter = new Intl.DateTimeFormat('en-US', {
+    weekday: 'short',
+    month: 'short',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: '2-digit',
+    timeZone: userTimezone
+  });
+
+  const turnOptions = turns.slice(0, 100).map(turn => ({
+    text: {
+      type: 'plain_text',
+      text: formatter.format(turn.at)
+    },
+    value: turn.date
+  }));
+
+  const view = {
     type: 'modal',
-    callback_id: 'delete_rota_modal',
+    callback_id: 'swap_request_modal',
     private_metadata: rota._id.toString(),
     title: {
       type: 'plain_text',
-      text: 'Delete Rota'
-    },
-    submit: {
-      type: 'plain_text',
-      text: 'Delete'
+      text: 'Request a Swap'
     },
     close: {
       type: 'plain_text',
@@ -715,16 +2623,348 @@ const deleteRotaModal = (rota) => {
         type: 'section',
         text: {
           type: 'mrkdwn',
-          text: `:warning: *Are you sure you want to delete this rota?*\n\n*${rota.name}*\n\nThis action cannot be undone.`
+          text: `*${rota.name}*\nPick one of your turns and the colleague turn you would take instead. They get a DM to accept or decline.`
         }
       }
     ]
   };
+
+  if (turnOptions.length === 0) {
+    view.blocks.push({
+      type: 'context',
+      elements: [
+        {
+          type: 'mrkdwn',
+          text: '_You have no upcoming turns on this rota._'
+        }
+      ]
+    });
+    return view;
+  }
+
+  view.submit = {
+    type: 'plain_text',
+    text: 'Send request'
+  };
+
+  view.blocks.push(
+    {
+      type: 'input',
+      block_id: 'swap_my_date',
+      label: {
+        type: 'plain_text',
+        text: 'Your turn'
+      },
+      element: {
+        type: 'static_select',
+        action_id: 'date_input',
+        options: turnOptions,
+        initial_option: turnOptions.find(option => option.value === selectedDate)
+      }
+    },
+    {
+      type: 'input',
+      block_id: 'swap_colleague',
+      label: {
+        type: 'plain_text',
+        text: 'Colleague'
+      },
+      element: {
+        type: 'users_select',
+        action_id: 'user_input',
+        placeholder: {
+          type: 'plain_text',
+          text: 'Who to swap with'
+        }
+      }
+    },
+    {
+      type: 'input',
+      block_id: 'swap_their_date',
+      label: {
+        type: 'plain_text',
+        text: 'Their turn'
+      },
+      hint: {
+        type: 'plain_text',
+        text: 'A date your colleague is scheduled for, in the rota timezone. See "View schedule".'
+      },
+      element: {
+        type: 'datepicker',
+        action_id: 'date_input'
+      }
+    },
+    {
+      type: 'input',
+      block_id: 'swap_note',
+      optional: true,
+      label: {
+        type: 'plain_text',
+        text: 'Note'
+      },
+      element: {
+        type: 'plain_text_input',
+        action_id: 'note_input',
+        max_length: 500
+      }
+    }
+  );
+
+  return view;
+};
+
+/**
+ * Create the member availability modal, pushed on top of the edit modal
+ * @param {Object} rota - Rota document
+ * @param {string} userId - Member picked in the edit modal
+ * @returns {Object} Modal view
+ */
+const memberAvailabilityModal = (rota, userId) => {
+  const rule = (rota.availability || []).find(entry => entry.userId === userId);
+
+  const view = {
+    type: 'modal',
+    callback_id: 'member_availability_modal',
+    private_metadata: JSON.stringify({ rotaId: rota._id.toString(), userId }),
+    title: {
+      type: 'plain_text',
+      text: 'Member Availability'
+    },
+    close: {
+      type: 'plain_text',
+      text: 'Back'
+    },
+    blocks: []
+  };
+
+  if (!rota.members.includes(userId)) {
+    view.blocks.push({
+      type: 'section',
+      text: {
+        type: 'mrkdwn',
+        text: `<@${userId}> is not a member of *${rota.name}*. Add and save them as a member first.`
+      }
+    });
+    return view;
+  }
+
+  view.submit = {
+    type: 'plain_text',
+    text: 'Save'
+  };
+
+  view.blocks.push(
+    {
+      type: 'section',
+      text: {
+        type: 'mrkdwn',
+        text: `When can <@${userId}> take a turn on *${rota.name}*? Dates are in the rota timezone.`
+      }
+    },
+    {
+      type: 'input',
+      block_id: 'availability_weekdays',
+      optional: true,
+      label: {
+        type: 'plain_text',
+        text: 'Available on'
+      },
+      hint: {
+        type: 'plain_text',
+        text: 'Leave all unticked for any day.'
+      },
+      element: {
+        type: 'checkboxes',
+        action_id: 'weekdays_input',
+        options: WEEKDAY_OPTIONS.map(option => selectOption(WEEKDAY_OPTIONS, option.value)),
+        initial_options: rule?.weekdays?.length > 0
+          ? rule.weekdays.map(code => selectOption(WEEKDAY_OPTIONS, code))
+          : undefined
+      }
+    },
+    {
+      type: 'input',
+      block_id: 'availability_start',
+      optional: true,
+      label: {
+        type: 'plain_text',
+        text: 'From'
+      },
+      element: {
+        type: 'datepicker',
+        action_id: 'date_input',
+        initial_date: rule?.startDate || undefined
+      }
+    },
+    {
+      type: 'input',
+      block_id: 'availability_end',
+      optional: true,
+      label: {
+        type: 'plain_text',
+        text: 'Until'
+      },
+      hint: {
+        type: 'plain_text',
+        text: 'Leave both dates empty for no date limit.'
+      },
+      element: {
+        type: 'datepicker',
+        action_id: 'date_input',
+        initial_date: rule?.endDate || undefined
+      }
+    }
+  );
+
+  if (isEmailConfigured()) {
+    const emailAddress = (rota.delivery?.emailAddresses || []).find(entry => entry.userId === userId);
+    view.blocks.push({
+      type: 'input',
+      block_id: 'member_email',
+      optional: true,
+      label: {
+        type: 'plain_text',
+        text: 'Email address'
+      },
+      hint: {
+        type: 'plain_text',
+        text: 'Used instead of their Slack profile email when the rota sends email. Leave empty to use the profile email.'
+      },
+      element: {
+        type: 'email_text_input',
+        action_id: 'email_input',
+        initial_value: emailAddress?.email || undefined
+      }
+    });
+  }
+
+  return view;
+};
+
+/**
+ * Create the reorder members modal, pushed on top of the edit modal
+ * Each member has a menu to move them or make them go next; the changes are
+ * kept in private_metadata until the modal is saved.
+ * @param {Object} rota - Rota document
+ * @param {Object} state - { order, nextUserId, chosenNext, userTimezone, error }: members in
+ * their new order, who goes next, whether that was chosen here, the editing user's timezone
+ * and an error from the last save
+ * @returns {Object} Modal view
+ */
+const memberOrderModal = (rota, { order = rota.members, nextUserId = null, chosenNext = false, userTimezone = 'UTC', error = null } = {}) => {
+  const strategy = getRotationStrategy(rota);
+  const canChooseNext = strategy !== 'least_served';
+
+  const intro = {
+    round_robin: 'Members take turns in this order, starting again from the top.',
+    least_served: 'Least recently served rotas pick whoever had the fewest turns; this order only breaks ties.',
+    shuffled: 'Shuffled rotas pick a random order each cycle; this order is only used for display.'
+  }[strategy];
+
+  const blocks = [
+    {
+      type: 'section',
+      text: {
+        type: 'mrkdwn',
+        text: `*${rota.name}*\n${intro} Add or remove members in the edit form and save it first.`
+      }
+    },
+    {
+      type: 'divider'
+    }
+  ];
+
+  if (error) {
+    blocks.unshift({
+      type: 'section',
+      text: {
+        type: 'mrkdwn',
+        text: `:warning: ${error}`
+      }
+    });
+  }
+
+  order.forEach((userId, index) => {
+    const options = [];
+
+    if (index > 0) {
+      options.push({ text: { type: 'plain_text', text: 'Move up' }, value: 'up' });
+      options.push({ text: { type: 'plain_text', text: 'Move to top' }, value: 'top' });
+    }
+    if (index < order.length - 1) {
+      options.push({ text: { type: 'plain_text', text: 'Move down' }, value: 'down' });
+    }
+    if (canChooseNext && userId !== nextUserId) {
+      options.push({ text: { type: 'plain_text', text: 'Goes next' }, value: 'next' });
+    }
+
+    const block = {
+      type: 'section',
+      text: {
+        type: 'mrkdwn',
+        text: `${index + 1}. <@${userId}>${canChooseNext && userId === nextUserId ? '  :arrow_right: _next up_' : ''}`
+      }
+    };
+
+    // A single move is a plain button, more go in a menu
+    if (options.length === 1) {
+      block.accessory = {
+        type: 'button',
+        action_id: `member_order_${userId}`,
+        text: options[0].text,
+        value: options[0].value
+      };
+    } else if (options.length > 1) {
+      block.accessory = {
+        type: 'overflow',
+        action_id: `member_order_${userId}`,
+        options
+      };
+    }
+
+    blocks.push(block);
+  });
+
+  return {
+    type: 'modal',
+    callback_id: 'member_order_modal',
+    private_metadata: JSON.stringify({
+      rotaId: rota._id.toString(),
+      order,
+      nextUserId,
+      chosenNext,
+      userTimezone
+    }),
+    title: {
+      type: 'plain_text',
+      text: 'Reorder Members'
+    },
+    submit: {
+      type: 'plain_text',
+      text: 'Save order'
+    },
+    close: {
+      type: 'plain_text',
+      text: 'Back'
+    },
+    blocks
+  };
 };
 
 module.exports = {
   homeBlocks,
   createRotaModal,
   editRotaModal,
-  deleteRotaModal
+  deleteRotaModal,
+  messageTemplateModal,
+  deleteMessageTemplateModal,
+  digestModal,
+  deleteDigestModal,
+  workspaceBlackoutModal,
+  rotaBlackoutModal,
+  scheduleModal,
+  rotaDetailModal,
+  swapRequestModal,
+  memberAvailabilityModal,
+  memberOrderModal
 };